@@ -0,0 +1,247 @@
+/**
+ * Headless simulation runner
+ *
+ * Spawns the car on the generated terrain, feeds it scripted inputs and
+ * prints its position and speed per tick. Runs under plain Node, no renderer.
+ *
+ * Usage:
+ *   node scripts/simulate.js [--script inputs.json] [--seconds 10] [--every 1] [--format csv|json]
+ *                            [--assists abs,tcs,esc|none] [--surface ice] [--vehicle boxCar|car.json]
+ *                            [--seed 42] [--heightmap pass.png --heightmap-size 2000 --heightmap-scale 400 --heightmap-offset 0]
+ *                            [--snowfall 0.8] [--wind 12 --wind-direction 270 --gusts 0.3 | --wind-script wind.json]
+ *                            [--weather blizzard] [--weather-script clearToWhiteout|weather.json]
+ *                            [--check-replay 200]
+ *
+ * `--assists` picks the driver assists to keep on (all by default) and
+ * `--surface` covers all ground with one surface, e.g. to compare braking
+ * on ice with and without ABS. `--vehicle` drives a registered vehicle or
+ * a vehicle definition file instead of the F40. `--seed` drives in the
+ * world grown from another seed, a number or any text. `--heightmap` drives
+ * on an imported PNG, PGM or RAW heightmap, centered on the start, sized in m
+ * along x and scaled to a full scale height in m. `--snowfall` lets snow
+ * settle on the ground while driving, 0 to 1. `--wind` sets a wind speed in
+ * m/s, blowing from a compass direction in degrees with gusts from 0 to 1;
+ * `--wind-script` changes the wind over time, see src/weather/Wind.js.
+ * `--weather` starts in a weather preset, which sets the snowfall, wind and
+ * road grip at once, and `--weather-script` moves between presets over
+ * time, from a built-in scenario or a keyframe file, see
+ * src/weather/Weather.js. `--check-replay` starts recording at a tick, as
+ * the Record button does mid-drive, replays the recording in a fresh world
+ * at the end and fails unless the replayed car ends in exactly the same
+ * state.
+ */
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { Simulation } from '../src/core/Simulation.js';
+import { ScriptedInput } from '../src/controls/ScriptedInput.js';
+import { ASSIST_NAMES } from '../src/vehicle/DriverAssists.js';
+import { getSurface } from '../src/physics/Surfaces.js';
+import { getVehicleDefinition, registerVehicleDefinition } from '../src/vehicle/VehicleDefinitions.js';
+import { Heightmap } from '../src/terrain/Heightmap.js';
+import { Wind } from '../src/weather/Wind.js';
+import { InputRecorder } from '../src/replay/InputRecorder.js';
+import { Recording } from '../src/replay/Recording.js';
+import { getWeatherScenario } from '../src/weather/WeatherPresets.js';
+
+const { values: args } = parseArgs({
+  options: {
+    script: { type: 'string' },
+    seconds: { type: 'string' },
+    ticks: { type: 'string' },
+    every: { type: 'string', default: '1' },
+    format: { type: 'string', default: 'csv' },
+    assists: { type: 'string' },
+    surface: { type: 'string' },
+    vehicle: { type: 'string' },
+    seed: { type: 'string' },
+    snowfall: { type: 'string', default: '0' },
+    wind: { type: 'string', default: '0' },
+    'wind-direction': { type: 'string', default: '0' },
+    gusts: { type: 'string', default: '0.3' },
+    'wind-script': { type: 'string' },
+    weather: { type: 'string' },
+    'weather-script': { type: 'string' },
+    heightmap: { type: 'string' },
+    'heightmap-size': { type: 'string', default: '1000' },
+    'heightmap-scale': { type: 'string', default: '100' },
+    'heightmap-offset': { type: 'string', default: '0' },
+    'check-replay': { type: 'string' }
+  }
+});
+
+// Route simulator chatter to stderr so stdout only carries data
+console.log = (...messages) => console.error(...messages);
+
+/**
+ * Format one state record for output
+ * @param {Object} state - Simulation state
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} Output line
+ */
+function formatState(state, format) {
+  if (format === 'json') {
+    return JSON.stringify(state);
+  }
+  
+  const { tick, time, position, speed, rpm, gear, assists } = state;
+  return [
+    tick, time.toFixed(4), position.x.toFixed(4), position.y.toFixed(4), position.z.toFixed(4), speed.toFixed(3), rpm.toFixed(0), gear,
+    ...ASSIST_NAMES.map(name => (assists[name] ? 1 : 0))
+  ].join(',');
+}
+
+/**
+ * Replay a recording in a fresh world, the way a ghost does
+ * @param {Recording} recording - Recording to replay
+ * @param {Heightmap} heightmap - Imported heights the recording was driven on, if any
+ * @param {string} surface - Surface covering all ground, if any
+ * @returns {Promise<Simulation>} Simulation at the end of the replay
+ */
+async function replay(recording, heightmap, surface) {
+  const simulation = new Simulation({
+    fixedTimeStep: recording.fixedTimeStep,
+    seed: recording.seed,
+    heightmap,
+    definition: recording.initialState.definition
+  });
+  simulation.vehicle.debugMode = false;
+  await simulation.init();
+  if (surface) {
+    simulation.terrain.setSurfaceOverride(surface);
+  }
+  simulation.vehicle.restoreSnapshot(recording.initialState);
+  simulation.terrain.snow.restoreSnapshot(recording.snow);
+  simulation.wind.restoreSnapshot(recording.wind);
+  simulation.weather.restoreSnapshot(recording.weather);
+  
+  simulation.run(new ScriptedInput((time, tick) => recording.getInputs(tick)), recording.length);
+  return simulation;
+}
+
+async function main() {
+  // Load the input script, or just hold full throttle
+  const script = args.script
+    ? JSON.parse(await readFile(args.script, 'utf8'))
+    : [{ from: 0, inputs: { throttle: 1 } }];
+  const input = new ScriptedInput(script);
+  
+  // Vehicle to drive: a definition file, or the id of a registered vehicle
+  let definition;
+  if (args.vehicle) {
+    definition = args.vehicle.endsWith('.json')
+      ? registerVehicleDefinition(JSON.parse(await readFile(args.vehicle, 'utf8')))
+      : getVehicleDefinition(args.vehicle);
+  }
+  
+  // Imported terrain instead of procedural noise
+  let heightmap;
+  if (args.heightmap) {
+    heightmap = await Heightmap.fromFile(args.heightmap, await readFile(args.heightmap), {
+      size: Number(args['heightmap-size']),
+      verticalScale: Number(args['heightmap-scale']),
+      offset: Number(args['heightmap-offset'])
+    });
+  }
+  
+  // Steady wind, or wind changing over time
+  const wind = new Wind({
+    speed: Number(args.wind),
+    direction: Number(args['wind-direction']),
+    gusts: Number(args.gusts)
+  });
+  if (args['wind-script']) {
+    wind.setScript(JSON.parse(await readFile(args['wind-script'], 'utf8')));
+  }
+  
+  const simulation = new Simulation({ definition, seed: args.seed, heightmap, snowfall: Number(args.snowfall), wind });
+  
+  // Weather preset, and a scenario or keyframe file to move between presets
+  if (args.weather) {
+    simulation.weather.setPreset(args.weather);
+  }
+  if (args['weather-script']) {
+    const scenario = getWeatherScenario(args['weather-script']);
+    simulation.weather.setScript(scenario
+      ? scenario.keyframes
+      : JSON.parse(await readFile(args['weather-script'], 'utf8')));
+  }
+  simulation.vehicle.debugMode = false;
+  await simulation.init();
+  
+  // Driver assists to keep on
+  if (args.assists) {
+    const enabled = args.assists === 'none' ? [] : args.assists.split(',').map(name => name.trim());
+    enabled.forEach(name => {
+      if (!ASSIST_NAMES.includes(name)) throw new Error(`Unknown driver assist "${name}"`);
+    });
+    ASSIST_NAMES.forEach(name => simulation.vehicle.assists.setEnabled(name, enabled.includes(name)));
+  }
+  
+  // One surface everywhere, overriding the painted terrain surfaces
+  if (args.surface) {
+    if (!getSurface(args.surface)) throw new Error(`Unknown surface "${args.surface}"`);
+    simulation.terrain.setSurfaceOverride(args.surface);
+  }
+  
+  // Work out how long to run
+  let tickCount;
+  if (args.ticks) {
+    tickCount = parseInt(args.ticks, 10);
+  } else {
+    const scriptDuration = input.getDuration();
+    const seconds = args.seconds ? parseFloat(args.seconds) : (Number.isFinite(scriptDuration) ? scriptDuration : 10);
+    tickCount = Math.round(seconds / simulation.fixedTimeStep);
+  }
+  
+  const every = Math.max(1, parseInt(args.every, 10));
+  const out = [];
+  if (args.format !== 'json') {
+    out.push(['tick,time,x,y,z,speed_kmh,rpm,gear', ...ASSIST_NAMES].join(','));
+  }
+  
+  const onTick = (state) => {
+    if (state.tick % every === 0) {
+      out.push(formatState(state, args.format));
+    }
+  };
+  
+  // Drive up to the tick the replay check records from, or to the end
+  let checkFrom = tickCount;
+  if (args['check-replay'] !== undefined) {
+    checkFrom = parseInt(args['check-replay'], 10);
+    if (!(checkFrom >= 0 && checkFrom < tickCount)) {
+      throw new Error(`--check-replay needs a tick from 0 to ${tickCount - 1}`);
+    }
+  }
+  simulation.run(input, checkFrom, onTick);
+  
+  // Record the rest of the run, through a file round trip like a saved recording
+  if (checkFrom < tickCount) {
+    const recorder = new InputRecorder();
+    recorder.start(simulation.vehicle, simulation.fixedTimeStep, simulation.terrain.seed, heightmap,
+      simulation.terrain.snow, simulation.wind, simulation.weather);
+    simulation.run({
+      update: (deltaTime) => input.update(deltaTime),
+      getInputs: () => {
+        const inputs = input.getInputs();
+        recorder.record(inputs);
+        return inputs;
+      }
+    }, tickCount - checkFrom, onTick);
+    const recording = Recording.fromJSON(JSON.stringify(recorder.stop()));
+    
+    const live = JSON.stringify(simulation.vehicle.getSnapshot());
+    const replayed = JSON.stringify((await replay(recording, heightmap, args.surface)).vehicle.getSnapshot());
+    if (replayed !== live) {
+      throw new Error(`Replay from tick ${checkFrom} ended in a different state than the live run`);
+    }
+    console.error(`Replay from tick ${checkFrom} matches the live run`);
+  }
+  
+  process.stdout.write(out.join('\n') + '\n');
+}
+
+main().catch((error) => {
+  console.error("Simulation failed:", error);
+  process.exitCode = 1;
+}); 
\ No newline at end of file
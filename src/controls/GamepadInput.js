@@ -0,0 +1,315 @@
+/**
+ * Controller layouts recognised by GamepadInput, checked in order
+ *
+ * Axes are read from `gamepad.axes`, buttons from `gamepad.buttons` (analog
+ * value). Pedal axes report -1..1 with `invert` meaning "1 when released",
+ * which is how most wheel pedal sets appear through the Gamepad API.
+ */
+export const GAMEPAD_PROFILES = [
+  {
+    name: 'Logitech wheel',
+    type: 'wheel',
+    match: /logitech.*(g29|g920|g923|g27|g25|driving force)|046d-c2(4f|62|66|6e|94|98|99|9a|9b)/i,
+    steering: { axis: 0 },
+    throttle: { axis: 2, pedal: true, invert: true },
+    brake: { axis: 3, pedal: true, invert: true },
+    clutch: { axis: 1, pedal: true, invert: true },
+    handbrake: { button: 0 },
+    boost: { button: 1 },
+    shiftUp: { button: 4 },    // Right paddle
+    shiftDown: { button: 5 }   // Left paddle
+  },
+  {
+    name: 'Thrustmaster wheel',
+    type: 'wheel',
+    match: /thrustmaster|t300|t150|tmx|t248|044f-b6/i,
+    steering: { axis: 0 },
+    throttle: { axis: 1, pedal: true, invert: true },
+    brake: { axis: 5, pedal: true, invert: true },
+    clutch: { axis: 6, pedal: true, invert: true },
+    handbrake: { button: 0 },
+    boost: { button: 1 }
+  },
+  {
+    name: 'Fanatec wheel',
+    type: 'wheel',
+    match: /fanatec|0eb7-/i,
+    steering: { axis: 0 },
+    throttle: { axis: 1, pedal: true, invert: true },
+    brake: { axis: 2, pedal: true, invert: true },
+    clutch: { axis: 3, pedal: true, invert: true },
+    handbrake: { button: 0 },
+    boost: { button: 1 }
+  },
+  {
+    // Any controller using the browser's standard mapping (Xbox/PlayStation layout)
+    name: 'Standard gamepad',
+    type: 'gamepad',
+    match: (gamepad) => gamepad.mapping === 'standard',
+    steering: { axis: 0 },
+    throttle: { button: 7 },   // Right trigger
+    brake: { button: 6 },      // Left trigger
+    clutch: null,
+    handbrake: { button: 0 },  // A / Cross
+    boost: { button: 2 },      // X / Square
+    shiftUp: { button: 5 },    // Right bumper
+    shiftDown: { button: 4 },  // Left bumper
+    cameraToggle: { button: 3 }, // Y / Triangle
+    pause: { button: 9 }       // Start / Options
+  }
+];
+
+/**
+ * GamepadInput polls the Gamepad API and maps sticks, triggers, wheels and
+ * pedals onto analog driving inputs
+ */
+export class GamepadInput {
+  constructor() {
+    // Current analog values
+    this.steering = 0;   // -1 to 1
+    this.throttle = 0;   // 0 to 1
+    this.brake = 0;      // 0 to 1
+    this.clutch = 0;     // 0 to 1
+    this.handbrake = false;
+    this.boost = false;
+    this.shiftUp = false;
+    this.shiftDown = false;
+    this.cameraToggle = false;
+    this.pause = false;
+    
+    // Connected controller
+    this.gamepad = null;        // Gamepad snapshot from the last poll
+    this.gamepadIndex = null;
+    this.profile = null;
+    this.connected = false;
+    
+    // Configuration
+    this.stickDeadzone = 0.12;       // Ignore small stick movements around center
+    this.triggerDeadzone = 0.05;     // Ignore resting trigger/pedal noise
+    this.steeringCurve = 1.6;        // >1 gives finer control around center on sticks
+    this.wheelSteeringCurve = 1.0;   // Wheels are precise, keep them linear
+    this.pedalCurve = 1.3;           // >1 gives finer control of light throttle
+    
+    // Pedal axes read 0 until first moved in some browsers; ignore them until then
+    this.seenAxes = new Set();
+    
+    this.initEvents();
+  }
+  
+  /**
+   * Listen for controllers being connected or removed
+   */
+  initEvents() {
+    if (typeof window === 'undefined') return;
+    
+    window.addEventListener('gamepadconnected', (e) => {
+      console.log(`Gamepad connected: ${e.gamepad.id}`);
+      this.selectGamepad();
+    });
+    
+    window.addEventListener('gamepaddisconnected', (e) => {
+      console.log(`Gamepad disconnected: ${e.gamepad.id}`);
+      if (e.gamepad.index === this.gamepadIndex) {
+        this.gamepadIndex = null;
+        this.profile = null;
+        this.connected = false;
+        this.reset();
+      }
+      this.selectGamepad();
+    });
+  }
+  
+  /**
+   * Get the list of connected gamepads
+   * @returns {Array<Gamepad>} Connected gamepads
+   */
+  getGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter(Boolean);
+  }
+  
+  /**
+   * Find the profile matching a gamepad
+   * @param {Gamepad} gamepad - Gamepad to match
+   * @returns {Object|null} Matching profile
+   */
+  findProfile(gamepad) {
+    return GAMEPAD_PROFILES.find(profile => (
+      typeof profile.match === 'function' ? profile.match(gamepad) : profile.match.test(gamepad.id)
+    )) || null;
+  }
+  
+  /**
+   * Pick the controller to use, preferring recognised wheels over gamepads
+   */
+  selectGamepad() {
+    const candidates = this.getGamepads()
+      .map(gamepad => ({ gamepad, profile: this.findProfile(gamepad) }))
+      .filter(candidate => candidate.profile);
+    
+    const wheel = candidates.find(candidate => candidate.profile.type === 'wheel');
+    const chosen = wheel || candidates[0];
+    
+    if (!chosen) {
+      this.connected = false;
+      return;
+    }
+    
+    if (chosen.gamepad.index !== this.gamepadIndex) {
+      this.seenAxes.clear();
+      console.log(`Using ${chosen.profile.name}: ${chosen.gamepad.id}`);
+    }
+    
+    this.gamepadIndex = chosen.gamepad.index;
+    this.profile = chosen.profile;
+    this.connected = true;
+  }
+  
+  /**
+   * Reset all values to released
+   */
+  reset() {
+    this.steering = 0;
+    this.throttle = 0;
+    this.brake = 0;
+    this.clutch = 0;
+    this.handbrake = false;
+    this.boost = false;
+    this.shiftUp = false;
+    this.shiftDown = false;
+    this.cameraToggle = false;
+    this.pause = false;
+  }
+  
+  /**
+   * Apply a deadzone and rescale the remaining range to 0..1
+   * @param {number} value - Raw value
+   * @param {number} deadzone - Deadzone size
+   * @returns {number} Value with deadzone removed
+   */
+  applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+  }
+  
+  /**
+   * Apply a power response curve, keeping the sign
+   * @param {number} value - Value from -1 to 1
+   * @param {number} exponent - Curve exponent (1 = linear)
+   * @returns {number} Curved value
+   */
+  applyCurve(value, exponent) {
+    return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+  }
+  
+  /**
+   * Read an analog control from a gamepad
+   * @param {Gamepad} gamepad - Gamepad to read
+   * @param {Object} control - Control description from a profile
+   * @returns {number} Raw value (-1 to 1 for axes, 0 to 1 for pedals and buttons)
+   */
+  readControl(gamepad, control) {
+    if (!control) return 0;
+    
+    if (control.button !== undefined) {
+      const button = gamepad.buttons[control.button];
+      return button ? button.value : 0;
+    }
+    
+    const raw = gamepad.axes[control.axis];
+    if (raw === undefined) return 0;
+    
+    if (!control.pedal) return raw;
+    
+    // Pedals: ignore until the axis has moved at least once
+    if (raw !== 0) this.seenAxes.add(control.axis);
+    if (!this.seenAxes.has(control.axis)) return 0;
+    
+    // Map the -1..1 axis range onto 0..1 travel
+    return control.invert ? (1 - raw) / 2 : (raw + 1) / 2;
+  }
+  
+  /**
+   * Poll the active controller and update the mapped values
+   * Must be called once per tick, since the Gamepad API is not event based.
+   */
+  update() {
+    if (!this.connected) {
+      // Controllers only appear after the first button press; keep looking
+      this.selectGamepad();
+      if (!this.connected) return;
+    }
+    
+    const gamepad = this.getGamepads().find(pad => pad.index === this.gamepadIndex);
+    if (!gamepad) {
+      this.gamepad = null;
+      this.connected = false;
+      this.reset();
+      return;
+    }
+    
+    this.gamepad = gamepad;
+    const profile = this.profile;
+    const isWheel = profile.type === 'wheel';
+    
+    // Steering: deadzone only for sticks, response curve depends on device
+    const rawSteering = this.readControl(gamepad, profile.steering);
+    this.steering = isWheel
+      ? this.applyCurve(rawSteering, this.wheelSteeringCurve)
+      : this.applyCurve(this.applyDeadzone(rawSteering, this.stickDeadzone), this.steeringCurve);
+    
+    // Pedals and triggers
+    this.throttle = this.applyCurve(this.applyDeadzone(this.readControl(gamepad, profile.throttle), this.triggerDeadzone), this.pedalCurve);
+    this.brake = this.applyDeadzone(this.readControl(gamepad, profile.brake), this.triggerDeadzone);
+    this.clutch = this.applyDeadzone(this.readControl(gamepad, profile.clutch), this.triggerDeadzone);
+    
+    // Buttons
+    this.handbrake = this.readControl(gamepad, profile.handbrake) > 0.5;
+    this.boost = this.readControl(gamepad, profile.boost) > 0.5;
+    this.shiftUp = this.readControl(gamepad, profile.shiftUp) > 0.5;
+    this.shiftDown = this.readControl(gamepad, profile.shiftDown) > 0.5;
+    this.cameraToggle = this.readControl(gamepad, profile.cameraToggle) > 0.5;
+    this.pause = this.readControl(gamepad, profile.pause) > 0.5;
+  }
+  
+  /**
+   * Get the value of a gamepad binding from the last poll
+   * @param {Object} binding - Gamepad binding from InputBindings
+   * @returns {number} Value from 0 (released) to 1 (fully pressed)
+   */
+  getBindingValue(binding) {
+    if (!this.connected || !this.gamepad) return 0;
+    
+    // Controls mapped by the controller profile
+    if (binding.control) {
+      switch (binding.control) {
+        case 'steerLeft': return Math.max(0, -this.steering);
+        case 'steerRight': return Math.max(0, this.steering);
+        default: return Number(this[binding.control]) || 0;
+      }
+    }
+    
+    // Raw buttons
+    if (binding.axis === undefined) {
+      const button = this.gamepad.buttons[binding.button];
+      return button ? button.value : 0;
+    }
+    
+    // Raw axes, measured from the resting position towards the bound direction
+    const raw = this.gamepad.axes[binding.axis];
+    if (raw === undefined) return 0;
+    
+    const rest = binding.rest || 0;
+    const travel = (raw - rest) * binding.direction / (1 - rest * binding.direction);
+    return this.applyDeadzone(Math.max(0, Math.min(1, travel)), this.triggerDeadzone);
+  }
+  
+  /**
+   * Whether the controller is connected and a wheel
+   * @returns {boolean} True for steering wheels
+   */
+  isWheel() {
+    return this.connected && this.profile && this.profile.type === 'wheel';
+  }
+} 
\ No newline at end of file
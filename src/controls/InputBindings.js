@@ -0,0 +1,369 @@
+/**
+ * Named actions that can be bound to keys, mouse buttons or gamepad controls
+ * `press` actions trigger once when pressed, the others are held.
+ */
+export const ACTIONS = [
+  { id: 'throttle', label: 'Accelerate' },
+  { id: 'brake', label: 'Brake / Reverse' },
+  { id: 'steerLeft', label: 'Steer Left' },
+  { id: 'steerRight', label: 'Steer Right' },
+  { id: 'handbrake', label: 'Handbrake' },
+  { id: 'boost', label: 'Boost' },
+  { id: 'clutch', label: 'Clutch' },
+  { id: 'shiftUp', label: 'Shift Up' },
+  { id: 'shiftDown', label: 'Shift Down' },
+  { id: 'gearboxMode', label: 'Automatic / Manual', press: true },
+  { id: 'headlights', label: 'Headlights', press: true },
+  { id: 'highBeam', label: 'High Beam', press: true },
+  { id: 'cameraToggle', label: 'Toggle Camera', press: true },
+  { id: 'pause', label: 'Pause', press: true }
+];
+
+/**
+ * Gamepad controls mapped by the connected controller's profile, shared by
+ * every layout so wheels and gamepads work without remapping
+ */
+const GAMEPAD_DEFAULTS = {
+  throttle: [{ device: 'gamepad', control: 'throttle' }],
+  brake: [{ device: 'gamepad', control: 'brake' }],
+  steerLeft: [{ device: 'gamepad', control: 'steerLeft' }],
+  steerRight: [{ device: 'gamepad', control: 'steerRight' }],
+  handbrake: [{ device: 'gamepad', control: 'handbrake' }],
+  boost: [{ device: 'gamepad', control: 'boost' }],
+  clutch: [{ device: 'gamepad', control: 'clutch' }],
+  shiftUp: [{ device: 'gamepad', control: 'shiftUp' }],
+  shiftDown: [{ device: 'gamepad', control: 'shiftDown' }],
+  gearboxMode: [],
+  headlights: [],
+  highBeam: [],
+  cameraToggle: [{ device: 'gamepad', control: 'cameraToggle' }],
+  pause: [{ device: 'gamepad', control: 'pause' }]
+};
+
+/**
+ * Build a full binding set from keyboard keys plus the gamepad defaults
+ * @param {Object} keys - Key names per action, as reported by KeyboardEvent.key (lowercase)
+ * @returns {Object} Bindings per action
+ */
+function createPreset(keys) {
+  const bindings = {};
+  
+  ACTIONS.forEach(({ id }) => {
+    bindings[id] = [
+      ...(keys[id] || []).map(key => ({ device: 'key', key })),
+      ...GAMEPAD_DEFAULTS[id]
+    ];
+  });
+  
+  return bindings;
+}
+
+/**
+ * Built-in binding presets for common keyboard layouts
+ */
+export const BINDING_PRESETS = {
+  QWERTY: createPreset({
+    throttle: ['w', 'arrowup'],
+    brake: ['s', 'arrowdown'],
+    steerLeft: ['a', 'arrowleft'],
+    steerRight: ['d', 'arrowright'],
+    handbrake: [' '],
+    boost: ['shift'],
+    shiftUp: ['e'],
+    shiftDown: ['q'],
+    gearboxMode: ['g'],
+    headlights: ['l'],
+    highBeam: ['h'],
+    cameraToggle: ['c'],
+    pause: ['escape', 'p']
+  }),
+  AZERTY: createPreset({
+    throttle: ['z', 'arrowup'],
+    brake: ['s', 'arrowdown'],
+    steerLeft: ['q', 'arrowleft'],
+    steerRight: ['d', 'arrowright'],
+    handbrake: [' '],
+    boost: ['shift'],
+    shiftUp: ['e'],
+    shiftDown: ['a'],
+    gearboxMode: ['g'],
+    headlights: ['l'],
+    highBeam: ['h'],
+    cameraToggle: ['c'],
+    pause: ['escape', 'p']
+  })
+};
+
+// Display names for keys that don't print as themselves
+const KEY_NAMES = {
+  ' ': 'Space',
+  'arrowup': '↑',
+  'arrowdown': '↓',
+  'arrowleft': '←',
+  'arrowright': '→'
+};
+
+const MOUSE_BUTTON_NAMES = ['Left Click', 'Middle Click', 'Right Click'];
+
+const STORAGE_KEY = 'winter-driving-controls';
+const STORAGE_VERSION = 1;
+
+/**
+ * InputBindings maps actions to input bindings and stores named binding
+ * profiles in localStorage
+ *
+ * A binding is one of:
+ * - `{ device: 'key', key }` - keyboard key, by KeyboardEvent.key in lowercase
+ * - `{ device: 'mouse', button }` - mouse button index
+ * - `{ device: 'gamepad', control }` - control mapped by the controller profile
+ * - `{ device: 'gamepad', button }` - raw gamepad button index
+ * - `{ device: 'gamepad', axis, direction, rest }` - raw gamepad axis moved
+ *   from its resting value towards `direction` (1 or -1)
+ */
+export class InputBindings {
+  constructor() {
+    this.profiles = {};         // Binding sets by profile name
+    this.activeProfile = null;  // Name of the profile in use
+    
+    this.load();
+  }
+  
+  /**
+   * Load profiles from localStorage, falling back to the built-in presets
+   */
+  load() {
+    const stored = this.readStorage();
+    
+    if (stored) {
+      this.profiles = stored.profiles;
+      this.activeProfile = stored.activeProfile;
+    } else {
+      this.profiles = {};
+      Object.keys(BINDING_PRESETS).forEach(name => {
+        this.profiles[name] = this.copyBindings(BINDING_PRESETS[name]);
+      });
+      this.activeProfile = 'QWERTY';
+    }
+    
+    if (!this.profiles[this.activeProfile]) {
+      this.activeProfile = Object.keys(this.profiles)[0];
+    }
+    
+    // Profiles saved before an action existed get its gamepad default
+    Object.values(this.profiles).forEach(bindings => {
+      ACTIONS.forEach(({ id }) => {
+        if (!Array.isArray(bindings[id])) bindings[id] = this.copyBindings(GAMEPAD_DEFAULTS[id]);
+      });
+    });
+  }
+  
+  /**
+   * Read and validate stored profiles
+   * @returns {Object|null} Stored data, or null if missing or unusable
+   */
+  readStorage() {
+    if (typeof localStorage === 'undefined') return null;
+    
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (!data || data.version !== STORAGE_VERSION || !data.profiles || !Object.keys(data.profiles).length) {
+        return null;
+      }
+      return data;
+    } catch (error) {
+      console.warn("Ignoring stored control bindings:", error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Save all profiles to localStorage
+   */
+  save() {
+    if (typeof localStorage === 'undefined') return;
+    
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      activeProfile: this.activeProfile,
+      profiles: this.profiles
+    }));
+  }
+  
+  /**
+   * Pick the AZERTY preset on first run if the browser reports a French layout
+   * Only Chromium browsers expose the keyboard layout, others keep QWERTY.
+   * @returns {Promise<void>} Resolves once detection has finished
+   */
+  async detectLayout() {
+    if (this.readStorage() || typeof navigator === 'undefined' || !navigator.keyboard || !navigator.keyboard.getLayoutMap) {
+      return;
+    }
+    
+    try {
+      const layout = await navigator.keyboard.getLayoutMap();
+      if (layout.get('KeyW') === 'z' && this.profiles.AZERTY) {
+        this.activeProfile = 'AZERTY';
+        this.save();
+        console.log("AZERTY keyboard detected, using AZERTY controls");
+      }
+    } catch (error) {
+      console.warn("Could not detect keyboard layout:", error.message);
+    }
+  }
+  
+  /**
+   * Deep copy a binding set
+   * @param {Object} bindings - Bindings per action
+   * @returns {Object} Copy
+   */
+  copyBindings(bindings) {
+    return JSON.parse(JSON.stringify(bindings));
+  }
+  
+  /**
+   * Get the names of all profiles
+   * @returns {Array<string>} Profile names
+   */
+  getProfileNames() {
+    return Object.keys(this.profiles);
+  }
+  
+  /**
+   * Switch to another profile
+   * @param {string} name - Profile name
+   */
+  selectProfile(name) {
+    if (!this.profiles[name]) {
+      throw new Error(`Unknown control profile "${name}"`);
+    }
+    
+    this.activeProfile = name;
+    this.save();
+  }
+  
+  /**
+   * Create a profile as a copy of the active one and switch to it
+   * @param {string} name - New profile name
+   */
+  createProfile(name) {
+    name = name.trim();
+    if (!name) {
+      throw new Error("Profile name can't be empty");
+    }
+    if (this.profiles[name]) {
+      throw new Error(`A profile named "${name}" already exists`);
+    }
+    
+    this.profiles[name] = this.copyBindings(this.profiles[this.activeProfile]);
+    this.selectProfile(name);
+  }
+  
+  /**
+   * Delete a profile, keeping at least one
+   * @param {string} name - Profile name
+   */
+  deleteProfile(name) {
+    if (this.getProfileNames().length <= 1) {
+      throw new Error("Can't delete the last control profile");
+    }
+    
+    delete this.profiles[name];
+    if (this.activeProfile === name) {
+      this.activeProfile = this.getProfileNames()[0];
+    }
+    this.save();
+  }
+  
+  /**
+   * Reset the active profile to a built-in preset
+   * @param {string} presetName - Preset name from BINDING_PRESETS
+   */
+  resetProfile(presetName) {
+    const preset = BINDING_PRESETS[presetName];
+    if (!preset) {
+      throw new Error(`Unknown preset "${presetName}"`);
+    }
+    
+    this.profiles[this.activeProfile] = this.copyBindings(preset);
+    this.save();
+  }
+  
+  /**
+   * Get the bindings of an action in the active profile
+   * @param {string} action - Action id
+   * @returns {Array<Object>} Bindings
+   */
+  getBindings(action) {
+    return this.profiles[this.activeProfile][action] || [];
+  }
+  
+  /**
+   * Bind an input to an action
+   * The input is removed from any other action first, so one input never
+   * triggers two actions.
+   * @param {string} action - Action id
+   * @param {Object} binding - Binding to add
+   */
+  addBinding(action, binding) {
+    const bindings = this.profiles[this.activeProfile];
+    
+    Object.keys(bindings).forEach(id => {
+      bindings[id] = bindings[id].filter(existing => !InputBindings.isSameBinding(existing, binding));
+    });
+    
+    bindings[action].push(binding);
+    this.save();
+  }
+  
+  /**
+   * Remove a binding from an action
+   * @param {string} action - Action id
+   * @param {number} index - Index in the action's binding list
+   */
+  removeBinding(action, index) {
+    this.profiles[this.activeProfile][action].splice(index, 1);
+    this.save();
+  }
+  
+  /**
+   * Whether two bindings refer to the same input
+   * @param {Object} a - First binding
+   * @param {Object} b - Second binding
+   * @returns {boolean} True if they match
+   */
+  static isSameBinding(a, b) {
+    return a.device === b.device &&
+      a.key === b.key &&
+      a.button === b.button &&
+      a.control === b.control &&
+      a.axis === b.axis &&
+      a.direction === b.direction;
+  }
+  
+  /**
+   * Human readable name of a binding
+   * @param {Object} binding - Binding
+   * @returns {string} Display name
+   */
+  static describe(binding) {
+    switch (binding.device) {
+      case 'key': {
+        const name = KEY_NAMES[binding.key] || binding.key;
+        return name.length === 1 ? name.toUpperCase() : name.charAt(0).toUpperCase() + name.slice(1);
+      }
+      case 'mouse':
+        return MOUSE_BUTTON_NAMES[binding.button] || `Mouse ${binding.button + 1}`;
+      case 'gamepad':
+        if (binding.control) {
+          const action = ACTIONS.find(({ id }) => id === binding.control);
+          return `Pad: ${action ? action.label : binding.control}`;
+        }
+        if (binding.axis !== undefined) {
+          return `Pad Axis ${binding.axis} ${binding.direction > 0 ? '+' : '-'}`;
+        }
+        return `Pad Button ${binding.button}`;
+      default:
+        return 'Unknown';
+    }
+  }
+} 
\ No newline at end of file
@@ -1,3 +1,27 @@
+import { GamepadInput } from './GamepadInput.js';
+import { ACTIONS, InputBindings } from './InputBindings.js';
+
+/**
+ * Input state with no controls applied
+ * Used before the game starts and as the base for scripted inputs.
+ */
+export const NEUTRAL_INPUTS = {
+  steering: 0,
+  throttle: 0,
+  brake: 0,
+  clutch: 0,
+  handbrake: false,
+  drifting: false,
+  driftIntensity: 0,
+  spinFactor: 0,
+  reverse: false,
+  boost: false,
+  shiftUp: false,
+  shiftDown: false,
+  manualGearbox: false,
+  headlights: 0
+};
+
 /**
  * InputManager handles user input for driving controls
  */
@@ -5,13 +29,17 @@ export class InputManager {
   constructor() {
     // Input state
     this.keys = {};
+    this.mouseButtons = {};
     this.mousePosition = { x: 0, y: 0 };
     this.steeringWheel = 0; // -1 to 1, represents steering angle
     this.throttle = 0;      // 0 to 1
     this.brake = 0;         // 0 to 1
+    this.clutch = 0;        // 0 to 1, wheel pedal or bound key
     this.drifting = false;  // Track if car is drifting
     this.driftIntensity = 0; // 0 to 1, controls drift intensity
     this.spinFactor = 0;     // 0 to 1, controls spin intensity for donuts
+    this.manualGearbox = false; // Sequential manual shifting instead of automatic
+    this.headlights = 0;        // 0 off, 1 low beam, 2 high beam
     
     // Configuration
     this.steeringSpeed = 2.0;  // How quickly steering responds to input
@@ -25,6 +53,17 @@ export class InputManager {
     this.spinBuildupRate = 1.5;      // How quickly spin builds during drift
     this.spinDecayRate = 2.0;        // How quickly spin decays when not drifting
     
+    // Gamepad, steering wheel and pedal support
+    this.gamepad = new GamepadInput();
+    
+    // Remappable action bindings
+    this.bindings = new InputBindings();
+    
+    // One-shot actions (camera toggle, pause)
+    this.actionHandlers = {};     // Callbacks by action id
+    this.pressedActions = new Set(); // Press actions held during the last poll
+    this.actionsEnabled = true;   // Disabled while the settings screen captures input
+    
     // Initialize event listeners
     this.initKeyboard();
     this.initMouse();
@@ -45,17 +84,11 @@ export class InputManager {
       this.keys[e.key.toLowerCase()] = false;
     });
     
-    // Initialize common keys to prevent undefined checks
-    this.keys['w'] = false;
-    this.keys['a'] = false;
-    this.keys['s'] = false;
-    this.keys['d'] = false;
-    this.keys['arrowup'] = false;
-    this.keys['arrowdown'] = false;
-    this.keys['arrowleft'] = false;
-    this.keys['arrowright'] = false;
-    this.keys['shift'] = false;
-    this.keys[' '] = false;
+    // Release everything when the window loses focus, since keyup never arrives
+    window.addEventListener('blur', () => {
+      this.keys = {};
+      this.mouseButtons = {};
+    });
   }
   
   /**
@@ -67,6 +100,84 @@ export class InputManager {
       this.mousePosition.x = (e.clientX / window.innerWidth) * 2 - 1;
       this.mousePosition.y = (e.clientY / window.innerHeight) * 2 - 1;
     });
+    
+    // Track mouse buttons for bindings
+    window.addEventListener('mousedown', (e) => {
+      this.mouseButtons[e.button] = true;
+    });
+    
+    window.addEventListener('mouseup', (e) => {
+      this.mouseButtons[e.button] = false;
+    });
+  }
+  
+  /**
+   * Get the state of an action from all of its bindings
+   * Keys and mouse buttons are digital, gamepad controls are analog.
+   * @param {string} action - Action id
+   * @returns {{digital: boolean, analog: number}} Whether a key or mouse button is held, and the strongest gamepad value
+   */
+  getActionState(action) {
+    let digital = false;
+    let analog = 0;
+    
+    this.bindings.getBindings(action).forEach(binding => {
+      switch (binding.device) {
+        case 'key':
+          digital = digital || Boolean(this.keys[binding.key]);
+          break;
+        case 'mouse':
+          digital = digital || Boolean(this.mouseButtons[binding.button]);
+          break;
+        case 'gamepad':
+          analog = Math.max(analog, this.gamepad.getBindingValue(binding));
+          break;
+      }
+    });
+    
+    return { digital, analog };
+  }
+  
+  /**
+   * Whether an action is currently held down on any device
+   * @param {string} action - Action id
+   * @returns {boolean} True if held
+   */
+  isActionActive(action) {
+    const { digital, analog } = this.getActionState(action);
+    return digital || analog > 0.5;
+  }
+  
+  /**
+   * Register a callback for a one-shot action such as camera toggle or pause
+   * @param {string} action - Action id
+   * @param {Function} handler - Called once each time the action is pressed
+   */
+  onAction(action, handler) {
+    this.actionHandlers[action] = handler;
+  }
+  
+  /**
+   * Check one-shot actions and call their handlers on press
+   * Call once per rendered frame; unlike update() this also runs while paused.
+   */
+  pollActions() {
+    this.gamepad.update();
+    
+    ACTIONS.filter(action => action.press).forEach(({ id }) => {
+      const active = this.isActionActive(id);
+      const wasActive = this.pressedActions.has(id);
+      
+      if (active) {
+        this.pressedActions.add(id);
+      } else {
+        this.pressedActions.delete(id);
+      }
+      
+      if (active && !wasActive && this.actionsEnabled && this.actionHandlers[id]) {
+        this.actionHandlers[id]();
+      }
+    });
   }
   
   /**
@@ -77,8 +188,22 @@ export class InputManager {
     // Clamp deltaTime to avoid huge jumps
     deltaTime = Math.min(deltaTime, 0.1);
     
-    // Check if drifting (spacebar)
-    this.drifting = Boolean(this.keys[' ']);
+    // Poll gamepad/wheel state for this tick
+    this.gamepad.update();
+    const gamepadConnected = this.gamepad.connected;
+    
+    // Read all bound actions
+    const throttle = this.getActionState('throttle');
+    const brake = this.getActionState('brake');
+    const steerLeft = this.getActionState('steerLeft');
+    const steerRight = this.getActionState('steerRight');
+    const clutch = this.getActionState('clutch');
+    
+    // Check if drifting (handbrake held)
+    this.drifting = this.isActionActive('handbrake');
+    
+    // Throttle held on keyboard or pressed past halfway on a trigger/pedal
+    const throttleHeld = throttle.digital || throttle.analog > 0.5;
     
     // Handle drift intensity
     if (this.drifting) {
@@ -89,7 +214,7 @@ export class InputManager {
       );
       
       // Build up spin factor for donuts when drifting and throttle applied
-      if (this.keys['w'] || this.keys['arrowup']) {
+      if (throttleHeld) {
         this.spinFactor = Math.min(
           this.maxSpinFactor,
           this.spinFactor + this.spinBuildupRate * deltaTime
@@ -112,10 +237,13 @@ export class InputManager {
     // Handle steering based on keys
     let targetSteering = 0;
     
-    if (this.keys['a'] || this.keys['arrowleft']) {
+    if (steerLeft.digital) {
       targetSteering = -1;
-    } else if (this.keys['d'] || this.keys['arrowright']) {
+    } else if (steerRight.digital) {
       targetSteering = 1;
+    } else if (gamepadConnected) {
+      // Analog steering from stick or wheel
+      targetSteering = steerRight.analog - steerLeft.analog;
     } else {
       // Alternative: use mouse position for steering
       targetSteering = this.mousePosition.x * this.steeringSensitivity;
@@ -130,7 +258,7 @@ export class InputManager {
       targetSteering *= this.driftSteerMultiplier;
       
       // For donuts: if throttle is applied while drifting, add continuous spin in the steering direction
-      if ((this.keys['w'] || this.keys['arrowup']) && this.spinFactor > 0.5) {
+      if (throttleHeld && this.spinFactor > 0.5) {
         // If no steering input during drift + throttle, create automatic spin
         if (Math.abs(targetSteering) < 0.3) {
           // Auto-spin based on last non-zero steering direction or default to right
@@ -149,8 +277,13 @@ export class InputManager {
       targetSteering = Math.max(-3.0, Math.min(3.0, targetSteering));
     }
     
+    // Analog devices already move smoothly, so follow them directly
+    const analogSteering = gamepadConnected && !(steerLeft.digital || steerRight.digital);
+    
     // Smooth steering transitions
-    if (targetSteering !== this.steeringWheel) {
+    if (analogSteering) {
+      this.steeringWheel = targetSteering;
+    } else if (targetSteering !== this.steeringWheel) {
       // Faster steering response during drift
       const currentSteeringSpeed = this.drifting ? 
         this.steeringSpeed * (1 + this.driftIntensity) : 
@@ -172,19 +305,26 @@ export class InputManager {
       }
     }
     
-    // Handle throttle
-    if (this.keys['w'] || this.keys['arrowup']) {
+    // Handle throttle (analog pedal/trigger when no key is held)
+    if (throttle.digital) {
       this.throttle = Math.min(1, this.throttle + 2 * deltaTime);
+    } else if (gamepadConnected) {
+      this.throttle = throttle.analog;
     } else {
       this.throttle = Math.max(0, this.throttle - 3 * deltaTime);
     }
     
-    // Handle brake
-    if (this.keys['s'] || this.keys['arrowdown']) {
+    // Handle brake (analog pedal/trigger when no key is held)
+    if (brake.digital) {
       this.brake = Math.min(1, this.brake + 3 * deltaTime);
+    } else if (gamepadConnected) {
+      this.brake = brake.analog;
     } else {
       this.brake = Math.max(0, this.brake - 5 * deltaTime);
     }
+    
+    // Clutch pedal, or fully disengaged while a bound key is held
+    this.clutch = clutch.digital ? 1 : clutch.analog;
   }
   
   /**
@@ -196,12 +336,17 @@ export class InputManager {
       steering: this.steeringWheel,
       throttle: this.throttle,
       brake: this.brake,
-      handbrake: Boolean(this.keys[' ']),  // Spacebar for handbrake
+      clutch: this.clutch,                 // Clutch pedal (0 = engaged)
+      handbrake: this.drifting,            // Bound handbrake key or button
       drifting: this.drifting,             // Drifting state
       driftIntensity: this.driftIntensity, // Current drift intensity
       spinFactor: this.spinFactor,         // Spin intensity for donuts
       reverse: this.brake > 0.9,           // Full brake to engage reverse
-      boost: Boolean(this.keys['shift'])   // Shift for boost
+      boost: this.isActionActive('boost'),
+      shiftUp: this.isActionActive('shiftUp'),     // Manual gearbox shift buttons
+      shiftDown: this.isActionActive('shiftDown'),
+      manualGearbox: this.manualGearbox,
+      headlights: this.headlights
     };
   }
 } 
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { NEUTRAL_INPUTS } from './InputManager.js';
+
+/**
+ * ScriptedInput provides driving inputs from a script instead of the keyboard
+ * It has the same update()/getInputs() interface as InputManager, so it can
+ * drive the simulation in headless runs without any window listeners.
+ *
+ * A script is either a function `(time, tick) => inputs` or an array of
+ * segments `{ from, to, inputs }` with times in seconds. Segments are
+ * applied in order, so later segments override earlier ones where they overlap.
+ */
+export class ScriptedInput {
+  constructor(script = []) {
+    this.script = script;
+    
+    // Time tracking
+    this.time = 0;    // Scripted time in seconds
+    this.tick = 0;    // Number of ticks sampled
+    
+    // Inputs for the current tick
+    this.inputs = { ...NEUTRAL_INPUTS };
+  }
+  
+  /**
+   * Advance the script and sample inputs for the next tick
+   * @param {number} deltaTime - Fixed tick length in seconds
+   */
+  update(deltaTime) {
+    this.inputs = this.sample(this.time, this.tick);
+    this.time += deltaTime;
+    this.tick++;
+  }
+  
+  /**
+   * Evaluate the script at a point in time
+   * @param {number} time - Time in seconds
+   * @param {number} tick - Tick index
+   * @returns {Object} Inputs for that time
+   */
+  sample(time, tick) {
+    if (typeof this.script === 'function') {
+      return { ...NEUTRAL_INPUTS, ...this.script(time, tick) };
+    }
+    
+    const inputs = { ...NEUTRAL_INPUTS };
+    for (const segment of this.script) {
+      const from = segment.from ?? 0;
+      const to = segment.to ?? Infinity;
+      if (time >= from && time < to) {
+        Object.assign(inputs, segment.inputs);
+      }
+    }
+    
+    return inputs;
+  }
+  
+  /**
+   * Returns current input values
+   * @returns {Object} Current input state
+   */
+  getInputs() {
+    return { ...this.inputs };
+  }
+  
+  /**
+   * Get the time at which the script ends
+   * @returns {number} End time in seconds, or Infinity for function scripts
+   */
+  getDuration() {
+    if (typeof this.script === 'function') {
+      return Infinity;
+    }
+    
+    return this.script.reduce((end, segment) => Math.max(end, segment.to ?? Infinity), 0);
+  }
+} 
\ No newline at end of file
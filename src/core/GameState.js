@@ -1,5 +1,10 @@
 /**
  * GameState class manages the simulation state and timing
+ *
+ * Frame time is collected in an accumulator and consumed in fixed ticks of
+ * `fixedTimeStep`, so the simulation advances identically regardless of the
+ * display refresh rate. The unconsumed remainder is exposed as an
+ * interpolation factor for rendering between the last two physics states.
  */
 export class GameState {
   constructor() {
@@ -7,10 +12,18 @@ export class GameState {
     this.deltaTime = 0;
     this.isPaused = false;
     this.simulationSpeed = 1.0; // Allows for slow-mo or speed-up effects
+    
+    // Fixed timestep settings
+    this.fixedTimeStep = 1 / 60;  // Length of one simulation tick in seconds
+    this.maxTicksPerFrame = 5;    // Prevents a spiral of death on very slow frames
+    this.accumulator = 0;         // Unsimulated time carried between frames
+    this.tick = 0;                // Number of ticks simulated so far
+    this.ticksThisFrame = 0;      // Ticks consumed during the current frame
   }
   
   /**
    * Updates game state and returns delta time in seconds
+   * The returned delta is also added to the fixed-step accumulator
    * @returns {number} Delta time in seconds
    */
   update() {
@@ -23,7 +36,51 @@ export class GameState {
     const adjustedDelta = this.isPaused ? 0 : this.deltaTime * this.simulationSpeed;
     
     // Clamp delta time to avoid physics issues on slow frames
-    return Math.min(adjustedDelta, 0.1);
+    const frameDelta = Math.min(adjustedDelta, 0.1);
+    
+    // Collect frame time for the fixed-step loop
+    this.accumulator += frameDelta;
+    this.ticksThisFrame = 0;
+    
+    return frameDelta;
+  }
+  
+  /**
+   * Consume one fixed tick from the accumulator if enough time has built up
+   * Call in a loop after update() and run one simulation tick per true result
+   * @returns {boolean} Whether a tick should be simulated
+   */
+  consumeTick() {
+    if (this.accumulator < this.fixedTimeStep) {
+      return false;
+    }
+    
+    // Drop the backlog if the simulation cannot keep up with real time
+    if (this.ticksThisFrame >= this.maxTicksPerFrame) {
+      this.accumulator = 0;
+      return false;
+    }
+    
+    this.accumulator -= this.fixedTimeStep;
+    this.ticksThisFrame++;
+    this.tick++;
+    return true;
+  }
+  
+  /**
+   * Get how far the current frame lies between the last two physics states
+   * @returns {number} Interpolation factor from 0 to 1
+   */
+  getInterpolationAlpha() {
+    return Math.min(1, this.accumulator / this.fixedTimeStep);
+  }
+  
+  /**
+   * Get the total simulated time
+   * @returns {number} Simulated time in seconds
+   */
+  getSimulationTime() {
+    return this.tick * this.fixedTimeStep;
   }
   
   /**
@@ -0,0 +1,150 @@
+import { Physics } from '../physics/Physics.js';
+import { TerrainGenerator } from '../terrain/TerrainGenerator.js';
+import { VehicleDynamics } from '../vehicle/VehicleDynamics.js';
+import { Wind } from '../weather/Wind.js';
+import { Weather } from '../weather/Weather.js';
+
+/**
+ * Simulation owns the deterministic core of the driving simulator:
+ * physics world, terrain physics, weather, wind and vehicle dynamics, advanced in fixed ticks.
+ *
+ * Created without options it runs fully headless (no scene, no window),
+ * which is what automated handling tests and batch experiments under Node use.
+ * The browser passes its own scene-backed terrain and vehicle instead.
+ */
+export class Simulation {
+  /**
+   * @param {Object} options - Simulation options
+   * @param {number} options.fixedTimeStep - Tick length in seconds
+   * @param {Physics} options.physics - Physics world to use
+   * @param {TerrainGenerator} options.terrain - Terrain to use (headless if omitted)
+   * @param {number|string} options.seed - World seed of the headless terrain
+   * @param {Heightmap} options.heightmap - Imported heights for the headless terrain
+   * @param {number} options.snowfall - Snowfall on the headless terrain, 0 to 1
+   * @param {Wind} options.wind - Wind to use, calm if omitted
+   * @param {Weather} options.weather - Weather to use, starting from the snowfall and wind if omitted
+   * @param {VehicleDynamics|Vehicle} options.vehicle - Vehicle to use (headless if omitted)
+   * @param {Object} options.definition - Vehicle definition for the headless vehicle
+   */
+  constructor(options = {}) {
+    this.fixedTimeStep = options.fixedTimeStep || 1 / 60;
+    
+    // Core systems, created headless unless provided
+    this.physics = options.physics || new Physics(this.fixedTimeStep);
+    this.terrain = options.terrain || new TerrainGenerator(null, this.physics, { seed: options.seed, heightmap: options.heightmap });
+    this.vehicle = options.vehicle || new VehicleDynamics(this.physics, options.definition);
+    this.wind = options.wind || new Wind();
+    if (options.snowfall !== undefined) {
+      this.terrain.snow.snowfall = options.snowfall;
+    }
+    this.weather = options.weather || new Weather({
+      snowfall: this.terrain.snow.snowfall,
+      windSpeed: this.wind.speed,
+      windDirection: this.wind.direction,
+      windGusts: this.wind.gusts
+    });
+    
+    // Tick counter
+    this.tick = 0;
+  }
+  
+  /**
+   * Initialize physics, terrain and vehicle
+   * @returns {Promise<Simulation>} Resolves when the vehicle is ready
+   */
+  async init() {
+    this.physics.init();
+    this.terrain.generate();
+    await this.vehicle.init(this.terrain);
+    return this;
+  }
+  
+  /**
+   * Hand the current weather to the snow, wind and terrain
+   *
+   * A running wind script wins over the weather's wind, so a scripted gust
+   * can blow through any weather; once it has run out the wind holds its
+   * last keyframe until the weather next changes.
+   */
+  applyWeather() {
+    const { snowfall, windSpeed, windDirection, windGusts, roadGrip } = this.weather.current;
+    this.terrain.snow.snowfall = snowfall;
+    this.terrain.weatherGrip = roadGrip;
+    if (this.wind.script) return;
+    this.wind.speed = windSpeed;
+    this.wind.direction = windDirection;
+    this.wind.gusts = windGusts;
+  }
+  
+  /**
+   * Advance the simulation by one fixed tick
+   * @param {Object} inputs - Driving inputs for this tick
+   * @returns {Object} Simulation state after the tick
+   */
+  step(inputs) {
+    // Stream in the terrain around the vehicle before it moves
+    const dynamics = this.vehicle.dynamics || this.vehicle;
+    if (dynamics.chassisBody) {
+      this.terrain.update(dynamics.chassisBody.position);
+    }
+    
+    // The weather sets the snowfall, wind and grip for this tick, then
+    // fresh snow settles before the wheels roll through it
+    if (this.weather.update(this.fixedTimeStep)) {
+      this.applyWeather();
+    }
+    this.terrain.snow.update(this.fixedTimeStep);
+    this.wind.update(this.fixedTimeStep);
+    
+    // Apply controls and the wind for this tick
+    this.vehicle.update(this.fixedTimeStep, inputs);
+    if (dynamics.chassisBody) {
+      dynamics.applyWind(this.wind.getVelocity());
+    }
+    
+    // Step physics with the forces applied above
+    this.physics.update(this.fixedTimeStep);
+    
+    // Remember the resulting state for render interpolation
+    this.vehicle.storePhysicsState();
+    
+    this.tick++;
+    return this.getState();
+  }
+  
+  /**
+   * Run a number of ticks, sampling inputs from an input source each tick
+   * @param {Object} inputSource - Object with update(deltaTime) and getInputs()
+   * @param {number} tickCount - Number of ticks to run
+   * @param {Function} onTick - Optional callback receiving the state after each tick
+   * @returns {Object} Final simulation state
+   */
+  run(inputSource, tickCount, onTick = null) {
+    let state = this.getState();
+    
+    for (let i = 0; i < tickCount; i++) {
+      inputSource.update(this.fixedTimeStep);
+      state = this.step(inputSource.getInputs());
+      
+      if (onTick) {
+        onTick(state);
+      }
+    }
+    
+    return state;
+  }
+  
+  /**
+   * Get a plain-data snapshot of the simulation
+   * @returns {Object} Tick, time and vehicle state
+   */
+  getState() {
+    const dynamics = this.vehicle.dynamics || this.vehicle;
+    
+    return {
+      tick: this.tick,
+      time: this.tick * this.fixedTimeStep,
+      ...dynamics.getState()
+    };
+  }
+} 
\ No newline at end of file
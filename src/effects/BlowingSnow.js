@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+
+/**
+ * BlowingSnow draws the snow a strong wind lifts off the ground
+ *
+ * Low sheets of streaked snow stand on the ground around the camera, turned
+ * to face it. They drift downwind and come back upwind once they are blown
+ * out of range. As the wind picks up they grow denser, and the fog thickens
+ * so the view ahead closes in.
+ */
+export class BlowingSnow {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the sheets to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    
+    // Sheet properties
+    this.sheetCount = 40;
+    this.sheetWidth = 16;        // m
+    this.sheetHeight = 2.5;      // m
+    this.radius = 60;            // Distance from the camera the sheets stay within in m
+    this.fadeTime = 1.5;         // Time a new sheet fades in over in s
+    
+    // Wind speeds the snow starts and stops lifting between in m/s
+    this.minWind = 5;
+    this.fullWind = 20;
+    
+    // Fog added in the strongest wind
+    this.fogDensity = null;      // Fog density without blowing snow, taken from the scene on the first update
+    this.extraFogDensity = 0.04;
+    
+    this.amount = 0;             // Current amount of blowing snow, 0 to 1
+    this.getGround = null;       // Ground height function, set with setGround()
+    
+    this.texture = this.createStreakTexture();
+    this.group = new THREE.Group();
+    this.sheets = [];
+    for (let i = 0; i < this.sheetCount; i++) {
+      const material = new THREE.MeshBasicMaterial({
+        map: this.texture,
+        transparent: true,
+        opacity: 0,
+        depthWrite: false,
+        side: THREE.DoubleSide
+      });
+      const mesh = new THREE.Mesh(new THREE.PlaneGeometry(this.sheetWidth, this.sheetHeight), material);
+      mesh.visible = false;
+      this.group.add(mesh);
+      this.sheets.push({ mesh, age: 0, placed: false });
+    }
+    this.scene.add(this.group);
+  }
+  
+  /**
+   * Set the ground the sheets stand on; without one they stand on y = 0
+   * @param {Function} getGround - Returns the ground height in m at a world x and z
+   */
+  setGround(getGround) {
+    this.getGround = getGround;
+  }
+  
+  /**
+   * Dim the sheets in the dark; they aren't lit by the scene's lights
+   * @param {number} brightness - Brightness, 0 to 1
+   */
+  setBrightness(brightness) {
+    this.sheets.forEach(({ mesh }) => mesh.material.color.setScalar(brightness));
+  }
+  
+  /**
+   * Create the texture of wind-blown streaks, densest at the bottom
+   * @returns {THREE.Texture} Streak texture
+   */
+  createStreakTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    
+    const context = canvas.getContext('2d');
+    for (let i = 0; i < 160; i++) {
+      const y = canvas.height * Math.pow(Math.random(), 0.6);
+      const x = Math.random() * canvas.width;
+      const length = 20 + Math.random() * 80;
+      const alpha = 0.5 * (y / canvas.height) * (0.3 + Math.random() * 0.7);
+      
+      // Streaks wrap around, so the texture tiles along the wind
+      context.fillStyle = `rgba(245, 248, 255, ${alpha})`;
+      context.fillRect(x, y, length, 1 + Math.random() * 2);
+      context.fillRect(x - canvas.width, y, length, 1 + Math.random() * 2);
+    }
+    
+    // Fade out at the top, and softly into the ground at the bottom
+    context.globalCompositeOperation = 'destination-in';
+    const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    gradient.addColorStop(0.85, 'rgba(0, 0, 0, 1)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.6)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    return texture;
+  }
+  
+  /**
+   * Put a sheet somewhere upwind of the camera, or anywhere around it
+   * when it is placed for the first time
+   * @param {Object} sheet - Sheet to place
+   * @param {THREE.Vector3} camPos - Current camera position
+   * @param {Object} wind - Air velocity `{ x, z }` in m/s
+   */
+  respawnSheet(sheet, camPos, wind) {
+    const speed = Math.hypot(wind.x, wind.z);
+    const upX = speed > 0 ? -wind.x / speed : 0;
+    const upZ = speed > 0 ? -wind.z / speed : 1;
+    
+    // Across the wind, and upwind near the edge of the range
+    const across = (Math.random() - 0.5) * 1.2 * this.radius;
+    const along = sheet.placed
+      ? this.radius * (0.4 + Math.random() * 0.35)
+      : (Math.random() - 0.5) * 2 * this.radius;
+    const x = camPos.x + upX * along - upZ * across;
+    const z = camPos.z + upZ * along + upX * across;
+    
+    sheet.mesh.position.set(x, 0, z);
+    sheet.age = 0;
+    sheet.placed = true;
+  }
+  
+  /**
+   * Move the sheets with the wind and thicken the fog
+   * @param {number} deltaTime - Time since last update
+   * @param {THREE.Vector3} camPos - Current camera position
+   * @param {Object} wind - Air velocity `{ x, z }` in m/s
+   */
+  update(deltaTime, camPos, wind) {
+    const fog = this.scene.fog;
+    if (fog && this.fogDensity === null) {
+      this.fogDensity = fog.density;
+    }
+    
+    // More snow lifts the stronger the wind
+    const speed = Math.hypot(wind.x, wind.z);
+    const t = Math.max(0, Math.min(1, (speed - this.minWind) / (this.fullWind - this.minWind)));
+    this.amount = t * t * (3 - 2 * t);
+    if (fog) {
+      fog.density = this.fogDensity + this.extraFogDensity * this.amount;
+    }
+    
+    this.group.visible = this.amount > 0;
+    if (!this.group.visible) return;
+    
+    // Streaks racing along the sheets
+    this.texture.offset.x -= speed * deltaTime / this.sheetWidth;
+    
+    this.sheets.forEach((sheet) => {
+      const mesh = sheet.mesh;
+      if (!sheet.placed) this.respawnSheet(sheet, camPos, wind);
+      
+      mesh.position.x += wind.x * deltaTime;
+      mesh.position.z += wind.z * deltaTime;
+      sheet.age += deltaTime;
+      
+      const distance = Math.hypot(mesh.position.x - camPos.x, mesh.position.z - camPos.z);
+      if (distance > this.radius) {
+        this.respawnSheet(sheet, camPos, wind);
+      }
+      
+      // Stand on the ground, facing the camera
+      const ground = this.getGround ? this.getGround(mesh.position.x, mesh.position.z) : 0;
+      mesh.position.y = ground + this.sheetHeight / 2 - 0.2;
+      mesh.rotation.y = Math.atan2(camPos.x - mesh.position.x, camPos.z - mesh.position.z);
+      
+      // Fade in after respawning and out towards the edge of the range
+      const fadeIn = Math.min(1, sheet.age / this.fadeTime);
+      const fadeOut = Math.max(0, Math.min(1, (this.radius - distance) / (this.radius * 0.3)));
+      mesh.material.opacity = this.amount * fadeIn * fadeOut;
+      mesh.visible = mesh.material.opacity > 0.01;
+    });
+  }
+} 
\ No newline at end of file
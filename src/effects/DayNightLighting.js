@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+import { ShadowCascades } from './ShadowCascades.js';
+
+/**
+ * DayNightLighting lights the scene for the time of day
+ *
+ * One directional light is the sun by day and the moon by night, casting
+ * cascaded shadows around the car, see ShadowCascades. The ambient light,
+ * fog and sky fade from the weather's daytime colors to a dark blue night,
+ * through a warm glow while the sun is low.
+ */
+export class DayNightLighting {
+  /**
+   * @param {THREE.Scene} scene - Scene to light; its fog and background are tinted too
+   */
+  constructor(scene) {
+    this.scene = scene;
+    
+    // Light levels
+    this.sunIntensity = 0.8;
+    this.moonIntensity = 0.08;
+    this.dayAmbient = 0.5;
+    this.nightAmbient = 0.06;
+    
+    // Colors
+    this.sunColor = new THREE.Color(0xffffff);
+    this.lowSunColor = new THREE.Color(0xffb27a);
+    this.moonColor = new THREE.Color(0x9fb4e0);
+    this.dayAmbientColor = new THREE.Color(0xcccccc);
+    this.nightAmbientColor = new THREE.Color(0x5a6a96);
+    this.nightSkyColor = new THREE.Color(0x070b16);
+    this.twilightColor = new THREE.Color(0xe8a27c);
+    
+    this.ambientLight = new THREE.AmbientLight(this.dayAmbientColor, this.dayAmbient);
+    this.scene.add(this.ambientLight);
+    
+    // Sun or moon, casting cascaded shadows around the car
+    this.shadows = new ShadowCascades(this.scene);
+    this.lightColor = new THREE.Color();
+    
+    this.daylight = 1;             // Current daylight, 0 at night to 1 by day
+    this.scratchColor = new THREE.Color();
+  }
+  
+  /**
+   * Light the scene for the time of day and the weather
+   * @param {TimeOfDay} timeOfDay - Clock with the sun's position
+   * @param {Object} weather - Current weather settings with `fogColor` and `skyColor`
+   * @param {Object} focus - World position the shadows are drawn around, e.g. the car
+   * @param {THREE.Vector3} view - Optional horizontal direction the camera looks in
+   */
+  update(timeOfDay, weather, focus, view = null) {
+    const sun = timeOfDay.getSunDirection();
+    const daylight = timeOfDay.getDaylight();
+    this.daylight = daylight;
+    
+    // Warm light and sky while the sun is low, up to 15° above the horizon
+    const height = Math.max(0, Math.min(1, sun.y / 0.26));
+    const twilight = (1 - height) * Math.min(1, daylight * 2);
+    
+    // Sun by day, moon on the far side of the sky at night
+    const direction = new THREE.Vector3(sun.x, sun.y, sun.z);
+    let intensity;
+    if (sun.y > 0) {
+      this.lightColor.copy(this.lowSunColor).lerp(this.sunColor, height);
+      intensity = this.sunIntensity * daylight;
+    } else {
+      direction.set(-sun.x, Math.max(0.3, -sun.y), -sun.z).normalize();
+      this.lightColor.copy(this.moonColor);
+      intensity = this.moonIntensity * (1 - daylight);
+    }
+    this.shadows.update(direction, this.lightColor, intensity, focus, view);
+    
+    this.ambientLight.color.copy(this.nightAmbientColor).lerp(this.dayAmbientColor, daylight);
+    this.ambientLight.intensity = this.nightAmbient + (this.dayAmbient - this.nightAmbient) * daylight;
+    
+    // Fog and sky from the weather, glowing at dusk and dark at night
+    this.tint(this.scene.fog.color, weather.fogColor, daylight, twilight);
+    this.tint(this.scene.background, weather.skyColor, daylight, twilight);
+  }
+  
+  /**
+   * Tint a daytime color for the time of day
+   * @param {THREE.Color} color - Color to set
+   * @param {number} dayColor - Daytime color as 0xRRGGBB
+   * @param {number} daylight - Daylight, 0 to 1
+   * @param {number} twilight - Strength of the dusk glow, 0 to 1
+   */
+  tint(color, dayColor, daylight, twilight) {
+    this.scratchColor.setHex(dayColor).lerp(this.twilightColor, twilight * 0.4);
+    color.copy(this.nightSkyColor).lerp(this.scratchColor, daylight);
+  }
+  
+  /**
+   * Brightness of unlit effects such as falling flakes, which should fade
+   * into the dark at night
+   * @returns {number} Brightness, 0 to 1
+   */
+  getAmbientLevel() {
+    return 0.08 + 0.92 * this.daylight;
+  }
+} 
\ No newline at end of file
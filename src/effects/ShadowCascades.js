@@ -0,0 +1,196 @@
+import * as THREE from 'three';
+
+/**
+ * Shadow quality levels
+ * - `cascades`: half the width of each cascade in m, finest first
+ * - `mapSize`: shadow map size of each cascade in texels
+ */
+export const SHADOW_QUALITIES = {
+  off: { id: 'off', label: 'Off', cascades: [], mapSize: 0 },
+  low: { id: 'low', label: 'Low', cascades: [50], mapSize: 1024 },
+  medium: { id: 'medium', label: 'Medium', cascades: [15, 80], mapSize: 2048 },
+  high: { id: 'high', label: 'High', cascades: [8, 30, 100, 250], mapSize: 2048 }
+};
+
+export const DEFAULT_SHADOW_QUALITY = 'medium';
+
+// Directional lights in lights_fragment_begin, with every shadow casting
+// directional light treated as a cascade of one sun: the fragment takes its
+// shadow from the finest cascade that covers it and is lit once, by the last
+const CASCADE_LIGHTS = /* glsl */`
+#if ( NUM_DIR_LIGHTS > 0 ) && defined( RE_Direct )
+	
+	DirectionalLight directionalLight;
+	#if defined( USE_SHADOWMAP ) && NUM_DIR_LIGHT_SHADOWS > 0
+	DirectionalLightShadow directionalLightShadow;
+	float cascadeShadow = 1.0;
+	bool cascadeFound = false;
+	#endif
+	
+	#pragma unroll_loop_start
+	for ( int i = 0; i < NUM_DIR_LIGHTS; i ++ ) {
+		
+		directionalLight = directionalLights[ i ];
+		
+		getDirectionalLightInfo( directionalLight, directLight );
+		
+		#if defined( USE_SHADOWMAP ) && ( UNROLLED_LOOP_INDEX < NUM_DIR_LIGHT_SHADOWS )
+		
+		directionalLightShadow = directionalLightShadows[ i ];
+		if ( ! cascadeFound && all( lessThan( abs( vDirectionalShadowCoord[ i ].xy / vDirectionalShadowCoord[ i ].w - 0.5 ), vec2( 0.49 ) ) ) ) {
+			cascadeShadow = getShadow( directionalShadowMap[ i ], directionalLightShadow.shadowMapSize, directionalLightShadow.shadowBias, directionalLightShadow.shadowRadius, vDirectionalShadowCoord[ i ] );
+			cascadeFound = true;
+		}
+		
+		#if ( UNROLLED_LOOP_INDEX == NUM_DIR_LIGHT_SHADOWS - 1 )
+		directLight.color *= ( directLight.visible && receiveShadow ) ? cascadeShadow : 1.0;
+		RE_Direct( directLight, geometryPosition, geometryNormal, geometryViewDir, geometryClearcoatNormal, material, reflectedLight );
+		#endif
+		
+		#else
+		
+		RE_Direct( directLight, geometryPosition, geometryNormal, geometryViewDir, geometryClearcoatNormal, material, reflectedLight );
+		
+		#endif
+	
+	}
+	#pragma unroll_loop_end
+
+#endif
+`;
+
+/**
+ * Swap three.js's directional light block for the cascade version, once
+ * for all materials, including ones compiled later such as new terrain
+ * chunks and vehicles
+ */
+function installCascadeShader() {
+  const chunk = THREE.ShaderChunk.lights_fragment_begin;
+  if (chunk.includes('cascadeShadow')) return;
+  
+  const start = chunk.indexOf('#if ( NUM_DIR_LIGHTS > 0 ) && defined( RE_Direct )');
+  const end = chunk.indexOf('#endif', chunk.indexOf('#pragma unroll_loop_end', start)) + '#endif'.length;
+  if (start === -1 || end < start) throw new Error("Can't find the directional lights in three.js's shader");
+  
+  THREE.ShaderChunk.lights_fragment_begin = chunk.slice(0, start) + CASCADE_LIGHTS.trim() + chunk.slice(end);
+}
+
+/**
+ * ShadowCascades is the sun (or moon) as cascaded shadow maps around the car
+ *
+ * Each cascade is a directional light with its own shadow camera, centered
+ * a little ahead of the car in the direction the camera looks. The finest
+ * cascade gives crisp contact shadows under the car, and each further one
+ * covers a wider area more coarsely. All cascades share the sun's color
+ * and intensity, and the patched light shader applies the sun only once.
+ */
+export class ShadowCascades {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the lights to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.lightDistance = 300;      // Distance of the lights from the car in m
+    this.lead = 0.5;               // How far each cascade reaches ahead, in cascade half-widths
+    
+    this.group = new THREE.Group();
+    this.scene.add(this.group);
+    this.lights = [];              // Finest cascade first
+    this.quality = null;
+    
+    // Light-space rotation, for snapping the cascades to whole texels
+    this.lightRotation = new THREE.Matrix4();
+    this.lightRotationInverse = new THREE.Matrix4();
+    this.center = new THREE.Vector3();
+    
+    installCascadeShader();
+    this.setQuality(DEFAULT_SHADOW_QUALITY);
+  }
+  
+  /**
+   * Switch to a quality level, replacing the cascades
+   * @param {string} id - Quality id, see SHADOW_QUALITIES
+   */
+  setQuality(id) {
+    const quality = SHADOW_QUALITIES[id];
+    if (!quality) throw new Error(`Unknown shadow quality "${id}"`);
+    
+    // Keep the light's color and intensity across the swap
+    const previous = this.lights[0];
+    this.dispose();
+    this.quality = quality;
+    
+    // Without shadows the sun is a single plain light
+    const sizes = quality.cascades.length ? quality.cascades : [0];
+    this.lights = sizes.map(size => {
+      const light = new THREE.DirectionalLight(0xffffff, 0.8);
+      if (previous) {
+        light.color.copy(previous.color);
+        light.intensity = previous.intensity;
+      }
+      
+      if (size > 0) {
+        light.castShadow = true;
+        light.shadow.mapSize.set(quality.mapSize, quality.mapSize);
+        light.shadow.camera.left = -size;
+        light.shadow.camera.right = size;
+        light.shadow.camera.top = size;
+        light.shadow.camera.bottom = -size;
+        light.shadow.camera.near = 1;
+        light.shadow.camera.far = this.lightDistance * 2;
+        light.shadow.camera.updateProjectionMatrix();
+        light.shadow.normalBias = size * 2 / quality.mapSize;
+      }
+      
+      this.group.add(light, light.target);
+      return light;
+    });
+  }
+  
+  /**
+   * Shine the sun and move the cascades with the car
+   * @param {THREE.Vector3} direction - Unit vector towards the light
+   * @param {THREE.Color} color - Light color
+   * @param {number} intensity - Light intensity
+   * @param {Object} focus - World position to center the shadows on, e.g. the car
+   * @param {THREE.Vector3} view - Optional horizontal direction the camera looks in
+   */
+  update(direction, color, intensity, focus, view = null) {
+    this.lightRotation.lookAt(direction, new THREE.Vector3(), THREE.Object3D.DEFAULT_UP);
+    this.lightRotationInverse.copy(this.lightRotation).invert();
+    
+    this.lights.forEach((light, index) => {
+      light.color.copy(color);
+      light.intensity = intensity;
+      
+      const size = this.quality.cascades[index] || 0;
+      this.center.set(focus.x, focus.y, focus.z);
+      if (view) this.center.addScaledVector(view, size * this.lead);
+      
+      // Move in whole shadow texels across the light so the shadow edges
+      // don't crawl while driving
+      if (size > 0) {
+        const texel = size * 2 / this.quality.mapSize;
+        this.center.applyMatrix4(this.lightRotationInverse);
+        this.center.x = Math.round(this.center.x / texel) * texel;
+        this.center.y = Math.round(this.center.y / texel) * texel;
+        this.center.applyMatrix4(this.lightRotation);
+      }
+      
+      light.target.position.copy(this.center);
+      light.position.copy(this.center).addScaledVector(direction, this.lightDistance);
+      light.target.updateMatrixWorld();
+    });
+  }
+  
+  /**
+   * Remove the cascades and free their shadow maps
+   */
+  dispose() {
+    this.lights.forEach(light => {
+      this.group.remove(light, light.target);
+      light.dispose();
+    });
+    this.lights = [];
+  }
+} 
\ No newline at end of file
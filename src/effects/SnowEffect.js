@@ -1,18 +1,202 @@
 import * as THREE from 'three';
 
+// Headlight beams the flakes catch
+const MAX_BEAMS = 2;
+
+const FLAKE_VERTEX_HEAD = `
+varying vec3 vFlakeWorld;
+`;
+
+const FLAKE_FRAGMENT_HEAD = `
+uniform float flakeAmbient;
+uniform vec4 flakeBeamOrigins[${MAX_BEAMS}];
+uniform vec4 flakeBeamDirections[${MAX_BEAMS}];
+uniform float flakeBeamIntensities[${MAX_BEAMS}];
+varying vec3 vFlakeWorld;
+
+// Daylight on the flake plus the headlight beams it drifts through
+float getFlakeLight(vec3 position) {
+  float light = flakeAmbient;
+  for (int i = 0; i < ${MAX_BEAMS}; i++) {
+    vec3 offset = position - flakeBeamOrigins[i].xyz;
+    float range = length(offset);
+    float cone = smoothstep(flakeBeamDirections[i].w, mix(flakeBeamDirections[i].w, 1.0, 0.5), dot(offset / max(range, 0.01), flakeBeamDirections[i].xyz));
+    float reach = 1.0 - smoothstep(0.0, flakeBeamOrigins[i].w, range);
+    light += flakeBeamIntensities[i] * cone * reach * reach * 2.0;
+  }
+  return light;
+}
+`;
+
+// Each flake sits at a fixed random spot in a field of boxes tiling the
+// world, moved by the wind and its fall. The vertex shader wraps it into
+// the box around the camera, so no flake is ever moved on the CPU.
+const FLAKE_VERTEX = `
+#include <common>
+#include <fog_pars_vertex>
+${FLAKE_VERTEX_HEAD}
+attribute vec4 flakeSeed;
+
+uniform vec3 boxMin;
+uniform vec3 boxSize;
+uniform vec3 flakeOffset;
+uniform float flakeTime;
+uniform float flakeSize;
+uniform vec3 windVelocity;
+uniform float fallSpeed;
+uniform vec3 cameraVelocity;
+uniform float streakTime;
+
+uniform sampler2D groundHeights;
+uniform vec2 groundOrigin;
+uniform float groundStep;
+uniform float groundCells;
+uniform bool hasGround;
+
+uniform bool hasObstacle;
+uniform mat4 obstacleMatrix;
+uniform mat4 obstacleMatrixInverse;
+uniform vec3 obstacleCenter;
+uniform vec3 obstacleRadii;
+uniform vec3 obstacleVelocity;
+uniform float meltTime;
+
+varying vec2 vCorner;
+varying float vStretch;
+varying float vAlpha;
+
+// Ground height at a world x and z, between the cached heights
+float getGroundHeight(vec2 position) {
+  vec2 cell = clamp((position - groundOrigin) / groundStep, 0.0, groundCells - 1.0);
+  vec2 base = min(floor(cell), groundCells - 2.0);
+  vec2 t = cell - base;
+  ivec2 i = ivec2(base);
+  float h00 = texelFetch(groundHeights, i, 0).r;
+  float h10 = texelFetch(groundHeights, i + ivec2(1, 0), 0).r;
+  float h01 = texelFetch(groundHeights, i + ivec2(0, 1), 0).r;
+  float h11 = texelFetch(groundHeights, i + ivec2(1, 1), 0).r;
+  return mix(mix(h00, h10, t.x), mix(h01, h11, t.x), t.y);
+}
+
+void main() {
+  // Heavier flakes fall faster; all of them flutter a little
+  float fall = 0.7 + flakeSeed.w * 0.6;
+  vec3 flutter = vec3(
+    sin(flakeTime * (1.0 + flakeSeed.w) + flakeSeed.x * 40.0),
+    0.0,
+    cos(flakeTime * (0.8 + flakeSeed.w) + flakeSeed.z * 40.0)
+  ) * 0.3;
+  vec3 field = flakeSeed.xyz * boxSize + vec3(flakeOffset.x, -flakeOffset.y * fall, flakeOffset.z) + flutter;
+  vec3 world = boxMin + mod(field - boxMin, boxSize);
+  vec3 velocity = vec3(windVelocity.x, -fallSpeed * fall, windVelocity.z);
+  float landed = -1.0;  // Time in s since the flake landed, while it melts
+  
+  // A flake that has fallen through the ground lies on it
+  if (hasGround) {
+    float ground = getGroundHeight(world.xz);
+    if (world.y < ground) {
+      landed = (ground - world.y) / (fallSpeed * fall);
+      world.y = ground + 0.02;
+      velocity = vec3(0.0);
+    }
+  }
+  
+  // A flake that has flown into the ellipsoid around the car sticks where
+  // it hit: trace it back along its path relative to the car to the surface
+  if (hasObstacle && landed < 0.0) {
+    vec3 q = ((obstacleMatrixInverse * vec4(world, 1.0)).xyz - obstacleCenter) / obstacleRadii;
+    vec3 back = (obstacleMatrixInverse * vec4(obstacleVelocity - velocity, 0.0)).xyz / obstacleRadii;
+    float a = dot(back, back);
+    float c = dot(q, q) - 1.0;
+    if (c < 0.0 && a > 0.0) {
+      float b = dot(q, back);
+      landed = (-b + sqrt(b * b - a * c)) / a;
+      world = (obstacleMatrix * vec4(obstacleCenter + (q + back * landed) * obstacleRadii * 1.02, 1.0)).xyz;
+      velocity = obstacleVelocity;
+    }
+  }
+  
+  // Fade out towards the sides of the box, where flakes wrap round, and
+  // melt away after landing
+  vec3 local = (world - boxMin) / boxSize;
+  vec3 edge = smoothstep(0.0, 0.08, local) * smoothstep(0.0, 0.08, 1.0 - local);
+  float alpha = edge.x * edge.y * edge.z;
+  if (landed >= 0.0) alpha *= 1.0 - smoothstep(0.0, meltTime, landed);
+  
+  // Cull the flakes that can't be seen
+  if (alpha <= 0.0) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    return;
+  }
+  
+  vec4 mvPosition = viewMatrix * vec4(world, 1.0);
+  
+  // Streak along the flake's path past the moving camera, trailing behind it
+  vec2 streak = (viewMatrix * vec4(velocity - cameraVelocity, 0.0)).xy * streakTime;
+  float size = flakeSize * (0.5 + flakeSeed.w);
+  float len = length(streak);
+  vec2 along = len > 0.0001 ? streak / len : vec2(0.0, 1.0);
+  vec2 across = vec2(-along.y, along.x);
+  mvPosition.xy += across * position.x * size + along * (position.y * (size + len) - len * 0.5);
+  
+  // Streaks spread the same light thinner; falling flakes right by the lens
+  // fade, but not the ones on the windshield
+  alpha *= size / (size + len);
+  if (landed < 0.0) alpha *= smoothstep(0.3, 1.5, -mvPosition.z);
+  
+  vCorner = position.xy;
+  vStretch = len / size;
+  vAlpha = alpha;
+  vFlakeWorld = world;
+  gl_Position = projectionMatrix * mvPosition;
+  #include <fog_vertex>
+}
+`;
+
+const FLAKE_FRAGMENT = `
+#include <common>
+#include <fog_pars_fragment>
+${FLAKE_FRAGMENT_HEAD}
+uniform vec3 diffuse;
+uniform float opacity;
+
+varying vec2 vCorner;
+varying float vStretch;
+varying float vAlpha;
+
+void main() {
+  // A soft round flake, drawn out into a capsule when streaked
+  float along = max(abs(vCorner.y) * (1.0 + vStretch) - vStretch * 0.5, 0.0) * 2.0;
+  float shape = 1.0 - smoothstep(0.2, 1.0, length(vec2(vCorner.x * 2.0, along)));
+  
+  gl_FragColor = vec4(diffuse * getFlakeLight(vFlakeWorld), opacity * vAlpha * shape);
+  #include <colorspace_fragment>
+  #include <fog_fragment>
+}
+`;
+
 /**
- * SnowEffect creates a realistic snowfall particle system
+ * SnowEffect draws the falling snow around the camera
+ *
+ * The flakes live on the GPU: one instanced quad per flake, placed by the
+ * vertex shader in a box that travels with the camera and reaches further
+ * ahead at speed. The CPU only advances the wind drift and the fall each
+ * frame. Flakes streak along their path past the camera when it moves fast,
+ * and fade out near the lens and at the edges of the box. Flakes that reach
+ * the ground or fly into the car, see setObstacle(), lie where they landed
+ * until they melt, so none fall through hills or the windshield.
  */
 export class SnowEffect {
   constructor(scene) {
     this.scene = scene;
     
     // Snowfall properties
-    this.particleCount = 12000;  // Even more particles
-    this.particleSize = 0.12;    // Larger size of snowflakes for better visibility
-    this.spawnWidth = 50;        // Wider spawn area
-    this.spawnHeight = 30;       // Higher spawn area
-    this.spawnDepth = 50;        // Deeper spawn area
+    this.particleCount = 30000;  // Flakes at full intensity
+    this.particleSize = 0.12;    // Flake size in m
+    this.spawnWidth = 60;        // Size of the box around the camera in m
+    this.spawnHeight = 30;
+    this.spawnDepth = 60;
+    this.streakTime = 0.025;     // Exposure time flakes streak over in s
     
     // Particle system
     this.particles = null;
@@ -21,18 +205,47 @@ export class SnowEffect {
     // Current snow intensity (0-1)
     this.intensity = 0.5;
     
-    // Velocity properties
-    this.baseVelocityScale = 0.5;  // Faster movement
-    this.fallSpeed = 0.8;         // Base falling speed
+    // Light on the flakes, see setLighting()
+    this.lightUniforms = {
+      flakeAmbient: { value: 1 },
+      flakeBeamOrigins: { value: Array.from({ length: MAX_BEAMS }, () => new THREE.Vector4()) },
+      flakeBeamDirections: { value: Array.from({ length: MAX_BEAMS }, () => new THREE.Vector4(0, 0, -1, 1)) },
+      flakeBeamIntensities: { value: new Array(MAX_BEAMS).fill(0) }
+    };
+    
+    // Base falling speed in m/s
+    this.fallSpeed = 1.2;
     
     // Camera reference (will be set in init)
     this.camera = null;
+    this.cameraVelocity = new THREE.Vector3();
+    this.lastCameraPosition = null;
+    
+    // Ground the flakes settle on, cached on a coarse grid around the box
+    this.getGround = null;       // Ground height function, set with setGround()
+    this.groundStep = 2;         // Spacing of the cached heights in m
+    this.groundCells = 64;       // Cached heights per side
+    this.groundHeights = new Float32Array(this.groundCells * this.groundCells);
+    this.groundOrigin = null;    // World x and z of the first cached height
+    this.groundTexture = new THREE.DataTexture(this.groundHeights, this.groundCells, this.groundCells, THREE.RedFormat, THREE.FloatType);
+    
+    // Body the flakes land on, set with setObstacle()
+    this.obstacle = null;
+    this.obstacleBounds = new THREE.Box3();  // Bounds in the body's own frame
+    this.meltTime = 0.5;         // Time landed flakes take to melt away in s
+    
+    // Wind carrying the flakes, set with setWind()
+    this.wind = { x: 0, z: 0 };  // Air velocity in m/s
     
     // Vehicle speed tracking for dynamic spawn adjustments
     this.vehicleSpeed = 0;
     this.maxSpeedEffect = 70;    // Speed at which the max effect occurs (km/h)
     this.speedDistanceFactor = 2.0; // How much to extend spawn distance by at max speed
     
+    // Drift and fall of the whole field, in m
+    this.offset = new THREE.Vector3();
+    this.time = 0;
+    
     // Debug flag
     this.debugMode = true;
   }
@@ -46,6 +259,7 @@ export class SnowEffect {
     
     // Store camera reference
     this.camera = camera;
+    this.lastCameraPosition = null;
     
     // Create snow particles
     this.createParticles();
@@ -63,6 +277,92 @@ export class SnowEffect {
     }
   }
   
+  /**
+   * Set the ground the flakes settle on; without one they fall to y = 0
+   * @param {Function} getGround - Returns the ground height in m at a world x and z
+   */
+  setGround(getGround) {
+    this.getGround = getGround;
+    this.groundOrigin = null;
+  }
+  
+  /**
+   * Cache the ground heights around the snow box, once it has moved far
+   * enough from the last cached area, and hand them to the shader
+   * @param {THREE.Vector3} center - Current center of the snow box
+   */
+  updateGround(center) {
+    if (!this.getGround) return;
+    
+    const span = this.groundStep * (this.groundCells - 1);
+    const x = Math.round(center.x / 16) * 16 - span / 2;
+    const z = Math.round(center.z / 16) * 16 - span / 2;
+    if (this.groundOrigin && this.groundOrigin.x === x && this.groundOrigin.z === z) return;
+    
+    this.groundOrigin = { x, z };
+    for (let i = 0; i < this.groundCells; i++) {
+      for (let j = 0; j < this.groundCells; j++) {
+        this.groundHeights[i * this.groundCells + j] = this.getGround(x + j * this.groundStep, z + i * this.groundStep);
+      }
+    }
+    this.groundTexture.needsUpdate = true;
+    
+    const uniforms = this.particleSystem.material.uniforms;
+    uniforms.groundOrigin.value.set(x, z);
+    uniforms.hasGround.value = true;
+  }
+  
+  /**
+   * Set the body the flakes land on, e.g. the car, as an ellipsoid that
+   * fills the bounds of its meshes. Call it every frame to follow the body.
+   * @param {THREE.Object3D} object - Body to land on, or null for none
+   * @param {Object} velocity - Velocity of the body `{ x, y, z }` in m/s
+   */
+  setObstacle(object, velocity) {
+    if (!this.particleSystem) return;
+    const uniforms = this.particleSystem.material.uniforms;
+    
+    // Measure the body in its own frame when it changes, e.g. once a model loads
+    if (object !== this.obstacle) {
+      this.obstacle = object;
+      this.obstacleBounds.makeEmpty();
+      if (object) {
+        object.updateMatrixWorld(true);
+        const inverse = object.matrixWorld.clone().invert();
+        const part = new THREE.Box3();
+        const matrix = new THREE.Matrix4();
+        object.traverse(child => {
+          if (!child.isMesh) return;
+          if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+          part.copy(child.geometry.boundingBox).applyMatrix4(matrix.multiplyMatrices(inverse, child.matrixWorld));
+          this.obstacleBounds.union(part);
+        });
+      }
+      
+      // An ellipsoid through the middle of each face of the bounds, a little
+      // larger so it covers more of the corners
+      this.obstacleBounds.getCenter(uniforms.obstacleCenter.value);
+      this.obstacleBounds.getSize(uniforms.obstacleRadii.value).multiplyScalar(0.55);
+    }
+    
+    uniforms.hasObstacle.value = Boolean(object) && !this.obstacleBounds.isEmpty();
+    if (!uniforms.hasObstacle.value) return;
+    
+    object.updateWorldMatrix(true, false);
+    uniforms.obstacleMatrix.value.copy(object.matrixWorld);
+    uniforms.obstacleMatrixInverse.value.copy(object.matrixWorld).invert();
+    uniforms.obstacleVelocity.value.set(velocity.x, velocity.y, velocity.z);
+  }
+  
+  /**
+   * Set the wind the flakes drift with
+   * @param {Object} velocity - Air velocity `{ x, z }` in m/s
+   */
+  setWind(velocity) {
+    this.wind.x = velocity.x;
+    this.wind.z = velocity.z;
+  }
+  
   /**
    * Update the current vehicle speed for dynamic spawn adjustment
    * @param {number} speed - Vehicle speed in km/h
@@ -87,135 +387,68 @@ export class SnowEffect {
   }
   
   /**
-   * Create snow particle system
+   * Create the instanced flakes and their material
    */
   createParticles() {
-    // Create particle geometry
-    const positions = new Float32Array(this.particleCount * 3);
-    const velocities = new Float32Array(this.particleCount * 3);
-    const sizes = new Float32Array(this.particleCount);
-    
-    // Initialize positions around the camera
-    this.initializeParticlesAroundCamera(positions, velocities, sizes);
-    
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-    
-    // Store velocities
-    this.velocities = velocities;
-    
-    // Create snowflake material
-    const material = new THREE.PointsMaterial({
-      color: 0xffffff,
-      size: this.particleSize,
+    // One quad per flake, corners from -0.5 to 0.5
+    const geometry = new THREE.InstancedBufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([
+      -0.5, -0.5, 0, 0.5, -0.5, 0, 0.5, 0.5, 0, -0.5, 0.5, 0
+    ], 3));
+    geometry.setIndex([0, 1, 2, 0, 2, 3]);
+    
+    // Spot in the field and a random weight per flake
+    const seeds = new Float32Array(this.particleCount * 4);
+    for (let i = 0; i < seeds.length; i++) {
+      seeds[i] = Math.random();
+    }
+    geometry.setAttribute('flakeSeed', new THREE.InstancedBufferAttribute(seeds, 4));
+    geometry.instanceCount = this.particleCount;
+    
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        ...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
+        ...this.lightUniforms,
+        diffuse: { value: new THREE.Color(0xffffff) },
+        opacity: { value: 0.9 },
+        boxMin: { value: new THREE.Vector3() },
+        boxSize: { value: new THREE.Vector3(this.spawnWidth, this.spawnHeight, this.spawnDepth) },
+        flakeOffset: { value: this.offset },
+        flakeTime: { value: 0 },
+        flakeSize: { value: this.particleSize },
+        windVelocity: { value: new THREE.Vector3() },
+        fallSpeed: { value: this.fallSpeed },
+        cameraVelocity: { value: this.cameraVelocity },
+        streakTime: { value: this.streakTime },
+        groundHeights: { value: this.groundTexture },
+        groundOrigin: { value: new THREE.Vector2() },
+        groundStep: { value: this.groundStep },
+        groundCells: { value: this.groundCells },
+        hasGround: { value: false },
+        hasObstacle: { value: false },
+        obstacleMatrix: { value: new THREE.Matrix4() },
+        obstacleMatrixInverse: { value: new THREE.Matrix4() },
+        obstacleCenter: { value: new THREE.Vector3() },
+        obstacleRadii: { value: new THREE.Vector3(1, 1, 1) },
+        obstacleVelocity: { value: new THREE.Vector3() },
+        meltTime: { value: this.meltTime }
+      },
+      vertexShader: FLAKE_VERTEX,
+      fragmentShader: FLAKE_FRAGMENT,
       transparent: true,
-      opacity: 0.9,             // Higher opacity
-      map: this.createSnowflakeTexture(),
       blending: THREE.AdditiveBlending,
       depthWrite: false,
-      sizeAttenuation: true,
-      vertexColors: false
+      fog: true
     });
     
     // Create particle system
-    this.particleSystem = new THREE.Points(geometry, material);
+    this.particleSystem = new THREE.Mesh(geometry, material);
     this.particles = geometry;
     
-    // Make sure particles are always visible regardless of fog
+    // The flakes are placed in the shader, so the mesh has no bounds to cull by
     this.particleSystem.frustumCulled = false;
-    
-    // Debug logging
-    if (this.debugMode) {
-      console.log("Particle system created, material:", material);
-      console.log("First 5 positions:");
-      for (let i = 0; i < 5; i++) {
-        console.log(`Particle ${i}: (${positions[i*3]}, ${positions[i*3+1]}, ${positions[i*3+2]})`);
-      }
-    }
-  }
-  
-  /**
-   * Initialize particles around the camera
-   * @param {Float32Array} positions - Array to store particle positions
-   * @param {Float32Array} velocities - Array to store particle velocities
-   * @param {Float32Array} sizes - Array to store particle sizes
-   */
-  initializeParticlesAroundCamera(positions, velocities, sizes) {
-    // Get camera position as the reference point
-    const camPos = this.camera ? this.camera.position.clone() : new THREE.Vector3(0, 5, 0);
-    
-    // Get spawn distance multiplier based on speed
-    const distanceMultiplier = this.getSpeedBasedDistanceMultiplier();
-    
-    // Apply multiplier to spawn dimensions
-    const adjustedSpawnDepth = this.spawnDepth * distanceMultiplier;
-    const adjustedSpawnWidth = this.spawnWidth * (1.0 + (distanceMultiplier - 1.0) * 0.5);
-    
-    for (let i = 0; i < this.particleCount; i++) {
-      const i3 = i * 3;
-      
-      // Determine distribution based on speed - at higher speeds, more particles spawn ahead
-      const inFrontBias = 0.7 + (0.25 * (distanceMultiplier - 1.0)); // 70-95% in front based on speed
-      const inFront = Math.random() < inFrontBias;
-      
-      // Random position in a box around camera with bias towards front
-      positions[i3] = camPos.x + (Math.random() - 0.5) * adjustedSpawnWidth;
-      positions[i3 + 1] = camPos.y + Math.random() * this.spawnHeight;
-      
-      if (inFront) {
-        // Position in front of camera (negative Z is forward in world space)
-        // At higher speeds, distribute particles farther ahead
-        const depthBias = Math.random();
-        const speedInfluence = Math.max(0, (distanceMultiplier - 1.0) / 2.0);
-        const finalDepthBias = depthBias + (speedInfluence * depthBias); // Bias towards front at higher speeds
-        positions[i3 + 2] = camPos.z - finalDepthBias * adjustedSpawnDepth;
-      } else {
-        // Position all around camera
-        positions[i3 + 2] = camPos.z + (Math.random() - 0.5) * this.spawnDepth;
-      }
-      
-      // Random velocities with downward bias
-      velocities[i3] = (Math.random() - 0.5) * 0.3;         // X drift
-      velocities[i3 + 1] = -this.fallSpeed - Math.random() * 0.7;  // Y downward fall - faster
-      velocities[i3 + 2] = (Math.random() - 0.5) * 0.3;     // Z drift
-      
-      // Random sizes for more varied appearance
-      sizes[i] = this.particleSize * (0.5 + Math.random() * 1.0);
-    }
-  }
-  
-  /**
-   * Create a texture for the snowflakes
-   * @returns {THREE.Texture} Snowflake texture
-   */
-  createSnowflakeTexture() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 64;  // Larger texture
-    canvas.height = 64;
-    
-    const context = canvas.getContext('2d');
-    const gradient = context.createRadialGradient(
-      canvas.width / 2,
-      canvas.height / 2,
-      0,
-      canvas.width / 2,
-      canvas.height / 2,
-      canvas.width / 2
-    );
-    
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 1.0)');
-    gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0.8)'); // More solid core
-    gradient.addColorStop(0.6, 'rgba(240, 240, 255, 0.3)');
-    gradient.addColorStop(1, 'rgba(230, 230, 255, 0)');
-    
-    context.fillStyle = gradient;
-    context.fillRect(0, 0, canvas.width, canvas.height);
-    
-    const texture = new THREE.Texture(canvas);
-    texture.needsUpdate = true;
-    
-    return texture;
+    this.groundOrigin = null;
+    this.obstacle = null;
   }
   
   /**
@@ -237,47 +470,42 @@ export class SnowEffect {
       this.particleSystem.visible = true;
     }
     
-    // Get particle positions
-    const positions = this.particles.attributes.position.array;
-    
-    // Calculate number of active particles based on intensity - use exponential scaling
-    const intensityFactor = Math.pow(this.intensity, 0.8); // Less aggressive curve
-    const updateCount = Math.floor(this.particleCount * intensityFactor);
-    
-    // Camera's current position
     const camPos = this.camera.position;
+    const uniforms = this.particleSystem.material.uniforms;
+    
+    // Drift and fall of the whole field; only the wrapped position matters
+    // across the wind, so keep those offsets small
+    this.offset.x = (this.offset.x + this.wind.x * deltaTime) % this.spawnWidth;
+    this.offset.y += this.fallSpeed * deltaTime;
+    this.offset.z = (this.offset.z + this.wind.z * deltaTime) % this.spawnDepth;
+    this.time += deltaTime;
+    uniforms.flakeTime.value = this.time;
+    uniforms.windVelocity.value.set(this.wind.x, 0, this.wind.z);
+    
+    // Camera velocity, smoothed, for the streaks
+    if (this.lastCameraPosition && deltaTime > 0) {
+      const velocity = camPos.clone().sub(this.lastCameraPosition).divideScalar(deltaTime);
+      this.cameraVelocity.lerp(velocity, Math.min(1, deltaTime * 10));
+    }
+    this.lastCameraPosition = camPos.clone();
     
-    // Velocity scale based on intensity
-    const velocityScale = this.baseVelocityScale + (this.intensity * 0.5);
-    
-    // Distance multiplier based on speed
+    // Box around the camera, reaching further ahead at speed
     const distanceMultiplier = this.getSpeedBasedDistanceMultiplier();
-    const maxParticleDistance = 60 * distanceMultiplier;
-    
-    // Update particle positions
-    for (let i = 0; i < updateCount; i++) {
-      const i3 = i * 3;
-      
-      // Apply velocity and gravity
-      positions[i3] += this.velocities[i3] * deltaTime * 10 * velocityScale;
-      positions[i3 + 1] += this.velocities[i3 + 1] * deltaTime * 10 * velocityScale;
-      positions[i3 + 2] += this.velocities[i3 + 2] * deltaTime * 10 * velocityScale;
-      
-      // Reset particle if it goes too far from camera or below ground
-      if (positions[i3 + 1] < 0 || 
-          this.distanceToCamera(positions[i3], positions[i3+1], positions[i3+2]) > maxParticleDistance) {
-        
-        // Respawn particle around camera
-        this.respawnParticle(positions, i3, camPos);
-      }
-    }
+    const ahead = this.camera.getWorldDirection(new THREE.Vector3()).setY(0);
+    if (ahead.lengthSq() > 0) ahead.normalize();
+    ahead.multiplyScalar(this.spawnDepth * 0.4 * (distanceMultiplier - 1));
+    uniforms.boxMin.value.set(
+      camPos.x + ahead.x - this.spawnWidth / 2,
+      camPos.y - this.spawnHeight * 0.3,
+      camPos.z + ahead.z - this.spawnDepth / 2
+    );
     
-    // Mark positions for update
-    this.particles.attributes.position.needsUpdate = true;
+    // Ground the flakes settle on
+    this.updateGround(ahead.add(camPos));
     
     // Debug
     if (this.debugMode && Math.random() < 0.002) {
-      console.log("Active snow particles:", updateCount, "of", this.particleCount);
+      console.log("Active snow particles:", this.particles.instanceCount, "of", this.particleCount);
       console.log("Camera position:", camPos);
       console.log("Vehicle speed:", this.vehicleSpeed, "km/h");
       console.log("Distance multiplier:", distanceMultiplier.toFixed(2));
@@ -285,57 +513,33 @@ export class SnowEffect {
   }
   
   /**
-   * Calculate distance from a particle to camera
+   * Set the light falling on the flakes
+   * @param {number} ambient - Brightness of the flakes outside the beams, 0 to 1
+   * @param {Array<Object>} beams - Headlight beams, see VehicleLights.getBeams()
    */
-  distanceToCamera(x, y, z) {
-    const camPos = this.camera.position;
-    const dx = x - camPos.x;
-    const dy = y - camPos.y;
-    const dz = z - camPos.z;
-    return Math.sqrt(dx*dx + dy*dy + dz*dz);
+  setLighting(ambient, beams) {
+    const uniforms = this.lightUniforms;
+    uniforms.flakeAmbient.value = ambient;
+    for (let i = 0; i < MAX_BEAMS; i++) {
+      const beam = beams[i];
+      uniforms.flakeBeamIntensities.value[i] = beam ? beam.intensity : 0;
+      if (!beam) continue;
+      
+      const { position, direction } = beam;
+      uniforms.flakeBeamOrigins.value[i].set(position.x, position.y, position.z, beam.distance);
+      uniforms.flakeBeamDirections.value[i].set(direction.x, direction.y, direction.z, beam.cosAngle);
+    }
   }
   
   /**
-   * Respawn a particle relative to current camera position
-   * @param {Float32Array} positions - Position array
-   * @param {number} index - Index in the position array
-   * @param {THREE.Vector3} camPos - Current camera position
+   * Set the size of the flakes
+   * @param {number} size - Flake size in m
    */
-  respawnParticle(positions, index, camPos) {
-    // Get distance multiplier based on speed
-    const distanceMultiplier = this.getSpeedBasedDistanceMultiplier();
-    
-    // Adjust spawn areas based on speed
-    const adjustedSpawnDepth = this.spawnDepth * distanceMultiplier;
-    const adjustedSpawnWidth = this.spawnWidth * (1.0 + (distanceMultiplier - 1.0) * 0.5);
-    
-    // Increase forward bias based on speed - at higher speeds, more particles spawn ahead
-    const inFrontBias = 0.7 + (0.25 * (distanceMultiplier - 1.0)); // 70-95% in front based on speed
-    const inFront = Math.random() < inFrontBias;
-    
-    // Spawn above and around the camera
-    positions[index] = camPos.x + (Math.random() - 0.5) * adjustedSpawnWidth;
-    positions[index + 1] = camPos.y + this.spawnHeight * 0.3 + Math.random() * this.spawnHeight * 0.7;
-    
-    if (inFront) {
-      // Position in front of camera (negative Z is forward in world space)
-      // At higher speeds, distribute particles farther ahead
-      const depthBias = Math.random();
-      const speedInfluence = Math.max(0, (distanceMultiplier - 1.0) / 2.0);
-      const finalDepthBias = depthBias + (speedInfluence * depthBias); // Bias towards front at higher speeds
-      positions[index + 2] = camPos.z - finalDepthBias * adjustedSpawnDepth;
-    } else {
-      // Position all around camera
-      positions[index + 2] = camPos.z + (Math.random() - 0.5) * this.spawnDepth;
+  setFlakeSize(size) {
+    this.particleSize = size;
+    if (this.particleSystem) {
+      this.particleSystem.material.uniforms.flakeSize.value = this.particleSize * (0.7 + (this.intensity * 0.6));
     }
-    
-    // At higher speeds, increase lateral drift slightly
-    const lateralDriftFactor = 1.0 + Math.max(0, (distanceMultiplier - 1.0) * 0.3);
-    
-    // Randomize velocity slightly
-    this.velocities[index] = (Math.random() - 0.5) * 0.3 * lateralDriftFactor;
-    this.velocities[index + 1] = -this.fallSpeed - Math.random() * 0.7;
-    this.velocities[index + 2] = (Math.random() - 0.5) * 0.3 * lateralDriftFactor;
   }
   
   /**
@@ -350,13 +554,11 @@ export class SnowEffect {
       console.log("Snow intensity set to:", this.intensity);
     }
     
-    // Update particle size and opacity based on intensity
+    // Draw more flakes, larger and more opaque, the harder it snows
     if (this.particleSystem) {
-      // Scale opacity with intensity
-      this.particleSystem.material.opacity = 0.4 + (0.6 * this.intensity);
-      
-      // Scale particle size with intensity
-      this.particleSystem.material.size = this.particleSize * (0.7 + (this.intensity * 0.6));
+      this.particles.instanceCount = Math.floor(this.particleCount * Math.pow(this.intensity, 1.5));
+      this.particleSystem.material.uniforms.opacity.value = 0.4 + (0.6 * this.intensity);
+      this.particleSystem.material.uniforms.flakeSize.value = this.particleSize * (0.7 + (this.intensity * 0.6));
     }
     
     return this.intensity;
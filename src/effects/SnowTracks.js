@@ -0,0 +1,223 @@
+import * as THREE from 'three';
+import { TILE_CELLS } from '../terrain/SnowCover.js';
+
+// Shader code shared by the patched terrain materials
+const VERTEX_HEAD = `
+varying vec3 vSnowWorld;
+varying float vSnowUp;
+`;
+
+const VERTEX_BODY = `
+vSnowWorld = (modelMatrix * vec4(transformed, 1.0)).xyz;
+vSnowUp = normalize(mat3(modelMatrix) * normal).y;
+`;
+
+const FRAGMENT_HEAD = `
+uniform sampler2D snowTracks;
+uniform vec2 snowTracksOrigin;
+uniform float snowTracksSize;
+uniform float snowTracksTexel;
+uniform float snowTracksDepth;
+uniform float snowFresh;
+uniform vec3 snowColor;
+uniform vec3 snowPackedColor;
+varying vec3 vSnowWorld;
+varying float vSnowUp;
+
+// Packed snow depth in m at a world position, fading out at the texture edges
+float getSnowPacked(vec2 position) {
+  vec2 uv = (position - snowTracksOrigin) / snowTracksSize;
+  vec2 fade = smoothstep(0.0, 0.05, uv) * smoothstep(1.0, 0.95, uv);
+  return texture2D(snowTracks, uv).r * snowTracksDepth * fade.x * fade.y;
+}
+`;
+
+// Fresh snow covers the ground where snow can lie, and the roads except in
+// the ruts; packed snow turns grey
+const COLOR_FRAGMENT = `
+float snowPacked = getSnowPacked(vSnowWorld.xz);
+#ifdef SNOW_GROUND
+  float snowCover = smoothstep(0.0, 0.02, snowFresh) * smoothstep(0.72, 0.85, vSnowUp);
+#else
+  float snowCover = smoothstep(0.0, 0.02, snowFresh - snowPacked);
+#endif
+diffuseColor.rgb = mix(diffuseColor.rgb, snowColor, snowCover);
+diffuseColor.rgb = mix(diffuseColor.rgb, snowPackedColor, smoothstep(0.0, 0.03, snowPacked) * 0.6);
+`;
+
+// The rut walls tilt the normals
+const NORMAL_FRAGMENT = `
+vec2 snowStep = vec2(snowTracksTexel, 0.0);
+vec2 snowSlope = vec2(
+  getSnowPacked(vSnowWorld.xz + snowStep.xy) - getSnowPacked(vSnowWorld.xz - snowStep.xy),
+  getSnowPacked(vSnowWorld.xz + snowStep.yx) - getSnowPacked(vSnowWorld.xz - snowStep.yx)
+) / (2.0 * snowTracksTexel);
+normal = normalize(normal + (viewMatrix * vec4(snowSlope.x, 0.0, snowSlope.y, 0.0)).xyz);
+`;
+
+/**
+ * SnowTracks draws the fresh snow and the tire tracks of the SnowCover onto
+ * the terrain and road materials
+ *
+ * The packed depths around the vehicle are kept in a texture, refreshed
+ * where wheels packed the snow and moved along with the vehicle a tile at a
+ * time. The materials darken the ruts and tilt their normals, and cover
+ * the ground and roads with the snow fallen since the start.
+ */
+export class SnowTracks {
+  /**
+   * @param {TerrainGenerator} terrain - Terrain whose snow and materials to use
+   */
+  constructor(terrain) {
+    this.terrain = terrain;
+    this.snow = terrain.snow;
+    
+    // Texture covering tiles x tiles of the snow grid around the vehicle
+    this.tiles = 8;
+    this.size = this.tiles * TILE_CELLS;
+    this.data = new Uint8Array(this.size * this.size);
+    this.texture = new THREE.DataTexture(this.data, this.size, this.size, THREE.RedFormat, THREE.UnsignedByteType);
+    this.texture.magFilter = THREE.LinearFilter;
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.needsUpdate = true;
+    
+    this.originTile = null;   // Tile at the texture's first texel
+    this.revision = -1;       // Snow revision the texture shows
+    
+    this.uniforms = {
+      snowTracks: { value: this.texture },
+      snowTracksOrigin: { value: new THREE.Vector2() },
+      snowTracksSize: { value: this.size * this.snow.cellSize },
+      snowTracksTexel: { value: this.snow.cellSize },
+      snowTracksDepth: { value: this.snow.maxDepth },
+      snowFresh: { value: 0 },
+      snowColor: { value: new THREE.Color(0xf4f7fb) },
+      snowPackedColor: { value: new THREE.Color(0xb9c3cf) }
+    };
+  }
+  
+  /**
+   * Patch the terrain materials; call once the terrain has generated them
+   */
+  init() {
+    const { ground, road, lines } = this.terrain.materials;
+    this.patchMaterial(ground, 'snow-ground', { SNOW_GROUND: '' }, true);
+    this.patchMaterial(road, 'snow-road', {}, true);
+    this.patchMaterial(lines, 'snow-lines', {}, false);
+  }
+  
+  /**
+   * Add the snow to a material's shaders
+   * @param {THREE.Material} material - Material to patch
+   * @param {string} key - Program cache key
+   * @param {Object} defines - Shader defines
+   * @param {boolean} lit - Whether the material is lit, so the ruts tilt its normals
+   */
+  patchMaterial(material, key, defines, lit) {
+    material.defines = { ...material.defines, ...defines };
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, this.uniforms);
+      shader.vertexShader = VERTEX_HEAD + shader.vertexShader.replace(
+        '#include <project_vertex>',
+        '#include <project_vertex>\n' + VERTEX_BODY
+      );
+      shader.fragmentShader = FRAGMENT_HEAD + shader.fragmentShader.replace(
+        '#include <color_fragment>',
+        '#include <color_fragment>\n' + COLOR_FRAGMENT
+      );
+      if (lit) {
+        shader.fragmentShader = shader.fragmentShader.replace(
+          '#include <normal_fragment_maps>',
+          '#include <normal_fragment_maps>\n' + NORMAL_FRAGMENT
+        );
+      }
+    };
+    material.customProgramCacheKey = () => key;
+    material.needsUpdate = true;
+  }
+  
+  /**
+   * Follow the vehicle and show the latest tracks and snowfall
+   * @param {Object} position - Vehicle world position with x and z in m
+   */
+  update(position) {
+    const snow = this.snow;
+    const tileSize = TILE_CELLS * snow.cellSize;
+    const tx = Math.floor(position.x / tileSize);
+    const tz = Math.floor(position.z / tileSize);
+    
+    // Move the texture once the vehicle nears its edge, keeping the vehicle
+    // in its middle tiles
+    const half = this.tiles / 2;
+    const origin = this.originTile;
+    if (!origin || this.revision !== snow.revision ||
+        Math.abs(tx - origin.tx - half + 0.5) > 1.5 || Math.abs(tz - origin.tz - half + 0.5) > 1.5) {
+      this.originTile = { tx: tx - half, tz: tz - half };
+      this.revision = snow.revision;
+      snow.takeDirty();
+      this.fill();
+    } else {
+      const dirty = snow.takeDirty();
+      if (dirty) this.copy(dirty);
+    }
+    
+    this.uniforms.snowFresh.value = snow.accumulated;
+  }
+  
+  /**
+   * Copy all tiles the texture covers
+   */
+  fill() {
+    const { tx, tz } = this.originTile;
+    const cellSize = this.snow.cellSize;
+    this.uniforms.snowTracksOrigin.value.set(
+      (tx * TILE_CELLS - 0.5) * cellSize,
+      (tz * TILE_CELLS - 0.5) * cellSize
+    );
+    
+    this.data.fill(0);
+    for (let b = 0; b < this.tiles; b++) {
+      for (let a = 0; a < this.tiles; a++) {
+        const tile = this.snow.tiles.get(`${tx + a},${tz + b}`);
+        if (!tile) continue;
+        
+        for (let i = 0; i < TILE_CELLS; i++) {
+          for (let j = 0; j < TILE_CELLS; j++) {
+            this.data[(b * TILE_CELLS + i) * this.size + a * TILE_CELLS + j] = this.toByte(tile[i * TILE_CELLS + j]);
+          }
+        }
+      }
+    }
+    this.texture.needsUpdate = true;
+  }
+  
+  /**
+   * Copy an area of the snow grid that changed
+   * @param {Object} area - `{ minX, minZ, maxX, maxZ }` in grid points
+   */
+  copy(area) {
+    const gx0 = this.originTile.tx * TILE_CELLS;
+    const gz0 = this.originTile.tz * TILE_CELLS;
+    const minX = Math.max(area.minX, gx0);
+    const minZ = Math.max(area.minZ, gz0);
+    const maxX = Math.min(area.maxX, gx0 + this.size - 1);
+    const maxZ = Math.min(area.maxZ, gz0 + this.size - 1);
+    if (minX > maxX || minZ > maxZ) return;
+    
+    for (let gz = minZ; gz <= maxZ; gz++) {
+      for (let gx = minX; gx <= maxX; gx++) {
+        this.data[(gz - gz0) * this.size + gx - gx0] = this.toByte(this.snow.getPacked(gx, gz));
+      }
+    }
+    this.texture.needsUpdate = true;
+  }
+  
+  /**
+   * Scale a packed depth to a texel
+   * @param {number} packed - Packed depth in m
+   * @returns {number} Texel value, 0 to 255
+   */
+  toByte(packed) {
+    return Math.min(255, Math.round(packed / this.snow.maxDepth * 255));
+  }
+} 
\ No newline at end of file
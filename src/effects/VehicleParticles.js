@@ -0,0 +1,295 @@
+import * as THREE from 'three';
+
+/**
+ * Particle styles
+ * - `size`: puff size in m when thrown, growing by `growth` times per s
+ * - `life`: time a puff lasts in s
+ * - `gravity`: downward pull in m/s², negative to rise
+ * - `drag`: how quickly a puff slows to the wind, per s
+ * - `opacity`: opacity when thrown
+ * - `rate`: puffs per s at full strength
+ *
+ * `snow`, `powder` and `spray` follow the surfaces' `particles.type`, see
+ * Surfaces.js; `steam` is the exhaust.
+ */
+const STYLES = {
+  snow: { size: 0.12, growth: 0.6, life: 0.9, gravity: 7, drag: 1.5, opacity: 0.9, rate: 500 },
+  powder: { size: 0.3, growth: 1.5, life: 1.6, gravity: 2, drag: 2.5, opacity: 0.6, rate: 400 },
+  spray: { size: 0.08, growth: 0.8, life: 0.6, gravity: 9, drag: 1, opacity: 0.6, rate: 250 },
+  steam: { size: 0.15, growth: 1.2, life: 1.8, gravity: -0.4, drag: 1.5, opacity: 0.25, rate: 80, color: 0xe8eef4 }
+};
+
+// Loose snow on the ground deeper than this is thrown up as powder, in m
+const POWDER_DEPTH = 0.05;
+
+/**
+ * VehicleParticles throws up snow, powder and spray from the wheels, and
+ * steam from the exhaust
+ *
+ * Each wheel on a surface with particles throws up a rooster tail that
+ * grows with its wheelspin or slide, in the direction its tread moves over
+ * the ground: backwards while spinning up, ahead of a locked wheel, and
+ * sideways in a slide. Rolling through loose snow kicks some up at any
+ * speed, and stamping on the brakes in powder throws up a burst. The
+ * exhaust steams in the cold, most at high revs. Puffs drift with the wind.
+ * The particles are visual only and never touch the simulation.
+ */
+export class VehicleParticles {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the particles to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.maxParticles = 4000;
+    this.burstSize = 60;          // Puffs per wheel in a powder burst
+    
+    // Particle state, in a ring so the oldest puff makes way for a new one
+    const count = this.maxParticles;
+    this.positions = new Float32Array(count * 3);
+    this.colors = new Float32Array(count * 4);
+    this.sizes = new Float32Array(count);
+    this.velocities = new Float32Array(count * 3);
+    this.ages = new Float32Array(count);
+    this.floors = new Float32Array(count);  // Ground height under each puff
+    this.styles = new Array(count).fill(null);
+    this.next = 0;
+    
+    // Emission carried over between frames, per wheel and for the exhaust
+    this.carry = [0, 0, 0, 0];
+    this.exhaustCarry = 0;
+    this.wasBraking = false;
+    this.color = new THREE.Color();
+    this.scratch = new THREE.Vector3();
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 4));
+    geometry.setAttribute('particleSize', new THREE.BufferAttribute(this.sizes, 1));
+    
+    const material = new THREE.PointsMaterial({
+      size: 1,
+      map: this.createPuffTexture(),
+      vertexColors: true,
+      transparent: true,
+      depthWrite: false,
+      sizeAttenuation: true
+    });
+    
+    // Each puff has its own size in m
+    material.onBeforeCompile = (shader) => {
+      shader.vertexShader = 'attribute float particleSize;\n' + shader.vertexShader.replace(
+        'gl_PointSize = size;',
+        'gl_PointSize = size * particleSize;'
+      );
+    };
+    
+    this.points = new THREE.Points(geometry, material);
+    this.points.frustumCulled = false;
+    this.scene.add(this.points);
+  }
+  
+  /**
+   * Create a soft round puff texture
+   * @returns {THREE.Texture} Puff texture
+   */
+  createPuffTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1.0)');
+    gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.6)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    
+    const texture = new THREE.Texture(canvas);
+    texture.needsUpdate = true;
+    
+    return texture;
+  }
+  
+  /**
+   * Darken the particles at night; they are not lit by the scene's lights
+   * @param {number} brightness - Brightness, 0 to 1
+   */
+  setBrightness(brightness) {
+    this.points.material.color.setScalar(brightness);
+  }
+  
+  /**
+   * Throw up new particles from the vehicle and move the ones in the air
+   * @param {number} deltaTime - Time since the last frame in seconds
+   * @param {Vehicle} vehicle - Vehicle with its wheel contacts and body transform
+   * @param {Object} wind - Wind velocity `{ x, z }` in m/s
+   */
+  update(deltaTime, vehicle, wind) {
+    if (deltaTime <= 0) return;
+    
+    if (vehicle.chassis) {
+      this.emitFromWheels(deltaTime, vehicle);
+      this.emitExhaust(deltaTime, vehicle);
+    }
+    this.move(deltaTime, wind);
+  }
+  
+  /**
+   * Throw up rooster tails, loose snow and powder bursts from the wheels
+   * @param {number} deltaTime - Frame time in s
+   * @param {Vehicle} vehicle - Vehicle to follow
+   */
+  emitFromWheels(deltaTime, vehicle) {
+    const braked = vehicle.braking && !this.wasBraking;
+    this.wasBraking = vehicle.braking;
+    
+    vehicle.wheelContacts.forEach((contact, index) => {
+      const particles = contact.surface && contact.surface.particles;
+      if (!contact.inContact || !particles) {
+        this.carry[index] = 0;
+        return;
+      }
+      
+      const deep = contact.snowDepth > POWDER_DEPTH;
+      const style = deep ? STYLES.powder : STYLES[particles.type];
+      if (!style) return;
+      this.color.setHex(deep ? 0xffffff : particles.color);
+      
+      // The tread moves the snow it touches over the ground: backwards
+      // while spinning up, ahead when locked, and with the slide
+      const throwX = -contact.slipVelocity * contact.forward.x + contact.sideVelocity * contact.axle.x;
+      const throwZ = -contact.slipVelocity * contact.forward.z + contact.sideVelocity * contact.axle.z;
+      const slip = Math.hypot(throwX, throwZ);
+      const speed = Math.abs(contact.forwardVelocity);
+      
+      // Rooster tail from slip, plus loose snow kicked up by rolling through it
+      const slipShare = Math.max(0, Math.min(1, (slip - 1.5) / 10));
+      const rollShare = 0.3 * Math.min(1, speed / 20) * Math.min(1, contact.snowDepth / 0.1);
+      this.carry[index] += style.rate * (slipShare + rollShare) * deltaTime;
+      if (braked && deep) this.carry[index] += this.burstSize * Math.min(1, speed / 15);
+      
+      for (; this.carry[index] >= 1; this.carry[index]--) {
+        const across = (Math.random() - 0.5) * contact.width;
+        const spread = 0.3 + slip * 0.15;
+        this.spawn(
+          style,
+          contact.position.x + contact.axle.x * across,
+          contact.position.y + 0.05,
+          contact.position.z + contact.axle.z * across,
+          throwX * 0.6 + (Math.random() - 0.5) * spread - contact.forward.x * contact.forwardVelocity * 0.1,
+          1 + slip * 0.4 + Math.random() * (1 + slip * 0.2),
+          throwZ * 0.6 + (Math.random() - 0.5) * spread - contact.forward.z * contact.forwardVelocity * 0.1,
+          contact.position.y
+        );
+      }
+    });
+  }
+  
+  /**
+   * Steam from the exhaust, out of the back of the chassis box
+   * @param {number} deltaTime - Frame time in s
+   * @param {Vehicle} vehicle - Vehicle to follow
+   */
+  emitExhaust(deltaTime, vehicle) {
+    const { width, height, length, collisionOffset } = vehicle.definition.chassis;
+    const { rpm, config } = vehicle.powertrain;
+    const velocity = vehicle.chassisBody.velocity;
+    
+    // More steam at high revs, thinning out as the airflow carries it away
+    const revs = Math.max(0, Math.min(1, (rpm - config.idleRpm) / (config.limiterRpm - config.idleRpm)));
+    const speed = Math.hypot(velocity.x, velocity.z);
+    this.exhaustCarry += STYLES.steam.rate * (0.2 + revs) / (1 + speed / 10) * deltaTime;
+    if (this.exhaustCarry < 1) return;
+    
+    const pipe = this.scratch.set(width * 0.3, collisionOffset - height * 0.4, length / 2)
+      .applyQuaternion(vehicle.bodyQuaternion)
+      .add(vehicle.bodyPosition);
+    const back = new THREE.Vector3(0, 0, 1).applyQuaternion(vehicle.bodyQuaternion);
+    const exit = 1.5 + revs * 3;
+    
+    this.color.setHex(STYLES.steam.color);
+    for (; this.exhaustCarry >= 1; this.exhaustCarry--) {
+      this.spawn(
+        STYLES.steam,
+        pipe.x, pipe.y, pipe.z,
+        velocity.x + back.x * exit + (Math.random() - 0.5) * 0.4,
+        velocity.y + back.y * exit + Math.random() * 0.3,
+        velocity.z + back.z * exit + (Math.random() - 0.5) * 0.4,
+        -Infinity
+      );
+    }
+  }
+  
+  /**
+   * Start a puff in the next slot of the ring, with the current color
+   * @param {Object} style - Particle style, see STYLES
+   * @param {number} x - Start position
+   * @param {number} y - Start position
+   * @param {number} z - Start position
+   * @param {number} vx - Start velocity
+   * @param {number} vy - Start velocity
+   * @param {number} vz - Start velocity
+   * @param {number} floor - Ground height the puff settles on
+   */
+  spawn(style, x, y, z, vx, vy, vz, floor) {
+    const i = this.next;
+    this.next = (this.next + 1) % this.maxParticles;
+    
+    this.positions.set([x, y, z], i * 3);
+    this.velocities.set([vx, vy, vz], i * 3);
+    this.colors.set([this.color.r, this.color.g, this.color.b, style.opacity], i * 4);
+    this.sizes[i] = style.size;
+    this.ages[i] = 0;
+    this.floors[i] = floor;
+    this.styles[i] = style;
+  }
+  
+  /**
+   * Move the puffs through the air, growing and fading them out
+   * @param {number} deltaTime - Frame time in s
+   * @param {Object} wind - Wind velocity `{ x, z }` in m/s
+   */
+  move(deltaTime, wind) {
+    const { positions, velocities, colors, sizes, ages, floors, styles } = this;
+    
+    for (let i = 0; i < this.maxParticles; i++) {
+      const style = styles[i];
+      if (!style) continue;
+      
+      ages[i] += deltaTime;
+      const t = ages[i] / style.life;
+      if (t >= 1) {
+        styles[i] = null;
+        colors[i * 4 + 3] = 0;
+        sizes[i] = 0;
+        continue;
+      }
+      
+      // Air drag pulls the puff along with the wind
+      const drag = Math.min(1, style.drag * deltaTime);
+      velocities[i * 3] += (wind.x - velocities[i * 3]) * drag;
+      velocities[i * 3 + 1] -= velocities[i * 3 + 1] * drag + style.gravity * deltaTime;
+      velocities[i * 3 + 2] += (wind.z - velocities[i * 3 + 2]) * drag;
+      
+      positions[i * 3] += velocities[i * 3] * deltaTime;
+      positions[i * 3 + 1] += velocities[i * 3 + 1] * deltaTime;
+      positions[i * 3 + 2] += velocities[i * 3 + 2] * deltaTime;
+      
+      // Settle on the ground where it was thrown up
+      if (positions[i * 3 + 1] < floors[i]) {
+        positions[i * 3 + 1] = floors[i];
+        velocities[i * 3] = velocities[i * 3 + 1] = velocities[i * 3 + 2] = 0;
+      }
+      
+      sizes[i] = style.size * (1 + style.growth * ages[i]);
+      colors[i * 4 + 3] = style.opacity * (1 - t);
+    }
+    
+    const geometry = this.points.geometry;
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
+    geometry.attributes.particleSize.needsUpdate = true;
+  }
+} 
\ No newline at end of file
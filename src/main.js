@@ -1,12 +1,31 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { Vehicle } from './vehicle/Vehicle.js';
+import { getVehicleDefinition } from './vehicle/VehicleDefinitions.js';
+import { VehicleSetups } from './vehicle/VehicleSetups.js';
+import { ASSIST_NAMES } from './vehicle/DriverAssists.js';
 import { TerrainGenerator } from './terrain/TerrainGenerator.js';
+import { randomSeed } from './terrain/Random.js';
+import { Heightmap } from './terrain/Heightmap.js';
 import { SnowEffect } from './effects/SnowEffect.js';
+import { SnowTracks } from './effects/SnowTracks.js';
+import { BlowingSnow } from './effects/BlowingSnow.js';
+import { VehicleParticles } from './effects/VehicleParticles.js';
+import { DayNightLighting } from './effects/DayNightLighting.js';
+import { SHADOW_QUALITIES } from './effects/ShadowCascades.js';
+import { TimeOfDay } from './weather/TimeOfDay.js';
+import { WEATHER_PRESETS, WEATHER_SCENARIOS, DEFAULT_WEATHER_ID, getWeatherScenario } from './weather/WeatherPresets.js';
 import { CameraManager } from './camera/CameraManager.js';
-import { InputManager } from './controls/InputManager.js';
+import { InputManager, NEUTRAL_INPUTS } from './controls/InputManager.js';
 import { GameState } from './core/GameState.js';
+import { Simulation } from './core/Simulation.js';
 import { Physics } from './physics/Physics.js';
+import { InputRecorder } from './replay/InputRecorder.js';
+import { Recording } from './replay/Recording.js';
+import { Ghost } from './replay/Ghost.js';
+import { SettingsMenu } from './ui/SettingsMenu.js';
+import { GraphicsSettings } from './ui/GraphicsSettings.js';
+import { GarageMenu } from './ui/GarageMenu.js';
 
 class DrivingSimulator {
   constructor() {
@@ -25,12 +44,39 @@ class DrivingSimulator {
     
     // Game elements
     this.gameState = new GameState();
-    this.physics = new Physics();
+    this.physics = new Physics(this.gameState.fixedTimeStep);
     this.inputManager = new InputManager();
+    this.settingsMenu = new SettingsMenu(this.inputManager);
+    this.graphicsSettings = new GraphicsSettings();
     this.cameraManager = new CameraManager(this.camera, this.scene);
-    this.vehicle = new Vehicle(this.scene, this.physics);
-    this.terrain = new TerrainGenerator(this.scene, this.physics);
+    
+    // Vehicle and tuning picked in the garage last time
+    this.vehicleSetups = new VehicleSetups();
+    this.vehicle = new Vehicle(this.scene, this.physics, getVehicleDefinition(this.vehicleSetups.vehicleId));
+    this.vehicle.tuning = this.vehicleSetups.getTuning();
+    this.garageMenu = new GarageMenu(this.vehicle, this.vehicleSetups, () => this.onVehicleRebuilt());
+    // World seed from a shared link, or the default world
+    const seed = new URLSearchParams(window.location.search).get('seed') ?? 1;
+    this.terrain = new TerrainGenerator(this.scene, this.physics, { seed });
     this.snowEffect = new SnowEffect(this.scene);
+    this.snowTracks = new SnowTracks(this.terrain);
+    this.blowingSnow = new BlowingSnow(this.scene);
+    this.vehicleParticles = new VehicleParticles(this.scene);
+    this.weatherTransitionTime = 20; // Time a picked weather preset takes to set in, in s
+    this.timeOfDay = new TimeOfDay();
+    
+    // Deterministic simulation core driven by the fixed-step loop
+    this.simulation = new Simulation({
+      fixedTimeStep: this.gameState.fixedTimeStep,
+      physics: this.physics,
+      terrain: this.terrain,
+      vehicle: this.vehicle
+    });
+    
+    // Input recording and ghost replay
+    this.recorder = new InputRecorder();
+    this.ghost = new Ghost(this.scene);
+    this.lastRecording = null;
     
     // Game state flag
     this.gameStarted = false;
@@ -39,9 +85,13 @@ class DrivingSimulator {
     
     // Setup controls
     this.setupUIControls();
+    this.setupReplayControls();
+    this.setupSettingsControls();
+    this.setupWorldControls();
     
     // Setup lighting
     this.setupLighting();
+    this.setupGraphicsControls();
     
     console.log("Starting loading process...");
     
@@ -50,20 +100,12 @@ class DrivingSimulator {
   }
   
   init() {
-    console.log("Initializing physics...");
-    // Initialize physics
-    this.physics.init();
-    
-    console.log("Generating terrain...");
-    // Generate the terrain first
-    this.terrain.generate();
-    
     // Set up debug button 
     this.setupDebugSnowButton();
     
-    console.log("Loading vehicle...");
-    // Load vehicle and place it on the terrain after terrain is generated
-    this.vehicle.init(this.terrain).then(() => {
+    console.log("Initializing physics, terrain and vehicle...");
+    // Initialize physics, generate the terrain and place the vehicle on it
+    this.simulation.init().then(() => {
       console.log("Vehicle loaded, setting up cameras...");
       // When vehicle is loaded, set up cameras
       this.cameraManager.init(this.vehicle.chassis);
@@ -71,8 +113,18 @@ class DrivingSimulator {
       console.log("Setting up snow effect...");
       // Set up snow effect with camera reference
       this.snowEffect.init(this.camera);
+      this.snowEffect.setGround((x, z) => this.terrain.sampleChunkData(x, z, 'heights'));
+      this.blowingSnow.setGround((x, z) => this.terrain.sampleChunkData(x, z, 'heights'));
+      this.updateWeatherEffects();
       console.log("Snow effect initialized with camera at position:", this.camera.position);
       
+      // Fresh snow and tire tracks on the terrain
+      this.snowTracks.init();
+      
+      // Show the loaded vehicle's drivetrain and assists in the setup controls
+      this.setupDrivetrainControls();
+      this.setupAssistControls();
+      
       console.log("Loading complete!");
       // Hide loading screen
       const loadingElement = document.getElementById('loading');
@@ -80,8 +132,9 @@ class DrivingSimulator {
         loadingElement.style.display = 'none';
       }
       
-      // Setup Play Game button
+      // Setup Play Game and Garage buttons
       this.setupPlayButton();
+      this.setupGarageButton();
       
       // Start animation loop
       this.animate();
@@ -131,33 +184,64 @@ class DrivingSimulator {
     }
   }
   
+  setupGarageButton() {
+    const garageButton = document.getElementById('garage-button');
+    const menuContainer = document.getElementById('menu-container');
+    if (!garageButton || !menuContainer) return;
+    
+    // The car turns on a turntable while the garage is open
+    garageButton.addEventListener('click', () => {
+      menuContainer.style.display = 'none';
+      this.cameraManager.setCameraMode(this.cameraManager.ORBIT);
+      
+      this.garageMenu.open(() => {
+        this.cameraManager.setCameraMode(this.cameraManager.FRONT_VIEW);
+        menuContainer.style.display = 'flex';
+      });
+    });
+  }
+  
+  /**
+   * Point the camera and setup controls at the rebuilt vehicle
+   */
+  onVehicleRebuilt() {
+    this.cameraManager.vehicle = this.vehicle.chassis;
+    this.showDrivetrainConfig();
+    
+    document.querySelectorAll('#assist-controls input').forEach(checkbox => {
+      checkbox.checked = this.vehicle.assists.isEnabled(checkbox.id.replace('assist-', ''));
+    });
+  }
+  
   setupLighting() {
-    // Ambient light for general illumination
-    const ambientLight = new THREE.AmbientLight(0xcccccc, 0.5);
-    this.scene.add(ambientLight);
-    
-    // Directional light for sun
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(50, 100, 50);
-    directionalLight.castShadow = true;
-    
-    // Configure shadows
-    directionalLight.shadow.mapSize.width = 2048;
-    directionalLight.shadow.mapSize.height = 2048;
-    directionalLight.shadow.camera.near = 0.5;
-    directionalLight.shadow.camera.far = 500;
-    directionalLight.shadow.camera.left = -100;
-    directionalLight.shadow.camera.right = 100;
-    directionalLight.shadow.camera.top = 100;
-    directionalLight.shadow.camera.bottom = -100;
-    
-    this.scene.add(directionalLight);
+    // Sun or moon, and ambient light, for the time of day
+    this.lighting = new DayNightLighting(this.scene);
+    this.lighting.shadows.setQuality(this.graphicsSettings.shadowQuality);
     
     // Add winter atmosphere fog
     this.scene.fog = new THREE.FogExp2(0xeeeeff, 0.01);
     this.scene.background = new THREE.Color(0xdfe9f0);
   }
   
+  setupGraphicsControls() {
+    const shadowSelect = document.getElementById('shadow-quality');
+    if (!shadowSelect) return;
+    
+    Object.values(SHADOW_QUALITIES).forEach(quality => {
+      const option = document.createElement('option');
+      option.value = quality.id;
+      option.textContent = quality.label;
+      option.selected = quality.id === this.graphicsSettings.shadowQuality;
+      shadowSelect.appendChild(option);
+    });
+    
+    shadowSelect.addEventListener('change', () => {
+      this.graphicsSettings.setShadowQuality(shadowSelect.value);
+      this.lighting.shadows.setQuality(shadowSelect.value);
+      console.log("Shadow quality:", shadowSelect.value);
+    });
+  }
+  
   setupDebugSnowButton() {
     const debugSnowButton = document.getElementById('debug-snow');
     if (debugSnowButton) {
@@ -178,7 +262,7 @@ class DrivingSimulator {
           this.snowEffect.init(this.camera);
           
           // Set to maximum intensity
-          this.snowEffect.setIntensity(1.0);
+          this.setSnowIntensity(1.0);
           
           // Update snow slider
           const snowSlider = document.getElementById('snow-intensity');
@@ -200,29 +284,64 @@ class DrivingSimulator {
   
   setupUIControls() {
     // Camera toggle button
-    document.getElementById('camera-toggle').addEventListener('click', () => {
-      this.cameraManager.toggleCameraMode();
-      console.log("Camera mode toggled to:", this.cameraManager.currentMode);
-    });
+    document.getElementById('camera-toggle').addEventListener('click', () => this.toggleCamera());
     
-    // Set high initial snow intensity
-    const initialSnowIntensity = 0.8;
+    // Automatic / manual gearbox button
+    document.getElementById('gearbox-toggle').addEventListener('click', () => this.toggleGearbox());
     
-    // Snow intensity slider
-    const snowSlider = document.getElementById('snow-intensity');
-    // Update slider value to match initial intensity
-    if (snowSlider) {
-      snowSlider.value = initialSnowIntensity * 100;
-    }
+    // Start in steady snow
+    const weather = this.simulation.weather;
+    weather.setPreset(DEFAULT_WEATHER_ID);
     
-    // Set initial snow intensity
-    this.snowEffect.setIntensity(initialSnowIntensity);
+    // Weather presets fade in over a while; scenarios run their own timeline
+    const weatherSelect = document.getElementById('weather-preset');
+    Object.values(WEATHER_PRESETS).forEach(preset => {
+      weatherSelect.add(new Option(preset.label, preset.id, false, preset.id === DEFAULT_WEATHER_ID));
+    });
+    Object.values(WEATHER_SCENARIOS).forEach(scenario => {
+      weatherSelect.add(new Option(`Scenario: ${scenario.label}`, `scenario:${scenario.id}`));
+    });
+    weatherSelect.addEventListener('change', (e) => {
+      const [kind, id] = e.target.value.split(':');
+      if (kind === 'scenario') {
+        weather.setScript(getWeatherScenario(id).keyframes);
+      } else {
+        weather.setScript([{ time: this.weatherTransitionTime, preset: kind }]);
+      }
+      console.log("Weather set to:", e.target.value);
+    });
     
-    // Add listener for slider changes
+    // Snow intensity slider
+    const snowSlider = document.getElementById('snow-intensity');
     snowSlider.addEventListener('input', (e) => {
       const intensity = e.target.value / 100;
       console.log("Snow intensity set to:", intensity);
-      this.snowEffect.setIntensity(intensity);
+      this.setSnowIntensity(intensity);
+    });
+    
+    // Wind sliders set a steady wind, stopping any weather script
+    const windSettings = {
+      'wind-speed': (value) => ({ windSpeed: value }),
+      'wind-direction': (value) => ({ windDirection: value }),
+      'wind-gusts': (value) => ({ windGusts: value / 100 })
+    };
+    Object.entries(windSettings).forEach(([id, toSettings]) => {
+      document.getElementById(id).addEventListener('input', (e) => {
+        weather.set(toSettings(Number(e.target.value)));
+      });
+    });
+    this.showWeather();
+    
+    // Time of day, and how fast the clock runs
+    const timeSlider = document.getElementById('time-of-day');
+    timeSlider.value = this.timeOfDay.hour;
+    timeSlider.addEventListener('input', (e) => {
+      this.timeOfDay.hour = Number(e.target.value);
+    });
+    const timeSpeed = document.getElementById('time-speed');
+    timeSpeed.value = this.timeOfDay.speed;
+    timeSpeed.addEventListener('change', (e) => {
+      this.timeOfDay.speed = Number(e.target.value);
     });
     
     // Initially hide HUD and controls until game starts
@@ -248,57 +367,531 @@ class DrivingSimulator {
     document.head.appendChild(style);
   }
   
+  setupDrivetrainControls() {
+    const layoutSelect = document.getElementById('drivetrain-layout');
+    const differentialSelect = document.getElementById('differential-type');
+    if (!layoutSelect || !differentialSelect) return;
+    
+    const drivetrain = this.vehicle.drivetrain;
+    this.showDrivetrainConfig();
+    
+    layoutSelect.addEventListener('change', () => {
+      drivetrain.setLayout(layoutSelect.value);
+      console.log("Drivetrain layout:", layoutSelect.value);
+    });
+    
+    // One differential type for all axles, including the center one in AWD
+    differentialSelect.addEventListener('change', () => {
+      ['front', 'rear', 'center'].forEach(position => drivetrain.setDifferential(position, differentialSelect.value));
+      console.log("Differentials:", differentialSelect.value);
+    });
+  }
+  
+  showDrivetrainConfig() {
+    const layoutSelect = document.getElementById('drivetrain-layout');
+    const differentialSelect = document.getElementById('differential-type');
+    if (!layoutSelect || !differentialSelect) return;
+    
+    // The differential shown is the one on the driven (or rear) axle
+    const { layout, frontDiff, rearDiff } = this.vehicle.drivetrain.config;
+    layoutSelect.value = layout;
+    differentialSelect.value = layout === 'FWD' ? frontDiff.type : rearDiff.type;
+  }
+  
+  setupAssistControls() {
+    const assists = this.vehicle.assists;
+    
+    ASSIST_NAMES.forEach(name => {
+      const checkbox = document.getElementById(`assist-${name}`);
+      if (!checkbox) return;
+      
+      checkbox.checked = assists.isEnabled(name);
+      checkbox.addEventListener('change', () => {
+        assists.setEnabled(name, checkbox.checked);
+        console.log(`${name.toUpperCase()} ${checkbox.checked ? 'on' : 'off'}`);
+      });
+    });
+  }
+  
+  setupReplayControls() {
+    const recordButton = document.getElementById('record-toggle');
+    const ghostButton = document.getElementById('ghost-play');
+    const exportButton = document.getElementById('recording-export');
+    const importButton = document.getElementById('recording-import');
+    const fileInput = document.getElementById('recording-file');
+    if (!recordButton || !ghostButton || !exportButton || !importButton || !fileInput) return;
+    
+    // Enable replay buttons once a recording is available
+    const setRecording = (recording) => {
+      this.lastRecording = recording;
+      ghostButton.disabled = !recording || recording.length === 0;
+      exportButton.disabled = !recording || recording.length === 0;
+    };
+    
+    // Start/stop recording the live vehicle
+    recordButton.addEventListener('click', () => {
+      if (!this.vehicle.vehicle) return;
+      
+      if (this.recorder.isRecording) {
+        setRecording(this.recorder.stop());
+        recordButton.textContent = 'Start Recording';
+      } else {
+        this.recorder.start(this.vehicle.dynamics, this.gameState.fixedTimeStep, this.terrain.seed, this.terrain.heightmap, this.terrain.snow, this.simulation.wind, this.simulation.weather);
+        recordButton.textContent = 'Stop Recording';
+      }
+      
+      // The drivetrain, assists and weather are part of the recording's
+      // starting snapshot, so they can't change while recording
+      document.querySelectorAll('#drivetrain-layout, #differential-type, #assist-controls input, #weather-controls select, #weather-controls input').forEach(control => {
+        control.disabled = this.recorder.isRecording;
+      });
+    });
+    
+    // Replay the last recording as a ghost car
+    ghostButton.addEventListener('click', () => {
+      if (!this.lastRecording || !this.vehicle.chassis) return;
+      
+      this.ghost.load(this.lastRecording, this.vehicle, this.terrain.heightmap).catch(error => {
+        console.error("Error loading ghost:", error);
+      });
+    });
+    
+    // Download the last recording as a JSON file
+    exportButton.addEventListener('click', () => {
+      if (!this.lastRecording) return;
+      
+      // Optional note, e.g. what goes wrong in a bug report
+      const description = window.prompt("Describe this recording (optional):", this.lastRecording.description);
+      if (description !== null) {
+        this.lastRecording.description = description;
+      }
+      
+      const blob = new Blob([JSON.stringify(this.lastRecording, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `recording-${this.lastRecording.createdAt.replace(/[:.]/g, '-')}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+    
+    // Load a recording from a JSON file
+    importButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      
+      file.text().then(text => {
+        const recording = Recording.fromJSON(text);
+        setRecording(recording);
+        console.log(`Imported recording: ${recording.length} ticks`, recording.description);
+      }).catch(error => {
+        console.error("Error importing recording:", error.message);
+      });
+      
+      // Allow importing the same file again
+      fileInput.value = '';
+    });
+  }
+  
+  setupSettingsControls() {
+    const pauseMenu = document.getElementById('pause-menu');
+    
+    // Settings from the main menu and from the pause menu
+    document.getElementById('settings-button').addEventListener('click', () => {
+      this.settingsMenu.open();
+    });
+    
+    document.getElementById('pause-settings-button').addEventListener('click', () => {
+      pauseMenu.style.display = 'none';
+      this.settingsMenu.open(() => {
+        // Back to the pause menu unless the game was resumed meanwhile
+        if (this.gameState.isPaused) pauseMenu.style.display = 'flex';
+      });
+    });
+    
+    document.getElementById('resume-button').addEventListener('click', () => this.togglePause());
+    
+    // Bound one-shot actions, only while driving
+    this.inputManager.onAction('cameraToggle', () => {
+      if (this.gameStarted && !this.gameState.isPaused) this.toggleCamera();
+    });
+    
+    this.inputManager.onAction('gearboxMode', () => {
+      if (this.gameStarted && !this.gameState.isPaused) this.toggleGearbox();
+    });
+    
+    // Headlights go into the inputs, so recordings keep them
+    this.inputManager.onAction('headlights', () => {
+      if (this.gameStarted && !this.gameState.isPaused) this.toggleHeadlights();
+    });
+    
+    this.inputManager.onAction('highBeam', () => {
+      if (this.gameStarted && !this.gameState.isPaused) this.toggleHighBeam();
+    });
+    
+    this.inputManager.onAction('pause', () => {
+      if (this.gameStarted) this.togglePause();
+    });
+    
+    // Pick the AZERTY preset on first run if the keyboard layout is French
+    this.inputManager.bindings.detectLayout().then(() => this.settingsMenu.renderHelp());
+  }
+  
+  setupWorldControls() {
+    const seedInput = document.getElementById('world-seed');
+    const status = document.getElementById('world-status');
+    const heightmapInput = document.getElementById('heightmap-file');
+    if (!seedInput || !status || !heightmapInput) return;
+    
+    seedInput.value = this.terrain.seed;
+    
+    // A recording only replays in the world it started in
+    const canChangeWorld = () => {
+      if (!this.vehicle.vehicle) return false;
+      if (this.recorder.isRecording) {
+        status.textContent = "Stop recording before changing the world.";
+        return false;
+      }
+      return true;
+    };
+    
+    document.getElementById('world-random').addEventListener('click', () => {
+      seedInput.value = randomSeed();
+    });
+    
+    // Grow the world from the entered seed; numbers and any text work
+    document.getElementById('world-apply').addEventListener('click', () => {
+      if (!canChangeWorld()) return;
+      
+      this.changeSeed(seedInput.value);
+      seedInput.value = this.terrain.seed;
+      status.textContent = `World ${this.terrain.seed}`;
+    });
+    
+    // Share the world as a link that opens it
+    document.getElementById('world-share').addEventListener('click', () => {
+      const link = this.getWorldLink();
+      navigator.clipboard.writeText(link).then(() => {
+        status.textContent = "Link copied.";
+      }).catch(() => {
+        status.textContent = link;
+      });
+    });
+    
+    // Import a heightmap, placed with the size, height and offset set beside it
+    document.getElementById('heightmap-import').addEventListener('click', () => {
+      if (canChangeWorld()) heightmapInput.click();
+    });
+    heightmapInput.addEventListener('change', () => {
+      const file = heightmapInput.files[0];
+      if (!file) return;
+      
+      const options = {
+        size: Number(document.getElementById('heightmap-size').value),
+        verticalScale: Number(document.getElementById('heightmap-scale').value),
+        offset: Number(document.getElementById('heightmap-offset').value)
+      };
+      
+      file.arrayBuffer().then(data => Heightmap.fromFile(file.name, data, options)).then(heightmap => {
+        this.changeHeightmap(heightmap);
+        status.textContent = `Imported ${file.name} (${heightmap.columns} × ${heightmap.rows})`;
+      }).catch(error => {
+        console.error("Error importing heightmap:", error);
+        status.textContent = error.message;
+      });
+      
+      // Allow importing the same file again
+      heightmapInput.value = '';
+    });
+    
+    // Back to procedural terrain
+    document.getElementById('heightmap-clear').addEventListener('click', () => {
+      if (!this.terrain.heightmap || !canChangeWorld()) return;
+      
+      this.changeHeightmap(null);
+      status.textContent = `World ${this.terrain.seed}`;
+    });
+  }
+  
+  /**
+   * Link opening the current world
+   * @returns {string} Page URL with the seed
+   */
+  getWorldLink() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', this.terrain.seed);
+    return url.toString();
+  }
+  
+  /**
+   * Replace the world with the one grown from a seed and respawn the vehicle
+   * at its start
+   * @param {number|string} seed - World seed, a number or any text
+   * @returns {Promise} Resolves when the vehicle is back on the road
+   */
+  changeSeed(seed) {
+    this.terrain.setSeed(seed);
+    console.log(`World seed ${this.terrain.seed}`);
+    
+    // Keep the address bar pointing at the world being driven
+    window.history.replaceState(null, '', this.getWorldLink());
+    
+    return this.respawnInWorld();
+  }
+  
+  /**
+   * Replace the land with an imported heightmap, or procedural noise again,
+   * and respawn the vehicle at the start
+   * @param {Heightmap|null} heightmap - Imported heights, null for noise
+   * @returns {Promise} Resolves when the vehicle is back on the road
+   */
+  changeHeightmap(heightmap) {
+    this.terrain.setHeightmap(heightmap);
+    return this.respawnInWorld();
+  }
+  
+  /**
+   * Rebuild the vehicle at the start of the regenerated world
+   * @returns {Promise} Resolves when the vehicle is back on the road
+   */
+  respawnInWorld() {
+    // The ghost drives in the world it was recorded in
+    this.ghost.clear();
+    
+    const definition = getVehicleDefinition(this.vehicleSetups.vehicleId);
+    return this.vehicle.rebuild(definition, this.vehicleSetups.getTuning()).then(() => {
+      this.onVehicleRebuilt();
+    }).catch(error => {
+      console.error("Error respawning vehicle:", error);
+    });
+  }
+  
+  /**
+   * Set how hard it snows: the falling flakes, and the snow settling on the
+   * ground in the simulation
+   * @param {number} intensity - Snow intensity (0-1)
+   */
+  setSnowIntensity(intensity) {
+    this.simulation.weather.set({ snowfall: this.snowEffect.setIntensity(intensity) });
+  }
+  
+  /**
+   * Move the weather sliders to the current weather
+   */
+  showWeather() {
+    const { snowfall, windSpeed, windDirection, windGusts } = this.simulation.weather.current;
+    document.getElementById('snow-intensity').value = snowfall * 100;
+    document.getElementById('wind-speed').value = windSpeed;
+    document.getElementById('wind-direction').value = windDirection;
+    document.getElementById('wind-gusts').value = windGusts * 100;
+  }
+  
+  /**
+   * Show the current weather: flakes and fog
+   */
+  updateWeatherEffects() {
+    const weather = this.simulation.weather;
+    const { snowfall, flakeSize, fogDensity } = weather.current;
+    
+    if (this.snowEffect.particleSize !== flakeSize) {
+      this.snowEffect.setFlakeSize(flakeSize);
+    }
+    if (Math.abs(this.snowEffect.intensity - snowfall) > 0.005) {
+      this.snowEffect.setIntensity(snowfall);
+    }
+    
+    // Blowing snow thickens the fog on top of the weather's own
+    this.blowingSnow.fogDensity = fogDensity;
+    
+    // Follow the weather script on the sliders
+    if (weather.script) {
+      this.showWeather();
+    }
+  }
+  
+  /**
+   * Advance the clock and light the scene for the time of day: the sun,
+   * the sky and fog, and the flakes in the dark and in the headlights
+   * @param {number} delta - Time since the last frame in seconds
+   */
+  updateDayNight(delta) {
+    this.timeOfDay.update(delta);
+    
+    // Shadows reach further ahead where the camera looks
+    const view = this.camera.getWorldDirection(new THREE.Vector3()).setY(0);
+    this.lighting.update(
+      this.timeOfDay,
+      this.simulation.weather.current,
+      this.vehicle.dynamics.chassisBody.position,
+      view.lengthSq() > 0.01 ? view.normalize() : null
+    );
+    
+    const ambient = this.lighting.getAmbientLevel();
+    this.snowEffect.setLighting(ambient, this.vehicle.lights.getBeams());
+    this.blowingSnow.setBrightness(ambient);
+    this.vehicleParticles.setBrightness(ambient);
+    
+    // Follow the running clock on the slider
+    if (this.timeOfDay.speed > 0) {
+      document.getElementById('time-of-day').value = this.timeOfDay.hour;
+    }
+  }
+  
+  /**
+   * Switch the headlights on at low beam, or off
+   */
+  toggleHeadlights() {
+    const inputs = this.inputManager;
+    inputs.headlights = inputs.headlights > 0 ? 0 : 1;
+    console.log("Headlights:", inputs.headlights > 0 ? "on" : "off");
+  }
+  
+  /**
+   * Switch between low and high beam, switching the headlights on if needed
+   */
+  toggleHighBeam() {
+    const inputs = this.inputManager;
+    inputs.headlights = inputs.headlights === 2 ? 1 : 2;
+    console.log("High beam:", inputs.headlights === 2 ? "on" : "off");
+  }
+  
+  toggleCamera() {
+    this.cameraManager.toggleCameraMode();
+    console.log("Camera mode toggled to:", this.cameraManager.currentMode);
+  }
+  
+  toggleGearbox() {
+    // Passed to the simulation with the inputs, so recordings keep the mode
+    const manual = !this.inputManager.manualGearbox;
+    this.inputManager.manualGearbox = manual;
+    
+    document.getElementById('gearbox-toggle').textContent = `Gearbox: ${manual ? 'Manual' : 'Automatic'}`;
+    console.log("Gearbox mode:", manual ? "manual" : "automatic");
+  }
+  
+  togglePause() {
+    const paused = this.gameState.togglePause();
+    
+    this.settingsMenu.close();
+    document.getElementById('pause-menu').style.display = paused ? 'flex' : 'none';
+    console.log(paused ? "Game paused" : "Game resumed");
+  }
+  
   onWindowResize() {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
   
+  /**
+   * Advance the simulation by one fixed tick
+   * Inputs are sampled per tick so a run is reproducible at any frame rate.
+   * @param {number} fixedTimeStep - Tick length in seconds
+   */
+  fixedUpdate(fixedTimeStep) {
+    // Sample input for this tick
+    this.inputManager.update(fixedTimeStep);
+    
+    // Only use driver inputs if game has started, empty inputs otherwise
+    const inputs = this.gameStarted ? this.inputManager.getInputs() : { ...NEUTRAL_INPUTS };
+    
+    // Record the exact inputs this tick is simulated with
+    this.recorder.record(inputs);
+    
+    // Apply controls, step physics and store the state for interpolation
+    this.simulation.step(inputs);
+    
+    // Drive the ghost car with its recorded inputs
+    this.ghost.step();
+  }
+  
   animate() {
     requestAnimationFrame(() => this.animate());
     
+    // Camera toggle, pause and other one-shot actions, also while paused
+    this.inputManager.pollActions();
+    
     const delta = this.gameState.update();
     
-    // Update input manager first
-    this.inputManager.update(delta);
+    // Run as many fixed simulation ticks as the elapsed time allows
+    while (this.gameState.consumeTick()) {
+      this.fixedUpdate(this.gameState.fixedTimeStep);
+    }
     
-    // Update physics
-    this.physics.update(delta);
+    // Place vehicle meshes between the last two physics states
+    const alpha = this.gameState.getInterpolationAlpha();
+    this.vehicle.interpolate(alpha);
+    this.ghost.interpolate(alpha);
     
     // Get current vehicle speed
     const vehicleSpeed = this.vehicle.getSpeed();
     
-    // Only update vehicle controls if game has started
-    if (this.gameStarted) {
-      // Update vehicle with current inputs
-      this.vehicle.update(delta, this.inputManager.getInputs());
-    } else {
-      // Use empty inputs when game hasn't started yet
-      this.vehicle.update(delta, {
-        steering: 0,
-        throttle: 0,
-        brake: 0,
-        handbrake: false,
-        reverse: false,
-        boost: false
-      });
-    }
-    
     // Update camera
     this.cameraManager.update(delta);
     
-    // Update snow effect with current vehicle speed
+    // Fresh snow and tracks around the vehicle
+    this.snowTracks.update(this.vehicle.dynamics.chassisBody.position);
+    
+    // Flakes, fog and sky for the current weather and time of day
+    this.updateWeatherEffects();
+    this.updateDayNight(delta);
+    
+    // Update snow effect with current vehicle speed and the wind
+    const windVelocity = this.simulation.wind.getVelocity();
     if (this.snowEffect) {
       this.snowEffect.updateVehicleSpeed(vehicleSpeed);
+      this.snowEffect.setWind(windVelocity);
+      this.snowEffect.setObstacle(this.vehicle.chassis, this.vehicle.dynamics.chassisBody.velocity);
       this.snowEffect.update(delta);
     }
     
+    // Snow blown off the ground
+    this.blowingSnow.update(delta, this.camera.position, windVelocity);
+    
+    // Snow and spray from the wheels, steam from the exhaust
+    this.vehicleParticles.update(delta, this.vehicle, windVelocity);
+    
     // Update UI
     const speedElement = document.getElementById('speed');
     if (speedElement) {
       speedElement.textContent = `Speed: ${Math.round(vehicleSpeed)} km/h`;
     }
     
+    const powertrain = this.vehicle.powertrain;
+    const gearElement = document.getElementById('gear');
+    if (gearElement) {
+      gearElement.textContent = `Gear: ${powertrain.getGearLabel()} (${this.inputManager.manualGearbox ? 'Manual' : 'Auto'})`;
+    }
+    
+    const rpmElement = document.getElementById('rpm');
+    if (rpmElement) {
+      rpmElement.textContent = `RPM: ${Math.round(powertrain.rpm / 50) * 50}`;
+      rpmElement.style.color = powertrain.rpm >= powertrain.config.redlineRpm ? '#ff5555' : '';
+    }
+    
+    const clockElement = document.getElementById('clock');
+    if (clockElement) {
+      const beam = ['Off', 'Low beam', 'High beam'][this.inputManager.headlights];
+      clockElement.textContent = `Time: ${this.timeOfDay.getClock()} · Lights: ${beam}`;
+    }
+    
+    const windElement = document.getElementById('wind');
+    if (windElement) {
+      const windSpeed = Math.round(this.simulation.wind.getSpeed());
+      windElement.textContent = windSpeed > 0
+        ? `Wind: ${windSpeed} m/s from ${Math.round(this.simulation.wind.direction)}°`
+        : 'Wind: calm';
+    }
+    
+    // Assist lights: lit while intervening, struck through when switched off
+    const assists = this.vehicle.assists;
+    const activeAssists = assists.getActive();
+    document.querySelectorAll('.assist-indicator').forEach(indicator => {
+      const name = indicator.dataset.assist;
+      indicator.classList.toggle('active', assists.isEnabled(name) && activeAssists[name]);
+      indicator.classList.toggle('off', !assists.isEnabled(name));
+    });
+    
     // Render
     this.renderer.render(this.scene, this.camera);
   }
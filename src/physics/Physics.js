@@ -1,13 +1,25 @@
 import * as CANNON from 'cannon-es';
+import { getSurface, getSurfaces, DEFAULT_SURFACE_ID } from './Surfaces.js';
+
+const GRAVITY = 9.82; // m/s²
 
 /**
  * Physics simulation using cannon-es
  */
 export class Physics {
-  constructor() {
-    this.world = new CANNON.World();
+  /**
+   * @param {number} fixedTimeStep - Tick length the world is stepped with in seconds
+   */
+  constructor(fixedTimeStep = 1 / 60) {
+    // cannon-es caps each contact's friction impulse at mu * m * g, which is
+    // a force, not an impulse, so friction 60 times too strong at 60 Hz stops
+    // a chassis that touches the terrain dead, e.g. grounding on a chunk's
+    // crest or verge. Friction computed with the gravity scaled by the tick
+    // length is capped at mu * m * g * dt, the impulse of one tick.
+    this.world = new CANNON.World({ frictionGravity: new CANNON.Vec3(0, -GRAVITY * fixedTimeStep, 0) });
     this.bodies = [];
     this.vehicleBodies = [];
+    this.surfaceMaterials = {}; // Physics material per surface id
   }
   
   /**
@@ -15,31 +27,43 @@ export class Physics {
    */
   init() {
     // Set gravity for a realistic world
-    this.world.gravity.set(0, -9.82, 0);
+    this.world.gravity.set(0, -GRAVITY, 0);
     
     // Configure solver with better settings for vehicle physics
     this.world.solver.iterations = 30; // Increased from 20 for more accurate physics
     this.world.broadphase = new CANNON.SAPBroadphase(this.world); // Use Sweep-and-Prune for better performance
     this.world.defaultContactMaterial.friction = 0.2; // Increased from 0.05 for better traction
     
-    // Create material for snow/ice surfaces
-    this.snowMaterial = new CANNON.Material('snow');
+    // Material of the vehicle bodies
     this.tireMaterial = new CANNON.Material('tire');
     
-    // Create contact between snow and tires (slippery)
-    const snowTireContactMaterial = new CANNON.ContactMaterial(
-      this.snowMaterial,
-      this.tireMaterial,
-      {
-        friction: 0.3,          // Increased from 0.15 for better traction
-        restitution: 0.1,        // Low bounce
-        contactEquationStiffness: 1000,
-        contactEquationRelaxation: 3
+    // One material per registered surface, named after the surface id so
+    // bodies can be traced back to their surface
+    getSurfaces().forEach(surface => this.getSurfaceMaterial(surface.id));
+    
+    // Terrain without painted surfaces is packed snow
+    this.snowMaterial = this.getSurfaceMaterial(DEFAULT_SURFACE_ID);
+  }
+  
+  /**
+   * Get the physics material of a surface, creating it and its contact with
+   * the tire material on first use
+   * @param {string} id - Surface id from the surface registry
+   * @returns {CANNON.Material} Material named after the surface
+   */
+  getSurfaceMaterial(id) {
+    if (!this.surfaceMaterials[id]) {
+      const surface = getSurface(id);
+      if (!surface) {
+        throw new Error(`Unknown surface "${id}"`);
       }
-    );
+      
+      const material = new CANNON.Material(id);
+      this.world.addContactMaterial(new CANNON.ContactMaterial(material, this.tireMaterial, surface.contact));
+      this.surfaceMaterials[id] = material;
+    }
     
-    // Add the contact material to the world
-    this.world.addContactMaterial(snowTireContactMaterial);
+    return this.surfaceMaterials[id];
   }
   
   /**
@@ -108,25 +132,59 @@ export class Physics {
   }
   
   /**
-   * Update physics simulation
-   * @param {number} deltaTime - Time since last update in seconds
+   * Remove a vehicle constraint and its chassis body
+   * @param {CANNON.RaycastVehicle} vehicle - Vehicle created with createVehicle()
+   */
+  removeVehicle(vehicle) {
+    vehicle.removeFromWorld(this.world);
+    this.removeBody(vehicle.chassisBody);
+  }
+  
+  /**
+   * Advance the physics simulation by exactly one fixed tick
+   * Called from the fixed-step loop, so no internal sub-stepping or
+   * interpolation is done here; that keeps results frame-rate independent.
+   * @param {number} fixedTimeStep - Tick length in seconds
    */
-  update(deltaTime) {
-    // Step the physics world
-    this.world.step(1/60, deltaTime, 3);
+  update(fixedTimeStep) {
+    // Step the physics world once with the fixed tick length
+    this.world.step(fixedTimeStep);
   }
   
   /**
-   * Create a heightfield body from an array of height values
+   * Create a heightfield body from a grid of height values
+   * Rows run along z and columns along x from the grid's -x, -z corner:
+   * heightData[i][j] is the height at x + j * elementSize, z + i * elementSize.
+   * Without a corner the grid is centered on the origin.
    * @param {Array} heightData - 2D array of height values
    * @param {Object} options - Options for the heightfield
+   * @param {number} options.elementSize - Distance between grid points in m
+   * @param {number} options.x - World x of the first column in m
+   * @param {number} options.z - World z of the first row in m
    * @returns {CANNON.Body} Heightfield body
    */
   createTerrainBody(heightData, options = {}) {
-    const { elementSize = 1, maxHeight = 10, minHeight = 0 } = options;
+    const rows = heightData.length;
+    const columns = heightData[0].length;
+    const {
+      elementSize = 1,
+      x = -(columns - 1) * elementSize / 2,
+      z = -(rows - 1) * elementSize / 2
+    } = options;
+    
+    // Cannon's heightfield lies in its local x-y plane with heights along z.
+    // Rotated onto the ground its y axis points towards -z, so the rows are
+    // stored in reverse.
+    const data = [];
+    for (let j = 0; j < columns; j++) {
+      data.push([]);
+      for (let i = rows - 1; i >= 0; i--) {
+        data[j].push(heightData[i][j]);
+      }
+    }
     
     // Create heightfield shape
-    const heightfieldShape = new CANNON.Heightfield(heightData, {
+    const heightfieldShape = new CANNON.Heightfield(data, {
       elementSize
     });
     
@@ -135,20 +193,12 @@ export class Physics {
       mass: 0, // Static body
       material: this.snowMaterial
     });
+    heightfieldBody.addShape(heightfieldShape);
     
-    // Calculate position to center the heightfield
-    const sizeX = (heightData.length - 1) * elementSize;
-    const sizeZ = (heightData[0].length - 1) * elementSize;
-    
-    // Add heightfield shape and position it correctly
-    heightfieldBody.addShape(heightfieldShape, new CANNON.Vec3(
-      -sizeX / 2, 
-      (minHeight + maxHeight) / 2 - maxHeight, 
-      -sizeZ / 2
-    ));
-    
-    // Rotate to match Three.js coordinate system
+    // Rotate to match Three.js coordinate system, with the first row and
+    // column at the -x, -z corner
     heightfieldBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    heightfieldBody.position.set(x, 0, z + (rows - 1) * elementSize);
     
     // Ensure terrain has proper collision detection
     heightfieldBody.collisionFilterGroup = 1;
@@ -0,0 +1,161 @@
+/**
+ * Ground surfaces the vehicle can drive on
+ *
+ * Each surface defines:
+ * - `longitudinal` / `lateral`: tire friction curves, a simplified Pacejka
+ *   "magic formula" `mu = D * sin(C * atan(B * x - E * (B * x - atan(B * x))))`
+ *   where x is the slip ratio or the slip angle in radians. D is the peak
+ *   friction coefficient, B sets how quickly grip builds up with slip, and C
+ *   and E shape how much grip is left once the tire slides past the peak.
+ * - `rollingResistance`: rolling resistance coefficient (force per unit load)
+ * - `sinkage`: how deep a loaded wheel sinks in, in m
+ * - `contact`: cannon-es contact settings against the tire material, used when
+ *   the chassis itself touches the ground
+ * - `sound` / `particles`: names of the sounds and the particle style that
+ *   audio and effects should use for wheels rolling or skidding on it
+ */
+export const SURFACES = {
+  asphalt: {
+    id: 'asphalt',
+    label: 'Asphalt',
+    longitudinal: { B: 10, C: 1.9, D: 1.0, E: 0.97 },
+    lateral: { B: 14, C: 1.9, D: 0.95, E: 0.97 },
+    rollingResistance: 0.015,
+    sinkage: 0,
+    contact: {
+      friction: 1.2,
+      restitution: 0.01,
+      contactEquationStiffness: 1500,
+      contactEquationRelaxation: 4,
+      frictionEquationStiffness: 1000
+    },
+    sound: { rolling: 'asphalt-roll', skid: 'asphalt-skid' },
+    particles: { type: 'spray', color: 0x9a9a9a }
+  },
+  
+  packedSnow: {
+    id: 'packedSnow',
+    label: 'Packed snow',
+    longitudinal: { B: 5, C: 2.0, D: 0.3, E: 1.0 },
+    lateral: { B: 8, C: 2.0, D: 0.28, E: 1.0 },
+    rollingResistance: 0.025,
+    sinkage: 0.01,
+    contact: {
+      friction: 0.3,
+      restitution: 0.1,
+      contactEquationStiffness: 1000,
+      contactEquationRelaxation: 3
+    },
+    sound: { rolling: 'snow-crunch', skid: 'snow-skid' },
+    particles: { type: 'snow', color: 0xf4f8ff }
+  },
+  
+  freshPowder: {
+    id: 'freshPowder',
+    label: 'Fresh powder',
+    longitudinal: { B: 4, C: 1.8, D: 0.35, E: 0.8 },
+    lateral: { B: 6, C: 1.8, D: 0.25, E: 0.9 },
+    rollingResistance: 0.06,
+    sinkage: 0.08,
+    contact: {
+      friction: 0.4,
+      restitution: 0,
+      contactEquationStiffness: 800,
+      contactEquationRelaxation: 3
+    },
+    sound: { rolling: 'powder-roll', skid: 'powder-roll' },
+    particles: { type: 'powder', color: 0xffffff }
+  },
+  
+  ice: {
+    id: 'ice',
+    label: 'Ice',
+    longitudinal: { B: 4, C: 2.0, D: 0.1, E: 1.0 },
+    lateral: { B: 7, C: 2.0, D: 0.08, E: 1.0 },
+    rollingResistance: 0.01,
+    sinkage: 0,
+    contact: {
+      friction: 0.05,
+      restitution: 0.05,
+      contactEquationStiffness: 1000,
+      contactEquationRelaxation: 3
+    },
+    sound: { rolling: 'ice-roll', skid: 'ice-skid' },
+    particles: null
+  }
+};
+
+export const DEFAULT_SURFACE_ID = 'packedSnow';
+
+// Surfaces in registration order; the position is the surface's index in painted surface maps
+const surfaceList = Object.values(SURFACES);
+
+/**
+ * Add a surface to the registry, or replace one with the same id
+ * @param {Object} surface - Surface definition, see SURFACES
+ * @returns {Object} The registered surface
+ */
+export function registerSurface(surface) {
+  ['longitudinal', 'lateral'].forEach(key => {
+    if (!surface[key] || ['B', 'C', 'D', 'E'].some(coefficient => typeof surface[key][coefficient] !== 'number')) {
+      throw new Error(`Surface "${surface.id}" needs a ${key} friction curve with B, C, D and E`);
+    }
+  });
+  
+  const registered = {
+    rollingResistance: 0,
+    sinkage: 0,
+    contact: { friction: surface.longitudinal.D, restitution: 0 },
+    sound: null,
+    particles: null,
+    ...surface
+  };
+  
+  const index = surfaceList.findIndex(existing => existing.id === surface.id);
+  if (index === -1) {
+    surfaceList.push(registered);
+  } else {
+    surfaceList[index] = registered;
+  }
+  SURFACES[surface.id] = registered;
+  return registered;
+}
+
+/**
+ * Look up a surface by id
+ * @param {string} id - Surface id
+ * @returns {Object|null} Surface, or null if unknown
+ */
+export function getSurface(id) {
+  return SURFACES[id] || null;
+}
+
+/**
+ * Index of a surface in painted surface maps
+ * @param {string} id - Surface id
+ * @returns {number} Index
+ */
+export function getSurfaceIndex(id) {
+  const index = surfaceList.findIndex(surface => surface.id === id);
+  if (index === -1) {
+    throw new Error(`Unknown surface "${id}"`);
+  }
+  return index;
+}
+
+/**
+ * Look up a surface by its index in painted surface maps
+ * @param {number} index - Surface index
+ * @returns {Object|null} Surface, or null if unknown
+ */
+export function getSurfaceByIndex(index) {
+  return surfaceList[index] || null;
+}
+
+/**
+ * All registered surfaces
+ * @returns {Array<Object>} Surfaces in index order
+ */
+export function getSurfaces() {
+  return surfaceList.slice();
+} 
\ No newline at end of file
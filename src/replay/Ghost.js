@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import { Simulation } from '../core/Simulation.js';
+
+/**
+ * Ghost replays a Recording as a translucent car next to the live vehicle
+ *
+ * The ghost runs in its own headless Simulation, so it never collides with
+ * the live car, and it is stepped once per fixed tick with the recorded
+ * inputs, which reproduces the recorded run exactly.
+ */
+export class Ghost {
+  constructor(scene) {
+    this.scene = scene;
+    
+    // Replay state
+    this.recording = null;
+    this.simulation = null;
+    this.tick = 0;
+    this.active = false;      // Whether the ghost is currently driving
+    
+    // Visuals
+    this.chassis = null;      // Translucent clone of the vehicle model
+    this.wheels = [];         // Translucent clones of the wheel meshes
+    this.opacity = 0.35;
+    
+    // Scratch objects for interpolation
+    this.previousQuaternion = new THREE.Quaternion();
+    this.currentQuaternion = new THREE.Quaternion();
+    this.scratchPosition = new THREE.Vector3();
+    
+    // Model fix-ups of the cloned vehicle, see Vehicle.updateChassisFromPhysics()
+    this.modelQuaternion = new THREE.Quaternion();
+    this.modelOffset = new THREE.Vector3();
+  }
+  
+  /**
+   * Load a recording and place the ghost at its initial state
+   * @param {Recording} recording - Recording to replay
+   * @param {Vehicle} sourceVehicle - Live vehicle whose meshes are cloned
+   * @param {Heightmap} heightmap - Imported heights of the world the recording was driven in, if any
+   * @returns {Promise<Ghost>} Resolves when the ghost is ready to drive
+   */
+  async load(recording, sourceVehicle, heightmap = null) {
+    this.checkHeightmap(recording, heightmap);
+    this.clear();
+    
+    this.recording = recording;
+    
+    // Separate headless world for the ghost, grown from the recorded seed
+    // and driving the recorded car
+    this.simulation = new Simulation({
+      fixedTimeStep: recording.fixedTimeStep,
+      seed: recording.seed,
+      heightmap,
+      definition: recording.initialState.definition
+    });
+    this.simulation.vehicle.debugMode = false;
+    await this.simulation.init();
+    this.simulation.vehicle.restoreSnapshot(recording.initialState);
+    this.simulation.terrain.snow.restoreSnapshot(recording.snow);
+    this.simulation.wind.restoreSnapshot(recording.wind);
+    this.simulation.weather.restoreSnapshot(recording.weather);
+    
+    // Build translucent meshes from the live vehicle
+    this.createMeshes(sourceVehicle);
+    
+    this.tick = 0;
+    this.active = true;
+    console.log(`Ghost loaded: ${recording.length} ticks (${recording.getDuration().toFixed(1)}s)`);
+    
+    return this;
+  }
+  
+  /**
+   * Make sure the recording is replayed on the land it was driven on: the
+   * heightmap isn't stored in the recording, so the same one has to be
+   * imported, with the same placement
+   * @param {Recording} recording - Recording to replay
+   * @param {Heightmap} heightmap - Imported heights of the live world, if any
+   */
+  checkHeightmap(recording, heightmap) {
+    const recorded = recording.heightmap;
+    if (!recorded) {
+      if (heightmap) throw new Error("The recording was driven without a heightmap; clear the imported one to replay it");
+      return;
+    }
+    
+    // Any file name, as long as the samples are the same
+    const source = heightmap ? heightmap.getSource() : null;
+    const same = source && Object.keys(recorded).every(key => key === 'name' || recorded[key] === source[key]);
+    if (!same) {
+      throw new Error(`The recording was driven on the heightmap "${recorded.name}", ${recorded.size} m wide and ${recorded.verticalScale} m high at offset ${recorded.offset} m; import it with that placement to replay it`);
+    }
+  }
+  
+  /**
+   * Clone an object and make all its materials translucent
+   * @param {THREE.Object3D} object - Object to clone
+   * @returns {THREE.Object3D} Translucent clone
+   */
+  createTranslucentClone(object) {
+    // userData holds the physics body, which three.js cannot JSON-clone
+    const userData = object.userData;
+    object.userData = {};
+    const clone = object.clone(true);
+    object.userData = userData;
+    clone.visible = true;
+    
+    clone.traverse((child) => {
+      if (child.isMesh) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        const ghostMaterials = materials.map((material) => {
+          const ghostMaterial = material.clone();
+          ghostMaterial.transparent = true;
+          ghostMaterial.opacity = this.opacity;
+          ghostMaterial.depthWrite = false;
+          return ghostMaterial;
+        });
+        
+        child.material = Array.isArray(child.material) ? ghostMaterials : ghostMaterials[0];
+        child.castShadow = false;
+        child.receiveShadow = false;
+      }
+    });
+    
+    return clone;
+  }
+  
+  /**
+   * Create ghost meshes from the live vehicle
+   * @param {Vehicle} sourceVehicle - Live vehicle
+   */
+  createMeshes(sourceVehicle) {
+    this.chassis = this.createTranslucentClone(sourceVehicle.chassis);
+    this.scene.add(this.chassis);
+    this.modelQuaternion.copy(sourceVehicle.modelQuaternion);
+    this.modelOffset.copy(sourceVehicle.modelOffset);
+    
+    this.wheels = sourceVehicle.wheels.map((wheel) => {
+      const ghostWheel = this.createTranslucentClone(wheel);
+      this.scene.add(ghostWheel);
+      return ghostWheel;
+    });
+    
+    // Show the ghost at its initial state right away
+    this.interpolate(1);
+  }
+  
+  /**
+   * Advance the ghost by one fixed tick using the recorded inputs
+   */
+  step() {
+    if (!this.active) return;
+    
+    this.simulation.step(this.recording.getInputs(this.tick));
+    this.tick++;
+    
+    // Stop at the end of the recording, leaving the ghost where it finished
+    if (this.tick >= this.recording.length) {
+      this.active = false;
+      console.log("Ghost replay finished");
+    }
+  }
+  
+  /**
+   * Update ghost meshes between the last two physics states
+   * @param {number} alpha - Interpolation factor from 0 (previous) to 1 (current)
+   */
+  interpolate(alpha) {
+    if (!this.chassis) return;
+    
+    const { previousState, currentState } = this.simulation.vehicle;
+    
+    // Chassis, with the same model fix-ups as the live vehicle
+    this.previousQuaternion.copy(previousState.quaternion);
+    this.currentQuaternion.copy(currentState.quaternion);
+    this.chassis.quaternion.slerpQuaternions(this.previousQuaternion, this.currentQuaternion, alpha);
+    this.chassis.position.copy(this.modelOffset).applyQuaternion(this.chassis.quaternion);
+    this.chassis.position.add(this.scratchPosition.lerpVectors(previousState.position, currentState.position, alpha));
+    this.chassis.quaternion.multiply(this.modelQuaternion);
+    
+    // Wheels
+    this.wheels.forEach((wheel, i) => {
+      const previous = previousState.wheels[i];
+      const current = currentState.wheels[i];
+      if (!previous || !current) return;
+      
+      wheel.position.lerpVectors(previous.position, current.position, alpha);
+      this.previousQuaternion.copy(previous.quaternion);
+      this.currentQuaternion.copy(current.quaternion);
+      wheel.quaternion.slerpQuaternions(this.previousQuaternion, this.currentQuaternion, alpha);
+    });
+  }
+  
+  /**
+   * Remove the ghost from the scene
+   */
+  clear() {
+    if (this.chassis) {
+      this.scene.remove(this.chassis);
+    }
+    this.wheels.forEach(wheel => this.scene.remove(wheel));
+    
+    this.chassis = null;
+    this.wheels = [];
+    this.simulation = null;
+    this.recording = null;
+    this.active = false;
+  }
+} 
\ No newline at end of file
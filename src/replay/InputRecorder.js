@@ -0,0 +1,61 @@
+import { Recording } from './Recording.js';
+
+/**
+ * InputRecorder captures the inputs of every simulation tick into a Recording
+ */
+export class InputRecorder {
+  constructor() {
+    this.recording = null;     // Recording in progress
+    this.isRecording = false;
+  }
+  
+  /**
+   * Start a new recording
+   * Call between ticks so the snapshot is the state the next tick starts from.
+   * @param {VehicleDynamics} dynamics - Vehicle dynamics to snapshot
+   * @param {number} fixedTimeStep - Tick length in seconds
+   * @param {number} seed - World seed the run is driven in
+   * @param {Heightmap} heightmap - Imported heights the run is driven on, null for noise
+   * @param {SnowCover} snow - Snow the run is driven through, for its tracks so far
+   * @param {Wind} wind - Wind the run is driven in
+   * @param {Weather} weather - Weather the run is driven in, with its script
+   */
+  start(dynamics, fixedTimeStep, seed, heightmap, snow, wind, weather) {
+    const position = dynamics.chassisBody.position;
+    this.recording = new Recording({
+      fixedTimeStep,
+      seed,
+      heightmap: heightmap ? heightmap.getSource() : null,
+      initialState: dynamics.getSnapshot(),
+      snow: snow.getSnapshot(position.x, position.z),
+      wind: wind.getSnapshot(),
+      weather: weather.getSnapshot()
+    });
+    this.isRecording = true;
+    
+    console.log("Recording started");
+  }
+  
+  /**
+   * Record the inputs used for one tick
+   * @param {Object} inputs - Inputs passed to the simulation this tick
+   */
+  record(inputs) {
+    if (!this.isRecording) return;
+    this.recording.addInputs(inputs);
+  }
+  
+  /**
+   * Stop recording
+   * @returns {Recording} The finished recording
+   */
+  stop() {
+    this.isRecording = false;
+    
+    if (this.recording) {
+      console.log(`Recording stopped: ${this.recording.length} ticks (${this.recording.getDuration().toFixed(1)}s)`);
+    }
+    
+    return this.recording;
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,154 @@
+import { NEUTRAL_INPUTS } from '../controls/InputManager.js';
+
+/**
+ * Identifier and version of the recording file format
+ * Bump the version whenever the layout changes in an incompatible way, and
+ * note the change below. Older versions are rejected rather than filled in
+ * with defaults, since they would replay in a different world.
+ * - 1: vehicle state and inputs
+ * - 2: world seed, snow cover, wind and weather at the start, and the clutch,
+ *   gear shift and headlight inputs
+ * - 3: imported heightmap, see Heightmap.getSource()
+ * - 4: the tires' contact with the ground, see Tire.getSnapshot()
+ */
+export const RECORDING_FORMAT = 'winter-driving-recording';
+export const RECORDING_VERSION = 4;
+
+/**
+ * Recording holds a vehicle's initial state plus the inputs of every tick
+ * after it, which is enough to replay a run exactly.
+ *
+ * Inputs are stored compactly as one array per tick, in the order given by
+ * `inputFields`, with booleans stored as 0/1.
+ */
+export class Recording {
+  /**
+   * @param {Object} options - Recording data
+   * @param {number} options.fixedTimeStep - Tick length the run was recorded with
+   * @param {number} options.seed - World seed the run was recorded in
+   * @param {Object} options.heightmap - Source of the imported heightmap the run was recorded on, null for noise
+   * @param {Object} options.initialState - VehicleDynamics snapshot at the first tick
+   * @param {Object} options.snow - SnowCover snapshot around the vehicle at the first tick
+   * @param {Object} options.wind - Wind snapshot at the first tick
+   * @param {Object} options.weather - Weather snapshot at the first tick
+   * @param {Array<string>} options.inputFields - Names of the recorded input values
+   * @param {Array<Array<number>>} options.inputs - Per-tick input values
+   * @param {string} options.description - Optional note, e.g. for bug reports
+   * @param {string} options.createdAt - ISO timestamp
+   */
+  constructor(options = {}) {
+    this.fixedTimeStep = options.fixedTimeStep || 1 / 60;
+    this.seed = options.seed;
+    this.heightmap = options.heightmap || null;
+    this.initialState = options.initialState || null;
+    this.snow = options.snow || null;
+    this.wind = options.wind || null;
+    this.weather = options.weather || null;
+    this.inputFields = options.inputFields || Object.keys(NEUTRAL_INPUTS);
+    this.inputs = options.inputs || [];
+    this.description = options.description || '';
+    this.createdAt = options.createdAt || new Date().toISOString();
+  }
+  
+  /**
+   * Number of recorded ticks
+   * @returns {number} Tick count
+   */
+  get length() {
+    return this.inputs.length;
+  }
+  
+  /**
+   * Duration of the recording
+   * @returns {number} Duration in seconds
+   */
+  getDuration() {
+    return this.inputs.length * this.fixedTimeStep;
+  }
+  
+  /**
+   * Append the inputs of one tick
+   * @param {Object} inputs - Inputs as returned by InputManager.getInputs()
+   */
+  addInputs(inputs) {
+    this.inputs.push(this.inputFields.map(field => {
+      const value = inputs[field];
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      return value || 0;
+    }));
+  }
+  
+  /**
+   * Get the inputs of a recorded tick
+   * Ticks past the end of the recording return neutral inputs.
+   * @param {number} tick - Tick index
+   * @returns {Object} Inputs for that tick
+   */
+  getInputs(tick) {
+    const inputs = { ...NEUTRAL_INPUTS };
+    const values = this.inputs[tick];
+    if (!values) return inputs;
+    
+    this.inputFields.forEach((field, index) => {
+      inputs[field] = typeof NEUTRAL_INPUTS[field] === 'boolean' ? Boolean(values[index]) : values[index];
+    });
+    
+    return inputs;
+  }
+  
+  /**
+   * Convert to the versioned JSON file structure
+   * @returns {Object} Serializable recording
+   */
+  toJSON() {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      createdAt: this.createdAt,
+      description: this.description,
+      fixedTimeStep: this.fixedTimeStep,
+      seed: this.seed,
+      heightmap: this.heightmap,
+      initialState: this.initialState,
+      snow: this.snow,
+      wind: this.wind,
+      weather: this.weather,
+      inputFields: this.inputFields,
+      inputs: this.inputs
+    };
+  }
+  
+  /**
+   * Create a recording from parsed JSON file contents
+   * @param {Object|string} data - Parsed JSON object or JSON text
+   * @returns {Recording} The recording
+   */
+  static fromJSON(data) {
+    if (typeof data === 'string') {
+      data = JSON.parse(data);
+    }
+    
+    if (!data || data.format !== RECORDING_FORMAT) {
+      throw new Error("Not a winter driving recording");
+    }
+    
+    if (data.version !== RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version ${data.version} (expected ${RECORDING_VERSION})`);
+    }
+    
+    if (!data.initialState || !Array.isArray(data.inputFields) || !Array.isArray(data.inputs)) {
+      throw new Error("Recording is missing its initial state or inputs");
+    }
+    
+    if (!Number.isInteger(data.seed) || data.heightmap === undefined || !data.snow || !data.wind || !data.weather) {
+      throw new Error("Recording is missing its world seed, heightmap, snow, wind or weather");
+    }
+    
+    const missing = Object.keys(NEUTRAL_INPUTS).filter(field => !data.inputFields.includes(field));
+    if (missing.length > 0) {
+      throw new Error(`Recording is missing the inputs ${missing.join(', ')}`);
+    }
+    
+    return new Recording(data);
+  }
+} 
\ No newline at end of file
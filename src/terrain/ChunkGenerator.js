@@ -0,0 +1,385 @@
+import { getSurfaceIndex } from '../physics/Surfaces.js';
+import { RoadNetwork } from './RoadNetwork.js';
+import { SimplexNoise } from './Noise.js';
+import { Heightmap } from './Heightmap.js';
+import { mixSeed } from './Random.js';
+
+const NOISE_STREAM = 0x7E44A1; // Random stream of the terrain noise, apart from the roads'
+
+/**
+ * Merge ribbons into flat typed arrays
+ * @param {Array<Object>} ribbons - Ribbons from Road.getRibbon()
+ * @returns {Object} `{ vertices, indices }` as a Float32Array and a Uint32Array
+ */
+function mergeRibbons(ribbons) {
+  const vertices = [];
+  const indices = [];
+  ribbons.forEach(ribbon => {
+    const first = vertices.length / 3;
+    vertices.push(...ribbon.vertices);
+    ribbon.indices.forEach(index => indices.push(first + index));
+  });
+  return { vertices: new Float32Array(vertices), indices: new Uint32Array(indices) };
+}
+
+/**
+ * ChunkGenerator turns a seed into square terrain chunks: height data
+ * flattened along the road network, painted surfaces and road ribbons
+ *
+ * It only produces plain data, so it also runs in a web worker. A chunk
+ * comes out the same whichever chunks were generated before it, and
+ * neighbouring chunks share the height data points along their edges.
+ * Chunk (0, 0) is centered on the origin.
+ */
+export class ChunkGenerator {
+  /**
+   * @param {Object} options - Terrain settings
+   * @param {number} options.seed - Terrain seed
+   * @param {number} options.chunkSize - Chunk size in m
+   * @param {number} options.resolution - Height data points per chunk side, an odd number
+   * @param {Heightmap} options.heightmap - Imported heights to use instead of the noise
+   */
+  constructor(options = {}) {
+    // Terrain settings
+    this.seed = options.seed ?? 1;
+    this.chunkSize = options.chunkSize ?? 100;
+    this.resolution = options.resolution ?? 65;
+    this.featureSize = 300;    // Width of the hills in m
+    this.hillHeight = 10;      // Height of the rolling hills in m
+    this.ridgeHeight = 16;     // Height of the mountain ridges on top of the hills in m
+    this.ridgeCover = 0.4;     // Share of the land with ridges, 0 to 1
+    this.warpStrength = 0.35;  // How far the hills bend and swirl, in hill widths
+    
+    // Road settings
+    this.shoulderWidth = 1.5;  // Flat ground beside the paved road in m
+    this.blendWidth = 12;      // Distance over which the terrain rises or falls back to its own height in m
+    this.vergeWidth = 4;       // Packed snow beside the road in m
+    this.roadSink = 0.05;      // Depth of the terrain below the road surface, so wheels hit the road colliders
+    this.colliderMargin = 0.5; // Road collider width past the paved edge in m
+    
+    // Surface settings
+    this.blackIceStart = 80;               // Distance along the main road of the first black ice patch in m
+    this.blackIceSpacing = 120;            // Distance between black ice patches in m
+    this.blackIceRadius = 5;               // Patch radius in m
+    
+    // Seeded noise, so a seed always grows the same land
+    this.terrainNoise = new SimplexNoise(mixSeed(this.seed, NOISE_STREAM));
+    
+    // Imported heights replace the noise, also when cloned into a worker
+    this.heightmap = options.heightmap ? new Heightmap(options.heightmap) : null;
+    
+    // Spline roads with junctions, hairpins and crests
+    this.roadNetwork = new RoadNetwork({ seed: this.seed, reach: this.shoulderWidth + this.blendWidth });
+    this.roadNetwork.generate((x, z) => this.getNaturalHeight(x, z));
+  }
+  
+  /**
+   * Height of the terrain before it is flattened for the roads
+   * Domain warped rolling hills, with ridged mountains rising where a broad
+   * mask noise is high, unless a heightmap was imported.
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @returns {number} Height in m
+   */
+  getNaturalHeight(x, z) {
+    if (this.heightmap) {
+      return this.heightmap.getHeightAt(x, z);
+    }
+    
+    const noise = this.terrainNoise;
+    const { x: u, y: v } = noise.warp(x / this.featureSize, z / this.featureSize, { strength: this.warpStrength });
+    const hills = noise.fractal(u, v, { octaves: 5 }) * 0.5 + 0.5;
+    
+    // Fade the ridges in and out over broad regions
+    const region = noise.noise(x / this.featureSize / 4 - 50, z / this.featureSize / 4 + 50) * 0.5 + 0.5;
+    const edge = 1 - this.ridgeCover;
+    const fade = Math.min(1, Math.max(0, (region - edge + 0.1) / 0.2));
+    const mask = fade * fade * (3 - 2 * fade);
+    const ridges = mask > 0 ? noise.ridged(u * 0.6 + 100, v * 0.6 - 100, { octaves: 4 }) : 0;
+    
+    return hills * this.hillHeight + ridges * mask * this.ridgeHeight;
+  }
+  
+  /**
+   * World position of a height data point
+   * Points are laid out row by row from the chunk's -x, -z corner, like the
+   * terrain meshes and heightfields; positions come from one grid across all
+   * chunks, so shared edge points match exactly.
+   * @param {number} cx - Chunk column
+   * @param {number} cz - Chunk row
+   * @param {number} i - Row index (along z)
+   * @param {number} j - Column index (along x)
+   * @returns {Object} `{ x, z }` in m
+   */
+  getCellPosition(cx, cz, i, j) {
+    const cells = this.resolution - 1;
+    const step = this.chunkSize / cells;
+    return {
+      x: (cx * cells - cells / 2 + j) * step,
+      z: (cz * cells - cells / 2 + i) * step
+    };
+  }
+  
+  /**
+   * Generate one chunk
+   * @param {number} cx - Chunk column, along x
+   * @param {number} cz - Chunk row, along z
+   * @returns {Object} `{ cx, cz, heights, normals, roadEdges, surfaces, roads,
+   *   markings, colliders }`: per height data point the height, vertex
+   *   normal, distance to the nearest paved road edge and surface index, and
+   *   the ribbons of the road pieces starting in the chunk
+   */
+  generateChunk(cx, cz) {
+    const resolution = this.resolution;
+    const step = this.chunkSize / (resolution - 1);
+    const minX = (cx - 0.5) * this.chunkSize;
+    const minZ = (cz - 0.5) * this.chunkSize;
+    
+    // Every road near the chunk has to be laid out first
+    this.roadNetwork.extendTo(minZ - step);
+    const segments = this.roadNetwork.getSegments(minX - step, minZ - step, minX + this.chunkSize + step, minZ + this.chunkSize + step);
+    
+    // Heights with a border of one point from the neighbouring chunks, for
+    // the normals along the edges
+    const { heights, roadEdges } = this.generateHeightData(cx, cz, segments);
+    const span = resolution + 2;
+    const chunk = {
+      cx,
+      cz,
+      heights: new Float64Array(resolution * resolution),
+      normals: new Float32Array(resolution * resolution * 3),
+      roadEdges: new Float32Array(resolution * resolution),
+      surfaces: null
+    };
+    
+    for (let i = 0; i < resolution; i++) {
+      for (let j = 0; j < resolution; j++) {
+        const cell = i * resolution + j;
+        const border = (i + 1) * span + j + 1;
+        chunk.heights[cell] = heights[border];
+        chunk.roadEdges[cell] = roadEdges[border];
+        
+        // Central differences
+        const slopeX = (heights[border + 1] - heights[border - 1]) / (2 * step);
+        const slopeZ = (heights[border + span] - heights[border - span]) / (2 * step);
+        const length = Math.hypot(slopeX, 1, slopeZ);
+        chunk.normals[cell * 3] = -slopeX / length;
+        chunk.normals[cell * 3 + 1] = 1 / length;
+        chunk.normals[cell * 3 + 2] = -slopeZ / length;
+      }
+    }
+    
+    chunk.surfaces = this.generateSurfaceData(cx, cz, chunk.roadEdges, segments);
+    return { ...chunk, ...this.generateRoadRibbons(minX, minZ, segments) };
+  }
+  
+  /**
+   * Generate height data for a chunk and its border, flattened along the roads
+   * @param {number} cx - Chunk column
+   * @param {number} cz - Chunk row
+   * @param {Array<Object>} segments - Road segments near the chunk, from RoadNetwork.getSegments()
+   * @returns {Object} `{ heights, roadEdges }` for (resolution + 2)² points
+   */
+  generateHeightData(cx, cz, segments) {
+    const span = this.resolution + 2;
+    const step = this.chunkSize / (this.resolution - 1);
+    const corner = this.getCellPosition(cx, cz, -1, -1);
+    const reach = this.shoulderWidth + this.blendWidth;
+    
+    // Road height near each point, weighted towards the closest road so the
+    // ground between two roads blends smoothly from one to the other
+    const heightSums = new Float64Array(span * span);
+    const weightSums = new Float64Array(span * span);
+    const roadEdges = new Float32Array(span * span).fill(Infinity);
+    
+    segments.forEach(({ road, k }) => {
+      const halfWidth = road.width / 2;
+      const a = road.samples[k];
+      const b = road.samples[k + 1];
+      const segmentX = b.x - a.x;
+      const segmentZ = b.z - a.z;
+      const lengthSquared = segmentX * segmentX + segmentZ * segmentZ || 1;
+      
+      // Points within reach of this segment
+      const radius = halfWidth + reach;
+      const minI = Math.max(0, Math.floor((Math.min(a.z, b.z) - radius - corner.z) / step));
+      const maxI = Math.min(span - 1, Math.ceil((Math.max(a.z, b.z) + radius - corner.z) / step));
+      const minJ = Math.max(0, Math.floor((Math.min(a.x, b.x) - radius - corner.x) / step));
+      const maxJ = Math.min(span - 1, Math.ceil((Math.max(a.x, b.x) + radius - corner.x) / step));
+      
+      for (let i = minI; i <= maxI; i++) {
+        for (let j = minJ; j <= maxJ; j++) {
+          const { x, z } = this.getCellPosition(cx, cz, i - 1, j - 1);
+          const t = Math.max(0, Math.min(1, ((x - a.x) * segmentX + (z - a.z) * segmentZ) / lengthSquared));
+          const edge = Math.hypot(x - a.x - segmentX * t, z - a.z - segmentZ * t) - halfWidth;
+          if (edge >= reach) continue;
+          
+          const cell = i * span + j;
+          const falloff = (reach - edge) / reach;
+          const weight = falloff * falloff / (Math.max(0, edge) ** 2 + 0.25) ** 2;
+          heightSums[cell] += weight * (a.y + (b.y - a.y) * t);
+          weightSums[cell] += weight;
+          roadEdges[cell] = Math.min(roadEdges[cell], edge);
+        }
+      }
+    });
+    
+    const heights = new Float64Array(span * span);
+    for (let i = 0; i < span; i++) {
+      for (let j = 0; j < span; j++) {
+        const { x, z } = this.getCellPosition(cx, cz, i - 1, j - 1);
+        const cell = i * span + j;
+        let height = this.getNaturalHeight(x, z);
+        
+        // Flat under the road and its shoulders, then a smooth transition
+        // back to the terrain
+        if (weightSums[cell] > 0) {
+          const roadHeight = heightSums[cell] / weightSums[cell] - this.roadSink;
+          const t = Math.max(0, Math.min(1, (roadEdges[cell] - this.shoulderWidth) / this.blendWidth));
+          height = roadHeight + (height - roadHeight) * t * t * (3 - 2 * t);
+        }
+        
+        heights[cell] = height;
+      }
+    }
+    
+    return { heights, roadEdges };
+  }
+  
+  /**
+   * Paint the default surfaces: asphalt on the roads with black ice patches,
+   * packed snow on the verges and deep powder off-road
+   * @param {number} cx - Chunk column
+   * @param {number} cz - Chunk row
+   * @param {Float32Array} roadEdges - Distance from each point to the nearest paved road edge
+   * @param {Array<Object>} segments - Road segments near the chunk
+   * @returns {Uint8Array} Surface index per height data point
+   */
+  generateSurfaceData(cx, cz, roadEdges, segments) {
+    const resolution = this.resolution;
+    const surfaces = new Uint8Array(resolution * resolution);
+    
+    const asphalt = getSurfaceIndex('asphalt');
+    const packedSnow = getSurfaceIndex('packedSnow');
+    const freshPowder = getSurfaceIndex('freshPowder');
+    const ice = getSurfaceIndex('ice');
+    
+    roadEdges.forEach((edge, cell) => {
+      let surface = freshPowder;
+      if (edge < 0) {
+        surface = asphalt;
+      } else if (edge < this.vergeWidth) {
+        surface = packedSnow;
+      }
+      surfaces[cell] = surface;
+    });
+    
+    // Black ice patches spread along the main road, past the spawn point
+    const main = this.roadNetwork.roads[0];
+    const distances = segments.filter(segment => segment.road === main).map(segment => main.samples[segment.k].distance);
+    if (distances.length === 0) return surfaces;
+    
+    const first = Math.max(0, Math.floor((Math.min(...distances) - this.blackIceStart) / this.blackIceSpacing) - 1);
+    const last = Math.ceil((Math.max(...distances) - this.blackIceStart) / this.blackIceSpacing) + 1;
+    for (let k = first; k <= last; k++) {
+      const point = main.getPointAt(this.blackIceStart + k * this.blackIceSpacing);
+      const offset = Math.sin(k * 2.4) * main.width * 0.25;
+      const x = point.x - point.dirZ * offset;
+      const z = point.z + point.dirX * offset;
+      
+      for (let i = 0; i < resolution; i++) {
+        for (let j = 0; j < resolution; j++) {
+          const cell = this.getCellPosition(cx, cz, i, j);
+          if (Math.hypot(cell.x - x, cell.z - z) <= this.blackIceRadius) {
+            surfaces[i * resolution + j] = ice;
+          }
+        }
+      }
+    }
+    
+    return surfaces;
+  }
+  
+  /**
+   * Ribbons of the road pieces whose segments start in the chunk: the paved
+   * surface, the markings and the wheel colliders
+   * Pieces end on the same samples as their neighbours in the next chunk, so
+   * roads continue seamlessly across chunk borders.
+   * @param {number} minX - West edge of the chunk in m
+   * @param {number} minZ - North edge of the chunk in m
+   * @param {Array<Object>} segments - Road segments near the chunk
+   * @returns {Object} `{ roads, markings, colliders }` as merged ribbons
+   */
+  generateRoadRibbons(minX, minZ, segments) {
+    // Runs of consecutive segments of one road
+    const pieces = [];
+    segments.forEach(({ road, k }) => {
+      const a = road.samples[k];
+      if (a.x < minX || a.x >= minX + this.chunkSize || a.z < minZ || a.z >= minZ + this.chunkSize) return;
+      
+      const last = pieces[pieces.length - 1];
+      if (last && last.road === road && last.end === k) {
+        last.end = k + 1;
+        last.to = road.samples[k + 1].distance;
+      } else {
+        pieces.push({ road, end: k + 1, from: a.distance, to: road.samples[k + 1].distance });
+      }
+    });
+    
+    const roads = [];
+    const markings = [];
+    const colliders = [];
+    pieces.forEach(({ road, from, to }) => {
+      // Road slightly above terrain to prevent z-fighting
+      const halfWidth = road.width / 2;
+      roads.push(road.getRibbon(-halfWidth, halfWidth, 0.02, from, to));
+      colliders.push(road.getRibbon(-halfWidth - this.colliderMargin, halfWidth + this.colliderMargin, 0, from, to));
+      markings.push(...this.getMarkingRibbons(road, from, to));
+    });
+    
+    return { roads: mergeRibbons(roads), markings: mergeRibbons(markings), colliders: mergeRibbons(colliders) };
+  }
+  
+  /**
+   * Road markings of a piece of road: a dashed center line and solid edge
+   * lines, broken where branch roads join
+   * @param {Road} road - Road from the road network
+   * @param {number} from - Start distance along the road in m
+   * @param {number} to - End distance along the road in m
+   * @returns {Array<Object>} Ribbons
+   */
+  getMarkingRibbons(road, from, to) {
+    const lineWidth = 0.15;
+    const lift = 0.03; // Slightly above road
+    const ribbons = [];
+    
+    // Dashed center line, spaced from the road's start
+    const dashLength = 3;
+    const dashGap = 6;
+    const period = dashLength + dashGap;
+    for (let start = Math.ceil(from / period) * period; start < to && start + dashLength <= road.length; start += period) {
+      ribbons.push(road.getRibbon(-lineWidth / 2, lineWidth / 2, lift, start, start + dashLength));
+    }
+    
+    // Solid edge lines, 0.3 m in from each edge
+    const inset = road.width / 2 - 0.3;
+    [-1, 1].forEach(side => {
+      // Gaps for the junctions on this side
+      const gaps = road.junctions
+        .filter(junction => junction.side === side)
+        .map(junction => [junction.distance - junction.width / 2 - 2, junction.distance + junction.width / 2 + 2])
+        .sort((a, b) => a[0] - b[0]);
+      
+      let start = from;
+      [...gaps, [to, to]].forEach(([gapStart, gapEnd]) => {
+        const end = Math.min(gapStart, to);
+        if (end > start) {
+          ribbons.push(road.getRibbon(side * inset - lineWidth / 2, side * inset + lineWidth / 2, lift, start, end));
+        }
+        start = Math.max(start, gapEnd);
+      });
+    });
+    
+    return ribbons;
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,22 @@
+import { ChunkGenerator } from './ChunkGenerator.js';
+
+/**
+ * Web worker generating terrain chunks off the main thread
+ *
+ * Messages in: `{ type: 'init', options }` with the ChunkGenerator options,
+ * then `{ type: 'chunk', cx, cz }` per chunk. Each chunk is posted back as
+ * generated by ChunkGenerator.generateChunk(), with its arrays transferred.
+ */
+let generator = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'init') {
+    generator = new ChunkGenerator(data.options);
+  } else if (data.type === 'chunk') {
+    const chunk = generator.generateChunk(data.cx, data.cz);
+    const buffers = [chunk.heights, chunk.normals, chunk.roadEdges, chunk.surfaces]
+      .concat(...['roads', 'markings', 'colliders'].map(name => [chunk[name].vertices, chunk[name].indices]))
+      .map(array => array.buffer);
+    self.postMessage(chunk, buffers);
+  }
+}; 
\ No newline at end of file
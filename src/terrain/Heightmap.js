@@ -0,0 +1,337 @@
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }; // Channels per PNG color type
+
+/**
+ * Inflate zlib compressed data
+ * Uses DecompressionStream, available in browsers and in Node 18+.
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} Inflated data
+ */
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Paeth predictor of the PNG filters
+ * @param {number} left - Byte to the left
+ * @param {number} up - Byte above
+ * @param {number} upLeft - Byte above to the left
+ * @returns {number} Predicted byte
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+/**
+ * Decode a PNG image to heights
+ * Reads 8 and 16 bit grayscale images, and uses the first (red) channel of
+ * color images. Canvas decoding would cut 16 bit images down to 8 bits,
+ * hence the own decoder.
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {Promise<Object>} `{ columns, rows, values }` with values in [0, 1]
+ */
+async function decodePNG(bytes) {
+  if (!PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+    throw new Error("Not a PNG image");
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [];
+  let header = null;
+  
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const start = offset + 8;
+    const data = bytes.subarray(start, start + length);
+    offset += length + 12;
+    
+    if (type === 'IHDR') {
+      header = {
+        columns: view.getUint32(start),
+        rows: view.getUint32(start + 4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'IDAT') {
+      parts.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  
+  if (!header) {
+    throw new Error("PNG image has no header");
+  }
+  
+  const { columns, rows, bitDepth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(`Unsupported PNG format (color type ${colorType}, ${bitDepth} bit), use 8 or 16 bit grayscale`);
+  }
+  if (interlace) {
+    throw new Error("Interlaced PNG images are not supported");
+  }
+  
+  // Join the compressed parts and inflate them
+  const compressed = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    compressed.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  const filtered = await inflate(compressed);
+  
+  // Undo the per row filters in place
+  const pixelBytes = channels * bitDepth / 8;
+  const stride = columns * pixelBytes;
+  if (filtered.length < rows * (stride + 1)) {
+    throw new Error("PNG image data is truncated");
+  }
+  
+  const pixels = new Uint8Array(rows * stride);
+  for (let i = 0; i < rows; i++) {
+    const filter = filtered[i * (stride + 1)];
+    const source = filtered.subarray(i * (stride + 1) + 1, (i + 1) * (stride + 1));
+    const row = i * stride;
+    
+    for (let k = 0; k < stride; k++) {
+      const left = k >= pixelBytes ? pixels[row + k - pixelBytes] : 0;
+      const up = i > 0 ? pixels[row - stride + k] : 0;
+      const upLeft = i > 0 && k >= pixelBytes ? pixels[row - stride + k - pixelBytes] : 0;
+      
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) predicted = paeth(left, up, upLeft);
+      
+      pixels[row + k] = (source[k] + predicted) & 255;
+    }
+  }
+  
+  // First channel of every pixel, 16 bit samples are big-endian
+  const values = new Float32Array(columns * rows);
+  for (let p = 0; p < values.length; p++) {
+    const index = p * pixelBytes;
+    values[p] = bitDepth === 16
+      ? ((pixels[index] << 8) | pixels[index + 1]) / 65535
+      : pixels[index] / 255;
+  }
+  
+  return { columns, rows, values };
+}
+
+/**
+ * Decode a binary (P5) or plain (P2) PGM image to heights
+ * Images with a maximum value above 255 hold 16 bit big-endian samples.
+ * @param {Uint8Array} bytes - PGM file contents
+ * @returns {Object} `{ columns, rows, values }` with values in [0, 1]
+ */
+function decodePGM(bytes) {
+  // Header: magic number, width, height and maximum value, separated by
+  // whitespace, with comments running from # to the end of the line
+  const fields = [];
+  let offset = 0;
+  while (fields.length < 4 && offset < bytes.length) {
+    const char = String.fromCharCode(bytes[offset]);
+    if (char === '#') {
+      while (offset < bytes.length && bytes[offset] !== 10) offset++;
+    } else if (/\s/.test(char)) {
+      offset++;
+    } else {
+      let field = '';
+      while (offset < bytes.length && !/\s/.test(String.fromCharCode(bytes[offset]))) {
+        field += String.fromCharCode(bytes[offset++]);
+      }
+      fields.push(field);
+    }
+  }
+  
+  const [magic, columns, rows, maxValue] = [fields[0], ...fields.slice(1).map(Number)];
+  if (magic !== 'P5' && magic !== 'P2') {
+    throw new Error("Not a PGM image");
+  }
+  if (!(columns > 0 && rows > 0 && maxValue > 0 && maxValue < 65536)) {
+    throw new Error("PGM image has an invalid header");
+  }
+  
+  const values = new Float32Array(columns * rows);
+  if (magic === 'P2') {
+    // Plain: whitespace separated decimal samples
+    const samples = new TextDecoder().decode(bytes.subarray(offset)).replace(/#.*$/gm, '').trim().split(/\s+/);
+    if (samples.length < values.length) {
+      throw new Error("PGM image data is truncated");
+    }
+    values.forEach((_, p) => { values[p] = Number(samples[p]) / maxValue; });
+  } else {
+    // Binary: the samples start after one whitespace byte
+    const start = offset + 1;
+    const sampleBytes = maxValue > 255 ? 2 : 1;
+    if (bytes.length < start + values.length * sampleBytes) {
+      throw new Error("PGM image data is truncated");
+    }
+    values.forEach((_, p) => {
+      const index = start + p * sampleBytes;
+      values[p] = (sampleBytes === 2 ? (bytes[index] << 8) | bytes[index + 1] : bytes[index]) / maxValue;
+    });
+  }
+  
+  return { columns, rows, values };
+}
+
+/**
+ * Decode headerless RAW samples to heights
+ * Without a size the image is taken to be square.
+ * @param {Uint8Array} bytes - RAW file contents
+ * @param {Object} options - Layout of the samples
+ * @param {number} options.columns - Samples per row
+ * @param {number} options.rows - Number of rows
+ * @param {number} options.bitDepth - 8 or 16 bits per sample
+ * @param {boolean} options.littleEndian - Byte order of 16 bit samples
+ * @returns {Object} `{ columns, rows, values }` with values in [0, 1]
+ */
+function decodeRAW(bytes, { columns, rows, bitDepth = 16, littleEndian = true } = {}) {
+  const sampleBytes = bitDepth / 8;
+  if (sampleBytes !== 1 && sampleBytes !== 2) {
+    throw new Error(`Unsupported RAW bit depth ${bitDepth}, use 8 or 16`);
+  }
+  
+  const count = Math.floor(bytes.length / sampleBytes);
+  columns = columns || (rows ? count / rows : Math.sqrt(count));
+  rows = rows || count / columns;
+  if (!Number.isInteger(columns) || !Number.isInteger(rows) || columns * rows * sampleBytes !== bytes.length) {
+    throw new Error(`RAW file of ${bytes.length} bytes does not hold ${bitDepth} bit samples of the given size; pass its columns and rows`);
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const values = new Float32Array(columns * rows);
+  values.forEach((_, p) => {
+    values[p] = sampleBytes === 2 ? view.getUint16(p * 2, littleEndian) / 65535 : bytes[p] / 255;
+  });
+  
+  return { columns, rows, values };
+}
+
+/**
+ * Heightmap holds imported elevation data placed in the world, e.g. a real
+ * mountain pass, for the terrain to use instead of procedural noise
+ *
+ * The image is centered on the origin with its top edge to the north (-z)
+ * and its columns along x. Heights between samples are interpolated; past
+ * the edges the border samples carry on.
+ */
+export class Heightmap {
+  /**
+   * @param {Object} options - Heightmap data and placement; a heightmap
+   *   cloned to a worker can be passed back in as is
+   * @param {number} options.columns - Samples per row
+   * @param {number} options.rows - Number of rows
+   * @param {Float32Array} options.values - Samples row by row, in [0, 1]
+   * @param {number} options.size - World size along x in m; the size along z follows the image's aspect
+   * @param {number} options.verticalScale - Height of a full scale sample in m
+   * @param {number} options.offset - Height of a zero sample in m
+   * @param {string} options.name - File the samples were read from
+   */
+  constructor({ columns, rows, values, size = 1000, verticalScale = 100, offset = 0, name = '' }) {
+    if (!(columns >= 2 && rows >= 2) || values.length !== columns * rows) {
+      throw new Error("Heightmap needs at least 2 x 2 samples");
+    }
+    
+    this.columns = columns;
+    this.rows = rows;
+    this.values = values;
+    this.size = size;
+    this.verticalScale = verticalScale;
+    this.offset = offset;
+    this.name = name;
+  }
+  
+  /**
+   * The samples and their placement, with a checksum standing in for the
+   * samples, for recordings to check they replay on the same land
+   * @returns {Object} `{ name, columns, rows, checksum, size, verticalScale, offset }`
+   */
+  getSource() {
+    // FNV-1a over the samples' bytes
+    const bytes = new Uint8Array(this.values.buffer, this.values.byteOffset, this.values.byteLength);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < bytes.length; i++) {
+      hash = Math.imul(hash ^ bytes[i], 0x01000193);
+    }
+    
+    return {
+      name: this.name,
+      columns: this.columns,
+      rows: this.rows,
+      checksum: hash >>> 0,
+      size: this.size,
+      verticalScale: this.verticalScale,
+      offset: this.offset
+    };
+  }
+  
+  /**
+   * Distance between samples
+   * @returns {number} Sample spacing in m
+   */
+  get spacing() {
+    return this.size / (this.columns - 1);
+  }
+  
+  /**
+   * Terrain height at a world position
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @returns {number} Height in m
+   */
+  getHeightAt(x, z) {
+    const spacing = this.spacing;
+    const u = Math.min(this.columns - 1, Math.max(0, x / spacing + (this.columns - 1) / 2));
+    const v = Math.min(this.rows - 1, Math.max(0, z / spacing + (this.rows - 1) / 2));
+    const column = Math.min(this.columns - 2, Math.floor(u));
+    const row = Math.min(this.rows - 2, Math.floor(v));
+    const s = u - column;
+    const t = v - row;
+    
+    const index = row * this.columns + column;
+    const values = this.values;
+    const top = values[index] * (1 - s) + values[index + 1] * s;
+    const bottom = values[index + this.columns] * (1 - s) + values[index + this.columns + 1] * s;
+    return (top * (1 - t) + bottom * t) * this.verticalScale + this.offset;
+  }
+  
+  /**
+   * Read a heightmap from a file's contents, by its extension: .png, .pgm,
+   * or .raw / .r16 / .r8 for headerless samples
+   * @param {string} name - File name
+   * @param {ArrayBuffer|Uint8Array} data - File contents
+   * @param {Object} options - Placement like the constructor's, plus the
+   *   RAW layout: columns, rows, bitDepth (16, 8 for .r8) and littleEndian (true)
+   * @returns {Promise<Heightmap>} The heightmap
+   */
+  static async fromFile(name, data, options = {}) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const extension = name.toLowerCase().split('.').pop();
+    
+    let samples;
+    if (extension === 'png') {
+      samples = await decodePNG(bytes);
+    } else if (extension === 'pgm') {
+      samples = decodePGM(bytes);
+    } else if (extension === 'raw' || extension === 'r16' || extension === 'r8') {
+      samples = decodeRAW(bytes, { bitDepth: extension === 'r8' ? 8 : 16, ...options });
+    } else {
+      throw new Error(`Unsupported heightmap file "${name}", use PNG, PGM or RAW`);
+    }
+    
+    const { size, verticalScale, offset } = options;
+    return new Heightmap({ ...samples, size, verticalScale, offset, name });
+  }
+} 
\ No newline at end of file
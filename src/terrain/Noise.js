@@ -0,0 +1,181 @@
+import { createRandom } from './Random.js';
+
+const F2 = (Math.sqrt(3) - 1) / 2; // Skews the input grid onto simplices
+const G2 = (3 - Math.sqrt(3)) / 6; // Unskews simplex corners back
+
+// Gradient directions at the simplex corners
+const GRADIENTS = [
+  [1, 1], [-1, 1], [1, -1], [-1, -1],
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 0], [-1, 0], [0, 1], [0, -1]
+];
+
+/**
+ * Seeded 2D simplex noise with fractal, ridged and domain warped variants
+ *
+ * The seed shuffles the gradient permutation table, so one seed always
+ * gives the same noise field. Every method takes coordinates in noise
+ * units: features are roughly one unit across at the base frequency.
+ */
+export class SimplexNoise {
+  /**
+   * @param {number} seed - Integer seed
+   */
+  constructor(seed = 1) {
+    this.seed = seed;
+    
+    // Fisher-Yates shuffle of 0..255, doubled to skip wrapping the indices
+    const random = createRandom(seed);
+    const permutation = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    
+    this.perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = permutation[i & 255];
+    }
+  }
+  
+  /**
+   * Contribution of one simplex corner
+   * @param {number} hash - Permutation value of the corner
+   * @param {number} x - Offset from the corner along x
+   * @param {number} y - Offset from the corner along y
+   * @returns {number} Contribution
+   */
+  corner(hash, x, y) {
+    let t = 0.5 - x * x - y * y;
+    if (t < 0) {
+      return 0;
+    }
+    
+    const gradient = GRADIENTS[hash % 12];
+    t *= t;
+    return t * t * (gradient[0] * x + gradient[1] * y);
+  }
+  
+  /**
+   * Single octave of simplex noise
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} Noise value in [-1, 1]
+   */
+  noise(x, y) {
+    // Simplex cell holding the point
+    const skew = (x + y) * F2;
+    const i = Math.floor(x + skew);
+    const j = Math.floor(y + skew);
+    const unskew = (i + j) * G2;
+    const x0 = x - i + unskew;
+    const y0 = y - j + unskew;
+    
+    // The middle corner depends on which triangle of the cell we are in
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = 1 - i1;
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2;
+    const y2 = y0 - 1 + 2 * G2;
+    
+    const perm = this.perm;
+    const ii = i & 255;
+    const jj = j & 255;
+    const n0 = this.corner(perm[ii + perm[jj]], x0, y0);
+    const n1 = this.corner(perm[ii + i1 + perm[jj + j1]], x1, y1);
+    const n2 = this.corner(perm[ii + 1 + perm[jj + 1]], x2, y2);
+    
+    // Scale the sum to about [-1, 1]
+    return 70 * (n0 + n1 + n2);
+  }
+  
+  /**
+   * Fractal noise: octaves of simplex noise at rising frequency and falling
+   * amplitude, for detail on every scale
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - Fractal settings
+   * @param {number} options.octaves - Number of octaves
+   * @param {number} options.lacunarity - Frequency factor between octaves
+   * @param {number} options.gain - Amplitude factor between octaves
+   * @returns {number} Noise value in [-1, 1]
+   */
+  fractal(x, y, { octaves = 5, lacunarity = 2, gain = 0.5 } = {}) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    
+    for (let octave = 0; octave < octaves; octave++) {
+      // Shift each octave so they do not all line up at the origin
+      const offset = octave * 31.7;
+      sum += amplitude * this.noise(x * frequency + offset, y * frequency - offset);
+      total += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+    
+    return sum / total;
+  }
+  
+  /**
+   * Ridged fractal noise: folded octaves with sharp crests where the noise
+   * crosses zero, like mountain ridges. Each octave is weighted by the one
+   * before it, so detail gathers on the ridges and the valleys stay smooth.
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - Fractal settings, like fractal()
+   * @returns {number} Noise value in [0, 1], 1 on the ridges
+   */
+  ridged(x, y, { octaves = 5, lacunarity = 2, gain = 0.5 } = {}) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    let weight = 1;
+    
+    for (let octave = 0; octave < octaves; octave++) {
+      const offset = octave * 31.7;
+      let ridge = 1 - Math.abs(this.noise(x * frequency + offset, y * frequency - offset));
+      ridge *= ridge;
+      sum += amplitude * ridge * weight;
+      total += amplitude;
+      weight = Math.min(1, ridge * 2);
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+    
+    return sum / total;
+  }
+  
+  /**
+   * Domain warp: displace a point by fractal noise, so features sampled at
+   * the warped point bend and swirl instead of lining up on the grid
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - Warp settings
+   * @param {number} options.strength - Largest displacement in noise units
+   * @param {number} options.octaves - Octaves of the displacement noise
+   * @returns {Object} Warped point `{ x, y }`
+   */
+  warp(x, y, { strength = 1, octaves = 3 } = {}) {
+    return {
+      x: x + strength * this.fractal(x + 5.2, y + 1.3, { octaves }),
+      y: y + strength * this.fractal(x - 8.3, y + 2.8, { octaves })
+    };
+  }
+  
+  /**
+   * Domain warped fractal noise
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - Warp settings like warp(), and fractal settings
+   * @param {Object} options.warp - Settings passed to warp()
+   * @returns {number} Noise value in [-1, 1]
+   */
+  warped(x, y, { warp, ...options } = {}) {
+    const point = this.warp(x, y, warp);
+    return this.fractal(point.x, point.y, options);
+  }
+} 
\ No newline at end of file
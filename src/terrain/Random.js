@@ -0,0 +1,54 @@
+/**
+ * Seeded random number generator (mulberry32), so a seed always builds the
+ * same world
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns the next number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed of an independent random stream derived from a world seed
+ * @param {number} seed - World seed
+ * @param {number} stream - Stream number
+ * @returns {number} Integer seed
+ */
+export function mixSeed(seed, stream) {
+  return Math.imul(seed ^ Math.imul(stream, 0x85EBCA6B), 0x9E3779B1) >>> 0;
+}
+
+/**
+ * Turn a seed entered by the user into a world seed
+ * Whole numbers up to 2^32 - 1 are used as they are; any other text is
+ * hashed (FNV-1a), so words work as seeds too.
+ * @param {number|string} value - Seed number or text
+ * @returns {number} Unsigned 32 bit integer seed
+ */
+export function parseSeed(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) {
+    return Number(text);
+  }
+  
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Random world seed, for a world nobody has driven yet
+ * @returns {number} Unsigned 32 bit integer seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+} 
\ No newline at end of file
@@ -0,0 +1,754 @@
+import { createRandom, mixSeed } from './Random.js';
+import { SplineSegment } from './Spline.js';
+
+const CONTROL_SPACING = 12;     // Distance between spline control points in m
+const SAMPLE_SPACING = 1;       // Distance between road samples in m
+const MAX_GRADE = 0.12;         // Steepest road slope (rise over run)
+const PROFILE_SMOOTHING = 30;   // Half width of the terrain height averaging window in m
+const CREST_LENGTH = 40;        // Length of a crest in m
+const BUCKET_SIZE = 50;         // Size of the grid cells the road segments are indexed by in m
+const LOOKAHEAD = 600;          // Main road laid out past a junction before its branch in m
+const JUNCTION_SPREAD = 60;     // How far a junction may move from its planned distance in m
+const MAX_BRANCH_LENGTH = 250;  // Longest branch road in m
+
+/**
+ * Wrap an angle into [-PI, PI]
+ * @param {number} angle - Angle in rad
+ * @returns {number} Wrapped angle
+ */
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * RoadBuilder lays out spline control points like a turtle: it drives
+ * straights and arcs from its current position and heading
+ *
+ * Headings follow the vehicle's yaw: 0 drives towards -z and positive
+ * angles turn left.
+ */
+class RoadBuilder {
+  /**
+   * @param {number} x - Start x in m
+   * @param {number} z - Start z in m
+   * @param {number} heading - Start heading in rad
+   */
+  constructor(x, z, heading) {
+    this.x = x;
+    this.z = z;
+    this.heading = heading;
+    this.points = [];  // Control points laid since they were last taken
+    this.crests = [];  // Indices of the control points the road should crest at
+    this.count = 0;    // Control points laid in total
+    this.addPoint();
+  }
+  
+  /**
+   * Unit vector to the left of a heading
+   * @param {number} heading - Heading in rad
+   * @returns {Object} `{ x, z }`
+   */
+  static left(heading) {
+    return { x: -Math.cos(heading), z: Math.sin(heading) };
+  }
+  
+  /**
+   * Lay a control point at the current position
+   */
+  addPoint() {
+    this.points.push({ x: this.x, z: this.z });
+    this.count++;
+  }
+  
+  /**
+   * Drive straight ahead
+   * @param {number} length - Distance in m
+   * @returns {RoadBuilder} This builder, for chaining
+   */
+  straight(length) {
+    const count = Math.max(1, Math.ceil(length / CONTROL_SPACING));
+    for (let i = 0; i < count; i++) {
+      this.x -= Math.sin(this.heading) * length / count;
+      this.z -= Math.cos(this.heading) * length / count;
+      this.addPoint();
+    }
+    return this;
+  }
+  
+  /**
+   * Drive an arc of constant radius
+   * @param {number} angle - Heading change in rad, positive turning left
+   * @param {number} radius - Arc radius in m
+   * @returns {RoadBuilder} This builder, for chaining
+   */
+  turn(angle, radius) {
+    // Short chords, and at least one control point per 22.5 degrees so the
+    // spline keeps to the arc in tight hairpins
+    const count = Math.max(
+      Math.ceil(Math.abs(angle) * radius / CONTROL_SPACING),
+      Math.ceil(Math.abs(angle) / (Math.PI / 8))
+    );
+    const step = angle / count;
+    const side = Math.sign(angle);
+    
+    for (let i = 0; i < count; i++) {
+      const before = RoadBuilder.left(this.heading);
+      const after = RoadBuilder.left(this.heading + step);
+      this.x += side * radius * (before.x - after.x);
+      this.z += side * radius * (before.z - after.z);
+      this.heading += step;
+      this.addPoint();
+    }
+    return this;
+  }
+  
+  /**
+   * Turn onto a heading, then drive on
+   * @param {number} heading - New heading in rad
+   * @param {Function} random - Seeded random number generator
+   * @returns {RoadBuilder} This builder, for chaining
+   */
+  steer(heading, random) {
+    const angle = wrapAngle(heading - this.heading);
+    if (Math.abs(angle) > 0.05) {
+      this.turn(angle, 35 + random() * 45);
+    }
+    return this.straight(10 + random() * 25);
+  }
+  
+  /**
+   * Turn towards a target, with some random wander, then drive on
+   * @param {number} x - Target x in m
+   * @param {number} z - Target z in m
+   * @param {Function} random - Seeded random number generator
+   * @returns {RoadBuilder} This builder, for chaining
+   */
+  steerTowards(x, z, random) {
+    const wanted = Math.atan2(-(x - this.x), -(z - this.z));
+    const wander = (random() - 0.5) * Math.PI / 2.5;
+    const angle = Math.max(-1.2, Math.min(1.2, wrapAngle(wanted - this.heading + wander)));
+    return this.steer(this.heading + angle, random);
+  }
+  
+  /**
+   * Drive a pair of hairpins, zig-zagging up a slope and ending on the
+   * starting line and heading
+   * @param {number} side - 1 to lead off to the left, -1 to the right
+   * @param {Function} random - Seeded random number generator
+   * @returns {RoadBuilder} This builder, for chaining
+   */
+  switchback(side, random) {
+    const radius = 11 + random() * 3;    // Hairpin radius
+    const lead = 15 + random() * 15;     // Straight before the first hairpin
+    const leg = 70 + random() * 20;      // Straight between the hairpins
+    const bend = 25;                     // Radius of the turns into and out of the switchback
+    
+    return this.turn(side * Math.PI / 2, bend)
+      .straight(lead)
+      .turn(-side * Math.PI, radius)
+      .straight(leg)
+      .turn(side * Math.PI, radius)
+      .straight(Math.max(CONTROL_SPACING, leg - lead - 2 * bend))
+      .turn(-side * Math.PI / 2, bend);
+  }
+  
+  /**
+   * Mark the current position as the top of a crest
+   * @returns {RoadBuilder} This builder, for chaining
+   */
+  crest() {
+    this.crests.push(this.count - 1);
+    return this;
+  }
+}
+
+/**
+ * Road is one spline road, sampled about every meter along its centerline
+ *
+ * Each sample holds the centerline position, its height, the unit direction
+ * of travel and the distance from the road's start. An open road can be
+ * extended with more control points; each spline segment is sampled from
+ * its own four control points, so extending a road never moves the samples
+ * it already has.
+ */
+export class Road {
+  /**
+   * @param {Object} options - Road settings
+   * @param {string} options.id - Road name
+   * @param {number} options.width - Paved width in m
+   * @param {Array<Object>} options.points - Spline control points `{ x, z }`
+   * @param {Array<number>} options.crests - Indices of the control points to crest at
+   * @param {boolean} options.complete - Whether the road ends at its last control point
+   */
+  constructor({ id, width, points = [], crests = [], complete = false }) {
+    this.id = id;
+    this.index = 0;           // Position in the road network
+    this.width = width;
+    this.points = [];         // Spline control points
+    this.crests = [];         // Control point indices of crests
+    this.junctions = [];      // Branches leaving this road: `{ distance, side, width }`
+    this.complete = false;    // Whether the last control point has been added
+    
+    this.samples = [];
+    this.pointDistances = []; // Distance along the road of each sampled control point
+    this.terrainHeights = []; // Natural terrain height under each sample
+    this.profiled = 0;        // Samples whose heights are final
+    this.indexed = 0;         // Segments indexed by the road network
+    
+    this.addPoints(points, crests, complete);
+  }
+  
+  /**
+   * Extend the road and sample the segments whose control points are known
+   * @param {Array<Object>} points - Control points `{ x, z }` to append
+   * @param {Array<number>} crests - Indices of control points to crest at, counted from the road's first point
+   * @param {boolean} complete - Whether these are the last control points
+   */
+  addPoints(points, crests = [], complete = false) {
+    this.points.push(...points);
+    this.crests.push(...crests);
+    this.complete = complete;
+    
+    // A segment needs the control point after its end, unless the road ends there
+    const segments = this.points.length - (complete ? 1 : 2);
+    for (let i = Math.max(0, this.pointDistances.length - 1); i < segments; i++) {
+      this.sampleSegment(i);
+    }
+  }
+  
+  /**
+   * Sample the spline segment between two control points
+   * Centripetal splines don't overshoot in the tight hairpins.
+   * @param {number} i - Index of the segment's first control point
+   */
+  sampleSegment(i) {
+    const points = this.points;
+    const mirror = (point, other) => ({ x: point.x * 2 - other.x, z: point.z * 2 - other.z });
+    const before = points[i - 1] || mirror(points[i], points[i + 1]);
+    const after = points[i + 2] || mirror(points[i + 1], points[i]);
+    const curve = new SplineSegment(before, points[i], points[i + 1], after);
+    const count = Math.max(1, Math.round(Math.hypot(points[i + 1].x - points[i].x, points[i + 1].z - points[i].z) / SAMPLE_SPACING));
+    
+    if (i === 0) {
+      this.pointDistances.push(0);
+    }
+    
+    // The segment's first sample is the previous segment's last
+    for (let n = i === 0 ? 0 : 1; n <= count; n++) {
+      const point = curve.getPoint(n / count);
+      const tangent = curve.getTangent(n / count);
+      const flat = Math.hypot(tangent.x, tangent.z) || 1;
+      
+      const previous = this.samples[this.samples.length - 1];
+      const distance = previous ? previous.distance + Math.hypot(point.x - previous.x, point.z - previous.z) : 0;
+      this.samples.push({ x: point.x, y: 0, z: point.z, dirX: tangent.x / flat, dirZ: tangent.z / flat, distance });
+    }
+    
+    this.pointDistances.push(this.length);
+  }
+  
+  /**
+   * Length of the sampled road in m
+   * @returns {number} Length along the centerline
+   */
+  get length() {
+    return this.samples.length ? this.samples[this.samples.length - 1].distance : 0;
+  }
+  
+  /**
+   * Length of the road whose heights are final, in m
+   * @returns {number} Length along the centerline
+   */
+  get profiledLength() {
+    return this.profiled ? this.samples[this.profiled - 1].distance : 0;
+  }
+  
+  /**
+   * Cut a complete road short
+   * @param {number} index - Last sample to keep
+   */
+  trim(index) {
+    this.samples.length = Math.max(2, index + 1);
+    this.terrainHeights.length = Math.min(this.terrainHeights.length, this.samples.length);
+    this.profiled = Math.min(this.profiled, this.samples.length);
+  }
+  
+  /**
+   * Set the final heights of the samples whose surroundings are laid out:
+   * the terrain averaged along the road, raised into crests and limited to
+   * the maximum grade
+   * An open road keeps the heights of its last samples open until the road
+   * ahead of them is known.
+   * @param {Function} getTerrainHeight - Called with world x and z, returns the natural terrain height
+   * @param {number} crestHeight - Height of the crests above the terrain in m
+   * @param {number|null} startHeight - Height to blend the first 40 m into, for branches
+   */
+  updateProfile(getTerrainHeight, crestHeight, startHeight = null) {
+    const samples = this.samples;
+    for (let k = this.terrainHeights.length; k < samples.length; k++) {
+      this.terrainHeights.push(getTerrainHeight(samples[k].x, samples[k].z));
+    }
+    
+    const window = Math.round(PROFILE_SMOOTHING / SAMPLE_SPACING);
+    const crests = this.crests
+      .filter(crest => crest < this.pointDistances.length)
+      .map(crest => this.pointDistances[crest]);
+    
+    for (let k = this.profiled; k < samples.length; k++) {
+      const sample = samples[k];
+      if (!this.complete && (k + window >= samples.length || sample.distance + CREST_LENGTH / 2 > this.length)) break;
+      
+      let sum = 0;
+      let count = 0;
+      for (let n = Math.max(0, k - window); n <= Math.min(samples.length - 1, k + window); n++) {
+        sum += this.terrainHeights[n];
+        count++;
+      }
+      let height = sum / count;
+      
+      crests.forEach(crest => {
+        const offset = Math.abs(sample.distance - crest) / (CREST_LENGTH / 2);
+        if (offset < 1) height += crestHeight * 0.5 * (1 + Math.cos(offset * Math.PI));
+      });
+      
+      // Blend a branch into the road it leaves
+      if (startHeight !== null) {
+        if (k === 0) this.startOffset = startHeight - height;
+        const t = Math.max(0, 1 - sample.distance / 40);
+        height += this.startOffset * t * t * (3 - 2 * t);
+      }
+      
+      // Limit the grade, from the start so a branch keeps its junction height
+      if (k > 0) {
+        const previous = samples[k - 1];
+        const rise = MAX_GRADE * (sample.distance - previous.distance);
+        height = Math.max(previous.y - rise, Math.min(previous.y + rise, height));
+      }
+      
+      sample.y = height;
+      this.profiled = k + 1;
+    }
+  }
+  
+  /**
+   * Index of the last sample at or before a distance along the road
+   * @param {number} distance - Distance from the start in m
+   * @returns {number} Sample index
+   */
+  getSampleIndex(distance) {
+    let low = 0;
+    let high = this.samples.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.samples[middle].distance <= distance) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+  
+  /**
+   * Point on the centerline at a distance along the road
+   * @param {number} distance - Distance from the start in m
+   * @returns {Object} `{ x, y, z, dirX, dirZ, distance }`
+   */
+  getPointAt(distance) {
+    const samples = this.samples;
+    const clamped = Math.max(0, Math.min(this.length, distance));
+    const k = Math.min(samples.length - 2, this.getSampleIndex(clamped));
+    
+    const a = samples[k];
+    const b = samples[k + 1];
+    const t = (clamped - a.distance) / ((b.distance - a.distance) || 1);
+    const dirX = a.dirX + (b.dirX - a.dirX) * t;
+    const dirZ = a.dirZ + (b.dirZ - a.dirZ) * t;
+    const flat = Math.hypot(dirX, dirZ) || 1;
+    return {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      z: a.z + (b.z - a.z) * t,
+      dirX: dirX / flat,
+      dirZ: dirZ / flat,
+      distance: clamped
+    };
+  }
+  
+  /**
+   * Triangle strip between two offsets from the centerline, for road meshes,
+   * markings and colliders
+   * Triangles face up, so they are hit by downward raycasts that skip back faces.
+   * @param {number} left - Offset of the left edge in m, negative left of the centerline
+   * @param {number} right - Offset of the right edge in m
+   * @param {number} lift - Height above the road surface in m
+   * @param {number} from - Start distance along the road in m
+   * @param {number} to - End distance along the road in m
+   * @returns {Object} `{ vertices, indices }` as flat arrays
+   */
+  getRibbon(left, right, lift = 0, from = 0, to = this.length) {
+    const points = [this.getPointAt(from)];
+    for (let k = this.getSampleIndex(from) + 1; k < this.samples.length && this.samples[k].distance < to; k++) {
+      if (this.samples[k].distance > from) points.push(this.samples[k]);
+    }
+    points.push(this.getPointAt(to));
+    
+    const vertices = [];
+    const indices = [];
+    points.forEach((point, k) => {
+      // Right of the direction of travel is (-dirZ, dirX)
+      vertices.push(
+        point.x - point.dirZ * left, point.y + lift, point.z + point.dirX * left,
+        point.x - point.dirZ * right, point.y + lift, point.z + point.dirX * right
+      );
+      if (k > 0) {
+        const a = 2 * (k - 1);
+        indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+      }
+    });
+    return { vertices, indices };
+  }
+  
+  /**
+   * Closest point to a position on one segment of the centerline
+   * @param {number} k - Index of the segment's first sample
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @returns {Object} See getClosestPoint()
+   */
+  getSegmentPoint(k, x, z) {
+    const a = this.samples[k];
+    const b = this.samples[k + 1];
+    const segmentX = b.x - a.x;
+    const segmentZ = b.z - a.z;
+    const lengthSquared = segmentX * segmentX + segmentZ * segmentZ || 1;
+    const t = Math.max(0, Math.min(1, ((x - a.x) * segmentX + (z - a.z) * segmentZ) / lengthSquared));
+    const dx = x - (a.x + segmentX * t);
+    const dz = z - (a.z + segmentZ * t);
+    const distance = Math.hypot(dx, dz);
+    
+    // Right of the direction of travel is (-dirZ, dirX)
+    return {
+      road: this,
+      distance,
+      offset: Math.sign(-dx * segmentZ + dz * segmentX) * distance,
+      along: a.distance + (b.distance - a.distance) * t,
+      height: a.y + (b.y - a.y) * t
+    };
+  }
+  
+  /**
+   * Closest point on the centerline to a position
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @returns {Object} `{ road, distance, offset, along, height }`: distance to
+   *   the centerline, signed offset (positive to the right of the direction
+   *   of travel), distance along the road and the road height there
+   */
+  getClosestPoint(x, z) {
+    let best = { road: this, distance: Infinity, offset: 0, along: 0, height: 0 };
+    for (let k = 0; k < this.samples.length - 1; k++) {
+      const point = this.getSegmentPoint(k, x, z);
+      if (point.distance < best.distance) best = point;
+    }
+    return best;
+  }
+}
+
+/**
+ * RoadNetwork lays out an endless procedural network of spline roads
+ *
+ * The main road starts at the origin and runs north for ever, winding
+ * through curves, over crests and up pairs of hairpins; it never heads
+ * south, so everything north of a point is laid out after it. Branch roads
+ * leave it at T-junctions and run off to the sides. Road heights follow the
+ * smoothed terrain with crests on top, limited to a maximum grade; the
+ * terrain is then flattened to the roads by the ChunkGenerator.
+ *
+ * Roads are laid out lazily as extendTo() is asked for them. Each piece of
+ * the layout only depends on the seed and the pieces before it, so the
+ * network comes out the same however far and in which steps it is extended.
+ */
+export class RoadNetwork {
+  /**
+   * @param {Object} options - Layout settings
+   * @param {number} options.seed - Layout seed
+   * @param {number} options.mainWidth - Width of the main road in m
+   * @param {number} options.branchWidth - Width of the branch roads in m
+   * @param {number} options.branchSpacing - Distance between branch junctions along the main road in m
+   * @param {number} options.crestHeight - Height of the crests above the terrain in m
+   * @param {number} options.reach - Distance past a road's edge at which it still shapes the terrain in m
+   */
+  constructor(options = {}) {
+    this.seed = options.seed ?? 1;
+    this.mainWidth = options.mainWidth ?? 7;
+    this.branchWidth = options.branchWidth ?? 6;
+    this.branchSpacing = options.branchSpacing ?? 250;
+    this.crestHeight = options.crestHeight ?? 2.5;
+    this.reach = options.reach ?? 15;
+    
+    this.roads = [];            // Main road first, then the branches in the order they were laid out
+    this.junctions = [];        // `{ x, z, road, branch, distance }` where branches meet the main road
+    this.buckets = new Map();   // Road segments `{ road, k }` within reach of each grid cell
+  }
+  
+  /**
+   * Start the layout: the main road's run-up and the roads around it
+   * @param {Function} getTerrainHeight - Called with world x and z, returns the natural terrain height
+   * @returns {RoadNetwork} This network
+   */
+  generate(getTerrainHeight) {
+    this.getTerrainHeight = getTerrainHeight;
+    this.roads = [];
+    this.junctions = [];
+    this.buckets = new Map();
+    
+    // The main road starts with a straight run-up at the spawn point
+    this.random = createRandom(this.seed);
+    this.builder = new RoadBuilder(0, 0, 0);
+    this.builder.straight(60);
+    this.addRoad(new Road({ id: 'main', width: this.mainWidth }));
+    
+    this.nextBranch = this.planBranch(0);
+    this.extendTo(0);
+    return this;
+  }
+  
+  /**
+   * Add a road and index its segments
+   * @param {Road} road - Road to add
+   */
+  addRoad(road) {
+    road.index = this.roads.length;
+    this.roads.push(road);
+    this.indexRoad(road);
+  }
+  
+  /**
+   * Add a road's new segments to the grid cells within their reach
+   * @param {Road} road - Road of the network
+   */
+  indexRoad(road) {
+    const radius = road.width / 2 + this.reach;
+    for (let k = road.indexed; k < road.samples.length - 1; k++) {
+      const a = road.samples[k];
+      const b = road.samples[k + 1];
+      const minX = Math.floor((Math.min(a.x, b.x) - radius) / BUCKET_SIZE);
+      const maxX = Math.floor((Math.max(a.x, b.x) + radius) / BUCKET_SIZE);
+      const minZ = Math.floor((Math.min(a.z, b.z) - radius) / BUCKET_SIZE);
+      const maxZ = Math.floor((Math.max(a.z, b.z) + radius) / BUCKET_SIZE);
+      
+      for (let bz = minZ; bz <= maxZ; bz++) {
+        for (let bx = minX; bx <= maxX; bx++) {
+          const key = `${bx},${bz}`;
+          if (!this.buckets.has(key)) this.buckets.set(key, []);
+          this.buckets.get(key).push({ road, k });
+        }
+      }
+    }
+    road.indexed = Math.max(road.indexed, road.samples.length - 1);
+  }
+  
+  /**
+   * Road segments that may come within reach of an area
+   * Sorted by road and then along the road, so sums over them come out the
+   * same whichever area asked for them.
+   * @param {number} minX - West edge in m
+   * @param {number} minZ - North edge in m
+   * @param {number} maxX - East edge in m
+   * @param {number} maxZ - South edge in m
+   * @returns {Array<Object>} `{ road, k }`: road and index of the segment's first sample
+   */
+  getSegments(minX, minZ, maxX, maxZ) {
+    const found = new Map();
+    for (let bz = Math.floor(minZ / BUCKET_SIZE); bz <= Math.floor(maxZ / BUCKET_SIZE); bz++) {
+      for (let bx = Math.floor(minX / BUCKET_SIZE); bx <= Math.floor(maxX / BUCKET_SIZE); bx++) {
+        (this.buckets.get(`${bx},${bz}`) || []).forEach(segment => {
+          found.set(segment.road.index * 2 ** 26 + segment.k, segment);
+        });
+      }
+    }
+    return [...found.entries()].sort((a, b) => a[0] - b[0]).map(entry => entry[1]);
+  }
+  
+  /**
+   * Lay out the roads far enough north that every road within reach of
+   * positions south of `z` is laid out with its final heights
+   * @param {number} z - World z in m
+   */
+  extendTo(z) {
+    const main = this.roads[0];
+    const margin = Math.max(this.mainWidth, this.branchWidth) + this.reach;
+    
+    for (;;) {
+      // Branches wait until the main road is laid out well past their junction
+      while (this.nextBranch.distance + JUNCTION_SPREAD + LOOKAHEAD <= main.profiledLength) {
+        this.layBranchRoad(this.nextBranch);
+        this.nextBranch = this.planBranch(this.nextBranch.index + 1);
+      }
+      
+      // Done when the main road and the next branch both lie north of z
+      const frontier = main.samples[main.profiled - 1];
+      if (frontier && frontier.z < z - margin) {
+        const junction = this.nextBranch.distance - JUNCTION_SPREAD;
+        if (junction > main.profiledLength || main.getPointAt(junction).z < z - margin - MAX_BRANCH_LENGTH) return;
+      }
+      
+      this.extendMainRoad();
+    }
+  }
+  
+  /**
+   * Lay out the next piece of the main road: curves, possibly over a crest,
+   * or a pair of hairpins
+   */
+  extendMainRoad() {
+    const main = this.roads[0];
+    const builder = this.builder;
+    const random = this.random;
+    
+    if (random() < 0.2) {
+      // Hairpins, led off towards the middle of the map
+      builder.turn(wrapAngle(-builder.heading), 40).straight(15);
+      builder.switchback(builder.x > 0 ? 1 : -1, random).straight(20).crest();
+    } else {
+      // Curves towards a point ahead, never more than 70 degrees off north
+      const wanted = Math.atan2(-((random() - 0.5) * 200 - builder.x), 150);
+      const wander = (random() - 0.5) * Math.PI / 2.5;
+      builder.steer(Math.max(-1.2, Math.min(1.2, wanted + wander)), random);
+      if (random() < 0.4) builder.crest();
+    }
+    
+    main.addPoints(builder.points.splice(0), builder.crests.splice(0));
+    main.updateProfile(this.getTerrainHeight, this.crestHeight);
+    this.indexRoad(main);
+  }
+  
+  /**
+   * Plan a branch junction along the main road
+   * Every branch draws from its own random numbers.
+   * @param {number} index - Branch number
+   * @returns {Object} `{ index, distance, random }`
+   */
+  planBranch(index) {
+    const random = createRandom(mixSeed(this.seed, index + 1));
+    const distance = 150 + (index + 0.2 + random() * 0.6) * this.branchSpacing;
+    return { index, distance, random };
+  }
+  
+  /**
+   * Lay out a branch road leaving the main road at a T-junction
+   * The branch is cut short where it runs close to another road or gets too
+   * long, and dropped if little of it is left. Only the main road up to a
+   * fixed distance past the junction is looked at, so the branch doesn't
+   * depend on how far the main road happens to be laid out.
+   * @param {Object} plan - Junction planned by planBranch()
+   * @returns {Road|null} The branch, or null if there is no room for it
+   */
+  layBranchRoad(plan) {
+    const main = this.roads[0];
+    const random = plan.random;
+    const clearance = (this.mainWidth + this.branchWidth) / 2 + 25;
+    const limit = plan.distance + JUNCTION_SPREAD + LOOKAHEAD;
+    const isLaid = (road, k) => road !== main || road.samples[k].distance < limit;
+    
+    // Branch off where and on the side with the most room, looking further
+    // while there is little
+    let best = null;
+    for (let attempt = 0; attempt < 4 || (attempt < 12 && best.room < 80); attempt++) {
+      const junction = main.getPointAt(plan.distance + (random() - 0.5) * 2 * JUNCTION_SPREAD);
+      [-1, 1].forEach(side => {
+        const dirX = -junction.dirZ * side;
+        const dirZ = junction.dirX * side;
+        const room = this.measureRoom(junction.x, junction.z, dirX, dirZ, clearance, isLaid);
+        if (!best || room > best.room) best = { junction, side, dirX, dirZ, room };
+      });
+    }
+    if (best.room < 80) return null;
+    
+    const { junction, side, dirX, dirZ, room } = best;
+    const startX = junction.x + dirX * this.mainWidth / 2;
+    const startZ = junction.z + dirZ * this.mainWidth / 2;
+    const builder = new RoadBuilder(startX, startZ, Math.atan2(-dirX, -dirZ));
+    builder.straight(30);
+    
+    // Wind towards a point well inside the free room
+    const reach = room * (0.6 + random() * 0.2);
+    const swing = (random() - 0.5) * 0.8;
+    const targetX = startX + (dirX * Math.cos(swing) - dirZ * Math.sin(swing)) * reach;
+    const targetZ = startZ + (dirZ * Math.cos(swing) + dirX * Math.sin(swing)) * reach;
+    for (let i = 0; i < 6 && Math.hypot(targetX - builder.x, targetZ - builder.z) > 30; i++) {
+      builder.steerTowards(targetX, targetZ, random);
+      if (i === 1 && random() < 0.5) builder.crest();
+    }
+    
+    const id = `branch${this.junctions.length + 1}`;
+    const branch = new Road({ id, width: this.branchWidth, points: builder.points, crests: builder.crests, complete: true });
+    
+    // Keep clear of the other roads past the junction
+    const end = branch.samples.findIndex(sample => (
+      sample.distance > MAX_BRANCH_LENGTH ||
+      (sample.distance > clearance && this.getClosestPoint(sample.x, sample.z, clearance, isLaid))
+    ));
+    if (end !== -1) {
+      branch.trim(end - 1);
+    }
+    if (branch.length < 60) return null;
+    
+    branch.updateProfile(this.getTerrainHeight, this.crestHeight, junction.y);
+    main.junctions.push({ distance: junction.distance, side, width: this.branchWidth });
+    this.junctions.push({ x: startX, z: startZ, road: main, branch, distance: junction.distance });
+    this.addRoad(branch);
+    return branch;
+  }
+  
+  /**
+   * Free distance from a road in a direction, up to the nearest other road
+   * @param {number} x - Start x in m
+   * @param {number} z - Start z in m
+   * @param {number} dirX - Unit direction x
+   * @param {number} dirZ - Unit direction z
+   * @param {number} clearance - Distance to keep from roads in m
+   * @param {Function} filter - Called with a road and segment index, returns false to ignore the segment
+   * @returns {number} Free distance in m, at most 200
+   */
+  measureRoom(x, z, dirX, dirZ, clearance, filter) {
+    for (let distance = clearance + 5; distance <= 200; distance += 5) {
+      if (this.getClosestPoint(x + dirX * distance, z + dirZ * distance, clearance, filter)) {
+        return distance - 5;
+      }
+    }
+    return 200;
+  }
+  
+  /**
+   * Closest point on any road laid out so far to a position
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @param {number} radius - Search radius around the position in m
+   * @param {Function} filter - Called with a road and segment index, returns false to ignore the segment
+   * @returns {Object|null} See Road.getClosestPoint(), null without a road within the radius
+   */
+  getClosestPoint(x, z, radius = this.reach, filter = null) {
+    let best = null;
+    this.getSegments(x - radius, z - radius, x + radius, z + radius).forEach(({ road, k }) => {
+      if (filter && !filter(road, k)) return;
+      
+      const point = road.getSegmentPoint(k, x, z);
+      if (point.distance <= radius && (!best || point.distance < best.distance)) {
+        best = point;
+      }
+    });
+    return best;
+  }
+  
+  /**
+   * Spawn point on the main road's run-up
+   * @returns {Object} `{ x, y, z, heading }`: road surface position and the
+   *   heading (yaw, 0 facing -z) along the road
+   */
+  getSpawnPoint() {
+    const point = this.roads[0].getPointAt(20);
+    return { x: point.x, y: point.y, z: point.z, heading: Math.atan2(-point.dirX, -point.dirZ) };
+  }
+}
@@ -0,0 +1,266 @@
+export const TILE_CELLS = 64; // Grid points per tile side
+
+/**
+ * Encode a float array as base64, for snapshots
+ * @param {Float32Array} array - Values
+ * @returns {string} Base64 text
+ */
+function encodeFloats(array) {
+  const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a float array encoded with encodeFloats()
+ * @param {string} text - Base64 text
+ * @returns {Float32Array} Values
+ */
+function decodeFloats(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Float32Array(bytes.buffer);
+}
+
+/**
+ * SnowCover tracks the loose snow lying on the ground: fresh snow builds up
+ * while it snows, and wheels pack it down into ruts
+ *
+ * Depths live on a fine grid. The depth at a point is the snow there at the
+ * start, with the roads cleared and the snow banked up beside them, plus
+ * the snow fallen since, less what wheels packed down. Only the packed
+ * amounts are stored, in square tiles created where wheels roll, so fresh
+ * snow settles into old ruts without touching every stored point.
+ * Everything here is advanced in simulation ticks, so runs stay
+ * deterministic and replays exact.
+ */
+export class SnowCover {
+  /**
+   * @param {TerrainGenerator} terrain - Terrain the snow lies on
+   */
+  constructor(terrain) {
+    this.terrain = terrain;
+    
+    // Snow settings
+    this.cellSize = 0.125;         // Grid spacing in m
+    this.initialDepth = 0.06;      // Loose snow beside the roads at the start in m
+    this.maxDepth = 0.3;           // Deepest loose snow in m
+    this.snowfallRate = 0.0005;    // Snow added per second at full snowfall in m (3 cm a minute)
+    this.packing = 0.3;            // Share of the loose snow left after a wheel rolled over it
+    this.maxTiles = 1024;          // Tiles kept; the oldest are dropped, and their tracks with them
+    
+    this.snowfall = 0;             // Current snowfall, 0 to 1
+    this.revision = 0;             // Counts resets, so renderers know to start over
+    this.reset();
+  }
+  
+  /**
+   * Clear all tracks and fallen snow, e.g. for a new world
+   */
+  reset() {
+    this.tiles = new Map();        // Snow packed down by tile key, in m
+    this.accumulated = 0;          // Snow fallen since the start in m
+    this.dirty = null;             // Grid area changed since takeDirty() was last called
+    this.revision++;
+  }
+  
+  /**
+   * Let snow fall for one tick
+   * @param {number} deltaTime - Tick length in seconds
+   */
+  update(deltaTime) {
+    this.accumulated = Math.min(this.maxDepth, this.accumulated + this.snowfall * this.snowfallRate * deltaTime);
+  }
+  
+  /**
+   * Depth of a grid point at the start: loose snow except on the cleared
+   * roads, banked up over the first meter beside them
+   * @param {number} gx - Grid column
+   * @param {number} gz - Grid row
+   * @returns {number} Depth in m
+   */
+  getInitialDepth(gx, gz) {
+    const edge = this.terrain.getRoadEdgeAt(gx * this.cellSize, gz * this.cellSize);
+    const t = Math.max(0, Math.min(1, edge));
+    return this.initialDepth * t * t * (3 - 2 * t);
+  }
+  
+  /**
+   * Snow packed down at a grid point
+   * @param {number} gx - Grid column
+   * @param {number} gz - Grid row
+   * @returns {number} Packed depth in m
+   */
+  getPacked(gx, gz) {
+    const tx = Math.floor(gx / TILE_CELLS);
+    const tz = Math.floor(gz / TILE_CELLS);
+    const tile = this.tiles.get(`${tx},${tz}`);
+    return tile ? tile[(gz - tz * TILE_CELLS) * TILE_CELLS + gx - tx * TILE_CELLS] : 0;
+  }
+  
+  /**
+   * Loose snow depth at a grid point
+   * @param {number} gx - Grid column
+   * @param {number} gz - Grid row
+   * @returns {number} Depth in m
+   */
+  getGridDepth(gx, gz) {
+    const depth = this.getInitialDepth(gx, gz) + this.accumulated - this.getPacked(gx, gz);
+    return Math.max(0, Math.min(this.maxDepth, depth));
+  }
+  
+  /**
+   * Loose snow depth at a world position, interpolated between grid points
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @returns {number} Depth in m
+   */
+  getDepthAt(x, z) {
+    const u = x / this.cellSize;
+    const v = z / this.cellSize;
+    const gx = Math.floor(u);
+    const gz = Math.floor(v);
+    const s = u - gx;
+    const t = v - gz;
+    
+    const top = this.getGridDepth(gx, gz) * (1 - s) + this.getGridDepth(gx + 1, gz) * s;
+    const bottom = this.getGridDepth(gx, gz + 1) * (1 - s) + this.getGridDepth(gx + 1, gz + 1) * s;
+    return top * (1 - t) + bottom * t;
+  }
+  
+  /**
+   * Get the packed depths of a tile, creating it untouched
+   * @param {number} tx - Tile column
+   * @param {number} tz - Tile row
+   * @returns {Float32Array} Packed depths in m, row by row
+   */
+  getTile(tx, tz) {
+    const key = `${tx},${tz}`;
+    let tile = this.tiles.get(key);
+    if (!tile) {
+      tile = new Float32Array(TILE_CELLS * TILE_CELLS);
+      
+      // Forget the oldest tracks rather than grow without end
+      if (this.tiles.size >= this.maxTiles) {
+        this.tiles.delete(this.tiles.keys().next().value);
+      }
+      this.tiles.set(key, tile);
+    }
+    return tile;
+  }
+  
+  /**
+   * Pack down the snow under a wheel that rolled from one point to another
+   * Each grid point within the track is packed once per pass, so a wheel
+   * standing still doesn't keep digging.
+   * @param {number} x0 - Start x in m
+   * @param {number} z0 - Start z in m
+   * @param {number} x1 - End x in m
+   * @param {number} z1 - End z in m
+   * @param {number} halfWidth - Half the tire width in m
+   */
+  compact(x0, z0, x1, z1, halfWidth) {
+    const cell = this.cellSize;
+    const segmentX = x1 - x0;
+    const segmentZ = z1 - z0;
+    const lengthSquared = segmentX * segmentX + segmentZ * segmentZ;
+    if (lengthSquared < 1e-6) return;
+    
+    const minX = Math.ceil((Math.min(x0, x1) - halfWidth) / cell);
+    const maxX = Math.floor((Math.max(x0, x1) + halfWidth) / cell);
+    const minZ = Math.ceil((Math.min(z0, z1) - halfWidth) / cell);
+    const maxZ = Math.floor((Math.max(z0, z1) + halfWidth) / cell);
+    
+    for (let gz = minZ; gz <= maxZ; gz++) {
+      for (let gx = minX; gx <= maxX; gx++) {
+        // Points past the start belong to the previous tick's segment
+        const x = gx * cell - x0;
+        const z = gz * cell - z0;
+        const along = (x * segmentX + z * segmentZ) / lengthSquared;
+        if (along <= 0 || along > 1) continue;
+        if (Math.hypot(x - segmentX * along, z - segmentZ * along) > halfWidth) continue;
+        
+        const tx = Math.floor(gx / TILE_CELLS);
+        const tz = Math.floor(gz / TILE_CELLS);
+        const depth = this.getGridDepth(gx, gz);
+        if (depth <= 0) continue;
+        
+        // Pack down to a share of the depth, also where the depth is capped
+        const tile = this.getTile(tx, tz);
+        const index = (gz - tz * TILE_CELLS) * TILE_CELLS + gx - tx * TILE_CELLS;
+        const unpacked = this.getInitialDepth(gx, gz) + this.accumulated;
+        tile[index] = unpacked - depth * this.packing;
+        this.markDirty(gx, gz);
+      }
+    }
+  }
+  
+  /**
+   * Grow the changed grid area by a point
+   * @param {number} gx - Grid column
+   * @param {number} gz - Grid row
+   */
+  markDirty(gx, gz) {
+    if (!this.dirty) {
+      this.dirty = { minX: gx, minZ: gz, maxX: gx, maxZ: gz };
+    } else {
+      this.dirty.minX = Math.min(this.dirty.minX, gx);
+      this.dirty.minZ = Math.min(this.dirty.minZ, gz);
+      this.dirty.maxX = Math.max(this.dirty.maxX, gx);
+      this.dirty.maxZ = Math.max(this.dirty.maxZ, gz);
+    }
+  }
+  
+  /**
+   * Grid area changed by wheels since the last call, for renderers
+   * @returns {Object|null} `{ minX, minZ, maxX, maxZ }` in grid points, or null
+   */
+  takeDirty() {
+    const dirty = this.dirty;
+    this.dirty = null;
+    return dirty;
+  }
+  
+  /**
+   * Capture the snow around a position for recordings
+   * Only tiles within the radius are kept, which covers the tracks a
+   * replay starting there runs into unless it drives far back.
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @param {number} radius - Radius in m
+   * @returns {Object} Plain-data snapshot
+   */
+  getSnapshot(x, z, radius = 50) {
+    const tileSize = TILE_CELLS * this.cellSize;
+    const tiles = [];
+    this.tiles.forEach((tile, key) => {
+      const [tx, tz] = key.split(',').map(Number);
+      const dx = Math.max(0, Math.abs(x - (tx + 0.5) * tileSize) - tileSize / 2);
+      const dz = Math.max(0, Math.abs(z - (tz + 0.5) * tileSize) - tileSize / 2);
+      if (Math.hypot(dx, dz) <= radius) {
+        tiles.push([tx, tz, encodeFloats(tile)]);
+      }
+    });
+    
+    return { snowfall: this.snowfall, accumulated: this.accumulated, tiles };
+  }
+  
+  /**
+   * Restore a state captured with getSnapshot()
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreSnapshot(snapshot) {
+    this.reset();
+    this.snowfall = snapshot.snowfall;
+    this.accumulated = snapshot.accumulated;
+    snapshot.tiles.forEach(([tx, tz, data]) => {
+      this.tiles.set(`${tx},${tz}`, decodeFloats(data));
+    });
+  }
+} 
\ No newline at end of file
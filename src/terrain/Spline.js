@@ -0,0 +1,68 @@
+/**
+ * One segment of a centripetal Catmull-Rom spline on the ground plane
+ *
+ * The segment runs from p1 to p2, shaped by the points before and after.
+ * Centripetal knots (the square root of the distance between points) keep
+ * the curve from overshooting or looping in tight bends. This is the same
+ * curve as THREE.CatmullRomCurve3 in 'centripetal' mode, kept free of
+ * three.js so chunk workers can lay out roads.
+ */
+export class SplineSegment {
+  /**
+   * @param {Object} p0 - Point before the segment, `{ x, z }`
+   * @param {Object} p1 - Start of the segment, `{ x, z }`
+   * @param {Object} p2 - End of the segment, `{ x, z }`
+   * @param {Object} p3 - Point after the segment, `{ x, z }`
+   */
+  constructor(p0, p1, p2, p3) {
+    let dt0 = Math.sqrt(Math.hypot(p1.x - p0.x, p1.z - p0.z));
+    let dt1 = Math.sqrt(Math.hypot(p2.x - p1.x, p2.z - p1.z));
+    let dt2 = Math.sqrt(Math.hypot(p3.x - p2.x, p3.z - p2.z));
+    
+    // Points on top of each other would divide by zero
+    if (dt1 < 1e-4) dt1 = 1;
+    if (dt0 < 1e-4) dt0 = dt1;
+    if (dt2 < 1e-4) dt2 = dt1;
+    
+    this.x = SplineSegment.cubic(p0.x, p1.x, p2.x, p3.x, dt0, dt1, dt2);
+    this.z = SplineSegment.cubic(p0.z, p1.z, p2.z, p3.z, dt0, dt1, dt2);
+  }
+  
+  /**
+   * Coefficients of the cubic through x1 and x2 for one coordinate
+   * @param {number} x0 - Coordinate of the point before
+   * @param {number} x1 - Coordinate of the start
+   * @param {number} x2 - Coordinate of the end
+   * @param {number} x3 - Coordinate of the point after
+   * @param {number} dt0 - Knot interval before the segment
+   * @param {number} dt1 - Knot interval of the segment
+   * @param {number} dt2 - Knot interval after the segment
+   * @returns {Array<number>} Coefficients, constant term first
+   */
+  static cubic(x0, x1, x2, x3, dt0, dt1, dt2) {
+    // Tangents at the ends, scaled to the segment's knot interval
+    const t1 = ((x1 - x0) / dt0 - (x2 - x0) / (dt0 + dt1) + (x2 - x1) / dt1) * dt1;
+    const t2 = ((x2 - x1) / dt1 - (x3 - x1) / (dt1 + dt2) + (x3 - x2) / dt2) * dt1;
+    return [x1, t1, -3 * x1 + 3 * x2 - 2 * t1 - t2, 2 * x1 - 2 * x2 + t1 + t2];
+  }
+  
+  /**
+   * Point along the segment
+   * @param {number} u - Position, 0 at the start to 1 at the end
+   * @returns {Object} `{ x, z }`
+   */
+  getPoint(u) {
+    const value = ([c0, c1, c2, c3]) => c0 + u * (c1 + u * (c2 + u * c3));
+    return { x: value(this.x), z: value(this.z) };
+  }
+  
+  /**
+   * Direction of the segment, not normalized
+   * @param {number} u - Position, 0 at the start to 1 at the end
+   * @returns {Object} `{ x, z }`
+   */
+  getTangent(u) {
+    const slope = ([, c1, c2, c3]) => c1 + u * (2 * c2 + u * 3 * c3);
+    return { x: slope(this.x), z: slope(this.z) };
+  }
+} 
\ No newline at end of file
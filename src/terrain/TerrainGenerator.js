@@ -1,423 +1,703 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
-// Replace the SimplexNoise import with a custom implementation
-// import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import { getSurfaceIndex, getSurfaceByIndex } from '../physics/Surfaces.js';
+import { ChunkGenerator } from './ChunkGenerator.js';
+import { parseSeed } from './Random.js';
+import { SnowCover } from './SnowCover.js';
 
 /**
- * Simple noise generator for terrain
+ * Buffer geometry from merged ribbons
+ * @param {Object} ribbons - `{ vertices, indices }` from the ChunkGenerator
+ * @returns {THREE.BufferGeometry} Geometry with normals
  */
-class SimpleNoise {
-  constructor(seed = 1) {
-    this.seed = seed;
-  }
+function createRibbonGeometry({ vertices, indices }) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+/**
+ * Triangle indices over a chunk's height data grid at a level of detail
+ * Triangles span `step` cells. Along a side next to a coarser chunk the edge
+ * vertices are snapped to that chunk's coarser edge vertices, so both meet
+ * along the same lines and no cracks open between them.
+ * @param {number} resolution - Height data points per chunk side
+ * @param {number} step - Cells spanned per triangle
+ * @param {Object} edges - Cells spanned along the `north`, `south`, `west` and `east` sides
+ * @returns {Uint16Array} Triangle indices
+ */
+function createLodIndices(resolution, step, edges) {
+  const last = resolution - 1;
+  const snap = (k, edgeStep) => Math.round(k / edgeStep) * edgeStep;
+  const vertex = (i, j) => {
+    if (i === 0) j = snap(j, edges.north);
+    else if (i === last) j = snap(j, edges.south);
+    if (j === 0) i = snap(i, edges.west);
+    else if (j === last) i = snap(i, edges.east);
+    return i * resolution + j;
+  };
+  
+  const indices = [];
+  const addTriangle = (a, b, c) => {
+    // Snapped triangles along the edges may collapse
+    if (a !== b && b !== c && a !== c) indices.push(a, b, c);
+  };
   
-  noise(x, y) {
-    // Very simple noise function for testing
-    return Math.sin(x * this.seed) * Math.cos(y * this.seed) * 0.5 + 0.5;
+  for (let i = 0; i < last; i += step) {
+    for (let j = 0; j < last; j += step) {
+      const a = vertex(i, j);
+      const b = vertex(i, j + step);
+      const c = vertex(i + step, j);
+      const d = vertex(i + step, j + step);
+      addTriangle(a, c, b);
+      addTriangle(b, c, d);
+    }
   }
+  
+  return new Uint16Array(indices);
 }
 
 /**
- * TerrainGenerator creates procedural winter terrain
+ * TerrainGenerator streams endless procedural winter terrain in square
+ * chunks around the vehicle
+ * Chunks are generated from the seed as the vehicle approaches and disposed
+ * once it has left them behind. The chunks next to the vehicle get physics
+ * bodies, generated on the spot if need be, so simulations don't depend on
+ * timing; the visible chunks further out come from a web worker, keeping
+ * their generation off the frame budget. Distant chunks are drawn with fewer
+ * triangles (geomipmapping). Pass a null scene to generate only height data
+ * and physics (headless runs).
  */
 export class TerrainGenerator {
-  constructor(scene, physics) {
+  /**
+   * @param {THREE.Scene|null} scene - Scene for the terrain meshes, null for headless runs
+   * @param {Physics} physics - Physics world for the terrain bodies
+   * @param {Object} options - Terrain options
+   * @param {number|string} options.seed - World seed, a number or any text
+   * @param {Heightmap} options.heightmap - Imported heights to use instead of procedural noise
+   */
+  constructor(scene, physics, options = {}) {
     this.scene = scene;
     this.physics = physics;
     
-    // Terrain settings
-    this.size = 200;           // Doubled terrain size from 100 to 200
-    this.resolution = 128;     // Doubled resolution to match larger terrain
-    this.maxHeight = 6;        // Maximum terrain height
-    
-    // Road settings
-    this.roadWidth = this.resolution / 5;  // Make road wider
-    this.roadY = this.resolution / 2;      // Road position in the middle
-    this.roadHeight = 0.5;                 // Fixed road height
+    // Chunk settings
+    this.seed = parseSeed(options.seed ?? 1);
+    this.heightmap = options.heightmap || null;
+    this.chunkSize = 100;      // Chunk size in m
+    this.resolution = 65;      // Height data points per chunk side
+    this.physicsRadius = 1;    // Chunks around the vehicle's chunk with physics bodies
+    this.viewRadius = 4;       // Chunks around the vehicle's chunk with meshes
+    this.lodLevels = 4;        // Coarser levels of detail, each halving the triangles per side
     
     // Generation objects
-    this.terrain = null;       // Main terrain mesh
-    this.heightData = null;    // Height data for physics
-    this.snowCovering = null;  // Snow covering mesh
-    this.road = null;          // Road mesh
-    
-    // Simplified noise generators 
-    this.terrainNoise = new SimpleNoise(1);
+    this.generator = new ChunkGenerator(this.getGeneratorOptions());
+    this.roadNetwork = this.generator.roadNetwork;
+    this.chunks = new Map();       // Loaded chunks by key
+    this.center = null;            // Chunk the vehicle was last in
+    this.worker = null;            // Web worker generating the visible chunks
+    this.materials = null;         // Materials shared by all chunk meshes
+    this.lodIndices = new Map();   // Shared index buffers by level of detail and edge steps
+    this.paints = [];              // Surfaces painted onto every chunk
+    this.surfaceOverride = null;   // Surface id set on every terrain body
+    this.snow = new SnowCover(this); // Loose snow and tire tracks on the ground
+    this.weatherGrip = 1;          // Friction multiplier of the ground in the current weather
   }
   
   /**
-   * Generate the terrain and add it to the scene
+   * Generate the terrain around the spawn point and start streaming
    */
   generate() {
     console.log("Generating terrain...");
     
-    // Create heightmap data
-    this.generateHeightData();
-    
-    // Create terrain mesh
-    this.createTerrainMesh();
-    
-    // Add snow covering
-    this.createSnowCovering();
+    // Visual meshes are only needed when rendering
+    if (this.scene) {
+      if (!this.materials) {
+        this.createMaterials();
+      }
+      this.createWorker();
+    }
     
-    // Add physics terrain
-    this.createTerrainPhysics();
+    // The terrain around the spawn point right away
+    this.update(this.getSpawnPoint(), true);
     
     console.log("Terrain generation complete");
   }
   
   /**
-   * Generate height data for the terrain
+   * Replace the world with the one grown from another seed
+   * The vehicle has to be respawned afterwards.
+   * @param {number|string} seed - World seed, a number or any text
    */
-  generateHeightData() {
-    // Create height data array
-    this.heightData = new Array(this.resolution);
-    for (let i = 0; i < this.resolution; i++) {
-      this.heightData[i] = new Array(this.resolution);
+  setSeed(seed) {
+    this.seed = parseSeed(seed);
+    this.regenerate();
+  }
+  
+  /**
+   * Replace the land with an imported heightmap, or with procedural noise
+   * again; the roads are laid out over it from the seed. The vehicle has to
+   * be respawned afterwards.
+   * @param {Heightmap|null} heightmap - Imported heights, null for noise
+   */
+  setHeightmap(heightmap) {
+    this.heightmap = heightmap;
+    this.regenerate();
+  }
+  
+  /**
+   * Dispose of every loaded chunk and generate the terrain again around the
+   * spawn point, after the seed or heightmap changed
+   */
+  regenerate() {
+    this.chunks.forEach(chunk => this.disposeChunk(chunk));
+    this.chunks.clear();
+    this.center = null;
+    
+    // The worker still generates chunks of the old world
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
     }
     
-    // Fill height data using simple noise
-    for (let i = 0; i < this.resolution; i++) {
-      for (let j = 0; j < this.resolution; j++) {
-        // Convert grid positions to noise coordinates
-        const nx = i / this.resolution * 5;
-        const nz = j / this.resolution * 5;
-        
-        // Get base terrain height from noise
-        let height = this.terrainNoise.noise(nx, nz) * this.maxHeight;
-        
-        // Flatten area for road
-        const distanceToRoad = Math.abs(j - this.roadY);
-        if (distanceToRoad < this.roadWidth) {
-          // Set fixed road height
-          height = this.roadHeight;
-        } else if (distanceToRoad < this.roadWidth * 1.5) {
-          // Create smooth transition from road to terrain
-          const transitionWidth = this.roadWidth * 0.5;
-          const factor = (distanceToRoad - this.roadWidth) / transitionWidth;
-          height = this.roadHeight + (height - this.roadHeight) * factor * factor;
-        }
-        
-        // Add edge falloff
-        const edgeDistance = Math.min(
-          i, this.resolution - i,
-          j, this.resolution - j
-        ) / (this.resolution * 0.1);
-        
-        const edgeFactor = Math.min(1, edgeDistance);
-        height *= edgeFactor;
-        
-        // Store height in grid
-        this.heightData[i][j] = height;
-      }
-    }
+    this.generator = new ChunkGenerator(this.getGeneratorOptions());
+    this.roadNetwork = this.generator.roadNetwork;
+    this.snow.reset();
+    this.generate();
   }
   
   /**
-   * Create terrain mesh from height data
+   * Options for the chunk generators, here and in the worker
+   * @returns {Object} ChunkGenerator options
    */
-  createTerrainMesh() {
-    // Create terrain geometry
-    const geometry = new THREE.PlaneGeometry(
-      this.size,
-      this.size,
-      this.resolution - 1,
-      this.resolution - 1
-    );
-    
-    // Rotate to XZ plane
-    geometry.rotateX(-Math.PI / 2);
-    
-    // Apply height data to vertices
-    const vertices = geometry.attributes.position.array;
-    for (let i = 0; i < this.resolution; i++) {
-      for (let j = 0; j < this.resolution; j++) {
-        const index = (i * this.resolution + j) * 3;
-        vertices[index + 1] = this.heightData[i][j]; // Y component
-      }
+  getGeneratorOptions() {
+    return { seed: this.seed, chunkSize: this.chunkSize, resolution: this.resolution, heightmap: this.heightmap };
+  }
+  
+  /**
+   * Start the web worker for the visible chunks, if workers are available
+   */
+  createWorker() {
+    if (typeof Worker === 'undefined') return;
+    
+    try {
+      this.worker = new Worker(new URL('./ChunkWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn("Generating terrain on the main thread:", error.message);
+      return;
     }
     
-    // Update normals
-    geometry.computeVertexNormals();
-    
-    // Create terrain material
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x7b6d64,
-      roughness: 0.95,
-      metalness: 0
+    this.worker.onmessage = ({ data }) => this.receiveChunk(data);
+    this.worker.onerror = error => {
+      // Fall back to generating the missing chunks here
+      console.warn("Terrain worker failed, generating terrain on the main thread:", error.message);
+      this.worker.terminate();
+      this.worker = null;
+      this.chunks.forEach(chunk => { chunk.requested = false; });
+      this.center = null;
+    };
+    this.worker.postMessage({
+      type: 'init',
+      options: this.getGeneratorOptions()
+    });
+  }
+  
+  /**
+   * Load the chunks around a position and dispose of those left behind
+   * Called every tick with the vehicle position; does nothing until the
+   * vehicle enters another chunk.
+   * @param {Object} position - World position with x and z in m
+   * @param {boolean} immediate - Generate the chunks around the position right away, without the worker
+   */
+  update(position, immediate = false) {
+    const cx = Math.round(position.x / this.chunkSize);
+    const cz = Math.round(position.z / this.chunkSize);
+    if (!immediate && this.center && this.center.cx === cx && this.center.cz === cz) return;
+    this.center = { cx, cz };
+    
+    // The chunks next to the vehicle need their bodies now
+    this.getChunksAround(cx, cz, this.physicsRadius).forEach(chunk => {
+      this.loadChunkData(chunk);
+      if (!chunk.bodies) this.createChunkPhysics(chunk);
     });
     
-    // Create terrain mesh
-    this.terrain = new THREE.Mesh(geometry, material);
-    this.terrain.receiveShadow = true;
-    this.terrain.castShadow = true;
-    
-    // Center terrain
-    this.terrain.position.set(-this.size / 2, 0, -this.size / 2);
+    // Visible chunks further out are generated by the worker, nearest first;
+    // the far rings also when starting out, as they are drawn coarsely anyway
+    if (this.scene) {
+      this.getChunksAround(cx, cz, this.viewRadius).forEach(chunk => {
+        const ring = Math.max(Math.abs(chunk.cx - cx), Math.abs(chunk.cz - cz));
+        if (!chunk.data && this.worker && !(immediate && ring <= this.physicsRadius + 1)) {
+          this.requestChunk(chunk);
+        } else {
+          this.loadChunkData(chunk);
+          if (!chunk.group) this.createChunkMeshes(chunk);
+        }
+      });
+      
+      // Detail falls off with the distance to the new center
+      this.chunks.forEach(chunk => {
+        if (chunk.group) this.updateChunkLod(chunk);
+      });
+    }
     
-    // Add to scene
-    this.scene.add(this.terrain);
+    // Keep one more ring than needed, so driving along a chunk border
+    // doesn't load and dispose the same chunks over and over
+    const keep = (this.scene ? this.viewRadius : this.physicsRadius) + 1;
+    this.chunks.forEach((chunk, key) => {
+      const distance = Math.max(Math.abs(chunk.cx - cx), Math.abs(chunk.cz - cz));
+      if (distance > keep) {
+        this.disposeChunk(chunk);
+        this.chunks.delete(key);
+      } else if (distance > this.physicsRadius + 1 && chunk.bodies) {
+        this.removeChunkPhysics(chunk);
+      }
+    });
+  }
+  
+  /**
+   * Chunks in a square around a chunk, nearest first
+   * @param {number} cx - Center chunk column
+   * @param {number} cz - Center chunk row
+   * @param {number} radius - Chunks on each side of the center
+   * @returns {Array<Object>} Chunks, created empty where not loaded yet
+   */
+  getChunksAround(cx, cz, radius) {
+    const chunks = [];
+    for (let ring = 0; ring <= radius; ring++) {
+      for (let dz = -ring; dz <= ring; dz++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) === ring) {
+            chunks.push(this.getChunk(cx + dx, cz + dz));
+          }
+        }
+      }
+    }
+    return chunks;
+  }
+  
+  /**
+   * Get a chunk, creating it empty if it isn't loaded
+   * @param {number} cx - Chunk column, along x
+   * @param {number} cz - Chunk row, along z
+   * @returns {Object} `{ cx, cz, data, requested, group, terrain, lod, bodies }`
+   */
+  getChunk(cx, cz) {
+    const key = `${cx},${cz}`;
+    if (!this.chunks.has(key)) {
+      this.chunks.set(key, { cx, cz, data: null, requested: false, group: null, terrain: null, lod: null, bodies: null });
+    }
+    return this.chunks.get(key);
+  }
+  
+  /**
+   * Generate a chunk's data on the main thread, unless it is already there
+   * @param {Object} chunk - Chunk from getChunk()
+   */
+  loadChunkData(chunk) {
+    if (!chunk.data) {
+      this.setChunkData(chunk, this.generator.generateChunk(chunk.cx, chunk.cz));
+    }
+  }
+  
+  /**
+   * Ask the worker for a chunk's data
+   * @param {Object} chunk - Chunk from getChunk()
+   */
+  requestChunk(chunk) {
+    if (chunk.requested) return;
     
-    // Create a separate road mesh
-    this.createRoadMesh();
+    chunk.requested = true;
+    this.worker.postMessage({ type: 'chunk', cx: chunk.cx, cz: chunk.cz });
   }
   
   /**
-   * Create snow covering mesh on top of terrain
+   * Use chunk data posted back by the worker
+   * @param {Object} data - Chunk data from ChunkGenerator.generateChunk()
    */
-  createSnowCovering() {
-    // Create snow geometry (identical to terrain but slightly elevated)
-    const geometry = new THREE.PlaneGeometry(
-      this.size,
-      this.size,
-      this.resolution - 1,
-      this.resolution - 1
-    );
+  receiveChunk(data) {
+    // The chunk may have been disposed or generated here meanwhile
+    const chunk = this.chunks.get(`${data.cx},${data.cz}`);
+    if (!chunk || chunk.data) return;
     
-    // Rotate to XZ plane
-    geometry.rotateX(-Math.PI / 2);
+    this.setChunkData(chunk, data);
+    if (!chunk.group) this.createChunkMeshes(chunk);
+  }
+  
+  /**
+   * Store a chunk's data and paint the painted surfaces onto it
+   * @param {Object} chunk - Chunk from getChunk()
+   * @param {Object} data - Chunk data from ChunkGenerator.generateChunk()
+   */
+  setChunkData(chunk, data) {
+    chunk.data = data;
+    this.paints.forEach(paint => this.paintChunk(chunk, paint));
+  }
+  
+  /**
+   * Remove a chunk's bodies and meshes
+   * @param {Object} chunk - Chunk from getChunk()
+   */
+  disposeChunk(chunk) {
+    this.removeChunkPhysics(chunk);
     
-    // Apply height data to vertices with snow height variation
-    const vertices = geometry.attributes.position.array;
+    if (chunk.group) {
+      // The terrain's index buffer is shared with other chunks
+      chunk.terrain.geometry.setIndex(null);
+      
+      this.scene.remove(chunk.group);
+      chunk.group.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+      });
+      chunk.group = null;
+      chunk.terrain = null;
+      chunk.lod = null;
+    }
+  }
+  
+  /**
+   * Paint a surface onto every height data point that passes a test, on
+   * the loaded chunks and on every chunk loaded later
+   * @param {string} id - Surface id from the surface registry
+   * @param {Function} test - Called with the point's world x and z, returns true to paint it
+   */
+  paintSurface(id, test) {
+    const paint = { index: getSurfaceIndex(id), test };
+    this.paints.push(paint);
+    this.chunks.forEach(chunk => {
+      if (chunk.data) this.paintChunk(chunk, paint);
+    });
+  }
+  
+  /**
+   * Paint a surface onto a round region
+   * @param {string} id - Surface id from the surface registry
+   * @param {number} x - Center x in m
+   * @param {number} z - Center z in m
+   * @param {number} radius - Radius in m
+   */
+  paintSurfaceCircle(id, x, z, radius) {
+    this.paintSurface(id, (cellX, cellZ) => Math.hypot(cellX - x, cellZ - z) <= radius);
+  }
+  
+  /**
+   * Apply one painted surface to a chunk
+   * @param {Object} chunk - Chunk with data
+   * @param {Object} paint - `{ index, test }`
+   */
+  paintChunk(chunk, paint) {
     for (let i = 0; i < this.resolution; i++) {
       for (let j = 0; j < this.resolution; j++) {
-        const index = (i * this.resolution + j) * 3;
-        
-        // Apply height with snow on top (fixed snow height)
-        vertices[index + 1] = this.heightData[i][j] + 0.2;
+        const { x, z } = this.generator.getCellPosition(chunk.cx, chunk.cz, i, j);
+        if (paint.test(x, z)) {
+          chunk.data.surfaces[i * this.resolution + j] = paint.index;
+        }
       }
     }
-    
-    // Update normals
-    geometry.computeVertexNormals();
-    
-    // Create snow material
-    const snowMaterial = new THREE.MeshStandardMaterial({
-      color: 0xffffff,
-      roughness: 0.7,
-      metalness: 0.1
-    });
-    
-    // Create snow mesh
-    this.snowCovering = new THREE.Mesh(geometry, snowMaterial);
-    this.snowCovering.receiveShadow = true;
-    
-    // Center snow
-    this.snowCovering.position.set(-this.size / 2, 0, -this.size / 2);
-    
-    // Add to scene
-    this.scene.add(this.snowCovering);
   }
   
   /**
-   * Create physics body for terrain collision
+   * Set one surface on every terrain body, overriding the painted surfaces,
+   * e.g. to compare handling on ice
+   * @param {string|null} id - Surface id from the surface registry, null to use the painted surfaces
    */
-  createTerrainPhysics() {
-    // Convert height data to format needed by physics
-    this.physics.createTerrainBody(this.heightData, {
-      elementSize: this.size / this.resolution,
-      maxHeight: this.maxHeight,
-      minHeight: 0
+  setSurfaceOverride(id) {
+    this.surfaceOverride = id;
+    this.chunks.forEach(chunk => {
+      if (chunk.bodies) chunk.bodies.forEach(body => { body.surface = id || undefined; });
     });
-    
-    // Create a specific collision body for the road
-    this.createRoadPhysics();
   }
   
   /**
-   * Create a dedicated physics body for the road to ensure solid collision
+   * Find the loaded chunk and height data point nearest a world position
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @returns {Object} `{ chunk, i, j }`: chunk (possibly not loaded) and
+   *   fractional row and column within it
    */
-  createRoadPhysics() {
-    // Road dimensions (match with visual road)
-    const roadLength = this.size;
-    const roadWidth = (this.roadWidth * 2) * (this.size / this.resolution);
-    
-    // Create a box shape for the road
-    const roadShape = new CANNON.Box(new CANNON.Vec3(
-      roadWidth / 2,    // half width 
-      0.1,              // half height (thickness)
-      roadLength / 2    // half length
-    ));
-    
-    // Create road body
-    const roadBody = new CANNON.Body({
-      mass: 0,  // Static body
-      material: this.physics.snowMaterial,
-      type: CANNON.Body.STATIC
-    });
+  locate(x, z) {
+    const cx = Math.round(x / this.chunkSize);
+    const cz = Math.round(z / this.chunkSize);
+    const step = this.chunkSize / (this.resolution - 1);
+    const corner = this.generator.getCellPosition(cx, cz, 0, 0);
+    return {
+      chunk: this.chunks.get(`${cx},${cz}`) || { cx, cz, data: null },
+      i: (z - corner.z) / step,
+      j: (x - corner.x) / step
+    };
+  }
+  
+  /**
+   * Get the painted surface at a world position
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @returns {Object|null} Surface from the registry, or null where no chunk is loaded
+   */
+  getSurfaceAt(x, z) {
+    const { chunk, i, j } = this.locate(x, z);
+    if (!chunk.data) return null;
     
-    // Add shape to body
-    roadBody.addShape(roadShape);
+    return getSurfaceByIndex(chunk.data.surfaces[Math.round(i) * this.resolution + Math.round(j)]);
+  }
+  
+  /**
+   * Get the ground height at a world position: the road surface on a road,
+   * otherwise the terrain interpolated between height data points
+   * Generates the chunk there if it isn't loaded, so use it for spawning and
+   * placing objects rather than every frame.
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @returns {number} Height in m
+   */
+  getHeightAt(x, z) {
+    this.roadNetwork.extendTo(z);
+    const road = this.roadNetwork.getClosestPoint(x, z);
+    if (road && road.distance <= road.road.width / 2 + this.generator.colliderMargin) {
+      return road.height;
+    }
     
-    // Position the road at the same place as the visual road
-    roadBody.position.set(0, this.roadHeight - 0.05, 0); // Lower slightly to ensure good contact
+    return this.sampleChunkData(x, z, 'heights');
+  }
+  
+  /**
+   * Get how far a world position lies outside the nearest road edge,
+   * interpolated between height data points
+   * Generates the chunk there if it isn't loaded.
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @returns {number} Distance in m, negative on a road, up to 50 m
+   */
+  getRoadEdgeAt(x, z) {
+    return this.sampleChunkData(x, z, 'roadEdges', 50);
+  }
+  
+  /**
+   * Interpolate one of the per point arrays of the chunk data at a world
+   * position, generating the chunk there if it isn't loaded
+   * @param {number} x - World x in m
+   * @param {number} z - World z in m
+   * @param {string} name - Array of the chunk data, e.g. 'heights'
+   * @param {number} limit - Largest value used, as Infinity would spoil the interpolation
+   * @returns {number} Interpolated value
+   */
+  sampleChunkData(x, z, name, limit = Infinity) {
+    const located = this.locate(x, z);
+    const chunk = this.getChunk(located.chunk.cx, located.chunk.cz);
+    this.loadChunkData(chunk);
+    
+    const resolution = this.resolution;
+    const i0 = Math.max(0, Math.min(resolution - 2, Math.floor(located.i)));
+    const j0 = Math.max(0, Math.min(resolution - 2, Math.floor(located.j)));
+    const u = located.i - i0;
+    const v = located.j - j0;
+    const values = chunk.data[name];
+    const value = (i, j) => Math.min(limit, values[i * resolution + j]);
+    return (value(i0, j0) * (1 - v) + value(i0, j0 + 1) * v) * (1 - u) +
+      (value(i0 + 1, j0) * (1 - v) + value(i0 + 1, j0 + 1) * v) * u;
+  }
+  
+  /**
+   * Create the materials shared by all chunk meshes
+   */
+  createMaterials() {
+    this.materials = {
+      // Snow and the bare ground showing through it, by vertex color
+      ground: new THREE.MeshStandardMaterial({
+        vertexColors: true,
+        roughness: 0.85,
+        metalness: 0,
+        // Push the terrain back so the roads stay on top in the distance,
+        // where the coarse terrain strays from the road heights
+        polygonOffset: true,
+        polygonOffsetFactor: 1,
+        polygonOffsetUnits: 1
+      }),
+      road: new THREE.MeshStandardMaterial({
+        color: 0x333333,
+        roughness: 0.8,
+        metalness: 0.1
+      }),
+      lines: new THREE.MeshBasicMaterial({
+        color: 0xFFFFFF
+      })
+    };
+    
+    // Vertex colors of the ground
+    this.snowColor = new THREE.Color(0xf4f7fb);
+    this.groundColor = new THREE.Color(0x7b6d64);
+  }
+  
+  /**
+   * Create a chunk's meshes: the terrain, and the roads with their markings
+   * @param {Object} chunk - Chunk with data
+   */
+  createChunkMeshes(chunk) {
+    const { data } = chunk;
+    const group = new THREE.Group();
+    
+    // Terrain, with the normals computed across the chunk borders
+    const terrain = new THREE.Mesh(this.createTerrainGeometry(chunk), this.materials.ground);
+    terrain.receiveShadow = true;
+    terrain.castShadow = true;
+    group.add(terrain);
+    
+    // Roads and their markings
+    if (data.roads.indices.length > 0) {
+      const roadMesh = new THREE.Mesh(createRibbonGeometry(data.roads), this.materials.road);
+      roadMesh.receiveShadow = true;
+      roadMesh.add(new THREE.Mesh(createRibbonGeometry(data.markings), this.materials.lines));
+      group.add(roadMesh);
+    }
     
-    // Create a special road material with better friction
-    const roadMaterial = new CANNON.Material('road');
-    roadBody.material = roadMaterial;
+    this.scene.add(group);
+    chunk.group = group;
+    chunk.terrain = terrain;
+    this.updateChunkLod(chunk);
+  }
+  
+  /**
+   * Terrain geometry over all of a chunk's height data points, colored snow
+   * white except on the cleared road verges and on slopes too steep to hold
+   * snow
+   * The triangles are set by updateChunkLod().
+   * @param {Object} chunk - Chunk with data
+   * @returns {THREE.BufferGeometry} Geometry in world coordinates
+   */
+  createTerrainGeometry(chunk) {
+    const { data } = chunk;
+    const count = this.resolution * this.resolution;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const color = new THREE.Color();
     
-    // Create contact between road and tires
-    const roadTireContactMaterial = new CANNON.ContactMaterial(
-      roadMaterial,
-      this.physics.tireMaterial,
-      {
-        friction: 1.2,             // Increased from 0.8 for more grip
-        restitution: 0.01,         // Almost no bounce
-        contactEquationStiffness: 1500, // Increased for better road contact
-        contactEquationRelaxation: 4,
-        frictionEquationStiffness: 1000 // Added to improve traction
+    for (let i = 0; i < this.resolution; i++) {
+      for (let j = 0; j < this.resolution; j++) {
+        const cell = i * this.resolution + j;
+        const { x, z } = this.generator.getCellPosition(chunk.cx, chunk.cz, i, j);
+        positions[cell * 3] = x;
+        positions[cell * 3 + 1] = data.heights[cell];
+        positions[cell * 3 + 2] = z;
+        
+        // Snow banks up within a meter of the road edge and slides off
+        // slopes steeper than about 40 degrees
+        const verge = THREE.MathUtils.smoothstep(data.roadEdges[cell], 0, 1);
+        const slope = THREE.MathUtils.smoothstep(data.normals[cell * 3 + 1], 0.72, 0.85);
+        color.lerpColors(this.groundColor, this.snowColor, verge * slope).toArray(colors, cell * 3);
       }
-    );
-    
-    // Add the contact material to the world
-    this.physics.world.addContactMaterial(roadTireContactMaterial);
-    
-    // Set collision groups
-    roadBody.collisionFilterGroup = 1;
-    roadBody.collisionFilterMask = 1;
-    
-    // Add body to physics world
-    this.physics.addBody(roadBody);
+    }
     
-    // Create a duplicate road ahead
-    this.createExtendedRoadPhysics(roadMaterial);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.computeBoundingSphere();
+    return geometry;
   }
   
   /**
-   * Create an extended road section ahead of the main road
-   * @param {CANNON.Material} roadMaterial - Road material to use
+   * Level of detail of a chunk, from its distance in chunks to the center
+   * The chunks with physics bodies get full detail; each ring further out
+   * gets one level coarser, so neighbours differ by one level at most.
+   * @param {number} cx - Chunk column
+   * @param {number} cz - Chunk row
+   * @returns {number} Level, 0 for full detail
    */
-  createExtendedRoadPhysics(roadMaterial) {
-    // Road dimensions for extended section
-    const roadLength = this.size;
-    const roadWidth = (this.roadWidth * 2) * (this.size / this.resolution);
-    
-    // Create a box shape for the extended road
-    const extRoadShape = new CANNON.Box(new CANNON.Vec3(
-      roadWidth / 2,    // half width 
-      0.1,              // half height (thickness)
-      roadLength / 2    // half length
-    ));
-    
-    // Create extended road body
-    const extRoadBody = new CANNON.Body({
-      mass: 0,  // Static body
-      material: roadMaterial,
-      type: CANNON.Body.STATIC
-    });
-    
-    // Add shape to body
-    extRoadBody.addShape(extRoadShape);
-    
-    // Position the extended road in front of the main road
-    extRoadBody.position.set(0, this.roadHeight - 0.05, -roadLength); 
-    
-    // Add body to physics world
-    this.physics.addBody(extRoadBody);
+  getLodLevel(cx, cz) {
+    const ring = Math.max(Math.abs(cx - this.center.cx), Math.abs(cz - this.center.cz));
+    return Math.max(0, Math.min(this.lodLevels, ring - this.physicsRadius));
   }
   
   /**
-   * Create a visible road mesh on top of the terrain
+   * Set a chunk's terrain triangles for its level of detail, stitched to
+   * its coarser neighbours
+   * @param {Object} chunk - Chunk with meshes
    */
-  createRoadMesh() {
-    // Road dimensions
-    const roadLength = this.size;
-    const roadWidth = (this.roadWidth * 2) * (this.size / this.resolution);
-    
-    // Create road geometry
-    const roadGeometry = new THREE.PlaneGeometry(roadWidth, roadLength);
-    roadGeometry.rotateX(-Math.PI / 2);
-    
-    // Create road material with asphalt texture
-    const roadMaterial = new THREE.MeshStandardMaterial({
-      color: 0x333333,
-      roughness: 0.8,
-      metalness: 0.1
-    });
-    
-    // Create road mesh
-    this.road = new THREE.Mesh(roadGeometry, roadMaterial);
-    
-    // Position road slightly above terrain to prevent z-fighting
-    this.road.position.set(0, this.roadHeight + 0.02, 0);
-    
-    // Add road markings
-    this.addRoadMarkings(this.road, roadWidth, roadLength);
-    
-    // Add to scene
-    this.scene.add(this.road);
-    
-    // Create extended road ahead
-    this.createExtendedRoadMesh(roadMaterial, roadWidth, roadLength);
+  updateChunkLod(chunk) {
+    const { cx, cz } = chunk;
+    const step = 2 ** this.getLodLevel(cx, cz);
+    const edgeStep = (ncx, ncz) => Math.max(step, 2 ** this.getLodLevel(ncx, ncz));
+    const edges = {
+      north: edgeStep(cx, cz - 1),
+      south: edgeStep(cx, cz + 1),
+      west: edgeStep(cx - 1, cz),
+      east: edgeStep(cx + 1, cz)
+    };
+    
+    const key = `${step}:${edges.north},${edges.south},${edges.west},${edges.east}`;
+    if (chunk.lod === key) return;
+    
+    // Every chunk shares the grid layout, so chunks at the same level with
+    // the same coarser neighbours share their index buffer
+    if (!this.lodIndices.has(key)) {
+      this.lodIndices.set(key, new THREE.BufferAttribute(createLodIndices(this.resolution, step, edges), 1));
+    }
+    chunk.terrain.geometry.setIndex(this.lodIndices.get(key));
+    chunk.lod = key;
   }
   
   /**
-   * Create an extended road mesh ahead of the main road
-   * @param {THREE.Material} roadMaterial - Road material to use
-   * @param {number} roadWidth - Width of the road
-   * @param {number} roadLength - Length of the road
+   * Create a chunk's physics bodies: a heightfield for the terrain and a
+   * trimesh following the road surfaces exactly
+   * The wheels' raycasts hit the road trimesh; the chassis collides with the
+   * heightfield just below it, since cannon-es has no box-trimesh contacts.
+   * @param {Object} chunk - Chunk with data
    */
-  createExtendedRoadMesh(roadMaterial, roadWidth, roadLength) {
-    // Create extended road geometry
-    const extRoadGeometry = new THREE.PlaneGeometry(roadWidth, roadLength);
-    extRoadGeometry.rotateX(-Math.PI / 2);
-    
-    // Create extended road mesh
-    const extRoad = new THREE.Mesh(extRoadGeometry, roadMaterial);
-    
-    // Position extended road ahead of the main road
-    extRoad.position.set(0, this.roadHeight + 0.02, -roadLength);
+  createChunkPhysics(chunk) {
+    const { data } = chunk;
+    const resolution = this.resolution;
     
-    // Add road markings
-    this.addRoadMarkings(extRoad, roadWidth, roadLength);
+    const heightData = [];
+    for (let i = 0; i < resolution; i++) {
+      heightData.push(Array.from(data.heights.subarray(i * resolution, (i + 1) * resolution)));
+    }
+    const corner = this.generator.getCellPosition(chunk.cx, chunk.cz, 0, 0);
+    chunk.bodies = [this.physics.createTerrainBody(heightData, {
+      elementSize: this.chunkSize / (resolution - 1),
+      x: corner.x,
+      z: corner.z
+    })];
+    
+    if (data.colliders.indices.length > 0) {
+      // The tire grip comes from the painted surfaces, the asphalt material
+      // only matters when the chassis touches the road
+      const roadBody = new CANNON.Body({
+        mass: 0,  // Static body
+        material: this.physics.getSurfaceMaterial('asphalt'),
+        type: CANNON.Body.STATIC
+      });
+      roadBody.addShape(new CANNON.Trimesh(data.colliders.vertices, data.colliders.indices));
+      
+      // Set collision groups
+      roadBody.collisionFilterGroup = 1;
+      roadBody.collisionFilterMask = 1;
+      
+      chunk.bodies.push(this.physics.addBody(roadBody));
+    }
     
-    // Add to scene
-    this.scene.add(extRoad);
+    // Loose snow lies on the terrain bodies only (see SnowCover)
+    chunk.bodies.forEach(body => { body.terrain = true; });
+    if (this.surfaceOverride) {
+      chunk.bodies.forEach(body => { body.surface = this.surfaceOverride; });
+    }
   }
   
   /**
-   * Add road markings to the road mesh
+   * Remove a chunk's physics bodies
+   * @param {Object} chunk - Chunk from getChunk()
    */
-  addRoadMarkings(roadMesh, roadWidth, roadLength) {
-    // Create center line
-    const centerLineGeometry = new THREE.PlaneGeometry(0.2, roadLength);
-    centerLineGeometry.rotateX(-Math.PI / 2);
+  removeChunkPhysics(chunk) {
+    if (!chunk.bodies) return;
     
-    const linesMaterial = new THREE.MeshBasicMaterial({
-      color: 0xFFFFFF
-    });
-    
-    const centerLine = new THREE.Mesh(centerLineGeometry, linesMaterial);
-    centerLine.position.y = 0.01; // Slightly above road
-    roadMesh.add(centerLine);
-    
-    // Create dashed side lines
-    const dashLength = 2;
-    const dashGap = 2;
-    const numDashes = Math.floor(roadLength / (dashLength + dashGap));
-    
-    for (let i = 0; i < numDashes; i++) {
-      // Left side dash
-      const leftDashGeometry = new THREE.PlaneGeometry(0.2, dashLength);
-      leftDashGeometry.rotateX(-Math.PI / 2);
-      const leftDash = new THREE.Mesh(leftDashGeometry, linesMaterial);
-      leftDash.position.set(-roadWidth/2 + 1, 0.01, -roadLength/2 + i * (dashLength + dashGap) + dashLength/2);
-      roadMesh.add(leftDash);
-      
-      // Right side dash
-      const rightDashGeometry = new THREE.PlaneGeometry(0.2, dashLength);
-      rightDashGeometry.rotateX(-Math.PI / 2);
-      const rightDash = new THREE.Mesh(rightDashGeometry, linesMaterial);
-      rightDash.position.set(roadWidth/2 - 1, 0.01, -roadLength/2 + i * (dashLength + dashGap) + dashLength/2);
-      roadMesh.add(rightDash);
-    }
+    chunk.bodies.forEach(body => this.physics.removeBody(body));
+    chunk.bodies = null;
   }
   
   /**
-   * Get the road height for vehicle spawning
-   * @returns {number} Road height in world coordinates
+   * Get the vehicle spawn point on the main road
+   * @returns {Object} `{ x, y, z, heading }`: road surface position in world
+   *   coordinates and the yaw facing along the road
    */
-  getRoadHeight() {
-    return this.roadHeight;
+  getSpawnPoint() {
+    return this.roadNetwork.getSpawnPoint();
   }
-} 
\ No newline at end of file
+}
\ No newline at end of file
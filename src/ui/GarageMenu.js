@@ -0,0 +1,173 @@
+import { getVehicleDefinition, getVehicleDefinitions } from '../vehicle/VehicleDefinitions.js';
+import { TUNING_PARAMETERS, getDefaultTuning } from '../vehicle/VehicleSetups.js';
+
+/**
+ * GarageMenu shows the garage screen for picking a vehicle and tuning its
+ * suspension, grip, brakes and power
+ *
+ * Picking a vehicle rebuilds it right away so it can be looked at; tuning
+ * only changes the physics, so it is applied and saved when the garage
+ * closes, before the drive starts.
+ */
+export class GarageMenu {
+  /**
+   * @param {Vehicle} vehicle - Live vehicle to rebuild
+   * @param {VehicleSetups} setups - Saved vehicle and tuning
+   * @param {Function} onRebuild - Called after the vehicle was rebuilt
+   */
+  constructor(vehicle, setups, onRebuild = null) {
+    this.vehicle = vehicle;
+    this.setups = setups;
+    this.onRebuild = onRebuild;
+    
+    // Elements
+    this.panel = document.getElementById('garage-panel');
+    this.vehicleSelect = document.getElementById('garage-vehicle');
+    this.tuningTable = document.getElementById('garage-tuning');
+    this.statusElement = document.getElementById('garage-status');
+    
+    // State
+    this.isOpen = false;
+    this.onClose = null;        // Called once when the panel closes
+    this.vehicleId = setups.vehicleId;
+    this.tuning = setups.getTuning();
+    this.builtSetup = this.describeSetup(); // Setup the live vehicle was built with
+    this.building = Promise.resolve();      // Rebuilds run one after another
+    
+    this.initEvents();
+  }
+  
+  /**
+   * Wire up the vehicle picker and buttons
+   */
+  initEvents() {
+    getVehicleDefinitions().forEach(definition => {
+      const option = document.createElement('option');
+      option.value = definition.id;
+      option.textContent = definition.name;
+      this.vehicleSelect.appendChild(option);
+    });
+    
+    this.vehicleSelect.addEventListener('change', () => {
+      this.vehicleId = this.vehicleSelect.value;
+      this.tuning = this.setups.getTuning(this.vehicleId);
+      this.render();
+      this.build();
+    });
+    
+    document.getElementById('garage-reset').addEventListener('click', () => {
+      this.tuning = getDefaultTuning(getVehicleDefinition(this.vehicleId));
+      this.render();
+      this.showStatus('Tuning reset to the stock setup');
+    });
+    
+    document.getElementById('garage-close').addEventListener('click', () => this.close());
+  }
+  
+  /**
+   * Key for the picked vehicle and tuning, to tell whether a rebuild is needed
+   * @returns {string} Setup key
+   */
+  describeSetup() {
+    return JSON.stringify({ vehicleId: this.vehicleId, tuning: this.tuning });
+  }
+  
+  /**
+   * Show a status line below the tuning sliders
+   * @param {string} message - Text to show
+   * @param {boolean} isError - Whether to highlight it as an error
+   */
+  showStatus(message, isError = false) {
+    this.statusElement.textContent = message;
+    this.statusElement.style.color = isError ? '#ff5555' : '';
+  }
+  
+  /**
+   * Rebuild the live vehicle with the picked vehicle and tuning, unless it
+   * already is built that way
+   * @returns {Promise} Resolves when the vehicle is rebuilt
+   */
+  build() {
+    this.building = this.building.then(() => {
+      const setup = this.describeSetup();
+      if (setup === this.builtSetup) return;
+      
+      this.builtSetup = setup;
+      const definition = getVehicleDefinition(this.vehicleId);
+      return this.vehicle.rebuild(definition, { ...this.tuning }).then(() => {
+        console.log(`Garage: built ${definition.name}`);
+        if (this.onRebuild) this.onRebuild();
+      });
+    }).catch(error => {
+      console.error("Error building vehicle:", error);
+      this.showStatus(error.message, true);
+    });
+    
+    return this.building;
+  }
+  
+  /**
+   * Open the garage screen
+   * @param {Function} onClose - Optional callback when the screen closes
+   */
+  open(onClose = null) {
+    this.isOpen = true;
+    this.onClose = onClose;
+    this.vehicleId = this.setups.vehicleId;
+    this.tuning = this.setups.getTuning();
+    this.showStatus('');
+    this.render();
+    this.panel.style.display = 'block';
+  }
+  
+  /**
+   * Save and apply the setup, then close the garage screen
+   * @returns {Promise} Resolves once the vehicle is ready to drive
+   */
+  close() {
+    if (!this.isOpen) return this.building;
+    
+    this.isOpen = false;
+    this.setups.saveSetup(this.vehicleId, this.tuning);
+    this.panel.style.display = 'none';
+    
+    return this.build().then(() => {
+      const onClose = this.onClose;
+      this.onClose = null;
+      if (onClose) onClose();
+    });
+  }
+  
+  /**
+   * Show the picked vehicle and one slider per tuning parameter
+   */
+  render() {
+    this.vehicleSelect.value = this.vehicleId;
+    
+    this.tuningTable.innerHTML = '';
+    TUNING_PARAMETERS.forEach(parameter => {
+      const row = this.tuningTable.insertRow();
+      row.insertCell().textContent = parameter.label;
+      
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = parameter.min;
+      slider.max = parameter.max;
+      slider.step = parameter.step;
+      slider.value = this.tuning[parameter.id];
+      row.insertCell().appendChild(slider);
+      
+      // Multipliers and the brake bias both read as percentages
+      const valueCell = row.insertCell();
+      const showValue = () => {
+        valueCell.textContent = `${Math.round(this.tuning[parameter.id] * 100)}%`;
+      };
+      showValue();
+      
+      slider.addEventListener('input', () => {
+        this.tuning[parameter.id] = parseFloat(slider.value);
+        showValue();
+      });
+    });
+  }
+} 
\ No newline at end of file
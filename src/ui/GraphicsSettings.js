@@ -0,0 +1,54 @@
+import { SHADOW_QUALITIES, DEFAULT_SHADOW_QUALITY } from '../effects/ShadowCascades.js';
+
+const STORAGE_KEY = 'winter-driving-graphics';
+const STORAGE_VERSION = 1;
+
+/**
+ * GraphicsSettings remembers the graphics quality picked in the settings,
+ * in localStorage
+ */
+export class GraphicsSettings {
+  constructor() {
+    this.shadowQuality = DEFAULT_SHADOW_QUALITY;  // See SHADOW_QUALITIES
+    
+    this.load();
+  }
+  
+  /**
+   * Load the saved settings, ignoring quality levels that no longer exist
+   */
+  load() {
+    if (typeof localStorage === 'undefined') return;
+    
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (!data || data.version !== STORAGE_VERSION) return;
+      
+      if (SHADOW_QUALITIES[data.shadowQuality]) this.shadowQuality = data.shadowQuality;
+    } catch (error) {
+      console.warn("Ignoring stored graphics settings:", error.message);
+    }
+  }
+  
+  /**
+   * Save the settings to localStorage
+   */
+  save() {
+    if (typeof localStorage === 'undefined') return;
+    
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      shadowQuality: this.shadowQuality
+    }));
+  }
+  
+  /**
+   * Pick and save a shadow quality
+   * @param {string} id - Quality id, see SHADOW_QUALITIES
+   */
+  setShadowQuality(id) {
+    if (!SHADOW_QUALITIES[id]) throw new Error(`Unknown shadow quality "${id}"`);
+    this.shadowQuality = id;
+    this.save();
+  }
+} 
\ No newline at end of file
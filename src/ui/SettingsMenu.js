@@ -0,0 +1,319 @@
+import { ACTIONS, BINDING_PRESETS, InputBindings } from '../controls/InputBindings.js';
+
+/**
+ * SettingsMenu shows the settings screen for remapping controls and
+ * managing binding profiles
+ *
+ * New bindings are captured by pressing the key, mouse button or gamepad
+ * control to bind while the action's "Add" button is waiting.
+ */
+export class SettingsMenu {
+  constructor(inputManager) {
+    this.inputManager = inputManager;
+    this.bindings = inputManager.bindings;
+    
+    // Elements
+    this.panel = document.getElementById('settings-panel');
+    this.profileSelect = document.getElementById('binding-profile');
+    this.presetSelect = document.getElementById('binding-preset');
+    this.bindingTable = document.getElementById('binding-table');
+    this.statusElement = document.getElementById('binding-status');
+    this.controlsHelp = document.getElementById('controls-help');
+    
+    // State
+    this.isOpen = false;
+    this.onClose = null;        // Called once when the panel closes
+    this.captureAction = null;  // Action waiting for a new binding
+    this.gamepadBaseline = null; // Gamepad state when capture started
+    
+    // Bound handlers so they can be removed again
+    this.handleCaptureKey = this.handleCaptureKey.bind(this);
+    this.handleCaptureMouse = this.handleCaptureMouse.bind(this);
+    this.pollGamepadCapture = this.pollGamepadCapture.bind(this);
+    
+    this.initEvents();
+    this.renderHelp();
+  }
+  
+  /**
+   * Wire up the profile controls
+   */
+  initEvents() {
+    Object.keys(BINDING_PRESETS).forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this.presetSelect.appendChild(option);
+    });
+    
+    this.profileSelect.addEventListener('change', () => {
+      this.bindings.selectProfile(this.profileSelect.value);
+      this.render();
+    });
+    
+    document.getElementById('binding-profile-new').addEventListener('click', () => {
+      const name = prompt("Name for the new control profile (copied from the current one):");
+      if (name === null) return;
+      this.runAction(() => this.bindings.createProfile(name), `Created profile "${name.trim()}"`);
+    });
+    
+    document.getElementById('binding-profile-delete').addEventListener('click', () => {
+      const name = this.bindings.activeProfile;
+      if (!confirm(`Delete control profile "${name}"?`)) return;
+      this.runAction(() => this.bindings.deleteProfile(name), `Deleted profile "${name}"`);
+    });
+    
+    document.getElementById('binding-reset').addEventListener('click', () => {
+      const preset = this.presetSelect.value;
+      this.runAction(() => this.bindings.resetProfile(preset), `Reset to ${preset} defaults`);
+    });
+    
+    document.getElementById('settings-close').addEventListener('click', () => this.close());
+  }
+  
+  /**
+   * Run a profile change, showing its result or error in the panel
+   * @param {Function} action - Change to run
+   * @param {string} message - Message shown on success
+   */
+  runAction(action, message) {
+    try {
+      action();
+      this.render();
+      this.showStatus(message);
+    } catch (error) {
+      this.showStatus(error.message, true);
+    }
+  }
+  
+  /**
+   * Show a status line below the bindings
+   * @param {string} message - Text to show
+   * @param {boolean} isError - Whether to highlight it as an error
+   */
+  showStatus(message, isError = false) {
+    this.statusElement.textContent = message;
+    this.statusElement.style.color = isError ? '#ff5555' : '';
+  }
+  
+  /**
+   * Open the settings screen
+   * @param {Function} onClose - Optional callback when the screen closes
+   */
+  open(onClose = null) {
+    this.isOpen = true;
+    this.onClose = onClose;
+    this.inputManager.actionsEnabled = false;
+    this.showStatus('');
+    this.render();
+    this.panel.style.display = 'block';
+  }
+  
+  /**
+   * Close the settings screen
+   */
+  close() {
+    if (!this.isOpen) return;
+    
+    this.stopCapture();
+    this.isOpen = false;
+    this.inputManager.actionsEnabled = true;
+    this.panel.style.display = 'none';
+    
+    const onClose = this.onClose;
+    this.onClose = null;
+    if (onClose) onClose();
+  }
+  
+  /**
+   * Rebuild the profile list, binding table and controls help
+   */
+  render() {
+    // Profiles
+    this.profileSelect.innerHTML = '';
+    this.bindings.getProfileNames().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = name === this.bindings.activeProfile;
+      this.profileSelect.appendChild(option);
+    });
+    
+    // One row per action
+    this.bindingTable.innerHTML = '';
+    ACTIONS.forEach(action => {
+      const row = this.bindingTable.insertRow();
+      row.insertCell().textContent = action.label;
+      
+      const bindingCell = row.insertCell();
+      this.bindings.getBindings(action.id).forEach((binding, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'binding-chip';
+        chip.textContent = InputBindings.describe(binding);
+        
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove binding';
+        remove.addEventListener('click', () => {
+          this.bindings.removeBinding(action.id, index);
+          this.render();
+        });
+        
+        chip.appendChild(remove);
+        bindingCell.appendChild(chip);
+      });
+      
+      const addCell = row.insertCell();
+      const add = document.createElement('button');
+      add.className = 'binding-add';
+      add.textContent = this.captureAction === action.id ? 'Press…' : 'Add';
+      add.addEventListener('click', () => this.startCapture(action.id));
+      addCell.appendChild(add);
+    });
+    
+    this.renderHelp();
+  }
+  
+  /**
+   * Show the active keyboard bindings in the controls help box
+   */
+  renderHelp() {
+    if (!this.controlsHelp) return;
+    
+    this.controlsHelp.innerHTML = '<h3 style="margin: 0 0 10px 0;">Controls:</h3>';
+    ACTIONS.forEach(action => {
+      const names = this.bindings.getBindings(action.id)
+        .filter(binding => binding.device !== 'gamepad')
+        .map(binding => InputBindings.describe(binding));
+      if (!names.length) return;
+      
+      const line = document.createElement('p');
+      line.textContent = `${names.join(' / ')} - ${action.label}`;
+      this.controlsHelp.appendChild(line);
+    });
+  }
+  
+  /**
+   * Wait for the next key, mouse button or gamepad control and bind it
+   * @param {string} action - Action id to bind
+   */
+  startCapture(action) {
+    this.stopCapture();
+    
+    this.captureAction = action;
+    this.showStatus('Press a key, mouse button or gamepad control (Esc to cancel)');
+    
+    // Capture phase, so the game never sees the key being bound
+    window.addEventListener('keydown', this.handleCaptureKey, true);
+    window.addEventListener('mousedown', this.handleCaptureMouse, true);
+    
+    // Remember the resting gamepad state to detect what moves
+    const gamepad = this.inputManager.gamepad;
+    gamepad.update();
+    this.gamepadBaseline = gamepad.gamepad ? {
+      buttons: gamepad.gamepad.buttons.map(button => button.value),
+      axes: Array.from(gamepad.gamepad.axes)
+    } : null;
+    requestAnimationFrame(this.pollGamepadCapture);
+    
+    this.render();
+  }
+  
+  /**
+   * Stop waiting for a binding
+   */
+  stopCapture() {
+    if (!this.captureAction) return;
+    
+    this.captureAction = null;
+    this.gamepadBaseline = null;
+    window.removeEventListener('keydown', this.handleCaptureKey, true);
+    window.removeEventListener('mousedown', this.handleCaptureMouse, true);
+  }
+  
+  /**
+   * Bind the captured input to the waiting action
+   * @param {Object} binding - Captured binding
+   */
+  finishCapture(binding) {
+    const action = this.captureAction;
+    this.stopCapture();
+    this.bindings.addBinding(action, binding);
+    this.render();
+    
+    const label = ACTIONS.find(({ id }) => id === action).label;
+    this.showStatus(`${InputBindings.describe(binding)} bound to ${label}`);
+  }
+  
+  /**
+   * Keyboard capture handler
+   * @param {KeyboardEvent} e - Key event
+   */
+  handleCaptureKey(e) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.repeat) return;
+    
+    if (e.key === 'Escape') {
+      this.stopCapture();
+      this.render();
+      this.showStatus('Cancelled');
+      return;
+    }
+    
+    this.finishCapture({ device: 'key', key: e.key.toLowerCase() });
+  }
+  
+  /**
+   * Mouse capture handler
+   * @param {MouseEvent} e - Mouse event
+   */
+  handleCaptureMouse(e) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    this.finishCapture({ device: 'mouse', button: e.button });
+  }
+  
+  /**
+   * Check the gamepad for a pressed button or moved axis while capturing
+   */
+  pollGamepadCapture() {
+    if (!this.captureAction) return;
+    
+    const gamepad = this.inputManager.gamepad;
+    gamepad.update();
+    
+    const pad = gamepad.gamepad;
+    if (pad) {
+      // A controller connected during capture rests at its current state
+      if (!this.gamepadBaseline) {
+        this.gamepadBaseline = {
+          buttons: pad.buttons.map(button => button.value),
+          axes: Array.from(pad.axes)
+        };
+      }
+      
+      const baseline = this.gamepadBaseline;
+      
+      const button = pad.buttons.findIndex((state, i) => state.value > 0.5 && (baseline.buttons[i] || 0) <= 0.5);
+      if (button !== -1) {
+        this.finishCapture({ device: 'gamepad', button });
+        return;
+      }
+      
+      const axis = Array.from(pad.axes).findIndex((value, i) => Math.abs(value - (baseline.axes[i] || 0)) > 0.5);
+      if (axis !== -1) {
+        const rest = baseline.axes[axis] || 0;
+        this.finishCapture({
+          device: 'gamepad',
+          axis,
+          direction: Math.sign(pad.axes[axis] - rest),
+          rest: Math.round(rest)
+        });
+        return;
+      }
+    }
+    
+    requestAnimationFrame(this.pollGamepadCapture);
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * Default driver assist settings
+ *
+ * Slip targets are fractions of the slip ratio at which the current surface
+ * grips best, so the assists work on ice as well as on asphalt.
+ * - abs: releases a wheel's brake while it slips past the target, then
+ *   reapplies it (`releaseRate` / `applyRate` in brake pressure per second)
+ * - tcs: cuts engine drive while a driven wheel spins past the target, faster
+ *   the further past it spins, down to `minDrive` (`cutRate` / `restoreRate`
+ *   in drive share per second)
+ * - esc: brakes single wheels when the car yaws faster or slower than the
+ *   steering asks for; `gain` is brake force in N per rad/s of yaw error
+ */
+export const ASSIST_DEFAULTS = {
+  abs: { enabled: true, slipTarget: 0.8, releaseRate: 40, applyRate: 10, minSpeed: 1.5 },
+  tcs: { enabled: true, slipTarget: 1.2, cutRate: 12, restoreRate: 3, minDrive: 0.02 },
+  esc: { enabled: true, yawThreshold: 0.08, gain: 6000, maxBrakeForce: 3000, minSpeed: 5, understeerGradient: 0.002 }
+};
+
+export const ASSIST_NAMES = ['abs', 'tcs', 'esc'];
+
+/**
+ * DriverAssists holds the anti-lock brakes (ABS), traction control (TCS) and
+ * electronic stability control (ESC) of a vehicle
+ *
+ * ABS and TCS watch each tire's slip and run every tire substep, since a
+ * wheel locks or spins up within a few milliseconds. ESC compares the yaw
+ * rate with the one the steering angle asks for once per tick and brakes
+ * single wheels to turn the car back onto that line. Each assist can be
+ * switched off to compare runs with and without it.
+ */
+export class DriverAssists {
+  constructor(config = ASSIST_DEFAULTS) {
+    this.setConfig(config);
+  }
+  
+  /**
+   * Use different assist settings, resetting the assist state
+   * @param {Object} config - Settings per assist, like ASSIST_DEFAULTS
+   */
+  setConfig(config) {
+    // Own copy, since assists can be switched on and off at runtime
+    this.config = JSON.parse(JSON.stringify(config));
+    this.reset();
+  }
+  
+  /**
+   * Return to full brake pressure and engine drive
+   */
+  reset() {
+    this.brakePressure = [1, 1, 1, 1];  // ABS brake pressure per wheel (0 = released, 1 = full)
+    this.driveShare = 1;                // Share of the engine drive TCS lets through
+    this.stabilityBrakes = [0, 0, 0, 0]; // ESC brake force per wheel in N this tick
+  }
+  
+  /**
+   * Switch an assist on or off
+   * @param {string} name - 'abs', 'tcs' or 'esc'
+   * @param {boolean} enabled - Whether the assist is on
+   */
+  setEnabled(name, enabled) {
+    if (!this.config[name]) {
+      throw new Error(`Unknown driver assist "${name}"`);
+    }
+    this.config[name].enabled = enabled;
+    
+    if (!enabled) {
+      if (name === 'abs') this.brakePressure = [1, 1, 1, 1];
+      if (name === 'tcs') this.driveShare = 1;
+      if (name === 'esc') this.stabilityBrakes = [0, 0, 0, 0];
+    }
+  }
+  
+  /**
+   * Whether an assist is switched on
+   * @param {string} name - 'abs', 'tcs' or 'esc'
+   * @returns {boolean} True if enabled
+   */
+  isEnabled(name) {
+    return Boolean(this.config[name] && this.config[name].enabled);
+  }
+  
+  /**
+   * Which assists are intervening right now, for the HUD
+   * @returns {Object} `{ abs, tcs, esc }` flags
+   */
+  getActive() {
+    return {
+      abs: this.brakePressure.some(pressure => pressure < 0.99),
+      tcs: this.driveShare < 0.99,
+      esc: this.stabilityBrakes.some(force => force > 0)
+    };
+  }
+  
+  /**
+   * ESC: brake single wheels against oversteer and understeer
+   * Too much yaw (oversteer) brakes the outer front wheel, too little
+   * (understeer) the inner rear wheel; braking a wheel on one side turns the
+   * car towards that side.
+   * @param {Object} state - Vehicle state this tick
+   * @param {number} state.speed - Forward speed in m/s
+   * @param {number} state.yawRate - Yaw rate in rad/s, positive turning left
+   * @param {number} state.steeringAngle - Front wheel angle in rad, positive left
+   * @param {number} state.wheelbase - Distance between the axles in m
+   * @param {number} state.friction - Average friction coefficient of the tires
+   * @returns {Array<number>} Extra brake force per wheel in N, FL, FR, BL, BR order
+   */
+  updateStability({ speed, yawRate, steeringAngle, wheelbase, friction }) {
+    const esc = this.config.esc;
+    this.stabilityBrakes = [0, 0, 0, 0];
+    if (!esc.enabled || speed < esc.minSpeed) return this.stabilityBrakes;
+    
+    // Yaw rate the steering asks for, at most what the tires can hold
+    const maxYawRate = 0.85 * friction * 9.82 / speed;
+    const requested = speed * Math.tan(steeringAngle) / (wheelbase * (1 + esc.understeerGradient * speed * speed));
+    const target = Math.max(-maxYawRate, Math.min(maxYawRate, requested));
+    
+    const error = yawRate - target;
+    if (Math.abs(error) < esc.yawThreshold) return this.stabilityBrakes;
+    
+    // Turning too far left is corrected on the right side and vice versa
+    const right = error > 0;
+    const oversteer = Math.sign(error) === Math.sign(target) || Math.abs(target) < 1e-3;
+    const wheel = (oversteer ? 0 : 2) + (right ? 1 : 0);
+    this.stabilityBrakes[wheel] = Math.min(esc.maxBrakeForce, esc.gain * (Math.abs(error) - esc.yawThreshold));
+    return this.stabilityBrakes;
+  }
+  
+  /**
+   * ABS: modulate one wheel's brake force against its slip
+   * @param {number} deltaTime - Substep length in seconds
+   * @param {number} index - Wheel index
+   * @param {Tire} tire - The wheel's tire, with the slip from the last substep
+   * @param {number} brakeForce - Requested brake force in N
+   * @returns {number} Brake force to apply in N
+   */
+  modulateBrake(deltaTime, index, tire, brakeForce) {
+    const abs = this.config.abs;
+    if (!abs.enabled || brakeForce <= 0 || Math.abs(tire.forwardVelocity) < abs.minSpeed) {
+      this.brakePressure[index] = 1;
+      return brakeForce;
+    }
+    
+    // Braking slip is negative when rolling forwards and positive in reverse
+    const slip = -tire.slipRatio * Math.sign(tire.forwardVelocity);
+    if (tire.load > 0 && slip > tire.getPeakSlipRatio() * abs.slipTarget) {
+      this.brakePressure[index] = Math.max(0, this.brakePressure[index] - abs.releaseRate * deltaTime);
+    } else {
+      this.brakePressure[index] = Math.min(1, this.brakePressure[index] + abs.applyRate * deltaTime);
+    }
+    
+    return brakeForce * this.brakePressure[index];
+  }
+  
+  /**
+   * TCS: limit the engine drive while a driven wheel spins
+   * @param {number} deltaTime - Substep length in seconds
+   * @param {number} driveForce - Requested total drive force in N
+   * @param {Array<Tire>} tires - Tires, with the slip from the last substep
+   * @param {Array<boolean>} drivenWheels - Whether each wheel is driven
+   * @returns {number} Drive force to apply in N
+   */
+  modulateDrive(deltaTime, driveForce, tires, drivenWheels) {
+    const tcs = this.config.tcs;
+    if (!tcs.enabled) {
+      this.driveShare = 1;
+      return driveForce;
+    }
+    
+    // Without drive, e.g. on the rev limiter, hold the cut until the drive
+    // comes back rather than returning to full drive on a spinning wheel
+    if (driveForce === 0) return 0;
+    
+    // How far the worst driven wheel spins past the target, relative to it;
+    // a wheel off the ground counts too, so it can't spin up before landing
+    const direction = Math.sign(driveForce);
+    const excess = tires.reduce((worst, tire, i) => {
+      if (!drivenWheels[i]) return worst;
+      const target = tire.getPeakSlipRatio() * tcs.slipTarget;
+      return Math.max(worst, (tire.getWheelSlipRatio() * direction - target) / target);
+    }, -Infinity);
+    
+    if (excess > 0) {
+      this.driveShare = Math.max(tcs.minDrive, this.driveShare - tcs.cutRate * Math.min(1, excess) * deltaTime);
+    } else {
+      this.driveShare = Math.min(1, this.driveShare + tcs.restoreRate * deltaTime);
+    }
+    
+    return driveForce * this.driveShare;
+  }
+  
+  /**
+   * Capture the assist settings and state for recordings
+   * @returns {Object} Plain-data snapshot
+   */
+  getSnapshot() {
+    return {
+      config: JSON.parse(JSON.stringify(this.config)),
+      brakePressure: this.brakePressure.slice(),
+      driveShare: this.driveShare,
+      stabilityBrakes: this.stabilityBrakes.slice()
+    };
+  }
+  
+  /**
+   * Restore a state captured with getSnapshot()
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreSnapshot(snapshot) {
+    this.setConfig(snapshot.config);
+    this.brakePressure = snapshot.brakePressure.slice();
+    this.driveShare = snapshot.driveShare;
+    this.stabilityBrakes = snapshot.stabilityBrakes.slice();
+  }
+} 
\ No newline at end of file
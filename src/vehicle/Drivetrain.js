@@ -0,0 +1,214 @@
+/**
+ * Default settings for each differential type
+ *
+ * - open: equal torque to both sides, so the side with less grip limits the other
+ * - lsd: limited-slip; the gripping side can take `biasRatio` times the torque
+ *   of the slipping side plus `preload`, and a speed difference between the
+ *   sides moves torque to the slower one (`lockStiffness`, N per m/s)
+ * - locked: both sides turn together; torque goes wherever there is grip
+ */
+export const DIFFERENTIAL_DEFAULTS = {
+  open: { type: 'open' },
+  lsd: { type: 'lsd', biasRatio: 2.5, preload: 300, lockStiffness: 1500 },
+  locked: { type: 'locked' }
+};
+
+export const DRIVETRAIN_LAYOUTS = ['FWD', 'RWD', 'AWD'];
+
+/**
+ * Drivetrain settings per vehicle
+ * `frontShare` is the share of drive torque sent to the front axle in AWD.
+ */
+export const DRIVETRAIN_PRESETS = {
+  // Ferrari F40: rear-wheel drive with a limited-slip differential
+  f40: {
+    layout: 'RWD',
+    frontShare: 0.4,
+    frontDiff: DIFFERENTIAL_DEFAULTS.open,
+    rearDiff: DIFFERENTIAL_DEFAULTS.lsd,
+    centerDiff: DIFFERENTIAL_DEFAULTS.lsd
+  },
+  
+  // Fallback box car: front-wheel drive with an open differential
+  boxCar: {
+    layout: 'FWD',
+    frontShare: 0.6,
+    frontDiff: DIFFERENTIAL_DEFAULTS.open,
+    rearDiff: DIFFERENTIAL_DEFAULTS.open,
+    centerDiff: DIFFERENTIAL_DEFAULTS.open
+  }
+};
+
+/**
+ * Drivetrain distributes the powertrain's drive force across the driven
+ * wheels through the front, rear and (for AWD) center differentials
+ *
+ * Everything is expressed as force at the contact patch, which is
+ * proportional to torque since all wheels share one radius. Each wheel is
+ * described by its rolling speed, the grip it has available (tire load times
+ * friction) and its inertia, which together decide how each differential
+ * splits the torque. The split is recomputed every tire substep.
+ */
+export class Drivetrain {
+  constructor(config = DRIVETRAIN_PRESETS.f40) {
+    this.setConfig(config);
+  }
+  
+  /**
+   * Use different drivetrain settings
+   * @param {Object} config - Drivetrain settings, e.g. from DRIVETRAIN_PRESETS
+   */
+  setConfig(config) {
+    // Own copy, since layout and differentials can be changed at runtime
+    this.config = JSON.parse(JSON.stringify(config));
+    this.wheelForces = [0, 0, 0, 0]; // Drive force per wheel from the last update
+  }
+  
+  /**
+   * Change which axles are driven
+   * @param {string} layout - 'FWD', 'RWD' or 'AWD'
+   */
+  setLayout(layout) {
+    if (!DRIVETRAIN_LAYOUTS.includes(layout)) {
+      throw new Error(`Unknown drivetrain layout "${layout}"`);
+    }
+    this.config.layout = layout;
+  }
+  
+  /**
+   * Change the type of one differential, using its default settings
+   * @param {string} position - 'front', 'rear' or 'center'
+   * @param {string} type - 'open', 'lsd' or 'locked'
+   */
+  setDifferential(position, type) {
+    if (!DIFFERENTIAL_DEFAULTS[type]) {
+      throw new Error(`Unknown differential type "${type}"`);
+    }
+    this.config[`${position}Diff`] = { ...DIFFERENTIAL_DEFAULTS[type] };
+  }
+  
+  /**
+   * Split a force between two outputs of a differential
+   * @param {number} force - Input force (negative when driving backwards)
+   * @param {Object} a - First output: `{ speed, grip, inertia }`
+   * @param {Object} b - Second output: `{ speed, grip, inertia }`
+   * @param {Object} diff - Differential settings
+   * @param {number} shareA - Nominal share of the force sent to `a`
+   * @returns {Array<number>} Forces for `a` and `b`
+   */
+  split(force, a, b, diff, shareA = 0.5) {
+    if (force === 0) return [0, 0];
+    
+    // Work with the magnitude; speeds are flipped so "faster" means faster in the drive direction
+    const direction = Math.sign(force);
+    const total = Math.abs(force);
+    let forceA = total * shareA;
+    let forceB = total * (1 - shareA);
+    
+    // Speed difference moves torque from the faster to the slower side,
+    // at most enough to bring both sides to the same speed within the substep
+    if (diff.type !== 'open') {
+      const speedDifference = (a.speed - b.speed) * direction;
+      let transfer = speedDifference * a.inertia * b.inertia / (a.inertia + b.inertia);
+      if (diff.type === 'lsd') {
+        const capacity = diff.preload + (diff.biasRatio - 1) * total / 2;
+        const viscous = Math.abs(diff.lockStiffness * speedDifference);
+        const limit = Math.min(capacity, viscous);
+        transfer = Math.max(-limit, Math.min(limit, transfer));
+      }
+      forceA -= transfer;
+      forceB += transfer;
+    }
+    
+    // Traction: the side with less grip limits what the other side can take.
+    // The slipping side keeps its share, so it spins up instead of gripping.
+    if (diff.type !== 'locked') {
+      const biasRatio = diff.type === 'lsd' ? diff.biasRatio : 1;
+      const preload = diff.type === 'lsd' ? diff.preload : 0;
+      
+      if (a.grip < forceA && a.grip / shareA < b.grip / (1 - shareA)) {
+        forceB = Math.min(forceB, a.grip * (1 - shareA) / shareA * biasRatio + preload);
+      } else if (b.grip < forceB && b.grip / (1 - shareA) < a.grip / shareA) {
+        forceA = Math.min(forceA, b.grip * shareA / (1 - shareA) * biasRatio + preload);
+      }
+    }
+    
+    return [forceA * direction, forceB * direction];
+  }
+  
+  /**
+   * Distribute the total drive force to the four wheels
+   * @param {number} force - Total drive force from the powertrain in N
+   * @param {Array<Object>} wheels - `{ speed, grip, inertia }` per wheel in FL, FR, BL, BR order
+   * @returns {Array<number>} Drive force per wheel in N
+   */
+  update(force, wheels) {
+    const { layout, frontShare, frontDiff, rearDiff, centerDiff } = this.config;
+    const [frontLeft, frontRight, backLeft, backRight] = wheels;
+    
+    // Axle totals for the center differential
+    const axle = (left, right) => ({
+      speed: (left.speed + right.speed) / 2,
+      grip: left.grip + right.grip,
+      inertia: left.inertia + right.inertia
+    });
+    
+    let frontForce = 0;
+    let rearForce = 0;
+    if (layout === 'FWD') {
+      frontForce = force;
+    } else if (layout === 'RWD') {
+      rearForce = force;
+    } else {
+      [frontForce, rearForce] = this.split(force, axle(frontLeft, frontRight), axle(backLeft, backRight), centerDiff, frontShare);
+    }
+    
+    const [fl, fr] = this.split(frontForce, frontLeft, frontRight, frontDiff);
+    const [bl, br] = this.split(rearForce, backLeft, backRight, rearDiff);
+    
+    this.wheelForces = [fl, fr, bl, br];
+    return this.wheelForces;
+  }
+  
+  /**
+   * Whether each wheel is driven in the current layout
+   * @returns {Array<boolean>} Per wheel in FL, FR, BL, BR order
+   */
+  getDrivenWheels() {
+    const { layout } = this.config;
+    const front = layout !== 'RWD';
+    const rear = layout !== 'FWD';
+    return [front, front, rear, rear];
+  }
+  
+  /**
+   * Average rolling speed of the driven wheels, which the engine turns with
+   * @param {Array<number>} speeds - Rolling speed per wheel in FL, FR, BL, BR order
+   * @returns {number} Speed in m/s
+   */
+  getDrivenSpeed(speeds) {
+    const [frontLeft, frontRight, backLeft, backRight] = speeds;
+    
+    switch (this.config.layout) {
+      case 'FWD': return (frontLeft + frontRight) / 2;
+      case 'RWD': return (backLeft + backRight) / 2;
+      default: return (frontLeft + frontRight + backLeft + backRight) / 4;
+    }
+  }
+  
+  /**
+   * Capture the drivetrain settings for recordings
+   * @returns {Object} Plain-data snapshot
+   */
+  getSnapshot() {
+    return JSON.parse(JSON.stringify(this.config));
+  }
+  
+  /**
+   * Restore settings captured with getSnapshot()
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreSnapshot(snapshot) {
+    this.setConfig(snapshot);
+  }
+} 
\ No newline at end of file
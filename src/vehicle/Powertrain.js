@@ -0,0 +1,315 @@
+/**
+ * Engine and gearbox settings per vehicle
+ *
+ * `torqueCurve` lists [rpm, torque in Nm] points at full throttle, linearly
+ * interpolated in between. Gear ratios are listed from first gear up.
+ */
+export const POWERTRAIN_PRESETS = {
+  // Ferrari F40: twin-turbo V8, close five-speed gearbox
+  f40: {
+    name: 'f40',
+    idleRpm: 1000,
+    launchRpm: 3500,        // Clutch slip rpm when pulling away at full throttle
+    redlineRpm: 7500,
+    limiterRpm: 7900,
+    upshiftRpm: 7200,       // Automatic mode shift points
+    downshiftRpm: 3200,
+    torqueCurve: [[1000, 300], [2000, 380], [3000, 480], [4000, 577], [5000, 565], [6000, 540], [7000, 500], [7900, 430]],
+    gearRatios: [4.0, 2.65, 1.95, 1.55, 1.27],
+    reverseRatio: 3.6,
+    finalDrive: 4.4,
+    efficiency: 0.85,       // Drivetrain losses
+    engineBrakeTorque: 120, // Drag torque at the limiter with the throttle closed
+    engineInertia: 0.2,     // Engine and flywheel in kg·m²
+    shiftTime: 0.15,        // Seconds without drive during a gear change
+    boostMultiplier: 1.3    // Overboost torque gain
+  },
+  
+  // Fallback box car: small economy engine, long four-speed gearbox
+  boxCar: {
+    name: 'boxCar',
+    idleRpm: 800,
+    launchRpm: 2200,
+    redlineRpm: 5500,
+    limiterRpm: 6000,
+    upshiftRpm: 5000,
+    downshiftRpm: 1800,
+    torqueCurve: [[800, 120], [2000, 160], [3000, 180], [4000, 175], [5000, 155], [6000, 120]],
+    gearRatios: [4.05, 2.45, 1.8, 1.45],
+    reverseRatio: 3.6,
+    finalDrive: 4.1,
+    efficiency: 0.8,
+    engineBrakeTorque: 60,
+    engineInertia: 0.12,
+    shiftTime: 0.35,
+    boostMultiplier: 1.3
+  }
+};
+
+const RPM_PER_RAD_PER_SECOND = 60 / (2 * Math.PI);
+
+/**
+ * Powertrain models the engine speed, torque output and gearbox of a vehicle
+ *
+ * Gears are numbered -1 (reverse), 0 (neutral) and 1 upwards. When the
+ * clutch is engaged the engine turns with the wheels; below the launch rpm
+ * the clutch slips so the car can pull away. In manual mode gears change
+ * sequentially on the rising edge of the shiftUp/shiftDown inputs, which are
+ * part of the per-tick inputs so recorded runs replay identically.
+ */
+export class Powertrain {
+  constructor(config = POWERTRAIN_PRESETS.f40) {
+    this.setConfig(config);
+  }
+  
+  /**
+   * Use a different engine and gearbox, resetting the powertrain state
+   * @param {Object} config - Powertrain settings, e.g. from POWERTRAIN_PRESETS
+   */
+  setConfig(config) {
+    this.config = config;
+    this.reset();
+  }
+  
+  /**
+   * Return to idle in first gear
+   */
+  reset() {
+    this.rpm = this.config.idleRpm;
+    this.gear = 1;
+    this.shiftTimer = 0;        // Remaining time of the current gear change
+    this.limiterActive = false; // Fuel cut while the rev limiter is hit
+    this.torque = 0;            // Engine torque output this tick in Nm
+    this.driveForce = 0;        // Total force at the driven wheels in N
+    this.engagement = 0;        // Clutch engagement this tick (0 = open, 1 = closed)
+    
+    // Shift inputs from the previous tick, to detect presses
+    this.shiftUpHeld = false;
+    this.shiftDownHeld = false;
+  }
+  
+  /**
+   * Number of forward gears
+   * @returns {number} Gear count
+   */
+  get gearCount() {
+    return this.config.gearRatios.length;
+  }
+  
+  /**
+   * Gear ratio of a gear, negative for reverse
+   * @param {number} gear - Gear number
+   * @returns {number} Gearbox ratio, 0 in neutral
+   */
+  getGearRatio(gear) {
+    if (gear === 0) return 0;
+    if (gear < 0) return -this.config.reverseRatio;
+    return this.config.gearRatios[gear - 1];
+  }
+  
+  /**
+   * Full-throttle engine torque at an engine speed
+   * @param {number} rpm - Engine speed
+   * @returns {number} Torque in Nm
+   */
+  getTorque(rpm) {
+    const curve = this.config.torqueCurve;
+    
+    if (rpm <= curve[0][0]) return curve[0][1];
+    
+    for (let i = 1; i < curve.length; i++) {
+      const [rpmB, torqueB] = curve[i];
+      if (rpm <= rpmB) {
+        const [rpmA, torqueA] = curve[i - 1];
+        return torqueA + (torqueB - torqueA) * (rpm - rpmA) / (rpmB - rpmA);
+      }
+    }
+    
+    return curve[curve.length - 1][1];
+  }
+  
+  /**
+   * Start a gear change
+   * @param {number} gear - Target gear
+   */
+  shift(gear) {
+    gear = Math.max(-1, Math.min(this.gearCount, gear));
+    if (gear === this.gear) return;
+    
+    this.gear = gear;
+    this.shiftTimer = this.config.shiftTime;
+  }
+  
+  /**
+   * Display name of the current gear
+   * @returns {string} 'R', 'N' or the gear number
+   */
+  getGearLabel() {
+    if (this.gear < 0) return 'R';
+    if (this.gear === 0) return 'N';
+    return String(this.gear);
+  }
+  
+  /**
+   * Sequential shifting on shift button presses
+   * Reverse is only selected from neutral when the car is almost stopped.
+   * @param {boolean} shiftUp - Shift up input held this tick
+   * @param {boolean} shiftDown - Shift down input held this tick
+   * @param {number} speed - Forward speed in m/s
+   */
+  updateManual(shiftUp, shiftDown, speed) {
+    if (shiftUp && !this.shiftUpHeld) {
+      this.shift(this.gear + 1);
+    }
+    
+    if (shiftDown && !this.shiftDownHeld && (this.gear > 0 || Math.abs(speed) < 1)) {
+      this.shift(this.gear - 1);
+    }
+  }
+  
+  /**
+   * Automatic shifting on the engine speed matching the road speed, so
+   * wheelspin doesn't trigger upshifts
+   * @param {number} throttle - Throttle input (0 to 1)
+   * @param {number} roadRpm - Engine speed in the current gear at the vehicle's speed
+   */
+  updateAutomatic(throttle, roadRpm) {
+    // Leaving manual mode in neutral
+    if (this.gear === 0) {
+      this.shift(1);
+      return;
+    }
+    
+    if (this.shiftTimer > 0 || this.gear < 1) return;
+    
+    const { upshiftRpm, downshiftRpm } = this.config;
+    
+    if (roadRpm > upshiftRpm && this.gear < this.gearCount) {
+      this.shift(this.gear + 1);
+    } else if (this.gear > 1) {
+      // Hold the gear longer under heavy throttle (kickdown)
+      const downshiftAt = throttle > 0.9 ? downshiftRpm * 1.4 : downshiftRpm;
+      if (roadRpm < downshiftAt && roadRpm * this.getGearRatio(this.gear - 1) / this.getGearRatio(this.gear) < upshiftRpm) {
+        this.shift(this.gear - 1);
+      }
+    }
+  }
+  
+  /**
+   * Advance the powertrain by one tick and compute the drive force
+   * @param {number} deltaTime - Tick length in seconds
+   * @param {Object} controls - Driver controls for this tick
+   * @param {number} controls.throttle - Throttle (0 to 1)
+   * @param {number} controls.clutch - Clutch pedal (0 = engaged, 1 = disengaged)
+   * @param {boolean} controls.boost - Whether overboost is requested
+   * @param {boolean} controls.manual - Manual gearbox mode
+   * @param {boolean} controls.shiftUp - Shift up input held
+   * @param {boolean} controls.shiftDown - Shift down input held
+   * @param {number} speed - Forward speed of the vehicle in m/s
+   * @param {number} wheelRadius - Radius of the driven wheels in m
+   * @param {number} wheelSpeed - Rolling speed of the driven wheels in m/s, which the engine turns with
+   * @returns {number} Total force at the driven wheels in N (negative drives backwards)
+   */
+  update(deltaTime, controls, speed, wheelRadius, wheelSpeed = speed) {
+    const { throttle = 0, clutch = 0, boost = false, manual = false, shiftUp = false, shiftDown = false } = controls;
+    const config = this.config;
+    
+    // Gear selection
+    if (manual) {
+      this.updateManual(shiftUp, shiftDown, speed);
+    } else {
+      const roadRpm = (speed / wheelRadius) * RPM_PER_RAD_PER_SECOND * this.getGearRatio(this.gear) * config.finalDrive;
+      this.updateAutomatic(throttle, roadRpm);
+    }
+    this.shiftUpHeld = shiftUp;
+    this.shiftDownHeld = shiftDown;
+    this.shiftTimer = Math.max(0, this.shiftTimer - deltaTime);
+    
+    // The clutch is open in neutral, during gear changes and with the pedal pressed
+    const ratio = this.getGearRatio(this.gear) * config.finalDrive;
+    const engagement = this.gear === 0 || this.shiftTimer > 0 ? 0 : 1 - clutch;
+    this.engagement = engagement;
+    
+    // Engine speed
+    const throttleRpm = config.idleRpm + throttle * (config.limiterRpm - config.idleRpm);
+    let targetRpm;
+    if (engagement > 0.5 || (this.shiftTimer > 0 && this.gear !== 0)) {
+      // Turning with the wheels, with the clutch slipping below the launch rpm;
+      // during a gear change the engine already matches the new gear
+      const wheelRpm = (wheelSpeed / wheelRadius) * RPM_PER_RAD_PER_SECOND;
+      const launchRpm = config.idleRpm + throttle * (config.launchRpm - config.idleRpm);
+      targetRpm = Math.max(wheelRpm * ratio, launchRpm);
+    } else {
+      // Free revving
+      targetRpm = throttleRpm;
+    }
+    this.rpm += (targetRpm - this.rpm) * Math.min(1, deltaTime * 15);
+    this.rpm = Math.max(config.idleRpm, Math.min(config.limiterRpm + 100, this.rpm));
+    
+    // Rev limiter cuts fuel until the engine has dropped back a little
+    if (this.rpm >= config.limiterRpm) {
+      this.limiterActive = true;
+    } else if (this.rpm < config.limiterRpm - 200) {
+      this.limiterActive = false;
+    }
+    
+    // Engine torque, or drag torque with the throttle closed
+    if (this.limiterActive) {
+      this.torque = 0;
+    } else if (throttle > 0.05) {
+      this.torque = throttle * this.getTorque(this.rpm) * (boost ? config.boostMultiplier : 1);
+    } else if (this.rpm > config.idleRpm + 100) {
+      this.torque = -config.engineBrakeTorque * this.rpm / config.limiterRpm;
+    } else {
+      this.torque = 0;
+    }
+    
+    // Torque through the gearbox and final drive to the contact patches
+    this.driveForce = this.torque * ratio * engagement * config.efficiency / wheelRadius;
+    return this.driveForce;
+  }
+  
+  /**
+   * Engine inertia as felt at the driven wheels through the gearbox
+   * @returns {number} Inertia in kg·m², 0 with the clutch open
+   */
+  getDrivenInertia() {
+    const ratio = this.getGearRatio(this.gear) * this.config.finalDrive;
+    return (this.config.engineInertia || 0) * ratio * ratio * this.engagement;
+  }
+  
+  /**
+   * Capture the powertrain state for recordings
+   * @returns {Object} Plain-data snapshot
+   */
+  getSnapshot() {
+    return {
+      name: this.config.name,
+      rpm: this.rpm,
+      gear: this.gear,
+      shiftTimer: this.shiftTimer,
+      limiterActive: this.limiterActive,
+      shiftUpHeld: this.shiftUpHeld,
+      shiftDownHeld: this.shiftDownHeld
+    };
+  }
+  
+  /**
+   * Restore a state captured with getSnapshot()
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreSnapshot(snapshot) {
+    // Only switch presets for a different engine, keeping tuned settings of the same one
+    const config = POWERTRAIN_PRESETS[snapshot.name];
+    if (config && snapshot.name !== this.config.name) {
+      this.setConfig(config);
+    }
+    
+    this.rpm = snapshot.rpm;
+    this.gear = snapshot.gear;
+    this.shiftTimer = snapshot.shiftTimer;
+    this.limiterActive = snapshot.limiterActive;
+    this.shiftUpHeld = snapshot.shiftUpHeld;
+    this.shiftDownHeld = snapshot.shiftDownHeld;
+  }
+} 
\ No newline at end of file
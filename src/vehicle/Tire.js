@@ -0,0 +1,306 @@
+import { SURFACES, DEFAULT_SURFACE_ID, getSurface } from '../physics/Surfaces.js';
+
+const DEFAULT_SURFACE = SURFACES[DEFAULT_SURFACE_ID];
+
+// Below this speed slip is measured against a fixed speed, so slip values
+// stay finite when pulling away or stopping
+const LOW_SPEED = 1; // m/s
+
+// Rate at which a wheel settles to a surface's sinkage depth, per second
+const SINK_RATE = 4;
+
+// Extra rolling resistance from snow pushed aside by a sunken wheel, per
+// unit of sinkage relative to the wheel radius
+const PLOUGH_RESISTANCE = 0.5;
+
+// Share of the loose snow depth a loaded wheel sinks through; on soft
+// surfaces it sinks to whichever is deeper
+const SNOW_SINKAGE = 0.7;
+
+// Loose snow on top of a surface: the depth at which it covers the surface
+// completely, the friction it leaves a tire on grippier surfaces, and the
+// grip lost per m of depth as the tire pushes through, up to a limit
+const SNOW_COVER_DEPTH = 0.05; // m
+const LOOSE_SNOW_FRICTION = 0.28;
+const DEEP_SNOW_GRIP_LOSS = 1.5;
+const MAX_DEEP_SNOW_GRIP_LOSS = 0.3;
+
+/**
+ * Evaluate a magic formula friction curve
+ * @param {number} slip - Slip ratio or slip angle
+ * @param {Object} curve - Curve coefficients { B, C, D, E }
+ * @returns {number} Friction coefficient, with the sign of the slip
+ */
+export function magicFormula(slip, curve) {
+  const { B, C, D, E } = curve;
+  const x = B * slip;
+  return D * Math.sin(C * Math.atan(x - E * (x - Math.atan(x))));
+}
+
+// Slip at which each curve peaks, found once per curve
+const peakSlips = new Map();
+
+/**
+ * Slip at which a friction curve reaches its peak
+ * @param {Object} curve - Curve coefficients
+ * @returns {number} Peak slip
+ */
+function getPeakSlip(curve) {
+  let peak = peakSlips.get(curve);
+  if (peak === undefined) {
+    peak = 0;
+    for (let slip = 0.001; slip <= 1; slip += 0.001) {
+      if (magicFormula(slip, curve) > magicFormula(peak, curve)) peak = slip;
+    }
+    peakSlips.set(curve, peak);
+  }
+  return peak;
+}
+
+/**
+ * Tire models one wheel's spin and the forces at its contact patch
+ *
+ * Each physics step the vehicle sets the load, contact velocity and surface
+ * with setContact(), then advances the wheel in a few substeps with step().
+ * Soft surfaces and loose snow let the wheel sink in, which lowers the ride
+ * height and adds to the surface's rolling resistance. Loose snow also
+ * covers the grip of the surface beneath it; packed down in ruts it covers
+ * less.
+ * Longitudinal and lateral slip are combined by normalizing each against the
+ * slip at which its curve peaks, so a spinning or locked wheel also loses
+ * its cornering grip.
+ */
+export class Tire {
+  /**
+   * @param {Object} options - Tire settings
+   * @param {number} options.radius - Rolling radius in m
+   * @param {number} options.inertia - Rotational inertia of wheel and tire in kg·m²
+   * @param {number} options.width - Tread width in m
+   * @param {number} options.grip - Friction multiplier for this tire's compound and width
+   */
+  constructor({ radius, width = 0.25, inertia = 1.2, grip = 1 }) {
+    this.radius = radius;
+    this.width = width;
+    this.inertia = inertia;
+    this.grip = grip;
+    this.drivelineInertia = 0;  // Engine and gearbox inertia turning with this wheel, set by the vehicle
+    
+    this.reset();
+  }
+  
+  /**
+   * Stop the wheel and clear the contact
+   */
+  reset() {
+    this.spin = 0;              // Angular velocity in rad/s, positive rolling forward
+    this.rotation = 0;          // Accumulated wheel angle for rendering
+    this.sinkage = 0;           // Depth the wheel has sunk into the surface in m
+    
+    // Contact for the current physics step
+    this.load = 0;              // Normal force in N
+    this.forwardVelocity = 0;   // Contact patch velocity along the wheel in m/s
+    this.sideVelocity = 0;      // Contact patch velocity across the wheel (to the right) in m/s
+    this.surface = DEFAULT_SURFACE;
+    this.snowDepth = 0;         // Loose snow on the surface in m
+    this.snowGrip = 1;          // Friction multiplier from the loose snow
+    this.weatherGrip = 1;       // Friction multiplier from the weather, e.g. rime on the road
+    
+    // Results
+    this.slipRatio = 0;
+    this.slipAngle = 0;
+    this.forceX = 0;            // Longitudinal force in N (positive pushes forward)
+    this.forceY = 0;            // Lateral force in N (positive pushes right)
+    this.sliding = false;       // Whether the combined slip is past the peak
+  }
+  
+  /**
+   * Set the contact conditions for the next physics step
+   * @param {number} load - Normal force in N, 0 when the wheel is in the air
+   * @param {number} forwardVelocity - Contact patch velocity along the wheel in m/s
+   * @param {number} sideVelocity - Contact patch velocity across the wheel in m/s
+   * @param {Object} surface - Surface from SURFACES
+   * @param {number} snowDepth - Loose snow lying on the surface in m
+   * @param {number} weatherGrip - Friction multiplier from the weather
+   */
+  setContact(load, forwardVelocity, sideVelocity, surface, snowDepth = 0, weatherGrip = 1) {
+    this.load = Math.max(0, load);
+    this.forwardVelocity = forwardVelocity;
+    this.sideVelocity = sideVelocity;
+    this.surface = surface;
+    this.snowDepth = snowDepth;
+    this.snowGrip = this.getSnowGrip();
+    this.weatherGrip = weatherGrip;
+    
+    this.slipAngle = Math.atan2(sideVelocity, Math.max(Math.abs(forwardVelocity), LOW_SPEED));
+  }
+  
+  /**
+   * Friction multiplier for the loose snow on the surface: as it covers the
+   * surface, friction falls towards that of loose snow, and deep snow the
+   * tire has to push through costs grip on top
+   * @returns {number} Multiplier, 1 without snow
+   */
+  getSnowGrip() {
+    if (this.snowDepth <= 0) return 1;
+    
+    const cover = Math.min(1, this.snowDepth / SNOW_COVER_DEPTH);
+    const covered = Math.min(1, LOOSE_SNOW_FRICTION / this.surface.lateral.D);
+    const deep = Math.min(MAX_DEEP_SNOW_GRIP_LOSS, this.snowDepth * DEEP_SNOW_GRIP_LOSS);
+    return (1 - cover + cover * covered) * (1 - deep);
+  }
+  
+  /**
+   * Let the wheel sink into a soft surface and the snow on it, or climb back
+   * out of it
+   * @param {number} deltaTime - Physics step length in seconds
+   */
+  updateSinkage(deltaTime) {
+    const target = this.load > 0 ? Math.max(this.surface.sinkage, this.snowDepth * SNOW_SINKAGE) : 0;
+    this.sinkage += (target - this.sinkage) * Math.min(1, deltaTime * SINK_RATE);
+  }
+  
+  /**
+   * Rolling resistance torque at the current load and sinkage
+   * @returns {number} Torque in Nm opposing the wheel's spin
+   */
+  getRollingResistanceTorque() {
+    const coefficient = this.surface.rollingResistance + PLOUGH_RESISTANCE * this.sinkage / this.radius;
+    return coefficient * this.load * this.radius;
+  }
+  
+  /**
+   * Slip ratio at which the current surface gives the most braking or drive force
+   * @returns {number} Peak slip ratio
+   */
+  getPeakSlipRatio() {
+    return getPeakSlip(this.surface.longitudinal);
+  }
+  
+  /**
+   * Slip ratio of the wheel's rolling speed against the ground speed under
+   * it, also while the wheel is off the ground, as a wheel speed sensor sees it
+   * @returns {number} Slip ratio, positive when the wheel spins faster than the ground
+   */
+  getWheelSlipRatio() {
+    return (this.spin * this.radius - this.forwardVelocity) / Math.max(Math.abs(this.forwardVelocity), LOW_SPEED);
+  }
+  
+  /**
+   * Wheel speed and grip for the differentials
+   * @param {number} deltaTime - Substep length in seconds
+   * @returns {Object} `{ speed, grip, inertia }`: rolling speed in m/s, peak
+   *   drive force in N, and the force that changes the rolling speed by 1 m/s
+   *   within the substep
+   */
+  getDriveState(deltaTime) {
+    return {
+      speed: this.spin * this.radius,
+      grip: this.load * this.grip * this.snowGrip * this.weatherGrip * this.surface.longitudinal.D,
+      inertia: (this.inertia + this.drivelineInertia) / (this.radius * this.radius * deltaTime)
+    };
+  }
+  
+  /**
+   * Contact patch forces for a slip ratio and the current slip angle
+   * @param {number} slipRatio - Longitudinal slip ratio
+   * @returns {Array<number>} Longitudinal and lateral force in N
+   */
+  computeForces(slipRatio) {
+    const { longitudinal, lateral } = this.surface;
+    const peakX = getPeakSlip(longitudinal);
+    const peakY = getPeakSlip(lateral);
+    
+    // Combined slip, 1 at the peak of either curve
+    const slipX = slipRatio / peakX;
+    const slipY = this.slipAngle / peakY;
+    const combined = Math.hypot(slipX, slipY);
+    if (combined === 0) return [0, 0];
+    
+    const load = this.load * this.grip * this.snowGrip * this.weatherGrip;
+    const forceX = magicFormula(combined * peakX, longitudinal) * load * slipX / combined;
+    const forceY = -magicFormula(combined * peakY, lateral) * load * slipY / combined;
+    return [forceX, forceY];
+  }
+  
+  /**
+   * Advance the wheel spin by one substep
+   * The spin is integrated implicitly against the tire's force slope, which
+   * keeps the stiff wheel dynamics stable at the simulation tick rate.
+   * @param {number} deltaTime - Substep length in seconds
+   * @param {number} driveTorque - Torque from the drivetrain in Nm
+   * @param {number} brakeTorque - Maximum brake torque in Nm
+   * @returns {Array<number>} Longitudinal and lateral force in N after the substep
+   */
+  step(deltaTime, driveTorque, brakeTorque) {
+    const radius = this.radius;
+    const slipSpeed = Math.max(Math.abs(this.forwardVelocity), LOW_SPEED);
+    const getSlipRatio = () => (this.spin * radius - this.forwardVelocity) / slipSpeed;
+    
+    // Force and its slope at the current slip
+    let inertia = this.inertia + this.drivelineInertia;
+    let forceX = 0;
+    if (this.load > 0) {
+      const slipRatio = getSlipRatio();
+      forceX = this.computeForces(slipRatio)[0];
+      const slope = (this.computeForces(slipRatio + 1e-4)[0] - forceX) / 1e-4;
+      inertia += deltaTime * Math.max(0, slope) * radius * radius / slipSpeed;
+    }
+    
+    // Drive and road torque, then the brake and rolling resistance, which can
+    // stop but not reverse the wheel
+    this.spin += deltaTime * (driveTorque - forceX * radius) / inertia;
+    const brakeStep = deltaTime * (brakeTorque + this.getRollingResistanceTorque()) / inertia;
+    this.spin = Math.abs(this.spin) <= brakeStep ? 0 : this.spin - Math.sign(this.spin) * brakeStep;
+    this.rotation += this.spin * deltaTime;
+    
+    if (this.load <= 0) {
+      this.slipRatio = 0;
+      this.sliding = false;
+      return [0, 0];
+    }
+    
+    this.slipRatio = getSlipRatio();
+    this.sliding = Math.hypot(
+      this.slipRatio / getPeakSlip(this.surface.longitudinal),
+      this.slipAngle / getPeakSlip(this.surface.lateral)
+    ) > 1;
+    
+    return this.computeForces(this.slipRatio);
+  }
+  
+  /**
+   * Capture the wheel state for recordings
+   * The contact of the last step is part of it: stability control works out
+   * the grip from it before the next step sets a new one.
+   * @returns {Object} Plain-data snapshot
+   */
+  getSnapshot() {
+    return {
+      spin: this.spin,
+      rotation: this.rotation,
+      sinkage: this.sinkage,
+      slipRatio: this.slipRatio,
+      load: this.load,
+      surface: this.surface.id,
+      snowDepth: this.snowDepth,
+      weatherGrip: this.weatherGrip
+    };
+  }
+  
+  /**
+   * Restore a state captured with getSnapshot()
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreSnapshot(snapshot) {
+    this.spin = snapshot.spin;
+    this.rotation = snapshot.rotation;
+    this.sinkage = snapshot.sinkage || 0;
+    this.slipRatio = snapshot.slipRatio || 0;
+    this.load = snapshot.load;
+    this.surface = getSurface(snapshot.surface);
+    if (!this.surface) throw new Error(`Unknown surface "${snapshot.surface}"`);
+    this.snowDepth = snapshot.snowDepth;
+    this.snowGrip = this.getSnowGrip();
+    this.weatherGrip = snapshot.weatherGrip;
+  }
+} 
\ No newline at end of file
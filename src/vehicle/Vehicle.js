@@ -1,13 +1,24 @@
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { Hands } from './Hands.js';
+import { VehicleLights } from './VehicleLights.js';
+import { VehicleDynamics } from './VehicleDynamics.js';
+import { getVehicleDefinition } from './VehicleDefinitions.js';
+import { applyTuning } from './VehicleSetups.js';
 
 /**
  * Vehicle class with physics and animated steering wheel and hands
+ * The physics lives in VehicleDynamics; this class adds the scene objects.
+ * Which car is built, and how its model is placed, comes from a vehicle
+ * definition (see VehicleDefinitions.js).
  */
 export class Vehicle {
-  constructor(scene, physics) {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the model to
+   * @param {Physics} physics - Physics world
+   * @param {Object} definition - Validated vehicle definition, defaults to the F40
+   */
+  constructor(scene, physics, definition) {
     this.scene = scene;
     this.physics = physics;
     this.loader = new GLTFLoader();
@@ -17,64 +28,64 @@ export class Vehicle {
     this.wheels = [];           // Wheel meshes
     this.steeringWheel = null;  // Steering wheel mesh
     
-    // Physics properties
-    this.chassisBody = null;
-    this.vehicle = null;
-    
-    // Vehicle dimensions and properties
-    this.width = 1.7;     // Updated to match Ferrari F40 dimensions
-    this.height = 1.2;    // Ferrari F40 is low to the ground
-    this.length = 4.3;    // Updated to match Ferrari F40 length
-    this.mass = 1400;     // Ferrari F40 is lighter
-    
-    // Position properties
-    this.spawnPosition = new CANNON.Vec3(0, 0, 0); // Default position
-    
-    // Engine properties
-    this.maxForce = 4000;       // Increased from 3000 to 4000 for faster acceleration
-    this.maxBrakeForce = 500;   // Increased from 100 to 500 for stronger braking
-    this.maxSteeringAngle = Math.PI / 4; // 45 degrees
-    this.steeringCorrection = 0.025;     // Increased from 0.01 to 0.025 for stronger correction
-    
-    // Current vehicle state
-    this.speed = 0;             // Current speed in km/h
-    this.steeringAngle = 0;     // Current steering angle
+    // Physics side of the vehicle (chassis body, raycast vehicle, engine)
+    this.dynamics = new VehicleDynamics(physics, definition);
+    this.tuning = null;         // Garage tuning applied on top of the definition, see VehicleSetups.js
     
-    // Speed logging control
-    this.lastLogTime = 0;       // Last time speed was logged
-    this.logInterval = 200;     // Log interval in ms (200ms = 5 times per second)
-    this.lastLoggedSpeed = 0;   // Track last logged speed to avoid duplicate logs
+    // Model fix-ups from the vehicle definition, turning and moving the model
+    // to line up with the physics body
+    this.modelQuaternion = new THREE.Quaternion();
+    this.modelOffset = new THREE.Vector3();
     
-    // Wheel indices
-    this.FRONT_LEFT = 0;
-    this.FRONT_RIGHT = 1;
-    this.BACK_LEFT = 2;
-    this.BACK_RIGHT = 3;
+    // Scratch quaternions for interpolating cannon-es snapshots
+    this.previousQuaternion = new THREE.Quaternion();
+    this.currentQuaternion = new THREE.Quaternion();
     
     // Create the hands controller
     this.hands = new Hands(scene);
+    
+    // Headlights, tail lights and brake lights
+    this.lights = new VehicleLights(scene);
+    
+    // Interpolated physics body transform and how each wheel meets the
+    // ground, for the lights and for effects such as snow spray
+    this.bodyPosition = new THREE.Vector3();
+    this.bodyQuaternion = new THREE.Quaternion();
+    this.wheelContacts = [];
+    this.braking = false;       // Whether the brake pedal is pressed
   }
   
   /**
    * Initialize the vehicle
    * @param {TerrainGenerator} terrain - The terrain generator for road information
+   * @param {Object} definition - Vehicle definition to build, instead of the one given to the constructor
    * @returns {Promise} Promise that resolves when the vehicle is loaded
    */
-  async init(terrain) {
-    // Set spawn position on the road
-    if (terrain) {
-      // Get road height from terrain and add a larger buffer to ensure it spawns above the road
-      const roadHeight = terrain.getRoadHeight() + 1.0; // Increased from 0.6 to 1.0
-      
-      // Position vehicle on the road, away from edges
-      this.spawnPosition = new CANNON.Vec3(0, roadHeight, 50);
+  async init(terrain, definition = this.dynamics.definition) {
+    // Without its model a car drives as its fallback vehicle, with a simple box model
+    const modelPath = await this.findModelPath(definition);
+    if (!modelPath && definition.model.fallback) {
+      console.error(`No model found for ${definition.name}, falling back to ${definition.model.fallback}`);
+      definition = getVehicleDefinition(definition.model.fallback);
     }
+    if (this.tuning) {
+      definition = applyTuning(definition, this.tuning);
+    }
+    
+    // Replace the vehicle built before, if any, only now that the model lookup
+    // is done, so the simulation never ticks without a chassis
+    this.dispose();
     
-    // Create physics chassis and vehicle
-    this.createPhysicsChassis();
+    const [x, y, z] = definition.model.rotation.map(THREE.MathUtils.degToRad);
+    this.modelQuaternion.setFromEuler(new THREE.Euler(x, y, z));
+    this.modelOffset.set(...definition.model.offset);
+    
+    // Create physics chassis and vehicle on the road
+    await this.dynamics.init(terrain, definition);
     
     // Load model
-    await this.loadModel();
+    await this.loadModel(modelPath);
+    this.lights.build(this.definition);
     
     // Create hands
     this.hands.init(this.steeringWheel);
@@ -83,347 +94,289 @@ export class Vehicle {
   }
   
   /**
-   * Create physics bodies for the vehicle
+   * Remove the vehicle from the scene and the physics world and build it
+   * again, e.g. with another vehicle or tuning picked in the garage
+   * @param {Object} definition - Vehicle definition to build
+   * @param {Object} tuning - Garage tuning, or null for none
+   * @returns {Promise} Promise that resolves when the new vehicle is loaded
    */
-  createPhysicsChassis() {
-    // Create chassis shape
-    const chassisShape = new CANNON.Box(new CANNON.Vec3(
-      this.width / 2,
-      this.height / 2,
-      this.length / 2
-    ));
-    
-    // Create chassis body
-    this.chassisBody = new CANNON.Body({
-      mass: this.mass,
-      material: this.physics.tireMaterial,
-      linearDamping: 0.1,       // Increased damping for more stability
-      angularDamping: 0.4       // Increased to improve steering responsiveness
-    });
-    this.chassisBody.addShape(chassisShape);
-    
-    // Use the spawn position set in the init method
-    this.chassisBody.position.copy(this.spawnPosition);
-    
-    // Set initial rotation to face along the road (z-axis)
-    this.chassisBody.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), 0);
-    
-    // Add chassis to the physics world
-    this.physics.addBody(this.chassisBody, true);
-    
-    // Create vehicle
-    this.vehicle = this.physics.createVehicle(this.chassisBody);
-    
-    // Configure suspension and wheel properties for better handling
-    const suspensionStiffness = 35;        // Higher value for more responsive steering
-    const suspensionRestLength = 0.3;      // Distance from chassis to wheel at rest
-    const suspensionDamping = 2.5;         // Damping prevents excessive bouncing
-    const suspensionCompression = 4.0;     // Higher value means firmer suspension
-    const rollInfluence = 0.01;            // Controls how much the car can roll during turns
-    
-    // Vehicle dimensions
-    const axleWidth = 1.6;                 // Distance between left and right wheels
-    const wheelRadius = 0.33;              // Radius of each wheel
-    const wheelHalfWidth = 0.2;            // Half the width of each wheel
-    
-    // IMPORTANT: Define clear wheel positions with correct order:
-    // 0: Front Left, 1: Front Right, 2: Back Left, 3: Back Right
-    
-    // Define wheel connection points with clearer front/back separation
-    const frontZ = this.length / 2 - wheelRadius * 1.1;  // Front axle Z position (positive)
-    const backZ = -this.length / 2 + wheelRadius * 1.1;  // Back axle Z position (negative)
-    const leftX = -axleWidth / 2;                        // Left side X position
-    const rightX = axleWidth / 2;                        // Right side X position
-    const wheelY = 0;                                   // Wheel height (bottom of chassis)
-    
-    console.log(`Wheel positions: 
-      Front Left: (${leftX}, ${wheelY}, ${frontZ})
-      Front Right: (${rightX}, ${wheelY}, ${frontZ})
-      Back Left: (${leftX}, ${wheelY}, ${backZ})
-      Back Right: (${rightX}, ${wheelY}, ${backZ})`);
-    
-    // Wheel options configuration
-    const wheelOptions = {
-      radius: wheelRadius,
-      directionLocal: new CANNON.Vec3(0, -1, 0), // Points downward
-      suspensionStiffness,
-      suspensionRestLength,
-      dampingRelaxation: suspensionDamping,
-      dampingCompression: suspensionCompression,
-      rollInfluence,
-      maxSuspensionForce: 50000,           // Maximum force the suspension can apply
-      maxSuspensionTravel: 0.3,            // How far the suspension can extend/compress
-      customSlidingRotationalSpeed: -30,    // How fast wheels spin when sliding/drifting
-      useCustomSlidingRotationalSpeed: true,
-      frictionSlip: 1.5                    // Higher value = more grip
+  async rebuild(definition, tuning = null) {
+    this.tuning = tuning;
+    return this.init(this.dynamics.terrain, definition);
+  }
+  
+  /**
+   * Remove the vehicle's meshes from the scene and its bodies from the physics world
+   */
+  dispose() {
+    if (this.chassis) this.scene.remove(this.chassis);
+    this.wheels.forEach(wheel => this.scene.remove(wheel));
+    this.chassis = null;
+    this.wheels = [];
+    this.steeringWheel = null;
+    this.lights.dispose();
+    this.dynamics.dispose();
+  }
+  
+  /**
+   * Physics body of the chassis
+   * @returns {CANNON.Body} Chassis body
+   */
+  get chassisBody() {
+    return this.dynamics.chassisBody;
+  }
+  
+  /**
+   * Raycast vehicle constraint
+   * @returns {CANNON.RaycastVehicle} Raycast vehicle
+   */
+  get vehicle() {
+    return this.dynamics.vehicle;
+  }
+  
+  /**
+   * Current speed in km/h
+   * @returns {number} Speed
+   */
+  get speed() {
+    return this.dynamics.speed;
+  }
+  
+  /**
+   * Engine and gearbox, for the rpm and gear display
+   * @returns {Powertrain} Powertrain
+   */
+  get powertrain() {
+    return this.dynamics.powertrain;
+  }
+  
+  /**
+   * Drivetrain layout and differentials, for the setup controls
+   * @returns {Drivetrain} Drivetrain
+   */
+  get drivetrain() {
+    return this.dynamics.drivetrain;
+  }
+  
+  /**
+   * ABS, traction control and stability control, for the setup controls and HUD
+   * @returns {DriverAssists} Driver assists
+   */
+  get assists() {
+    return this.dynamics.assists;
+  }
+  
+  /**
+   * The vehicle definition currently built
+   * @returns {Object} Validated vehicle definition
+   */
+  get definition() {
+    return this.dynamics.definition;
+  }
+  
+  /**
+   * Find the first of a definition's model paths that exists
+   * @param {Object} definition - Vehicle definition
+   * @returns {Promise<string|null>} Model path, or null if none was found
+   */
+  async findModelPath(definition) {
+    const possiblePaths = definition.model.paths;
+    if (possiblePaths.length === 0) return null;
+    
+    // Function to check if a file exists using fetch
+    const checkFileExists = async (url) => {
+      try {
+        const response = await fetch(url, { method: 'HEAD' });
+        return response.ok;
+      } catch (e) {
+        console.error(`Error checking file at ${url}:`, e);
+        return false;
+      }
     };
     
-    // Add wheels in specific order: FL, FR, BL, BR
-    
-    // Add front left wheel (index 0)
-    wheelOptions.chassisConnectionPointLocal = new CANNON.Vec3(leftX, wheelY, frontZ);
-    this.vehicle.addWheel(wheelOptions);
+    console.log(`Checking ${definition.name} model in these locations:`, possiblePaths);
     
-    // Add front right wheel (index 1)
-    wheelOptions.chassisConnectionPointLocal = new CANNON.Vec3(rightX, wheelY, frontZ);
-    this.vehicle.addWheel(wheelOptions);
-    
-    // Update wheel options for rear wheels - slightly different friction
-    wheelOptions.frictionSlip = 1.4;       // Slightly less grip for rear wheels
-    
-    // Add back left wheel (index 2)
-    wheelOptions.chassisConnectionPointLocal = new CANNON.Vec3(leftX, wheelY, backZ);
-    this.vehicle.addWheel(wheelOptions);
-    
-    // Add back right wheel (index 3)
-    wheelOptions.chassisConnectionPointLocal = new CANNON.Vec3(rightX, wheelY, backZ);
-    this.vehicle.addWheel(wheelOptions);
-    
-    // Create wheel bodies for physics simulation
-    this.vehicle.wheelInfos.forEach((wheel, index) => {
-      const wheelBody = new CANNON.Body({
-        mass: 1,
-        material: this.physics.tireMaterial,
-        type: CANNON.Body.KINEMATIC,
-        collisionFilterGroup: 0  // No collision with other objects
-      });
-      
-      const wheelShape = new CANNON.Cylinder(
-        wheel.radius, 
-        wheel.radius, 
-        wheelHalfWidth * 2, 
-        20
-      );
-      
-      wheelBody.addShape(wheelShape, new CANNON.Vec3(), new CANNON.Quaternion().setFromAxisAngle(
-        new CANNON.Vec3(1, 0, 0),
-        Math.PI / 2
-      ));
-      
-      this.physics.addBody(wheelBody);
-    });
+    // Try each path
+    for (const path of possiblePaths) {
+      console.log(`Checking if model exists at: ${path}`);
+      const exists = await checkFileExists(path);
+      if (exists) {
+        console.log(`Found ${definition.name} model at: ${path}`);
+        return path;
+      }
+    }
     
-    // After creating the wheels, log their indices and positions for debugging
-    console.log("Wheel indices:", {
-      "Front Left": 0,
-      "Front Right": 1,
-      "Back Left": 2,
-      "Back Right": 3
-    });
+    // If no path works, return null
+    console.error(`${definition.name} model not found in any of the expected locations`);
+    return null;
   }
   
   /**
    * Load the 3D model of the vehicle
+   * @param {string|null} validPath - Model path found by findModelPath(), or null for the simple box model
    * @returns {Promise} Promise that resolves when the model is loaded
    */
-  async loadModel() {
-    return new Promise((resolve, reject) => {
+  async loadModel(validPath) {
+    const { name, model, wheels } = this.definition;
+    
+    return new Promise((resolve) => {
       console.log("Starting vehicle model loading process...");
       
-      // Try multiple possible paths for the Ferrari model
-      const possiblePaths = [
-        './ferrari_f40.glb',
-        '/ferrari_f40.glb',
-        '../ferrari_f40.glb',
-        'assets/ferrari_f40.glb',
-        'public/ferrari_f40.glb',
-        'models/ferrari_f40.glb',
-        'src/ferrari_f40.glb'
-      ];
-      
-      // Function to check if a file exists using fetch
-      const checkFileExists = async (url) => {
-        try {
-          const response = await fetch(url, { method: 'HEAD' });
-          return response.ok;
-        } catch (e) {
-          console.error(`Error checking file at ${url}:`, e);
-          return false;
-        }
-      };
+      if (!validPath) {
+        this.createSimpleCarModel();
+        resolve();
+        return;
+      }
       
-      // Function to find the first valid path
-      const findValidPath = async () => {
-        console.log("Checking Ferrari model in these locations:", possiblePaths);
-        
-        // Try each path
-        for (const path of possiblePaths) {
-          console.log(`Checking if model exists at: ${path}`);
-          const exists = await checkFileExists(path);
-          if (exists) {
-            console.log(`Found Ferrari model at: ${path}`);
-            return path;
-          }
-        }
-        
-        // If no path works, return null
-        console.error("Ferrari model not found in any of the expected locations");
-        return null;
-      };
+      console.log(`Loading ${name} model from validated path: ${validPath}`);
       
-      // Find and load from a valid path
-      findValidPath().then(validPath => {
-        if (!validPath) {
-          console.error("No valid model path found, falling back to simple car");
-          this.createSimpleCarModel();
-          resolve();
-          return;
-        }
-        
-        console.log(`Loading Ferrari model from validated path: ${validPath}`);
-        
-        this.loader.load(
-          validPath,
-          (gltf) => {
-            // Model loaded successfully
-            console.log(`Ferrari F40 model loaded successfully!`);
-            
-            // Set the chassis to the loaded model
-            this.chassis = gltf.scene;
-            
-            // Configure Ferrari F40 specific settings
-            console.log("Applying Ferrari F40 specific settings");
-            this.chassis.scale.set(0.7, 0.7, 0.7); // Scale for Ferrari F40
-            // Fix car orientation - rotate 180 degrees to face forward
-            this.chassis.rotation.y = Math.PI; // Changed back to Math.PI to rotate 180 degrees
-            
-            // Adjust position to ensure car is on the ground
-            this.chassis.position.y = 0.2; // Lower the car to the ground
-            
-            // Enable shadows
-            this.chassis.castShadow = true;
-            this.chassis.receiveShadow = true;
-            
-            // Apply shadows to all child meshes
-            this.chassis.traverse((child) => {
-              if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-                console.log(`Applied shadows to mesh: ${child.name}`);
-              }
-            });
-            
-            // Add the model to the scene
-            this.scene.add(this.chassis);
-            console.log("Added Ferrari model to scene");
-            
-            // Link chassis to physics body
-            this.chassis.userData.physicsBody = this.chassisBody;
-            
-            // Find wheels in the model
-            console.log("Searching for wheels in the Ferrari model...");
-            const wheelRadius = 0.33;
-            const wheelMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
+      this.loader.load(
+        validPath,
+        (gltf) => {
+          // Model loaded successfully
+          console.log(`${name} model loaded successfully!`);
+          
+          // Set the chassis to the loaded model
+          this.chassis = gltf.scene;
+          
+          // Scale from the definition; its rotation and offset are applied
+          // on top of the physics pose in updateChassisFromPhysics()
+          console.log(`Applying ${name} model settings`);
+          this.chassis.scale.setScalar(model.scale);
+          
+          // Enable shadows
+          this.chassis.castShadow = true;
+          this.chassis.receiveShadow = true;
+          
+          // Apply shadows to all child meshes
+          this.chassis.traverse((child) => {
+            if (child.isMesh) {
+              child.castShadow = true;
+              child.receiveShadow = true;
+              console.log(`Applied shadows to mesh: ${child.name}`);
+            }
+          });
+          
+          // Add the model to the scene
+          this.scene.add(this.chassis);
+          console.log(`Added ${name} model to scene`);
+          
+          // Link chassis to physics body
+          this.chassis.userData.physicsBody = this.chassisBody;
+          
+          // Find wheels in the model
+          console.log(`Searching for wheels in the ${name} model...`);
+          const wheelRadius = wheels.radius;
+          const wheelMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
+          
+          // IMPORTANT: Don't create procedural wheels if we find wheels in the model
+          let wheelMeshes = [];
+          this.chassis.traverse((child) => {
+            const lowerName = child.name.toLowerCase();
+            // Look for common wheel naming patterns
+            if (lowerName.includes('wheel') || 
+                lowerName.includes('tire') || 
+                lowerName.includes('tyre') ||
+                lowerName.includes('rim') ||
+                lowerName.match(/wheel[_-]?[fr]?[lr]/) || // wheel_fl, wheel_fr, wheel_rl, wheel_rr
+                lowerName.match(/w[fr][lr]/)) {          // wfl, wfr, wrl, wrr
+              console.log(`Found wheel in ${name} model: ${child.name}`);
+              wheelMeshes.push(child);
+            }
+          });
+          
+          // If exactly 4 wheels found, use them, otherwise create new ones
+          if (wheelMeshes.length === 4) {
+            console.log(`Using ${wheelMeshes.length} wheels from the ${name} model`);
+            // Sort wheels to ensure they're in the correct order: FL, FR, BL, BR
+            // This step is important to match the physics wheel order
+            this.wheels = this.sortWheels(wheelMeshes);
             
-            // IMPORTANT: Don't create procedural wheels if we find wheels in the model
-            let wheelMeshes = [];
-            this.chassis.traverse((child) => {
-              const lowerName = child.name.toLowerCase();
-              // Look for common wheel naming patterns
-              if (lowerName.includes('wheel') || 
-                  lowerName.includes('tire') || 
-                  lowerName.includes('tyre') ||
-                  lowerName.includes('rim') ||
-                  lowerName.match(/wheel[_-]?[fr]?[lr]/) || // wheel_fl, wheel_fr, wheel_rl, wheel_rr
-                  lowerName.match(/w[fr][lr]/)) {          // wfl, wfr, wrl, wrr
-                console.log(`Found wheel in Ferrari model: ${child.name}`);
-                wheelMeshes.push(child);
-              }
+            // IMPORTANT: Remove wheels from scene to avoid duplicate wheels
+            // The physics system will position them correctly
+            this.wheels.forEach(wheel => {
+              // Make wheel invisible in original position to avoid duplicates
+              wheel.visible = false;
+              // Create clones that will be positioned by physics
+              const wheelClone = wheel.clone();
+              wheelClone.visible = true;
+              wheelClone.castShadow = true;
+              this.scene.add(wheelClone);
+              // Replace original wheel with clone in the wheels array
+              const index = this.wheels.indexOf(wheel);
+              this.wheels[index] = wheelClone;
             });
+          } else {
+            // Create procedural wheels
+            console.log(`Found ${wheelMeshes.length} wheels in model, creating 4 procedural wheels instead`);
+            this.wheels = [];
+            const wheelGeometry = new THREE.CylinderGeometry(wheelRadius, wheelRadius, 0.2, 24);
+            wheelGeometry.rotateZ(Math.PI / 2);
             
-            // If exactly 4 wheels found, use them, otherwise create new ones
-            if (wheelMeshes.length === 4) {
-              console.log(`Using ${wheelMeshes.length} wheels from the Ferrari model`);
-              // Sort wheels to ensure they're in the correct order: FL, FR, BL, BR
-              // This step is important to match the physics wheel order
-              this.wheels = this.sortWheels(wheelMeshes);
-              
-              // IMPORTANT: Remove wheels from scene to avoid duplicate wheels
-              // The physics system will position them correctly
-              this.wheels.forEach(wheel => {
-                // Make wheel invisible in original position to avoid duplicates
-                wheel.visible = false;
-                // Create clones that will be positioned by physics
-                const wheelClone = wheel.clone();
-                wheelClone.visible = true;
-                wheelClone.castShadow = true;
-                this.scene.add(wheelClone);
-                // Replace original wheel with clone in the wheels array
-                const index = this.wheels.indexOf(wheel);
-                this.wheels[index] = wheelClone;
-              });
-            } else {
-              // Create procedural wheels
-              console.log(`Found ${wheelMeshes.length} wheels in model, creating 4 procedural wheels instead`);
-              this.wheels = [];
-              const wheelGeometry = new THREE.CylinderGeometry(wheelRadius, wheelRadius, 0.2, 24);
-              wheelGeometry.rotateZ(Math.PI / 2);
-              
-              for (let i = 0; i < 4; i++) {
-                const wheelMesh = new THREE.Mesh(wheelGeometry, wheelMaterial);
-                wheelMesh.castShadow = true;
-                this.scene.add(wheelMesh);
-                this.wheels.push(wheelMesh);
-              }
+            for (let i = 0; i < 4; i++) {
+              const wheelMesh = new THREE.Mesh(wheelGeometry, wheelMaterial);
+              wheelMesh.castShadow = true;
+              this.scene.add(wheelMesh);
+              this.wheels.push(wheelMesh);
             }
+          }
+          
+          // Debug the wheels array
+          console.log(`Final wheel count: ${this.wheels.length}`);
+          
+          // Create steering wheel in the correct position (front of car)
+          console.log("Setting up steering wheel...");
+          let steeringWheelFound = false;
+          this.chassis.traverse((child) => {
+            const lowerName = child.name.toLowerCase();
+            if (lowerName.includes('steering') || lowerName.includes('steer') || lowerName.includes('wheel_steer')) {
+              console.log(`Found steering wheel in model: ${child.name}`);
+              this.steeringWheel = child;
+              steeringWheelFound = true;
+            }
+          });
+          
+          if (!steeringWheelFound) {
+            console.log("No steering wheel found in model, creating a procedural one");
+            // Create steering wheel
+            const steeringWheelGeometry = new THREE.TorusGeometry(0.3, 0.03, 16, 32);
+            const steeringWheelMaterial = new THREE.MeshPhongMaterial({ color: 0x222222 });
+            this.steeringWheel = new THREE.Mesh(steeringWheelGeometry, steeringWheelMaterial);
             
-            // Debug the wheels array
-            console.log(`Final wheel count: ${this.wheels.length}`);
+            // Add spokes to the steering wheel
+            const spokeGeometry = new THREE.BoxGeometry(0.6, 0.02, 0.02);
+            const spokeMaterial = new THREE.MeshPhongMaterial({ color: 0x222222 });
             
-            // Create steering wheel in the correct position (front of car)
-            console.log("Setting up steering wheel...");
-            let steeringWheelFound = false;
-            this.chassis.traverse((child) => {
-              const lowerName = child.name.toLowerCase();
-              if (lowerName.includes('steering') || lowerName.includes('steer') || lowerName.includes('wheel_steer')) {
-                console.log(`Found steering wheel in model: ${child.name}`);
-                this.steeringWheel = child;
-                steeringWheelFound = true;
-              }
-            });
+            // Horizontal spoke
+            const horizontalSpoke = new THREE.Mesh(spokeGeometry, spokeMaterial);
+            this.steeringWheel.add(horizontalSpoke);
             
-            if (!steeringWheelFound) {
-              console.log("No steering wheel found in model, creating a procedural one");
-              // Create steering wheel
-              const steeringWheelGeometry = new THREE.TorusGeometry(0.3, 0.03, 16, 32);
-              const steeringWheelMaterial = new THREE.MeshPhongMaterial({ color: 0x222222 });
-              this.steeringWheel = new THREE.Mesh(steeringWheelGeometry, steeringWheelMaterial);
-              
-              // Add spokes to the steering wheel
-              const spokeGeometry = new THREE.BoxGeometry(0.6, 0.02, 0.02);
-              const spokeMaterial = new THREE.MeshPhongMaterial({ color: 0x222222 });
-              
-              // Horizontal spoke
-              const horizontalSpoke = new THREE.Mesh(spokeGeometry, spokeMaterial);
-              this.steeringWheel.add(horizontalSpoke);
-              
-              // Vertical spoke
-              const verticalSpoke = new THREE.Mesh(spokeGeometry, spokeMaterial);
-              verticalSpoke.rotation.z = Math.PI / 2;
-              this.steeringWheel.add(verticalSpoke);
-              
-              // Position steering wheel in the vehicle's front interior (driver's position)
-              this.steeringWheel.position.set(-0.4, 0.7, 0.5); // Repositioned to be inside the car on the left side
-              this.steeringWheel.rotation.x = Math.PI / 2;
-              this.chassis.add(this.steeringWheel);
-            }
+            // Vertical spoke
+            const verticalSpoke = new THREE.Mesh(spokeGeometry, spokeMaterial);
+            verticalSpoke.rotation.z = Math.PI / 2;
+            this.steeringWheel.add(verticalSpoke);
             
-            console.log("Ferrari F40 model setup complete!");
-            resolve();
-          },
-          // Progress callback
-          (xhr) => {
-            const percent = Math.round(xhr.loaded / xhr.total * 100);
-            console.log(`Loading Ferrari F40 model: ${percent}%`);
-          },
-          // Error callback
-          (error) => {
-            console.error(`Error loading Ferrari F40 model:`, error);
-            this.createSimpleCarModel();
-            resolve();
+            // Position steering wheel in the vehicle's front interior (driver's position)
+            this.steeringWheel.position.set(-0.4, 0.7, 0.5); // Repositioned to be inside the car on the left side
+            this.steeringWheel.rotation.x = Math.PI / 2;
+            this.chassis.add(this.steeringWheel);
           }
-        );
-      });
+          
+          console.log(`${name} model setup complete!`);
+          resolve();
+        },
+        // Progress callback
+        (xhr) => {
+          const percent = Math.round(xhr.loaded / xhr.total * 100);
+          console.log(`Loading ${name} model: ${percent}%`);
+        },
+        // Error callback
+        (error) => {
+          console.error(`Error loading ${name} model:`, error);
+          this.createSimpleCarModel();
+          resolve();
+        }
+      );
     });
   }
   
@@ -432,7 +385,7 @@ export class Vehicle {
    */
   createSimpleCarModel() {
     // Create chassis mesh
-    const chassisGeometry = new THREE.BoxGeometry(this.width, this.height, this.length);
+    const chassisGeometry = new THREE.BoxGeometry(this.dynamics.width, this.dynamics.height, this.dynamics.length);
     const chassisMaterial = new THREE.MeshPhongMaterial({ color: 0x990000 });
     this.chassis = new THREE.Mesh(chassisGeometry, chassisMaterial);
     this.chassis.castShadow = true;
@@ -443,7 +396,8 @@ export class Vehicle {
     this.chassis.userData.physicsBody = this.chassisBody;
     
     // Create wheel meshes
-    const wheelGeometry = new THREE.CylinderGeometry(0.33, 0.33, 0.2, 24);
+    const wheelRadius = this.definition.wheels.radius;
+    const wheelGeometry = new THREE.CylinderGeometry(wheelRadius, wheelRadius, 0.2, 24);
     const wheelMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
     
     // Rotate wheel geometry to match physics
@@ -502,249 +456,80 @@ export class Vehicle {
   }
   
   /**
-   * Update vehicle position and rotation
-   * @param {number} deltaTime - Time since last update in seconds
-   * @param {Object} inputs - User inputs
+   * Advance vehicle controls by one fixed simulation tick
+   * Applies steering and engine forces for the next physics step. Visual
+   * transforms are updated separately in interpolate().
+   * @param {number} deltaTime - Fixed tick length in seconds
+   * @param {Object} inputs - User inputs sampled for this tick
    */
   update(deltaTime, inputs) {
     if (!this.vehicle || !this.chassis) return;
     
-    // Extract input values
-    const { steering, throttle, brake, handbrake, reverse, boost } = inputs;
-    
-    // Update steering and hand animations
-    this.updateSteering(steering, deltaTime);
-    
-    // Update engine forces
-    this.updateEngine(throttle, brake, reverse, boost);
+    // Update steering and engine forces
+    this.dynamics.update(deltaTime, inputs);
     
-    // Update wheel positions
-    this.updateWheelPositions();
+    // Rotate the steering wheel visual to match the steering angle
+    // Apply more rotation to the visual wheel for better feedback (2.5x multiplier)
+    if (this.steeringWheel) {
+      this.steeringWheel.rotation.y = -this.dynamics.steeringAngle * 2.5;
+    }
     
-    // Update chassis position and rotation from physics
-    this.updateChassisFromPhysics();
+    // Store steering input in userData for camera and other systems
+    if (!this.chassis.userData) this.chassis.userData = {};
+    this.chassis.userData.steeringInput = this.dynamics.steeringInput;
     
     // Update hands
-    this.hands.update(deltaTime, steering);
-    
-    // Calculate speed (km/h)
-    const velocity = this.chassisBody.velocity;
-    
-    // Get forward direction based on chassis orientation
-    const chassisQuat = this.chassisBody.quaternion;
-    const forwardVelocity = new CANNON.Vec3(0, 0, -1);
-    forwardVelocity.scale(-1, forwardVelocity); // Flip to match vehicle forward direction
-    
-    // Transform the forward vector using the chassis quaternion
-    chassisQuat.vmult(forwardVelocity, forwardVelocity);
-    
-    // Calculate dot product using the velocity components
-    const dotProduct = 
-      velocity.x * forwardVelocity.x + 
-      velocity.y * forwardVelocity.y + 
-      velocity.z * forwardVelocity.z;
+    this.hands.update(deltaTime, inputs.steering);
     
-    // Convert speed to km/h (Cannon.js uses m/s)
-    this.speed = Math.abs(dotProduct) * 3.6;
+    // Lights switched with the inputs
+    this.braking = inputs.brake > 0.05;
+    this.lights.setInputs(inputs, this.powertrain.gear < 0);
     
     // Store velocity in userData for other systems (like camera shake)
     this.chassis.userData.velocity = this.speed / 3.6; // back to m/s
   }
   
   /**
-   * Update steering angle and steering wheel rotation
-   * @param {number} steeringInput - Steering input (-1 to 1)
-   * @param {number} deltaTime - Time since last update
+   * Record the physics state after a fixed tick for render interpolation
    */
-  updateSteering(steeringInput, deltaTime) {
-    // Clamp steering input to ensure it's in the valid range
-    steeringInput = Math.max(-1, Math.min(1, steeringInput));
-    
-    // Apply steering correction to counteract leftward drift when driving straight
-    // Apply more correction at higher speeds where drift is more noticeable
-    const driftCorrectionFactor = Math.min(1, this.speed / 50); // Gets stronger as speed increases up to 50 km/h
-    if (Math.abs(steeringInput) < 0.1) {
-      steeringInput += this.steeringCorrection * (1 + driftCorrectionFactor);
-    }
-    
-    // Calculate the target steering angle (in radians)
-    // Maximum angle is 45 degrees (PI/4) when steering input is at maximum
-    const targetAngle = -steeringInput * this.maxSteeringAngle;
-    
-    // Smoothly interpolate toward the target angle for more natural steering response
-    // Higher speeds should have reduced steering angle for stability
-    const speedFactor = Math.max(0, 1 - (this.speed / 200)); // Reduces steering angle at high speeds
-    const steeringSpeed = 5.0 * speedFactor; // How quickly steering responds
-    
-    // Apply smooth transition to the steering angle
-    if (Math.abs(targetAngle - this.steeringAngle) > 0.001) {
-      // Move current angle toward target angle at a rate proportional to deltaTime
-      this.steeringAngle += (targetAngle - this.steeringAngle) * Math.min(steeringSpeed * deltaTime, 1);
-    } else {
-      // Snap to exact target if we're very close
-      this.steeringAngle = targetAngle;
-    }
-    
-    // Store steering input in userData for camera and other systems
-    if (this.chassis) {
-      if (!this.chassis.userData) this.chassis.userData = {};
-      this.chassis.userData.steeringInput = steeringInput;
-    }
-    
-    // IMPORTANT: Ensure only the front wheels steer by explicitly setting the wheel indices
-    // Front wheels steer
-    this.vehicle.setSteeringValue(this.steeringAngle, 0); // Front left
-    this.vehicle.setSteeringValue(this.steeringAngle, 1); // Front right
-    
-    // Back wheels remain straight (no steering) - enforcing this explicitly
-    this.vehicle.setSteeringValue(0, 2); // Back left
-    this.vehicle.setSteeringValue(0, 3); // Back right
-    
-    // Rotate the steering wheel visual to match the steering angle
-    // Apply more rotation to the visual wheel for better feedback (2.5x multiplier)
-    if (this.steeringWheel) {
-      this.steeringWheel.rotation.y = -this.steeringAngle * 2.5;
-    }
+  storePhysicsState() {
+    this.dynamics.storePhysicsState();
   }
   
   /**
-   * Update engine forces
-   * @param {number} throttle - Throttle input (0 to 1)
-   * @param {number} brake - Brake input (0 to 1)
-   * @param {boolean} reverse - Whether to drive in reverse
-   * @param {boolean} boost - Whether to apply boost
+   * Update visual meshes between the last two physics states
+   * @param {number} alpha - Interpolation factor from 0 (previous) to 1 (current)
    */
-  updateEngine(throttle, brake, reverse, boost) {
-    // Calculate engine force
-    let engineForce = 0;
-    let brakeForce = 0;
-    
-    // Get chassis velocity and determine direction
-    const velocity = this.chassisBody.velocity;
-    const chassisQuat = this.chassisBody.quaternion;
-    const forwardDir = new CANNON.Vec3(0, 0, -1);
-    chassisQuat.vmult(forwardDir, forwardDir);
-    
-    // Calculate velocity in the forward direction
-    const velInForwardDir = 
-      velocity.x * forwardDir.x + 
-      velocity.y * forwardDir.y + 
-      velocity.z * forwardDir.z;
-    
-    // Check if we're moving forward or backward
-    const isMovingForward = velInForwardDir < 0; // Car faces -Z direction
-    const actualSpeed = Math.abs(velInForwardDir) * 3.6; // km/h
-    
-    // Throttle speed logging to 5 times per second and only log when speed changes
-    const currentTime = Date.now();
-    const roundedSpeed = Math.round(this.speed); // Round to whole number
-    if (currentTime - this.lastLogTime >= this.logInterval && 
-        Math.abs(roundedSpeed - this.lastLoggedSpeed) >= 1) {
-      console.log(`Speed: ${roundedSpeed} km/h, Direction: ${isMovingForward ? 'forward' : 'reverse'}`);
-      this.lastLogTime = currentTime;
-      this.lastLoggedSpeed = roundedSpeed;
-    }
-    
-    // Maximum speeds for forward and reverse
-    const MAX_FORWARD_SPEED = 140; // km/h (increased from 120 to 140)
-    const MAX_REVERSE_SPEED = 30;  // km/h
-    
-    // Handle reverse
-    if (reverse) {
-      // Apply brakes when going forward and trying to reverse
-      if (isMovingForward && actualSpeed > 1) {
-        brakeForce = this.maxBrakeForce * 1.5;
-        engineForce = 0;
-      } 
-      // Apply reverse force once we've slowed down enough
-      else {
-        engineForce = -this.maxForce * 0.5; // Less force for reverse
-        
-        // Limit reverse speed
-        if (!isMovingForward && actualSpeed > MAX_REVERSE_SPEED) {
-          engineForce = 0;
-        }
-      }
-    }
-    // Handle forward driving
-    else {
-      // Apply engine force for acceleration
-      engineForce = throttle * this.maxForce;
-      
-      // Apply brakes when brake is pressed
-      brakeForce = brake * this.maxBrakeForce;
-      
-      // Apply boost if requested
-      if (boost && throttle > 0.1) {
-        engineForce *= 1.3;
-      }
-      
-      // Limit top speed
-      if (isMovingForward && actualSpeed > MAX_FORWARD_SPEED) {
-        engineForce = 0;
-      }
-    }
-    
-    // Apply engine force to all wheels with front-wheel drive bias
-    for (let i = 0; i < 4; i++) {
-      if (i === this.FRONT_LEFT || i === this.FRONT_RIGHT) {
-        // Apply full engine force to front wheels (front-wheel drive)
-        this.vehicle.applyEngineForce(engineForce, i);
-      } else {
-        // Apply no engine force to rear wheels in normal operation
-        this.vehicle.applyEngineForce(0, i);
-      }
-      
-      // Apply brakes to all wheels
-      this.vehicle.setBrake(brakeForce, i);
-    }
-    
-    // Apply downforce to keep car grounded as speed increases
-    // This prevents the car from becoming unstable or flying at high speeds
-    if (this.speed > 10) {
-      const downforce = new CANNON.Vec3(0, -this.speed * 8, 0);
-      this.chassisBody.applyLocalForce(downforce, new CANNON.Vec3(0, 0, 0));
-    }
-    
-    // Apply anti-roll force to prevent tipping during sharp turns
-    const rotation = new CANNON.Quaternion();
-    this.chassisBody.quaternion.copy(rotation);
-    
-    // Get the vehicle's up vector (Y-axis)
-    const vehicleUp = new CANNON.Vec3(0, 1, 0);
-    rotation.vmult(vehicleUp, vehicleUp);
+  interpolate(alpha) {
+    if (!this.vehicle || !this.chassis) return;
     
-    // Calculate the tilt angle (angle between vehicle's up vector and world up)
-    const worldUp = new CANNON.Vec3(0, 1, 0);
-    const tiltAngle = Math.acos(vehicleUp.dot(worldUp));
+    // Update wheel positions
+    this.updateWheelPositions(alpha);
     
-    // Apply counter-torque if tilt is too extreme (prevents flipping)
-    if (tiltAngle > Math.PI / 6) { // 30 degrees
-      const correctionAxis = new CANNON.Vec3();
-      vehicleUp.cross(worldUp, correctionAxis);
-      correctionAxis.normalize();
-      
-      const correctionStrength = 3000 * (tiltAngle - Math.PI/6);
-      const correctionTorque = correctionAxis.scale(correctionStrength);
-      
-      this.chassisBody.torque.vadd(correctionTorque, this.chassisBody.torque);
-    }
+    // Update chassis position and rotation from physics
+    this.updateChassisFromPhysics(alpha);
   }
   
   /**
    * Update wheel positions and rotations from physics
+   * @param {number} alpha - Interpolation factor between the stored physics states
    */
-  updateWheelPositions() {
-    // Update wheel positions from physics
+  updateWheelPositions(alpha = 1) {
+    const { previousState, currentState } = this.dynamics;
+    
+    // Update wheel positions from the interpolated physics snapshots
     for (let i = 0; i < this.vehicle.wheelInfos.length && i < this.wheels.length; i++) {
-      this.vehicle.updateWheelTransform(i);
-      const wheelInfo = this.vehicle.wheelInfos[i];
+      const previous = previousState.wheels[i];
+      const current = currentState.wheels[i];
       const wheelMesh = this.wheels[i];
       
       if (wheelMesh) {
-        // Get the world position and rotation from the wheel physics
-        wheelMesh.position.copy(wheelInfo.worldTransform.position);
-        wheelMesh.quaternion.copy(wheelInfo.worldTransform.quaternion);
+        // Blend the world position and rotation between the last two ticks
+        wheelMesh.position.lerpVectors(previous.position, current.position, alpha);
+        this.previousQuaternion.copy(previous.quaternion);
+        this.currentQuaternion.copy(current.quaternion);
+        wheelMesh.quaternion.slerpQuaternions(this.previousQuaternion, this.currentQuaternion, alpha);
+        this.updateWheelContact(i, wheelMesh);
         
         // Debug wheel positions to ensure front/back alignment is correct
         const wheelType = i < 2 ? "Front" : "Back";
@@ -757,21 +542,63 @@ export class Vehicle {
     }
   }
   
+  /**
+   * Describe how a wheel meets the ground, for the snow and spray it throws up
+   * @param {number} index - Wheel index
+   * @param {THREE.Object3D} wheelMesh - Wheel mesh at its interpolated transform
+   */
+  updateWheelContact(index, wheelMesh) {
+    const tire = this.dynamics.tires[index];
+    if (!this.wheelContacts[index]) {
+      this.wheelContacts[index] = { position: new THREE.Vector3(), forward: new THREE.Vector3(), axle: new THREE.Vector3() };
+    }
+    const contact = this.wheelContacts[index];
+    
+    // The wheel's axle and rolling direction; the wheel spins about its axle,
+    // so the axle stays put
+    contact.axle.set(1, 0, 0).applyQuaternion(wheelMesh.quaternion);
+    contact.forward.set(0, 1, 0).cross(contact.axle).normalize();
+    contact.position.copy(wheelMesh.position);
+    contact.position.y -= tire.radius;
+    
+    contact.inContact = tire.load > 0;
+    contact.surface = tire.surface;
+    contact.snowDepth = tire.snowDepth;
+    contact.width = tire.width;
+    contact.forwardVelocity = tire.forwardVelocity;
+    contact.sideVelocity = tire.sideVelocity;
+    contact.slipVelocity = tire.spin * tire.radius - tire.forwardVelocity;  // Tread speed over the ground
+  }
+  
   /**
    * Update chassis position and rotation from physics
+   * @param {number} alpha - Interpolation factor between the stored physics states
    */
-  updateChassisFromPhysics() {
-    // Update chassis position directly from physics
-    this.chassis.position.copy(this.chassisBody.position);
+  updateChassisFromPhysics(alpha = 1) {
+    const { previousState, currentState } = this.dynamics;
     
     // Get correct quaternion for visual orientation
     // The physics model and visual model need to be aligned
-    const correctedQuaternion = this.chassisBody.quaternion.clone();
+    this.previousQuaternion.copy(previousState.quaternion);
+    this.currentQuaternion.copy(currentState.quaternion);
+    const correctedQuaternion = new THREE.Quaternion().slerpQuaternions(
+      this.previousQuaternion,
+      this.currentQuaternion,
+      alpha
+    );
+    this.bodyQuaternion.copy(correctedQuaternion);
+    
+    // Update chassis position from the interpolated physics snapshots, moved
+    // by the definition's model offset in the car's frame
+    const bodyPosition = this.bodyPosition.lerpVectors(previousState.position, currentState.position, alpha);
+    this.chassis.position.copy(this.modelOffset).applyQuaternion(correctedQuaternion);
+    this.chassis.position.add(bodyPosition);
     
-    // Apply 180-degree Y-axis correction to match the model orientation with physics
-    const correctionQuat = new CANNON.Quaternion();
-    correctionQuat.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), Math.PI);
-    correctedQuaternion.mult(correctionQuat, correctedQuaternion);
+    // Lights sit on the physics body, without the model's fix-ups
+    this.lights.place(bodyPosition, correctedQuaternion);
+    
+    // Apply the definition's rotation to match the model orientation with physics
+    correctedQuaternion.multiply(this.modelQuaternion);
     
     // Apply the rotation to the chassis mesh
     this.chassis.quaternion.copy(correctedQuaternion);
@@ -787,7 +614,7 @@ export class Vehicle {
    * @returns {number} Speed in km/h
    */
   getSpeed() {
-    return this.speed;
+    return this.dynamics.getSpeed();
   }
   
   /**
@@ -796,10 +623,7 @@ export class Vehicle {
    * @param {THREE.Vector3} point - Point to apply force at (world coordinates)
    */
   applyForce(force, point) {
-    this.chassisBody.applyForce(
-      new CANNON.Vec3(force.x, force.y, force.z),
-      new CANNON.Vec3(point.x, point.y, point.z)
-    );
+    this.dynamics.applyForce(force, point);
   }
   
   /**
@@ -0,0 +1,245 @@
+import { POWERTRAIN_PRESETS } from './Powertrain.js';
+import { DRIVETRAIN_PRESETS, DRIVETRAIN_LAYOUTS, DIFFERENTIAL_DEFAULTS } from './Drivetrain.js';
+import f40 from './definitions/f40.json' with { type: 'json' };
+import boxCar from './definitions/boxCar.json' with { type: 'json' };
+
+export const VEHICLE_DEFINITION_FORMAT = 'winter-driving-vehicle';
+export const VEHICLE_DEFINITION_VERSION = 1;
+
+export const DEFAULT_VEHICLE_ID = 'f40';
+
+/**
+ * Defaults for the optional parts of a vehicle definition
+ *
+ * A definition is a JSON file (see definitions/f40.json) with:
+ * - `id`, `name`: registry key and display name
+ * - `model`: GLB paths tried in order, `scale`, `rotation` in degrees and
+ *   `offset` in m that turn the model to face the physics body, and the
+ *   `fallback` definition to use when no model loads
+ * - `chassis`: collision box size in m, `mass` in kg, `collisionOffset` of the
+ *   box above the center of mass, and body damping
+ * - `wheels`: `radius`, `width` and the four suspension mount points in the
+ *   car's frame (x right, y up, -z forward) in FL, FR, BL, BR order
+ * - `suspension`, `tires`, `steering` (`maxAngle` in degrees) and `brakes`
+ *   (`maxForce` per wheel in N, `bias` towards the front axle)
+ * - `powertrain`, `drivetrain`: a preset name or a full settings object
+ */
+const DEFINITION_DEFAULTS = {
+  model: { paths: [], scale: 1, rotation: [0, 0, 0], offset: [0, 0, 0], fallback: null },
+  chassis: { collisionOffset: 0, linearDamping: 0.1, angularDamping: 0.4 },
+  wheels: { width: 0.4 },
+  suspension: {
+    stiffness: 35,
+    restLength: 0.3,
+    dampingRelaxation: 2.5,
+    dampingCompression: 4.0,
+    rollInfluence: 0.01,
+    maxForce: 50000,
+    maxTravel: 0.3
+  },
+  tires: { inertia: 1.2, frontGrip: 1, rearGrip: 1 },
+  steering: { maxAngle: 45 },
+  brakes: { maxForce: 4000, bias: 0.6 }
+};
+
+const POWERTRAIN_KEYS = [
+  'idleRpm', 'launchRpm', 'redlineRpm', 'limiterRpm', 'upshiftRpm', 'downshiftRpm',
+  'reverseRatio', 'finalDrive', 'efficiency', 'engineBrakeTorque', 'shiftTime', 'boostMultiplier'
+];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+
+/**
+ * Resolve a powertrain preset name or check an inline powertrain
+ * @param {string|Object} powertrain - Preset name or settings
+ * @param {string} id - Vehicle id, used to name inline settings
+ * @param {Array<string>} errors - Collected validation errors
+ * @returns {Object} Powertrain settings
+ */
+function resolvePowertrain(powertrain, id, errors) {
+  if (typeof powertrain === 'string') {
+    if (!POWERTRAIN_PRESETS[powertrain]) errors.push(`unknown powertrain preset "${powertrain}"`);
+    return POWERTRAIN_PRESETS[powertrain];
+  }
+  if (!powertrain || typeof powertrain !== 'object') {
+    errors.push('powertrain must be a preset name or an object');
+    return powertrain;
+  }
+  
+  POWERTRAIN_KEYS.filter(key => !isNumber(powertrain[key])).forEach(key => errors.push(`powertrain.${key} must be a number`));
+  if (!Array.isArray(powertrain.gearRatios) || powertrain.gearRatios.length === 0 || !powertrain.gearRatios.every(isNumber)) {
+    errors.push('powertrain.gearRatios must be a list of numbers');
+  }
+  if (!Array.isArray(powertrain.torqueCurve) || powertrain.torqueCurve.length === 0 ||
+      !powertrain.torqueCurve.every(point => Array.isArray(point) && point.length === 2 && point.every(isNumber))) {
+    errors.push('powertrain.torqueCurve must be a list of [rpm, torque] points');
+  }
+  return { name: id, engineInertia: 0, ...powertrain };
+}
+
+/**
+ * Resolve a drivetrain preset name or check an inline drivetrain
+ * @param {string|Object} drivetrain - Preset name or settings
+ * @param {Array<string>} errors - Collected validation errors
+ * @returns {Object} Drivetrain settings
+ */
+function resolveDrivetrain(drivetrain, errors) {
+  if (typeof drivetrain === 'string') {
+    if (!DRIVETRAIN_PRESETS[drivetrain]) errors.push(`unknown drivetrain preset "${drivetrain}"`);
+    return DRIVETRAIN_PRESETS[drivetrain];
+  }
+  if (!drivetrain || typeof drivetrain !== 'object') {
+    errors.push('drivetrain must be a preset name or an object');
+    return drivetrain;
+  }
+  
+  if (!DRIVETRAIN_LAYOUTS.includes(drivetrain.layout)) {
+    errors.push(`drivetrain.layout must be one of ${DRIVETRAIN_LAYOUTS.join(', ')}`);
+  }
+  
+  // Differentials may be given by type name, using that type's defaults
+  const resolved = { frontShare: 0.5, ...drivetrain };
+  ['frontDiff', 'rearDiff', 'centerDiff'].forEach(key => {
+    const diff = typeof resolved[key] === 'string' ? { type: resolved[key] } : resolved[key] || { type: 'open' };
+    if (!DIFFERENTIAL_DEFAULTS[diff.type]) {
+      errors.push(`drivetrain.${key} has unknown differential type "${diff.type}"`);
+    }
+    resolved[key] = { ...DIFFERENTIAL_DEFAULTS[diff.type], ...diff };
+  });
+  return resolved;
+}
+
+/**
+ * Check a vehicle definition and fill in defaults
+ * All problems are collected and reported together, so a broken file can be
+ * fixed in one go.
+ * @param {Object} definition - Definition as loaded from JSON
+ * @returns {Object} Validated copy with defaults filled in and presets resolved
+ */
+export function validateVehicleDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Vehicle definition must be an object');
+  }
+  
+  const errors = [];
+  const source = JSON.parse(JSON.stringify(definition));
+  
+  if (source.format !== undefined && source.format !== VEHICLE_DEFINITION_FORMAT) {
+    errors.push(`format must be "${VEHICLE_DEFINITION_FORMAT}"`);
+  }
+  if (source.version !== undefined && source.version > VEHICLE_DEFINITION_VERSION) {
+    errors.push(`version ${source.version} is newer than the supported version ${VEHICLE_DEFINITION_VERSION}`);
+  }
+  if (typeof source.id !== 'string' || source.id === '') {
+    errors.push('id must be a non-empty string');
+  }
+  
+  // Sections, with defaults under the given values
+  const result = {
+    format: VEHICLE_DEFINITION_FORMAT,
+    version: VEHICLE_DEFINITION_VERSION,
+    id: source.id,
+    name: source.name || source.id
+  };
+  Object.keys(DEFINITION_DEFAULTS).forEach(section => {
+    if (source[section] !== undefined && (typeof source[section] !== 'object' || Array.isArray(source[section]))) {
+      errors.push(`${section} must be an object`);
+    }
+    result[section] = { ...DEFINITION_DEFAULTS[section], ...source[section] };
+  });
+  
+  const { model, chassis, wheels, suspension, tires, steering, brakes } = result;
+  
+  // Model and its transform fix-ups
+  if (!Array.isArray(model.paths) || !model.paths.every(path => typeof path === 'string')) {
+    errors.push('model.paths must be a list of strings');
+  }
+  if (!isNumber(model.scale) || model.scale <= 0) errors.push('model.scale must be a positive number');
+  if (!isVector(model.rotation)) errors.push('model.rotation must be [x, y, z] in degrees');
+  if (!isVector(model.offset)) errors.push('model.offset must be [x, y, z] in m');
+  if (model.fallback !== null && typeof model.fallback !== 'string') errors.push('model.fallback must be a vehicle id');
+  
+  // Positive sizes and physical constants
+  const positive = {
+    chassis: ['width', 'height', 'length', 'mass'],
+    wheels: ['radius', 'width'],
+    suspension: ['stiffness', 'restLength', 'dampingRelaxation', 'dampingCompression', 'maxForce', 'maxTravel'],
+    tires: ['inertia', 'frontGrip', 'rearGrip'],
+    steering: ['maxAngle'],
+    brakes: ['maxForce']
+  };
+  Object.entries(positive).forEach(([section, keys]) => {
+    keys.filter(key => !isNumber(result[section][key]) || result[section][key] <= 0)
+      .forEach(key => errors.push(`${section}.${key} must be a positive number`));
+  });
+  
+  ['collisionOffset', 'linearDamping', 'angularDamping'].filter(key => !isNumber(chassis[key]))
+    .forEach(key => errors.push(`chassis.${key} must be a number`));
+  if (!isNumber(suspension.rollInfluence)) errors.push('suspension.rollInfluence must be a number');
+  if (!isNumber(brakes.bias) || brakes.bias < 0 || brakes.bias > 1) errors.push('brakes.bias must be between 0 and 1');
+  if (isNumber(steering.maxAngle) && steering.maxAngle >= 90) errors.push('steering.maxAngle must be below 90 degrees');
+  
+  if (!Array.isArray(wheels.positions) || wheels.positions.length !== 4 || !wheels.positions.every(isVector)) {
+    errors.push('wheels.positions must list four [x, y, z] mount points in FL, FR, BL, BR order');
+  }
+  
+  result.powertrain = resolvePowertrain(source.powertrain, source.id, errors);
+  result.drivetrain = resolveDrivetrain(source.drivetrain, errors);
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid vehicle definition "${source.id}":\n  ${errors.join('\n  ')}`);
+  }
+  return result;
+}
+
+// Built-in vehicles; more can be added at runtime with registerVehicleDefinition()
+export const VEHICLE_DEFINITIONS = {};
+
+/**
+ * Validate a vehicle definition and add it to the registry, replacing one
+ * with the same id
+ * @param {Object} definition - Definition as loaded from JSON
+ * @returns {Object} The validated definition
+ */
+export function registerVehicleDefinition(definition) {
+  const validated = validateVehicleDefinition(definition);
+  VEHICLE_DEFINITIONS[validated.id] = validated;
+  return validated;
+}
+
+[f40, boxCar].forEach(registerVehicleDefinition);
+
+/**
+ * Look up a vehicle definition by id
+ * @param {string} id - Vehicle id
+ * @returns {Object} Validated definition
+ */
+export function getVehicleDefinition(id) {
+  const definition = VEHICLE_DEFINITIONS[id];
+  if (!definition) {
+    throw new Error(`Unknown vehicle "${id}"`);
+  }
+  return definition;
+}
+
+/**
+ * All registered vehicle definitions
+ * @returns {Array<Object>} Definitions in registration order
+ */
+export function getVehicleDefinitions() {
+  return Object.values(VEHICLE_DEFINITIONS);
+}
+
+/**
+ * Fetch a vehicle definition file, validate and register it
+ * @param {string} url - URL of the JSON file
+ * @returns {Promise<Object>} The validated definition
+ */
+export async function loadVehicleDefinition(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load vehicle definition ${url}: ${response.status} ${response.statusText}`);
+  }
+  return registerVehicleDefinition(await response.json());
+} 
\ No newline at end of file
@@ -0,0 +1,942 @@
+import * as CANNON from 'cannon-es';
+import { Powertrain } from './Powertrain.js';
+import { Drivetrain } from './Drivetrain.js';
+import { Tire } from './Tire.js';
+import { DriverAssists } from './DriverAssists.js';
+import { getSurface, DEFAULT_SURFACE_ID } from '../physics/Surfaces.js';
+import { VEHICLE_DEFINITIONS, DEFAULT_VEHICLE_ID } from './VehicleDefinitions.js';
+
+// Farthest a wheel can roll in one step and still leave a continuous track;
+// anything further is a respawn or a jump
+const MAX_TRACK_STEP = 3; // m
+
+// Side wind: air density, drag coefficient of the car's flank, and where
+// the side force acts in chassis coordinates (above and ahead of the center
+// of mass, so gusts also roll the car and turn its nose away)
+const AIR_DENSITY = 1.3; // kg/m³ in cold air
+const SIDE_DRAG = 0.9;
+const SIDE_PRESSURE_POINT = [0, 0.2, -0.3];
+
+// Terrain upwind shelters the car: distances it is checked at in m, and the
+// slope up to it that blocks the wind completely
+const SHELTER_DISTANCES = [5, 10, 20, 40];
+const FULL_SHELTER_SLOPE = 0.3;
+
+/**
+ * VehicleDynamics holds the physics side of a vehicle: the chassis body,
+ * the raycast vehicle and the steering and engine logic. It has no scene
+ * objects, so it can run under Node without a renderer.
+ */
+export class VehicleDynamics {
+  /**
+   * @param {Physics} physics - Physics world
+   * @param {Object} definition - Validated vehicle definition, see VehicleDefinitions.js
+   */
+  constructor(physics, definition = VEHICLE_DEFINITIONS[DEFAULT_VEHICLE_ID]) {
+    this.physics = physics;
+    
+    // Physics properties
+    this.chassisBody = null;
+    this.vehicle = null;
+    this.wheelBodies = [];
+    
+    // Position properties
+    this.spawnPosition = new CANNON.Vec3(0, 0, 0); // Default position
+    this.spawnHeading = 0;                          // Yaw at the spawn point, 0 facing -z
+    
+    // Terrain with painted surfaces, set in init
+    this.terrain = null;
+    
+    // Engine, gearbox and brakes
+    this.powertrain = new Powertrain(definition.powertrain);
+    this.drivetrain = new Drivetrain(definition.drivetrain);
+    this.driveForce = 0;        // Total drive force from the powertrain this tick
+    this.assists = new DriverAssists(); // ABS, traction control and stability control
+    
+    // Current vehicle state
+    this.speed = 0;             // Current speed in km/h
+    this.steeringAngle = 0;     // Current steering angle
+    this.steeringInput = 0;     // Last steering input after drift correction
+    
+    // Tires, one per wheel in wheel index order
+    this.tires = [];
+    this.tireSubsteps = 4;      // Wheel spin substeps per physics step
+    this.trackPoints = [];      // Each wheel's last contact point [x, z] in the snow, null off the snow
+    
+    // Speed logging control
+    this.lastLogTime = 0;       // Last time speed was logged
+    this.logInterval = 200;     // Log interval in ms (200ms = 5 times per second)
+    this.lastLoggedSpeed = 0;   // Track last logged speed to avoid duplicate logs
+    this.debugMode = true;      // Disable to silence console output (e.g. headless runs)
+    
+    // Wheel indices
+    this.FRONT_LEFT = 0;
+    this.FRONT_RIGHT = 1;
+    this.BACK_LEFT = 2;
+    this.BACK_RIGHT = 3;
+    
+    // Physics state snapshots for render interpolation between fixed ticks
+    this.previousState = this.createStateSnapshot();
+    this.currentState = this.createStateSnapshot();
+    
+    this.setDefinition(definition);
+  }
+  
+  /**
+   * Take dimensions, suspension, tires, brakes and powertrain from a vehicle
+   * definition. Must be called before init() builds the physics bodies.
+   * @param {Object} definition - Validated vehicle definition
+   */
+  setDefinition(definition) {
+    if (this.chassisBody) {
+      throw new Error('Vehicle definition must be set before the vehicle is initialized');
+    }
+    this.definition = definition;
+    
+    // Vehicle dimensions and properties
+    const { chassis, suspension, steering, brakes } = definition;
+    this.width = chassis.width;
+    this.height = chassis.height;
+    this.length = chassis.length;
+    this.mass = chassis.mass;
+    this.groundClearanceOffset = chassis.collisionOffset;   // Collision box offset above the center of mass
+    this.suspensionRestLength = suspension.restLength;      // Distance from chassis to wheel at rest, before sinking into soft surfaces
+    this.maxSteeringAngle = steering.maxAngle * Math.PI / 180;
+    this.maxBrakeForce = brakes.maxForce;   // Brake force per wheel at the contact patch in N
+    this.brakeBias = brakes.bias;           // Share of the brake force on the front axle, so the rear doesn't lock first
+    
+    this.powertrain.setConfig(definition.powertrain);
+    this.drivetrain.setConfig(definition.drivetrain);
+  }
+  
+  /**
+   * Initialize the vehicle physics
+   * @param {TerrainGenerator} terrain - The terrain generator for road information
+   * @param {Object} definition - Vehicle definition to build, instead of the current one
+   * @returns {Promise} Promise that resolves when the vehicle is ready
+   */
+  async init(terrain, definition) {
+    this.terrain = terrain || null;
+    if (definition) {
+      this.setDefinition(definition);
+    }
+    
+    // Set spawn position on the road
+    if (terrain) {
+      // Spawn 1 m above the road surface so the car settles onto its wheels,
+      // facing along the road
+      const spawn = terrain.getSpawnPoint();
+      this.spawnPosition = new CANNON.Vec3(spawn.x, spawn.y + 1.0, spawn.z);
+      this.spawnHeading = spawn.heading;
+    }
+    
+    // Create physics chassis and vehicle
+    this.createPhysicsChassis();
+    
+    // Start interpolation from the spawn pose
+    this.storePhysicsState();
+    this.storePhysicsState();
+    
+    return this;
+  }
+  
+  /**
+   * Remove the vehicle's bodies from the physics world, so it can be built
+   * again with another definition
+   */
+  dispose() {
+    if (!this.vehicle) return;
+    
+    this.physics.removeVehicle(this.vehicle);
+    this.wheelBodies.forEach(body => this.physics.removeBody(body));
+    this.wheelBodies = [];
+    this.chassisBody = null;
+    this.vehicle = null;
+    this.tires = [];
+    this.trackPoints = [];
+    this.speed = 0;
+    this.steeringAngle = 0;
+    this.steeringInput = 0;
+    this.driveForce = 0;
+    this.assists.reset();
+  }
+  
+  /**
+   * Create physics bodies for the vehicle
+   */
+  createPhysicsChassis() {
+    // Create chassis shape
+    const chassisShape = new CANNON.Box(new CANNON.Vec3(
+      this.width / 2,
+      this.height / 2,
+      this.length / 2
+    ));
+    
+    // Create chassis body
+    const { chassis, wheels, suspension, tires } = this.definition;
+    this.chassisBody = new CANNON.Body({
+      mass: this.mass,
+      material: this.physics.tireMaterial,
+      linearDamping: chassis.linearDamping,
+      angularDamping: chassis.angularDamping
+    });
+    // Raise the collision box above the body origin so the underbody clears the
+    // road at normal ride height; otherwise it drags along the surface
+    this.chassisBody.addShape(chassisShape, new CANNON.Vec3(0, this.groundClearanceOffset, 0));
+    
+    // Use the spawn position set in the init method
+    this.chassisBody.position.copy(this.spawnPosition);
+    
+    // Set initial rotation to face along the road
+    this.chassisBody.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), this.spawnHeading);
+    
+    // Add chassis to the physics world
+    this.physics.addBody(this.chassisBody, true);
+    
+    // Create vehicle
+    this.vehicle = this.physics.createVehicle(this.chassisBody);
+    
+    // IMPORTANT: Wheel positions come from the definition in this order:
+    // 0: Front Left, 1: Front Right, 2: Back Left, 3: Back Right
+    // The car drives along its local -Z axis, so the front axle sits at negative Z
+    if (this.debugMode) {
+      const labels = ['Front Left', 'Front Right', 'Back Left', 'Back Right'];
+      console.log(`Wheel positions (${this.definition.id}):\n` +
+        wheels.positions.map((position, index) => `        ${labels[index]}: (${position.join(', ')})`).join('\n'));
+    }
+    
+    // Wheel options configuration
+    const wheelOptions = {
+      radius: wheels.radius,
+      directionLocal: new CANNON.Vec3(0, -1, 0), // Points downward
+      suspensionStiffness: suspension.stiffness,
+      suspensionRestLength: suspension.restLength,
+      dampingRelaxation: suspension.dampingRelaxation,
+      dampingCompression: suspension.dampingCompression,
+      rollInfluence: suspension.rollInfluence,
+      maxSuspensionForce: suspension.maxForce,   // Maximum force the suspension can apply
+      maxSuspensionTravel: suspension.maxTravel, // How far the suspension can extend/compress
+      // Grip comes from the tire model (see updateTires), not the raycast vehicle's friction
+      frictionSlip: 0,
+      sideFrictionStiffness: 0,
+      useCustomSlidingRotationalSpeed: false
+    };
+    
+    // Add wheels in specific order: FL, FR, BL, BR
+    wheels.positions.forEach(position => {
+      wheelOptions.chassisConnectionPointLocal = new CANNON.Vec3(...position);
+      this.vehicle.addWheel(wheelOptions);
+    });
+    
+    // Tires, with separate grip for the front and rear compounds
+    this.tires = this.vehicle.wheelInfos.map((wheel, index) => new Tire({
+      radius: wheel.radius,
+      width: wheels.width,
+      inertia: tires.inertia,
+      grip: index < 2 ? tires.frontGrip : tires.rearGrip
+    }));
+    
+    // Let the tire model compute the wheel forces inside the vehicle's physics step
+    this.vehicle.updateFriction = (timeStep) => this.updateTires(timeStep);
+    
+    // Create wheel bodies for physics simulation
+    this.vehicle.wheelInfos.forEach((wheel, index) => {
+      const wheelBody = new CANNON.Body({
+        mass: 1,
+        material: this.physics.tireMaterial,
+        type: CANNON.Body.KINEMATIC,
+        collisionFilterGroup: 0  // No collision with other objects
+      });
+      
+      const wheelShape = new CANNON.Cylinder(
+        wheel.radius, 
+        wheel.radius, 
+        wheels.width, 
+        20
+      );
+      
+      wheelBody.addShape(wheelShape, new CANNON.Vec3(), new CANNON.Quaternion().setFromAxisAngle(
+        new CANNON.Vec3(1, 0, 0),
+        Math.PI / 2
+      ));
+      
+      this.physics.addBody(wheelBody);
+      this.wheelBodies.push(wheelBody);
+    });
+    
+    // After creating the wheels, log their indices and positions for debugging
+    if (this.debugMode) {
+      console.log("Wheel indices:", {
+        "Front Left": 0,
+        "Front Right": 1,
+        "Back Left": 2,
+        "Back Right": 3
+      });
+    }
+  }
+  
+  /**
+   * Advance vehicle controls by one fixed simulation tick
+   * Applies steering and engine forces for the next physics step.
+   * @param {number} deltaTime - Fixed tick length in seconds
+   * @param {Object} inputs - Inputs sampled for this tick
+   */
+  update(deltaTime, inputs) {
+    if (!this.vehicle) return;
+    
+    // Extract input values
+    const { steering, throttle, brake, handbrake, reverse, boost, clutch = 0 } = inputs;
+    
+    // Update steering
+    this.updateSteering(steering, deltaTime);
+    
+    // Update engine forces
+    this.updateEngine(deltaTime, throttle, brake, reverse, boost, clutch, {
+      manual: Boolean(inputs.manualGearbox),
+      shiftUp: Boolean(inputs.shiftUp),
+      shiftDown: Boolean(inputs.shiftDown)
+    });
+    
+    // Calculate speed (km/h)
+    const velocity = this.chassisBody.velocity;
+    
+    // Get forward direction based on chassis orientation
+    const chassisQuat = this.chassisBody.quaternion;
+    const forwardVelocity = new CANNON.Vec3(0, 0, -1);
+    forwardVelocity.scale(-1, forwardVelocity); // Flip to match vehicle forward direction
+    
+    // Transform the forward vector using the chassis quaternion
+    chassisQuat.vmult(forwardVelocity, forwardVelocity);
+    
+    // Calculate dot product using the velocity components
+    const dotProduct = 
+      velocity.x * forwardVelocity.x + 
+      velocity.y * forwardVelocity.y + 
+      velocity.z * forwardVelocity.z;
+    
+    // Convert speed to km/h (Cannon.js uses m/s)
+    this.speed = Math.abs(dotProduct) * 3.6;
+  }
+  
+  /**
+   * Create an empty physics state snapshot
+   * @returns {Object} Snapshot with chassis and wheel transforms
+   */
+  createStateSnapshot() {
+    const wheels = [];
+    for (let i = 0; i < 4; i++) {
+      wheels.push({ position: new CANNON.Vec3(), quaternion: new CANNON.Quaternion() });
+    }
+    
+    return {
+      position: new CANNON.Vec3(),
+      quaternion: new CANNON.Quaternion(),
+      wheels
+    };
+  }
+  
+  /**
+   * Record the physics state after a fixed tick
+   * The previous snapshot is kept so renderers can blend between the two.
+   */
+  storePhysicsState() {
+    if (!this.vehicle) return;
+    
+    // Swap snapshots so the old current state becomes the previous state
+    const previous = this.previousState;
+    this.previousState = this.currentState;
+    this.currentState = previous;
+    
+    // Capture chassis transform
+    this.currentState.position.copy(this.chassisBody.position);
+    this.currentState.quaternion.copy(this.chassisBody.quaternion);
+    
+    // Capture wheel transforms
+    const offset = new CANNON.Vec3();
+    for (let i = 0; i < this.vehicle.wheelInfos.length && i < this.currentState.wheels.length; i++) {
+      // Wheels turn with the tire model's spin, so wheelspin and locked brakes show
+      this.vehicle.wheelInfos[i].rotation = this.tires[i].rotation;
+      this.vehicle.updateWheelTransform(i);
+      const transform = this.vehicle.wheelInfos[i].worldTransform;
+      this.currentState.wheels[i].position.copy(transform.position);
+      
+      // Show the wheel sunk into soft surfaces below the raycast hit
+      this.vehicle.wheelInfos[i].directionWorld.scale(this.tires[i].sinkage, offset);
+      this.currentState.wheels[i].position.vadd(offset, this.currentState.wheels[i].position);
+      this.currentState.wheels[i].quaternion.copy(transform.quaternion);
+    }
+  }
+  
+  /**
+   * Get a plain-data summary of the current vehicle state
+   * @returns {Object} Position, orientation, velocity and speed
+   */
+  getState() {
+    const { position, quaternion, velocity, angularVelocity } = this.chassisBody;
+    
+    return {
+      position: { x: position.x, y: position.y, z: position.z },
+      quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
+      velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+      angularVelocity: { x: angularVelocity.x, y: angularVelocity.y, z: angularVelocity.z },
+      speed: this.speed,
+      steeringAngle: this.steeringAngle,
+      rpm: this.powertrain.rpm,
+      gear: this.powertrain.gear,
+      assists: this.assists.getActive()
+    };
+  }
+  
+  /**
+   * Capture the complete dynamic state needed to continue the simulation
+   * exactly from this point (used by recordings and replays)
+   * @returns {Object} Plain-data snapshot
+   */
+  getSnapshot() {
+    const body = this.chassisBody;
+    const toArray = (v) => (v.w === undefined ? [v.x, v.y, v.z] : [v.x, v.y, v.z, v.w]);
+    
+    return {
+      position: toArray(body.position),
+      quaternion: toArray(body.quaternion),
+      velocity: toArray(body.velocity),
+      angularVelocity: toArray(body.angularVelocity),
+      speed: this.speed,
+      steeringAngle: this.steeringAngle,
+      steeringInput: this.steeringInput,
+      definition: JSON.parse(JSON.stringify(this.definition)), // Replays rebuild the same car from this
+      powertrain: this.powertrain.getSnapshot(),
+      drivetrain: this.drivetrain.getSnapshot(),
+      assists: this.assists.getSnapshot(),
+      driveForce: this.driveForce,
+      tires: this.tires.map(tire => tire.getSnapshot()),
+      trackPoints: this.trackPoints.map(point => point && point.slice()),
+      wheels: this.vehicle.wheelInfos.map(wheel => ({
+        steering: wheel.steering,
+        rotation: wheel.rotation,
+        deltaRotation: wheel.deltaRotation,
+        suspensionLength: wheel.suspensionLength,
+        suspensionRelativeVelocity: wheel.suspensionRelativeVelocity,
+        engineForce: wheel.engineForce,
+        brake: wheel.brake
+      }))
+    };
+  }
+  
+  /**
+   * Restore a state captured with getSnapshot()
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreSnapshot(snapshot) {
+    const body = this.chassisBody;
+    
+    // Chassis state
+    body.position.set(...snapshot.position);
+    body.quaternion.set(...snapshot.quaternion);
+    body.velocity.set(...snapshot.velocity);
+    body.angularVelocity.set(...snapshot.angularVelocity);
+    body.previousPosition.copy(body.position);
+    body.interpolatedPosition.copy(body.position);
+    body.previousQuaternion.copy(body.quaternion);
+    body.interpolatedQuaternion.copy(body.quaternion);
+    body.force.set(0, 0, 0);
+    body.torque.set(0, 0, 0);
+    body.updateInertiaWorld(true);
+    body.aabbNeedsUpdate = true;
+    body.wakeUp();
+    
+    // Controller state
+    this.speed = snapshot.speed;
+    this.steeringAngle = snapshot.steeringAngle;
+    this.steeringInput = snapshot.steeringInput;
+    if (snapshot.powertrain) {
+      this.powertrain.restoreSnapshot(snapshot.powertrain);
+    } else {
+      this.powertrain.reset();
+    }
+    if (snapshot.drivetrain) {
+      this.drivetrain.restoreSnapshot(snapshot.drivetrain);
+    }
+    if (snapshot.assists) {
+      this.assists.restoreSnapshot(snapshot.assists);
+    } else {
+      this.assists.reset();
+    }
+    this.driveForce = snapshot.driveForce || 0;
+    this.tires.forEach((tire, index) => {
+      if (snapshot.tires) {
+        tire.restoreSnapshot(snapshot.tires[index]);
+      } else {
+        tire.reset();
+      }
+    });
+    this.trackPoints = (snapshot.trackPoints || []).map(point => point && point.slice());
+    
+    // Wheel state
+    snapshot.wheels.forEach((wheelState, index) => {
+      Object.assign(this.vehicle.wheelInfos[index], wheelState);
+      this.vehicle.wheelInfos[index].suspensionRestLength = this.suspensionRestLength - this.tires[index].sinkage;
+    });
+    
+    // Reset render interpolation to the restored pose
+    this.storePhysicsState();
+    this.storePhysicsState();
+  }
+  
+  /**
+   * Update steering angle of the front wheels
+   * @param {number} steeringInput - Steering input (-1 to 1)
+   * @param {number} deltaTime - Time since last update
+   */
+  updateSteering(steeringInput, deltaTime) {
+    // Clamp steering input to ensure it's in the valid range
+    steeringInput = Math.max(-1, Math.min(1, steeringInput));
+    
+    // Calculate the target steering angle (in radians)
+    // Maximum angle is 45 degrees (PI/4) when steering input is at maximum
+    const targetAngle = -steeringInput * this.maxSteeringAngle;
+    
+    // Smoothly interpolate toward the target angle for more natural steering response
+    // Higher speeds should have reduced steering angle for stability
+    const speedFactor = Math.max(0, 1 - (this.speed / 200)); // Reduces steering angle at high speeds
+    const steeringSpeed = 5.0 * speedFactor; // How quickly steering responds
+    
+    // Apply smooth transition to the steering angle
+    if (Math.abs(targetAngle - this.steeringAngle) > 0.001) {
+      // Move current angle toward target angle at a rate proportional to deltaTime
+      this.steeringAngle += (targetAngle - this.steeringAngle) * Math.min(steeringSpeed * deltaTime, 1);
+    } else {
+      // Snap to exact target if we're very close
+      this.steeringAngle = targetAngle;
+    }
+    
+    // Store corrected steering input for the camera and other systems
+    this.steeringInput = steeringInput;
+    
+    // IMPORTANT: Ensure only the front wheels steer by explicitly setting the wheel indices
+    // Front wheels steer
+    this.vehicle.setSteeringValue(this.steeringAngle, 0); // Front left
+    this.vehicle.setSteeringValue(this.steeringAngle, 1); // Front right
+    
+    // Back wheels remain straight (no steering) - enforcing this explicitly
+    this.vehicle.setSteeringValue(0, 2); // Back left
+    this.vehicle.setSteeringValue(0, 3); // Back right
+  }
+  
+  /**
+   * Update engine forces
+   * @param {number} deltaTime - Fixed tick length in seconds
+   * @param {number} throttle - Throttle input (0 to 1)
+   * @param {number} brake - Brake input (0 to 1)
+   * @param {boolean} reverse - Whether to drive in reverse (automatic gearbox only)
+   * @param {boolean} boost - Whether to apply boost
+   * @param {number} clutch - Clutch pedal (0 = engaged, 1 = fully disengaged)
+   * @param {Object} gearbox - Gearbox mode and sequential shift inputs
+   */
+  updateEngine(deltaTime, throttle, brake, reverse, boost, clutch = 0, gearbox = {}) {
+    // Calculate brake force
+    let brakeForce = brake * this.maxBrakeForce;
+    
+    // Signed speed along the direction the engine drives the car (m/s)
+    const forwardSpeed = this.getForwardSpeed();
+    const isMovingForward = forwardSpeed > 0;
+    
+    // Throttle speed logging to 5 times per second and only log when speed changes
+    const currentTime = Date.now();
+    const roundedSpeed = Math.round(this.speed); // Round to whole number
+    if (this.debugMode &&
+        currentTime - this.lastLogTime >= this.logInterval && 
+        Math.abs(roundedSpeed - this.lastLoggedSpeed) >= 1) {
+      console.log(`Speed: ${roundedSpeed} km/h, Direction: ${isMovingForward ? 'forward' : 'reverse'}, Gear: ${this.powertrain.getGearLabel()}, RPM: ${Math.round(this.powertrain.rpm)}`);
+      this.lastLogTime = currentTime;
+      this.lastLoggedSpeed = roundedSpeed;
+    }
+    
+    // Automatic gearbox: holding the brake at a standstill selects reverse,
+    // and the brake pedal then works as the throttle
+    const powertrain = this.powertrain;
+    let driveThrottle = throttle;
+    if (!gearbox.manual) {
+      if (reverse) {
+        if (isMovingForward && forwardSpeed * 3.6 > 1) {
+          // Brake harder when going forward and trying to reverse
+          brakeForce = this.maxBrakeForce * 1.5;
+          driveThrottle = 0;
+        } else {
+          powertrain.shift(-1);
+          driveThrottle = brake;
+          brakeForce = 0;
+        }
+      } else if (powertrain.gear < 0) {
+        if (throttle > 0.1 && forwardSpeed * 3.6 > -1) {
+          powertrain.shift(1);
+        } else {
+          driveThrottle = 0;
+        }
+      }
+    }
+    
+    // Engine torque through the gearbox to the driven wheels, turning with them
+    const wheelRadius = this.vehicle.wheelInfos[0].radius;
+    const drivenSpeed = this.drivetrain.getDrivenSpeed(this.tires.map(tire => tire.spin * tire.radius));
+    this.driveForce = powertrain.update(deltaTime, {
+      throttle: driveThrottle,
+      clutch,
+      boost: boost && driveThrottle > 0.1,
+      manual: gearbox.manual,
+      shiftUp: gearbox.shiftUp,
+      shiftDown: gearbox.shiftDown
+    }, forwardSpeed, wheelRadius, drivenSpeed);
+    
+    // Stability control brakes single wheels on top of the driver's braking
+    const stabilityBrakes = this.assists.updateStability({
+      speed: forwardSpeed,
+      yawRate: this.getYawRate(),
+      steeringAngle: this.steeringAngle,
+      wheelbase: this.getWheelbase(),
+      friction: this.getAverageFriction()
+    });
+    
+    // Apply brakes to all wheels; the drive force is split between the
+    // wheels by the drivetrain during the physics step (see updateTires),
+    // where ABS and traction control modulate both
+    for (let i = 0; i < 4; i++) {
+      const axleShare = i === this.FRONT_LEFT || i === this.FRONT_RIGHT ? this.brakeBias : 1 - this.brakeBias;
+      this.vehicle.setBrake(brakeForce * axleShare * 2 + stabilityBrakes[i], i);
+    }
+    
+    // Apply downforce to keep car grounded as speed increases
+    // This prevents the car from becoming unstable or flying at high speeds
+    if (this.speed > 10) {
+      const downforce = new CANNON.Vec3(0, -this.speed * 8, 0);
+      this.chassisBody.applyLocalForce(downforce, new CANNON.Vec3(0, 0, 0));
+    }
+    
+    // Apply anti-roll force to prevent tipping during sharp turns
+    // (copy the chassis orientation; copying the other way reset it every tick)
+    const rotation = new CANNON.Quaternion();
+    rotation.copy(this.chassisBody.quaternion);
+    
+    // Get the vehicle's up vector (Y-axis)
+    const vehicleUp = new CANNON.Vec3(0, 1, 0);
+    rotation.vmult(vehicleUp, vehicleUp);
+    
+    // Calculate the tilt angle (angle between vehicle's up vector and world up)
+    const worldUp = new CANNON.Vec3(0, 1, 0);
+    const tiltAngle = Math.acos(vehicleUp.dot(worldUp));
+    
+    // Apply counter-torque if tilt is too extreme (prevents flipping)
+    if (tiltAngle > Math.PI / 6) { // 30 degrees
+      const correctionAxis = new CANNON.Vec3();
+      vehicleUp.cross(worldUp, correctionAxis);
+      correctionAxis.normalize();
+      
+      const correctionStrength = 3000 * (tiltAngle - Math.PI/6);
+      const correctionTorque = correctionAxis.scale(correctionStrength);
+      
+      this.chassisBody.torque.vadd(correctionTorque, this.chassisBody.torque);
+    }
+  }
+  
+  /**
+   * Get the signed speed along the direction the engine drives the car
+   * @returns {number} Speed in m/s, negative when rolling backwards
+   */
+  getForwardSpeed() {
+    // Positive engine force drives the raycast vehicle along its local -Z axis
+    const forwardDir = new CANNON.Vec3(0, 0, -1);
+    this.chassisBody.quaternion.vmult(forwardDir, forwardDir);
+    return this.chassisBody.velocity.dot(forwardDir);
+  }
+  
+  /**
+   * Get the rate at which the car turns about its own up axis
+   * @returns {number} Yaw rate in rad/s, positive turning left
+   */
+  getYawRate() {
+    const up = new CANNON.Vec3(0, 1, 0);
+    this.chassisBody.quaternion.vmult(up, up);
+    return this.chassisBody.angularVelocity.dot(up);
+  }
+  
+  /**
+   * Get the distance between the front and rear axles
+   * @returns {number} Wheelbase in m
+   */
+  getWheelbase() {
+    const wheels = this.vehicle.wheelInfos;
+    return Math.abs(wheels[this.BACK_LEFT].chassisConnectionPointLocal.z - wheels[this.FRONT_LEFT].chassisConnectionPointLocal.z);
+  }
+  
+  /**
+   * Get the average lateral friction of the tires on the ground
+   * @returns {number} Friction coefficient
+   */
+  getAverageFriction() {
+    const grounded = this.tires.filter(tire => tire.load > 0);
+    if (!grounded.length) return 0;
+    return grounded.reduce((sum, tire) => sum + tire.surface.lateral.D * tire.grip * tire.snowGrip * tire.weatherGrip, 0) / grounded.length;
+  }
+  
+  /**
+   * Find the surface under a wheel
+   * A body's own `surface` id comes first, then the surface painted on the
+   * terrain at the contact point, then the surface of the body's material.
+   * @param {CANNON.RaycastResult} hit - The wheel's raycast result
+   * @returns {Object} Surface from the surface registry
+   */
+  getContactSurface(hit) {
+    const { body, hitPointWorld } = hit;
+    
+    return getSurface(body.surface) ||
+      (this.terrain && this.terrain.getSurfaceAt(hitPointWorld.x, hitPointWorld.z)) ||
+      getSurface(body.material && body.material.name) ||
+      getSurface(DEFAULT_SURFACE_ID);
+  }
+  
+  /**
+   * Push the car sideways with the wind blowing across it
+   * The force grows with the square of the air speed across the car and
+   * with its side area, less where the terrain upwind shelters it.
+   * @param {Object} air - Air velocity `{ x, z }` in m/s
+   */
+  applyWind(air) {
+    const body = this.chassisBody;
+    const side = body.vectorToWorldFrame(new CANNON.Vec3(1, 0, 0));
+    const across = (air.x - body.velocity.x) * side.x + (air.z - body.velocity.z) * side.z;
+    if (across === 0) return;
+    
+    const area = this.length * this.height;
+    const exposure = this.getWindExposure(air);
+    const force = 0.5 * AIR_DENSITY * SIDE_DRAG * area * across * Math.abs(across) * exposure;
+    
+    const point = body.vectorToWorldFrame(new CANNON.Vec3(...SIDE_PRESSURE_POINT));
+    body.applyForce(new CANNON.Vec3(side.x * force, 0, side.z * force), point);
+  }
+  
+  /**
+   * How much of the wind reaches the car, from the terrain rising upwind
+   * @param {Object} air - Air velocity `{ x, z }` in m/s
+   * @returns {number} Exposure, 1 in the open down to 0 fully sheltered
+   */
+  getWindExposure(air) {
+    const speed = Math.hypot(air.x, air.z);
+    if (!this.terrain || speed === 0) return 1;
+    
+    const { x, z } = this.chassisBody.position;
+    const ground = this.terrain.sampleChunkData(x, z, 'heights');
+    const slope = Math.max(0, ...SHELTER_DISTANCES.map(distance => (
+      this.terrain.sampleChunkData(x - air.x / speed * distance, z - air.z / speed * distance, 'heights') - ground
+    ) / distance));
+    return 1 - Math.min(1, slope / FULL_SHELTER_SLOPE);
+  }
+  
+  /**
+   * Check whether a wheel stands in the terrain's snow
+   * Snow only lies on the terrain, and not on surfaces set for testing.
+   * @param {CANNON.RaycastResult} hit - The wheel's raycast result
+   * @returns {boolean} Whether the wheel touches snow-covered ground
+   */
+  isOnSnow(hit) {
+    return Boolean(this.terrain && hit.body && hit.body.terrain && !hit.body.surface);
+  }
+  
+  /**
+   * Find the depth of the loose snow under a wheel
+   * @param {CANNON.RaycastResult} hit - The wheel's raycast result
+   * @returns {number} Depth in m
+   */
+  getSnowDepth(hit) {
+    if (!this.isOnSnow(hit)) return 0;
+    
+    return this.terrain.snow.getDepthAt(hit.hitPointWorld.x, hit.hitPointWorld.z);
+  }
+  
+  /**
+   * Pack down the loose snow a wheel rolled over since the last step
+   * @param {number} index - Wheel index
+   * @param {CANNON.RaycastResult} hit - The wheel's raycast result
+   */
+  packSnow(index, hit) {
+    const point = this.isOnSnow(hit) ? [hit.hitPointWorld.x, hit.hitPointWorld.z] : null;
+    const last = this.trackPoints[index];
+    
+    if (point && last && Math.hypot(point[0] - last[0], point[1] - last[1]) <= MAX_TRACK_STEP) {
+      this.terrain.snow.compact(last[0], last[1], point[0], point[1], this.tires[index].width / 2);
+    }
+    this.trackPoints[index] = point;
+  }
+  
+  /**
+   * Get the surface under each wheel, for sounds and particle effects
+   * @returns {Array<Object|null>} Surface per wheel, null while a wheel is in the air
+   */
+  getWheelSurfaces() {
+    return this.tires.map(tire => (tire.load > 0 ? tire.surface : null));
+  }
+  
+  /**
+   * Compute the tire forces and apply them to the chassis
+   * Replaces the raycast vehicle's own friction step, so it runs inside the
+   * physics step with fresh suspension loads and contact points.
+   * @param {number} timeStep - Physics step length in seconds
+   */
+  updateTires(timeStep) {
+    const vehicle = this.vehicle;
+    const body = this.chassisBody;
+    const wheels = vehicle.wheelInfos;
+    
+    const axle = new CANNON.Vec3();
+    const forward = new CANNON.Vec3();
+    const velocity = new CANNON.Vec3();
+    const normalPart = new CANNON.Vec3();
+    
+    // Contact frame, velocity and surface of each tire
+    const axles = [];
+    const forwards = [];
+    vehicle.numWheelsOnGround = 0;
+    wheels.forEach((wheel, i) => {
+      const tire = this.tires[i];
+      const hit = wheel.raycastResult;
+      
+      // A wheel in the air touches nothing, but keeps the car's speed along
+      // it, which is what traction control compares its spin with
+      if (!hit.body) {
+        vehicle.getWheelTransformWorld(i).vectorToWorldFrame(new CANNON.Vec3(1, 0, 0), axle);
+        body.vectorToWorldFrame(new CANNON.Vec3(0, 1, 0), normalPart);
+        normalPart.cross(axle, forward);
+        body.getVelocityAtWorldPoint(wheel.worldTransform.position, velocity);
+        tire.setContact(0, velocity.dot(forward), 0, tire.surface);
+        this.packSnow(i, hit);
+        axles.push(null);
+        forwards.push(null);
+        return;
+      }
+      vehicle.numWheelsOnGround++;
+      
+      // Wheel axle and rolling direction in the ground plane
+      vehicle.getWheelTransformWorld(i).vectorToWorldFrame(new CANNON.Vec3(1, 0, 0), axle);
+      hit.hitNormalWorld.scale(axle.dot(hit.hitNormalWorld), normalPart);
+      axle.vsub(normalPart, axle);
+      axle.normalize();
+      hit.hitNormalWorld.cross(axle, forward);
+      forward.normalize();
+      
+      body.getVelocityAtWorldPoint(hit.hitPointWorld, velocity);
+      tire.setContact(
+        wheel.suspensionForce,
+        velocity.dot(forward),
+        velocity.dot(axle),
+        this.getContactSurface(hit),
+        this.getSnowDepth(hit),
+        this.isOnSnow(hit) ? this.terrain.weatherGrip : 1
+      );
+      
+      // The tire meets the snow ahead of it, then leaves it packed behind
+      this.packSnow(i, hit);
+      axles.push(axle.clone());
+      forwards.push(forward.clone());
+    });
+    
+    // Wheels sink into soft surfaces, lowering the car from the next step on
+    wheels.forEach((wheel, i) => {
+      const tire = this.tires[i];
+      tire.updateSinkage(timeStep);
+      wheel.suspensionRestLength = this.suspensionRestLength - tire.sinkage;
+    });
+    
+    // The engine's inertia is shared by the driven wheels while the clutch is closed
+    const drivenWheels = this.drivetrain.getDrivenWheels();
+    const drivenInertia = this.powertrain.getDrivenInertia() / drivenWheels.filter(Boolean).length;
+    this.tires.forEach((tire, i) => {
+      tire.drivelineInertia = drivenWheels[i] ? drivenInertia : 0;
+    });
+    
+    // Advance wheel spin, splitting the drive force through the differentials each substep
+    const substeps = this.tireSubsteps;
+    const substepTime = timeStep / substeps;
+    const forces = this.tires.map(() => [0, 0]);
+    const driveForces = [0, 0, 0, 0];
+    
+    for (let step = 0; step < substeps; step++) {
+      const driveForce = this.assists.modulateDrive(substepTime, this.driveForce, this.tires, drivenWheels);
+      const wheelForces = this.drivetrain.update(driveForce, this.tires.map(tire => tire.getDriveState(substepTime)));
+      
+      this.tires.forEach((tire, i) => {
+        const brakeForce = this.assists.modulateBrake(substepTime, i, tire, wheels[i].brake);
+        const [forceX, forceY] = tire.step(substepTime, wheelForces[i] * tire.radius, brakeForce * tire.radius);
+        forces[i][0] += forceX / substeps;
+        forces[i][1] += forceY / substeps;
+        driveForces[i] += wheelForces[i] / substeps;
+      });
+    }
+    
+    // Apply the forces as impulses like the raycast vehicle does, never more
+    // than would stop the contact patch sliding within this step
+    const massShare = body.mass / Math.max(1, vehicle.numWheelsOnGround);
+    vehicle.sliding = false;
+    
+    wheels.forEach((wheel, i) => {
+      const tire = this.tires[i];
+      wheel.engineForce = driveForces[i];
+      wheel.sliding = tire.sliding;
+      wheel.forwardImpulse = 0;
+      wheel.sideImpulse = 0;
+      if (!forwards[i]) return;
+      
+      const maxForwardForce = massShare * Math.abs(tire.spin * tire.radius - tire.forwardVelocity) / timeStep;
+      const maxSideForce = massShare * Math.abs(tire.sideVelocity) / timeStep;
+      tire.forceX = Math.max(-maxForwardForce, Math.min(maxForwardForce, forces[i][0]));
+      tire.forceY = Math.max(-maxSideForce, Math.min(maxSideForce, forces[i][1]));
+      wheel.forwardImpulse = tire.forceX * timeStep;
+      wheel.sideImpulse = tire.forceY * timeStep;
+      vehicle.sliding = vehicle.sliding || tire.sliding;
+      
+      const relativePosition = new CANNON.Vec3();
+      wheel.raycastResult.hitPointWorld.vsub(body.position, relativePosition);
+      body.applyImpulse(forwards[i].scale(wheel.forwardImpulse), relativePosition);
+      
+      // Side force applied closer to the center of mass height to limit body roll
+      body.vectorToLocalFrame(relativePosition, relativePosition);
+      relativePosition.y *= wheel.rollInfluence;
+      body.vectorToWorldFrame(relativePosition, relativePosition);
+      body.applyImpulse(axles[i].scale(wheel.sideImpulse), relativePosition);
+    });
+  }
+  
+  /**
+   * Use a different drivetrain layout and differentials
+   * @param {Object} config - Drivetrain settings, e.g. from DRIVETRAIN_PRESETS
+   */
+  setDrivetrain(config) {
+    this.drivetrain.setConfig(config);
+  }
+  
+  /**
+   * Use a different engine and gearbox
+   * @param {Object} config - Powertrain settings, e.g. from POWERTRAIN_PRESETS
+   */
+  setPowertrain(config) {
+    this.powertrain.setConfig(config);
+  }
+  
+  /**
+   * Get current vehicle speed
+   * @returns {number} Speed in km/h
+   */
+  getSpeed() {
+    return this.speed;
+  }
+  
+  /**
+   * Apply force to push the vehicle
+   * @param {THREE.Vector3} force - Force to apply
+   * @param {THREE.Vector3} point - Point to apply force at (world coordinates)
+   */
+  applyForce(force, point) {
+    this.chassisBody.applyForce(
+      new CANNON.Vec3(force.x, force.y, force.z),
+      new CANNON.Vec3(point.x, point.y, point.z)
+    );
+  }
+} 
\ No newline at end of file
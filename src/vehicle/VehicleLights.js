@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+
+// Headlight beams per mode: reach in m, cone half-angle in rad, intensity
+// in cd, and how far the beam is aimed down
+const BEAMS = {
+  low: { distance: 70, angle: 0.55, intensity: 150, dip: 0.06 },
+  high: { distance: 180, angle: 0.32, intensity: 600, dip: 0.01 }
+};
+
+// Light intensities of the rear lamps: tail lights, brake lights on top and
+// the glow they cast on the snow behind the car
+const TAIL_GLOW = 0.4;
+const BRAKE_GLOW = 2;
+const REVERSE_GLOW = 1.5;
+
+/**
+ * VehicleLights draws the headlights, tail lights, brake lights and
+ * reversing lights of a vehicle
+ *
+ * The lights follow the physics body rather than the model, so they sit at
+ * the corners of the chassis box of any vehicle definition. They are driven
+ * by the same inputs as the vehicle: `headlights` switches between off,
+ * low beam and high beam, and the brake pedal lights the brake lights. The
+ * lights always stay in the scene, only dimmed when off, so switching them
+ * doesn't make three.js rebuild every lit material.
+ */
+export class VehicleLights {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the lights to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.group = null;
+    this.headlights = [];      // Spot lights with their lens materials
+    this.tailLamps = null;     // Rear lens material
+    this.reverseLamps = null;  // Reversing lens material
+    this.rearGlow = null;      // Red light on the snow behind the car
+    this.reverseGlow = null;   // White light on the snow behind the car
+    
+    this.mode = 0;             // 0 off, 1 low beam, 2 high beam
+    this.braking = false;
+    this.reversing = false;
+  }
+  
+  /**
+   * Build the lights for a vehicle's chassis box, replacing any built before
+   * @param {Object} definition - Validated vehicle definition
+   */
+  build(definition) {
+    this.dispose();
+    
+    const { width, height, length, collisionOffset } = definition.chassis;
+    const front = -length / 2;
+    const rear = length / 2;
+    const y = collisionOffset - height * 0.1;
+    const side = width / 2 - 0.25;
+    
+    this.group = new THREE.Group();
+    const lensGeometry = new THREE.PlaneGeometry(0.3, 0.12);
+    
+    // Headlights shining ahead, towards -z
+    [-side, side].forEach(x => {
+      const light = new THREE.SpotLight(0xfff4e0, 0, BEAMS.low.distance, BEAMS.low.angle, 0.5, 2);
+      light.position.set(x, y, front);
+      light.target.position.set(x, y, front - 10);
+      this.group.add(light, light.target);
+      
+      const material = new THREE.MeshBasicMaterial({ color: 0x333333, side: THREE.DoubleSide });
+      const lens = new THREE.Mesh(lensGeometry, material);
+      lens.position.set(x, y, front - 0.01);
+      this.group.add(lens);
+      
+      this.headlights.push({ light, material });
+    });
+    
+    // Tail and brake lights, one red lens per side
+    this.tailLamps = new THREE.MeshBasicMaterial({ color: 0x330000, side: THREE.DoubleSide });
+    this.reverseLamps = new THREE.MeshBasicMaterial({ color: 0x222222, side: THREE.DoubleSide });
+    [-side, side].forEach(x => {
+      const tail = new THREE.Mesh(lensGeometry, this.tailLamps);
+      tail.position.set(x, y + 0.1, rear + 0.01);
+      const reverse = new THREE.Mesh(lensGeometry, this.reverseLamps);
+      reverse.scale.set(0.4, 0.8, 1);
+      reverse.position.set(x * 0.6, y + 0.1, rear + 0.01);
+      this.group.add(tail, reverse);
+    });
+    
+    this.rearGlow = new THREE.PointLight(0xff1a0a, 0, 8, 2);
+    this.rearGlow.position.set(0, y, rear + 0.5);
+    this.reverseGlow = new THREE.PointLight(0xffffff, 0, 10, 2);
+    this.reverseGlow.position.set(0, y, rear + 0.5);
+    this.group.add(this.rearGlow, this.reverseGlow);
+    
+    this.scene.add(this.group);
+    this.refresh();
+  }
+  
+  /**
+   * Remove the lights from the scene
+   */
+  dispose() {
+    if (this.group) this.scene.remove(this.group);
+    this.group = null;
+    this.headlights = [];
+  }
+  
+  /**
+   * Follow the vehicle's inputs
+   * @param {Object} inputs - Inputs of the current tick
+   * @param {boolean} reversing - Whether reverse gear is in
+   */
+  setInputs(inputs, reversing) {
+    const mode = inputs.headlights || 0;
+    const braking = inputs.brake > 0.05;
+    if (mode === this.mode && braking === this.braking && reversing === this.reversing) return;
+    
+    this.mode = mode;
+    this.braking = braking;
+    this.reversing = reversing;
+    this.refresh();
+  }
+  
+  /**
+   * Set the beams and lenses for the current state
+   */
+  refresh() {
+    if (!this.group) return;
+    
+    const beam = this.mode === 2 ? BEAMS.high : BEAMS.low;
+    this.headlights.forEach(({ light, material }) => {
+      light.intensity = this.mode > 0 ? beam.intensity : 0;
+      light.distance = beam.distance;
+      light.angle = beam.angle;
+      light.target.position.y = light.position.y - beam.dip * 10;
+      material.color.setHex(this.mode > 0 ? 0xfffbf0 : 0x333333);
+    });
+    
+    // Tail lights come on with the headlights; the brake lights are brighter
+    const glow = (this.braking ? BRAKE_GLOW : 0) + (this.mode > 0 ? TAIL_GLOW : 0);
+    this.tailLamps.color.setHex(this.braking ? 0xff2010 : (this.mode > 0 ? 0x991008 : 0x330000));
+    this.rearGlow.intensity = glow;
+    
+    this.reverseLamps.color.setHex(this.reversing ? 0xffffff : 0x222222);
+    this.reverseGlow.intensity = this.reversing ? REVERSE_GLOW : 0;
+  }
+  
+  /**
+   * Move the lights with the vehicle
+   * @param {THREE.Vector3} position - Physics body position
+   * @param {THREE.Quaternion} quaternion - Physics body orientation
+   */
+  place(position, quaternion) {
+    if (!this.group) return;
+    
+    this.group.position.copy(position);
+    this.group.quaternion.copy(quaternion);
+  }
+  
+  /**
+   * Headlight beams in world space, for effects lit by them such as the
+   * falling snow
+   * @returns {Array<Object>} `{ position, direction, distance, cosAngle, intensity }` per headlight
+   */
+  getBeams() {
+    if (!this.group) return [];
+    
+    this.group.updateMatrixWorld();
+    return this.headlights.map(({ light }) => {
+      const position = light.getWorldPosition(new THREE.Vector3());
+      const direction = light.target.getWorldPosition(new THREE.Vector3()).sub(position).normalize();
+      return {
+        position,
+        direction,
+        distance: light.distance,
+        cosAngle: Math.cos(light.angle),
+        intensity: light.intensity > 0 ? (this.mode === 2 ? 1.5 : 1) : 0
+      };
+    });
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { validateVehicleDefinition, getVehicleDefinition, DEFAULT_VEHICLE_ID } from './VehicleDefinitions.js';
+
+const STORAGE_KEY = 'winter-driving-garage';
+const STORAGE_VERSION = 1;
+
+/**
+ * Tuning sliders shown in the garage
+ *
+ * Values are multipliers on the vehicle definition, except `brakeBias`,
+ * which replaces the definition's share of brake force on the front axle.
+ */
+export const TUNING_PARAMETERS = [
+  { id: 'stiffness', label: 'Suspension stiffness', min: 0.5, max: 1.5, step: 0.05 },
+  { id: 'damping', label: 'Suspension damping', min: 0.5, max: 1.5, step: 0.05 },
+  { id: 'grip', label: 'Tire grip', min: 0.8, max: 1.2, step: 0.01 },
+  { id: 'brakeBias', label: 'Brake bias (front)', min: 0.4, max: 0.8, step: 0.01 },
+  { id: 'power', label: 'Power', min: 0.7, max: 1.3, step: 0.05 }
+];
+
+/**
+ * Untuned settings for a vehicle
+ * @param {Object} definition - Vehicle definition
+ * @returns {Object} Tuning values by parameter id
+ */
+export function getDefaultTuning(definition) {
+  return { stiffness: 1, damping: 1, grip: 1, brakeBias: definition.brakes.bias, power: 1 };
+}
+
+/**
+ * Apply garage tuning to a vehicle definition
+ * @param {Object} definition - Validated vehicle definition
+ * @param {Object} tuning - Tuning values by parameter id; missing values are left untuned
+ * @returns {Object} New validated definition
+ */
+export function applyTuning(definition, tuning) {
+  const { stiffness, damping, grip, brakeBias, power } = { ...getDefaultTuning(definition), ...tuning };
+  const { suspension, tires, brakes, powertrain } = definition;
+  
+  return validateVehicleDefinition({
+    ...definition,
+    suspension: {
+      ...suspension,
+      stiffness: suspension.stiffness * stiffness,
+      dampingRelaxation: suspension.dampingRelaxation * damping,
+      dampingCompression: suspension.dampingCompression * damping
+    },
+    tires: { ...tires, frontGrip: tires.frontGrip * grip, rearGrip: tires.rearGrip * grip },
+    brakes: { ...brakes, bias: brakeBias },
+    powertrain: { ...powertrain, torqueCurve: powertrain.torqueCurve.map(([rpm, torque]) => [rpm, torque * power]) }
+  });
+}
+
+/**
+ * VehicleSetups remembers the vehicle picked in the garage and the tuning
+ * saved for each vehicle, in localStorage
+ */
+export class VehicleSetups {
+  constructor() {
+    this.vehicleId = DEFAULT_VEHICLE_ID;  // Vehicle to drive
+    this.setups = {};                     // Tuning by vehicle id
+    
+    this.load();
+  }
+  
+  /**
+   * Load the saved setups, ignoring vehicles that are no longer registered
+   */
+  load() {
+    if (typeof localStorage === 'undefined') return;
+    
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (!data || data.version !== STORAGE_VERSION) return;
+      
+      this.setups = data.setups || {};
+      getVehicleDefinition(data.vehicleId);
+      this.vehicleId = data.vehicleId;
+    } catch (error) {
+      console.warn("Ignoring stored vehicle setups:", error.message);
+    }
+  }
+  
+  /**
+   * Save the picked vehicle and all setups to localStorage
+   */
+  save() {
+    if (typeof localStorage === 'undefined') return;
+    
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      vehicleId: this.vehicleId,
+      setups: this.setups
+    }));
+  }
+  
+  /**
+   * Saved tuning of a vehicle, or its defaults
+   * @param {string} vehicleId - Vehicle id
+   * @returns {Object} Tuning values by parameter id
+   */
+  getTuning(vehicleId = this.vehicleId) {
+    return { ...getDefaultTuning(getVehicleDefinition(vehicleId)), ...this.setups[vehicleId] };
+  }
+  
+  /**
+   * Pick a vehicle and save its tuning
+   * @param {string} vehicleId - Vehicle id
+   * @param {Object} tuning - Tuning values by parameter id
+   */
+  saveSetup(vehicleId, tuning) {
+    getVehicleDefinition(vehicleId);
+    this.vehicleId = vehicleId;
+    this.setups[vehicleId] = { ...tuning };
+    this.save();
+  }
+} 
\ No newline at end of file
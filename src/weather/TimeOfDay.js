@@ -0,0 +1,82 @@
+/**
+ * Clock of the day, and where the sun stands at each hour
+ *
+ * The sun follows its path across a winter sky at a northern latitude,
+ * with short days and long nights: at the default settings it rises a
+ * little before 8:00, stands about 20° high at noon and sets a little
+ * after 16:00. The clock can stand still or run faster than real time.
+ */
+export class TimeOfDay {
+  /**
+   * @param {Object} options - Clock settings
+   * @param {number} options.hour - Time of day in hours, 0 to 24
+   * @param {number} options.speed - Game time per real time, 0 to stop the clock
+   * @param {number} options.latitude - Latitude in degrees north
+   * @param {number} options.declination - Sun declination in degrees, -23 in midwinter
+   */
+  constructor({ hour = 12, speed = 0, latitude = 50, declination = -20 } = {}) {
+    this.hour = hour;
+    this.speed = speed;
+    this.latitude = latitude;
+    this.declination = declination;
+  }
+  
+  /**
+   * Advance the clock
+   * @param {number} deltaTime - Real time passed in seconds
+   */
+  update(deltaTime) {
+    this.hour = ((this.hour + deltaTime * this.speed / 3600) % 24 + 24) % 24;
+  }
+  
+  /**
+   * Direction towards the sun
+   * Compass directions follow the wind: north is -z and east is +x.
+   * @returns {Object} Unit vector `{ x, y, z }`, pointing below the horizon at night
+   */
+  getSunDirection() {
+    const toRadians = Math.PI / 180;
+    const hourAngle = (this.hour - 12) * 15 * toRadians;
+    const latitude = this.latitude * toRadians;
+    const declination = this.declination * toRadians;
+    
+    const elevation = Math.asin(
+      Math.sin(latitude) * Math.sin(declination) +
+      Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle)
+    );
+    
+    // Azimuth clockwise from the north: east in the morning, south at noon
+    const azimuth = Math.PI + Math.atan2(
+      Math.sin(hourAngle),
+      Math.cos(hourAngle) * Math.sin(latitude) - Math.tan(declination) * Math.cos(latitude)
+    );
+    
+    return {
+      x: Math.sin(azimuth) * Math.cos(elevation),
+      y: Math.sin(elevation),
+      z: -Math.cos(azimuth) * Math.cos(elevation)
+    };
+  }
+  
+  /**
+   * How light it is outside, from the sun's height
+   * Twilight runs from the sun 6° below the horizon to 9° above it.
+   * @returns {number} 0 at night to 1 in full daylight
+   */
+  getDaylight() {
+    const low = Math.sin(-6 * Math.PI / 180);
+    const high = Math.sin(9 * Math.PI / 180);
+    const t = Math.max(0, Math.min(1, (this.getSunDirection().y - low) / (high - low)));
+    return t * t * (3 - 2 * t);
+  }
+  
+  /**
+   * Time of day as a clock reading
+   * @returns {string} Time as HH:MM
+   */
+  getClock() {
+    const minutes = Math.floor(this.hour * 60) % (24 * 60);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Keyframe timelines shared by the wind and weather scripts
+ *
+ * A timeline starts from the current settings and lists keyframes in
+ * seconds; settings a keyframe leaves out carry on from the one before.
+ * Settings are blended between the keyframes around the current time with
+ * one of the mix functions below, picked per setting.
+ */
+
+/**
+ * Blend two numbers
+ * @param {number} from - Start value
+ * @param {number} to - End value
+ * @param {number} t - Blend, 0 to 1
+ * @returns {number} Blended value
+ */
+export function mixNumber(from, to, t) {
+  return from + (to - from) * t;
+}
+
+/**
+ * Blend two compass directions, turning the short way round
+ * @param {number} from - Start direction in degrees
+ * @param {number} to - End direction in degrees
+ * @param {number} t - Blend, 0 to 1
+ * @returns {number} Blended direction, 0 to 360
+ */
+export function mixDirection(from, to, t) {
+  const turn = ((to - from) % 360 + 540) % 360 - 180;
+  return ((from + turn * t) % 360 + 360) % 360;
+}
+
+/**
+ * Blend two 0xRRGGBB colors channel by channel
+ * @param {number} from - Start color
+ * @param {number} to - End color
+ * @param {number} t - Blend, 0 to 1
+ * @returns {number} Blended color
+ */
+export function mixColor(from, to, t) {
+  let color = 0;
+  for (let shift = 16; shift >= 0; shift -= 8) {
+    const a = (from >> shift) & 0xff;
+    const b = (to >> shift) & 0xff;
+    color |= Math.round(a + (b - a) * t) << shift;
+  }
+  return color;
+}
+
+/**
+ * Build a timeline from the current settings and a script of keyframes
+ * @param {Object} start - Current settings, the first keyframe
+ * @param {Array<Object>} keyframes - Keyframes `{ time, ...settings }` with times in s from now
+ * @param {number} now - Current clock time in s
+ * @returns {Array<Object>} Complete keyframes on the clock, sorted by time
+ */
+export function buildTimeline(start, keyframes, now) {
+  let previous = { ...start, time: now };
+  return [previous].concat([...keyframes]
+    .sort((a, b) => a.time - b.time)
+    .map(keyframe => {
+      previous = { ...previous, ...keyframe, time: now + keyframe.time };
+      return previous;
+    }));
+}
+
+/**
+ * Settings of a timeline at a clock time
+ * @param {Array<Object>} timeline - Keyframes from buildTimeline()
+ * @param {number} time - Clock time in s
+ * @param {Object<string, Function>} mixers - Mix function of each setting to blend
+ * @returns {Object} `{ settings, ended }`, ended once past the last keyframe
+ */
+export function sampleTimeline(timeline, time, mixers) {
+  // Keyframes around the current time
+  const next = timeline.findIndex(keyframe => keyframe.time > time);
+  const from = timeline[next === -1 ? timeline.length - 1 : Math.max(0, next - 1)];
+  const to = next === -1 ? from : timeline[next];
+  const t = to === from ? 1 : Math.max(0, Math.min(1, (time - from.time) / (to.time - from.time)));
+  
+  const settings = {};
+  Object.entries(mixers).forEach(([name, mix]) => {
+    settings[name] = mix(from[name], to[name], t);
+  });
+  return { settings, ended: next === -1 };
+} 
\ No newline at end of file
@@ -0,0 +1,140 @@
+import { WEATHER_PRESETS, DEFAULT_WEATHER_ID, getWeatherPreset } from './WeatherPresets.js';
+import { mixNumber, mixDirection, mixColor, buildTimeline, sampleTimeline } from './Timeline.js';
+
+// How each setting blends between keyframes, see WEATHER_PRESETS
+const MIXERS = {
+  snowfall: mixNumber,
+  flakeSize: mixNumber,
+  fogDensity: mixNumber,
+  windSpeed: mixNumber,
+  windGusts: mixNumber,
+  roadGrip: mixNumber,
+  fogColor: mixColor,
+  skyColor: mixColor,
+  windDirection: mixDirection
+};
+const SETTINGS = Object.keys(MIXERS);
+
+/**
+ * Keep only the weather settings of a preset or keyframe
+ * @param {Object} source - Preset, keyframe or partial settings
+ * @returns {Object} Settings found in the source
+ */
+function pickSettings(source) {
+  const settings = {};
+  SETTINGS.forEach(name => {
+    if (source[name] !== undefined) settings[name] = source[name];
+  });
+  return settings;
+}
+
+/**
+ * Weather bundles snowfall, flakes, fog, sky, wind and road grip, and moves
+ * smoothly between presets along a scripted timeline
+ *
+ * A script lists keyframes in seconds, each naming a preset and optionally
+ * overriding some of its settings, e.g. `[{ "time": 0, "preset": "clearCold" },
+ * { "time": 120, "preset": "blizzard", "windSpeed": 25 }]`. Settings are
+ * blended between keyframes, and a keyframe without a preset carries on
+ * from the one before. The Simulation hands the snowfall, wind and road
+ * grip to the terrain and the wind whenever they change, except that a
+ * running wind script keeps the wind; the renderer reads the rest from
+ * `current`. The weather clock runs in simulation ticks, so runs and
+ * replays are exact.
+ */
+export class Weather {
+  /**
+   * @param {Object} settings - Settings to start from, over the default preset
+   */
+  constructor(settings = {}) {
+    this.current = { ...pickSettings(WEATHER_PRESETS[DEFAULT_WEATHER_ID]), ...pickSettings(settings) };
+    this.time = 0;            // Weather clock in s
+    this.script = null;       // Keyframes, sorted by time
+    this.changed = true;      // Whether the settings changed since the last update
+  }
+  
+  /**
+   * Change some settings right away, stopping any script
+   * @param {Object} settings - Settings to change
+   */
+  set(settings) {
+    this.script = null;
+    Object.assign(this.current, pickSettings(settings));
+    this.changed = true;
+  }
+  
+  /**
+   * Switch to a preset right away, stopping any script
+   * @param {string} id - Preset id
+   */
+  setPreset(id) {
+    const preset = getWeatherPreset(id);
+    if (!preset) throw new Error(`Unknown weather preset "${id}"`);
+    this.set(preset);
+  }
+  
+  /**
+   * Move between presets over time
+   * @param {Array<Object>|null} keyframes - Keyframes `{ time, preset, ...settings }`
+   *   with times in s from now, or null to keep the current settings
+   */
+  setScript(keyframes) {
+    if (!keyframes) {
+      this.script = null;
+      return;
+    }
+    
+    // Expand each keyframe's preset under the settings it overrides
+    this.script = buildTimeline(this.current, keyframes.map(keyframe => {
+      const preset = keyframe.preset ? getWeatherPreset(keyframe.preset) : {};
+      if (!preset) throw new Error(`Unknown weather preset "${keyframe.preset}"`);
+      return { ...pickSettings(preset), ...pickSettings(keyframe), time: keyframe.time };
+    }), this.time);
+    this.changed = true;
+  }
+  
+  /**
+   * Advance the weather by one tick
+   * @param {number} deltaTime - Tick length in seconds
+   * @returns {boolean} Whether the settings changed since the last update
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    
+    if (this.script) {
+      const { settings, ended } = sampleTimeline(this.script, this.time, MIXERS);
+      Object.assign(this.current, settings);
+      
+      // Hold the last keyframe once the script has run out
+      if (ended) this.script = null;
+      this.changed = true;
+    }
+    
+    const changed = this.changed;
+    this.changed = false;
+    return changed;
+  }
+  
+  /**
+   * Capture the weather for recordings
+   * @returns {Object} Plain-data snapshot
+   */
+  getSnapshot() {
+    return {
+      time: this.time,
+      current: { ...this.current },
+      script: this.script && this.script.map(keyframe => ({ ...keyframe }))
+    };
+  }
+  
+  /**
+   * Restore a state captured with getSnapshot()
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreSnapshot(snapshot) {
+    this.time = snapshot.time;
+    this.current = { ...snapshot.current };
+    this.script = snapshot.script ? snapshot.script.map(keyframe => ({ ...keyframe })) : null;
+    this.changed = true;
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Weather presets
+ *
+ * Each preset sets every weather setting:
+ * - `snowfall`: how hard it snows, 0 to 1; drives the falling flakes and
+ *   the snow settling on the ground
+ * - `flakeSize`: size of the falling flakes in m
+ * - `fogDensity` / `fogColor`: exponential fog density per m and fog color
+ * - `skyColor`: background color
+ * - `windSpeed` / `windDirection` / `windGusts`: mean wind speed in m/s, the
+ *   compass direction it blows from in degrees and its gustiness, see Wind
+ * - `roadGrip`: friction multiplier on the ground and roads, below 1 where
+ *   rime or freezing drizzle glazes them
+ */
+export const WEATHER_PRESETS = {
+  clearCold: {
+    id: 'clearCold',
+    label: 'Clear and cold',
+    snowfall: 0,
+    flakeSize: 0.12,
+    fogDensity: 0.003,
+    fogColor: 0xdce8f4,
+    skyColor: 0xa9cbec,
+    windSpeed: 2,
+    windDirection: 0,
+    windGusts: 0.2,
+    roadGrip: 1
+  },
+  
+  lightFlurries: {
+    id: 'lightFlurries',
+    label: 'Light flurries',
+    snowfall: 0.3,
+    flakeSize: 0.09,
+    fogDensity: 0.006,
+    fogColor: 0xe6ecf4,
+    skyColor: 0xcbd9e6,
+    windSpeed: 5,
+    windDirection: 300,
+    windGusts: 0.3,
+    roadGrip: 1
+  },
+  
+  steadySnow: {
+    id: 'steadySnow',
+    label: 'Steady snow',
+    snowfall: 0.8,
+    flakeSize: 0.12,
+    fogDensity: 0.01,
+    fogColor: 0xeeeeff,
+    skyColor: 0xdfe9f0,
+    windSpeed: 0,
+    windDirection: 270,
+    windGusts: 0.3,
+    roadGrip: 1
+  },
+  
+  blizzard: {
+    id: 'blizzard',
+    label: 'Blizzard',
+    snowfall: 1,
+    flakeSize: 0.16,
+    fogDensity: 0.03,
+    fogColor: 0xe4e9ef,
+    skyColor: 0xd3dbe3,
+    windSpeed: 18,
+    windDirection: 270,
+    windGusts: 0.6,
+    roadGrip: 0.95
+  },
+  
+  whiteout: {
+    id: 'whiteout',
+    label: 'Whiteout',
+    snowfall: 1,
+    flakeSize: 0.18,
+    fogDensity: 0.07,
+    fogColor: 0xf1f3f6,
+    skyColor: 0xf1f3f6,
+    windSpeed: 24,
+    windDirection: 260,
+    windGusts: 0.7,
+    roadGrip: 0.9
+  },
+  
+  freezingFog: {
+    id: 'freezingFog',
+    label: 'Freezing fog',
+    snowfall: 0,
+    flakeSize: 0.05,
+    fogDensity: 0.05,
+    fogColor: 0xccd3da,
+    skyColor: 0xc4cbd2,
+    windSpeed: 1,
+    windDirection: 90,
+    windGusts: 0.1,
+    roadGrip: 0.75
+  }
+};
+
+export const DEFAULT_WEATHER_ID = 'steadySnow';
+
+/**
+ * Scripted weather scenarios, as Weather keyframes
+ */
+export const WEATHER_SCENARIOS = {
+  clearToWhiteout: {
+    id: 'clearToWhiteout',
+    label: 'Clear to whiteout',
+    keyframes: [
+      { time: 0, preset: 'clearCold' },
+      { time: 30, preset: 'clearCold' },
+      { time: 60, preset: 'lightFlurries' },
+      { time: 120, preset: 'steadySnow', windSpeed: 8 },
+      { time: 180, preset: 'blizzard' },
+      { time: 240, preset: 'whiteout' }
+    ]
+  }
+};
+
+/**
+ * Look up a weather preset
+ * @param {string} id - Preset id
+ * @returns {Object|undefined} The preset
+ */
+export function getWeatherPreset(id) {
+  return WEATHER_PRESETS[id];
+}
+
+/**
+ * Look up a weather scenario
+ * @param {string} id - Scenario id
+ * @returns {Object|undefined} The scenario
+ */
+export function getWeatherScenario(id) {
+  return WEATHER_SCENARIOS[id];
+} 
\ No newline at end of file
@@ -0,0 +1,119 @@
+import { SimplexNoise } from '../terrain/Noise.js';
+import { mixNumber, mixDirection, buildTimeline, sampleTimeline } from './Timeline.js';
+
+// How each scripted setting blends between keyframes
+const MIXERS = { speed: mixNumber, direction: mixDirection, gusts: mixNumber };
+
+/**
+ * Wind blowing over the world, with gusts and an optional script of
+ * changes over time
+ *
+ * The wind has a mean speed, the direction it blows from and a gustiness.
+ * Gusts follow seeded noise over the wind's own clock, so the wind at any
+ * tick is the same in every run and replay. A script lists keyframes in
+ * seconds, e.g. `[{ "time": 0, "speed": 4 }, { "time": 30, "speed": 18,
+ * "direction": 270, "gusts": 0.6 }]`; values are interpolated between
+ * keyframes, and settings a keyframe leaves out carry on from the one
+ * before. The wind holds the last keyframe once the script has run out.
+ * While a script runs it has the wind to itself: the Simulation leaves the
+ * weather's wind settings aside until it ends.
+ */
+export class Wind {
+  /**
+   * @param {Object} options - Wind settings
+   * @param {number} options.speed - Mean speed in m/s
+   * @param {number} options.direction - Compass direction the wind blows from in degrees, 0 from the north (-z), 90 from the east
+   * @param {number} options.gusts - Gustiness, 0 for a steady wind to 1 for gusts doubling its speed
+   * @param {number} options.seed - Seed of the gusts
+   */
+  constructor({ speed = 0, direction = 0, gusts = 0.3, seed = 1 } = {}) {
+    this.speed = speed;
+    this.direction = direction;
+    this.gusts = gusts;
+    this.noise = new SimplexNoise(seed);
+    
+    this.gustPeriod = 6;      // Typical time between gusts in s
+    this.gustVeer = 20;       // Largest change of direction in a gust in degrees
+    
+    this.time = 0;            // Wind clock in s
+    this.script = null;       // Keyframes, sorted by time
+  }
+  
+  /**
+   * Change the wind over time
+   * @param {Array<Object>|null} keyframes - Keyframes `{ time, speed, direction, gusts }`
+   *   with times in s from now, or null to keep the current settings
+   */
+  setScript(keyframes) {
+    if (!keyframes) {
+      this.script = null;
+      return;
+    }
+    
+    const start = { speed: this.speed, direction: this.direction, gusts: this.gusts };
+    this.script = buildTimeline(start, keyframes, this.time);
+  }
+  
+  /**
+   * Advance the wind by one tick
+   * @param {number} deltaTime - Tick length in seconds
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    if (!this.script) return;
+    
+    const { settings, ended } = sampleTimeline(this.script, this.time, MIXERS);
+    Object.assign(this, settings);
+    
+    // Hold the last keyframe once the script has run out
+    if (ended) this.script = null;
+  }
+  
+  /**
+   * Current speed, with the gusts
+   * @returns {number} Speed in m/s
+   */
+  getSpeed() {
+    const gust = this.noise.fractal(this.time / this.gustPeriod, 0.5, { octaves: 3 });
+    return this.speed * Math.max(0, 1 + this.gusts * gust * 2);
+  }
+  
+  /**
+   * Current air velocity, with the gusts
+   * @returns {Object} `{ x, z }` in m/s, pointing where the wind blows to
+   */
+  getVelocity() {
+    const veer = this.noise.fractal(this.time / this.gustPeriod, 7.5, { octaves: 2 }) * this.gusts * this.gustVeer;
+    const angle = (this.direction + veer) * Math.PI / 180;
+    const speed = this.getSpeed();
+    
+    // From the north (-z) blows towards +z
+    return { x: -Math.sin(angle) * speed, z: Math.cos(angle) * speed };
+  }
+  
+  /**
+   * Capture the wind for recordings
+   * @returns {Object} Plain-data snapshot
+   */
+  getSnapshot() {
+    return {
+      time: this.time,
+      speed: this.speed,
+      direction: this.direction,
+      gusts: this.gusts,
+      script: this.script && this.script.map(keyframe => ({ ...keyframe }))
+    };
+  }
+  
+  /**
+   * Restore a state captured with getSnapshot()
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreSnapshot(snapshot) {
+    this.time = snapshot.time;
+    this.speed = snapshot.speed;
+    this.direction = snapshot.direction;
+    this.gusts = snapshot.gusts;
+    this.script = snapshot.script ? snapshot.script.map(keyframe => ({ ...keyframe })) : null;
+  }
+} 
\ No newline at end of file